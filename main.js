@@ -6,13 +6,110 @@ import log from 'electron-log/main.js';
 
 import LLMService from './src/llm-service-v2.js';
 import LaTeXParser from './src/services/latex-parser.js';
+import QTIImporter from './src/qti-importer.js';
+import QTIPackager from './src/qti-packager.js';
+import QTIExporter from './src/qti-exporter.js';
+import QTI2Packager from './src/qti2-packager.js';
+import QTI2Exporter from './src/qti2-exporter.js';
+import MoodleExporter from './src/moodle-exporter.js';
+import MoodleImporter from './src/moodle-importer.js';
+import GiftFormat from './src/services/gift-format.js';
+import AikenFormat from './src/services/aiken-format.js';
+import LaTeXWriter from './src/services/latex-writer.js';
+import CsvFormat from './src/services/csv-format.js';
+import QTIValidator from './src/services/qti-validator.js';
+import CanvasApiClient from './src/services/canvas-api-client.js';
+import CanvasQuizMapper from './src/services/canvas-quiz-mapper.js';
+import ExamPrinter from './src/exam-printer.js';
 
 // Configure logging
 log.transports.file.level = 'info';
 log.transports.console.level = 'debug';
 
 const llmService = new LLMService();
+// Same instance the LLM service reads, so every setting lands in one config file
+const configManager = llmService.configManager;
 const latexParser = new LaTeXParser();
+const qtiImporter = new QTIImporter();
+const moodleImporter = new MoodleImporter();
+const canvasQuizMapper = new CanvasQuizMapper();
+const qtiValidator = new QTIValidator();
+
+// QTI versions written by QTI2Packager, by export format; 'qti' is the Canvas QTI 1.2 package
+const QTI2_FORMAT_VERSIONS = { qti21: '2.1', qti30: '3.0' };
+
+// Plain-text exports: file suffix, save-dialog filter and writer
+const TEXT_EXPORT_FORMATS = {
+  gift: {
+    suffix: GiftFormat.FILE_SUFFIX,
+    filter: { name: 'GIFT', extensions: ['txt', 'gift'] },
+    write: (assessment, { includeExplanations }) => new GiftFormat({ includeExplanations }).write(assessment.questions)
+  },
+  aiken: {
+    suffix: AikenFormat.FILE_SUFFIX,
+    filter: { name: 'Aiken', extensions: ['txt', 'aiken'] },
+    write: (assessment) => new AikenFormat().write(assessment.questions)
+  },
+  latex: {
+    suffix: '.tex',
+    filter: { name: 'LaTeX', extensions: ['tex'] },
+    write: (assessment, { includeExplanations, language }) =>
+      new LaTeXWriter({ includeSolutions: includeExplanations, language }).write(assessment)
+  },
+  csv: {
+    suffix: '.csv',
+    filter: { name: 'CSV', extensions: ['csv'] },
+    write: (assessment) => new CsvFormat().write(assessment.questions)
+  }
+};
+
+// Page numbers at the foot of every printed page
+const PDF_FOOTER_TEMPLATE = '<div style="font-size: 9px; width: 100%; text-align: center;"><span class="pageNumber"></span> / <span class="totalPages"></span></div>';
+
+// Renders an HTML document in a hidden window and prints it; waits for the KaTeX fonts first
+async function printHTMLToPDF(html) {
+  const printWindow = new BrowserWindow({ show: false, webPreferences: { sandbox: true } });
+  try {
+    await printWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+    await printWindow.webContents.executeJavaScript('document.fonts.ready.then(() => true)');
+    return await printWindow.webContents.printToPDF({
+      pageSize: 'A4',
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: '<div></div>',
+      footerTemplate: PDF_FOOTER_TEMPLATE,
+      margins: { top: 0.6, bottom: 0.7, left: 0.7, right: 0.7 }
+    });
+  } finally {
+    printWindow.destroy();
+  }
+}
+
+// Checks the assessment XML of a Canvas package (<id>/<id>.xml) exactly as it goes into the zip
+async function validatePackagedQTI(files) {
+  if (llmService.getConfig('export.validateXML') === false) return;
+
+  const qti = files.find(file => /^([^/]+)\/\1\.xml$/.test(file.path));
+  const { isValid, errors } = await qtiValidator.validate(qti.content);
+  if (!isValid) {
+    log.warn(`⚠️ QTI validation found ${errors.length} problems`);
+    throw new Error(`Invalid QTI XML:\n${qtiValidator.formatReport(errors)}`);
+  }
+}
+
+// Built per export so changes to export settings apply without a restart
+function createQTIPackager(format = 'qti') {
+  const includeExplanations = llmService.getConfig('export.includeExplanations') !== false;
+
+  if (QTI2_FORMAT_VERSIONS[format]) {
+    return new QTI2Packager(new QTI2Exporter({ version: QTI2_FORMAT_VERSIONS[format], includeExplanations }));
+  }
+  if (format !== 'qti') {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  const profile = configManager.getActiveCanvasProfile();
+  return new QTIPackager(new QTIExporter({ includeExplanations, canvasBaseUrl: profile.baseUrl, mathOutput: profile.mathOutput }));
+}
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -315,20 +412,27 @@ ipcMain.handle('load-file', safeHandler(async (event, filePath) => {
   return { success: true, data };
 }));
 
-ipcMain.handle('export-qti', safeHandler(async (event, qtiXML) => {
+ipcMain.handle('export-qti-package', safeHandler(async (event, assessment, format) => {
   if (!mainWindow) throw new Error('No main window available');
 
+  const packageFormat = format || llmService.getConfig('export.defaultFormat') || 'qti';
+  const packager = createQTIPackager(packageFormat);
+
+  const baseName = (assessment.title || '').trim().replace(/[\\/:*?"<>|]/g, '_') || 'assessment';
   const result = await dialog.showSaveDialog(mainWindow, {
-    defaultPath: 'assessment.xml',
+    defaultPath: `${baseName}.zip`,
     filters: [
-      { name: 'QTI Files', extensions: ['xml'] },
-      { name: 'XML Files', extensions: ['xml'] }
+      { name: 'QTI Package', extensions: ['zip'] }
     ]
   });
 
   if (!result.canceled) {
-    fs.writeFileSync(result.filePath, qtiXML, 'utf8');
-    return { success: true, filePath: result.filePath };
+    const { files, skipped } = packager.buildPackage(assessment);
+    if (packageFormat === 'qti') {
+      await validatePackagedQTI(files);
+    }
+    fs.writeFileSync(result.filePath, packager.zipFiles(files));
+    return { success: true, filePath: result.filePath, skipped: QTIExporter.describeSkipped(assessment, skipped) };
   }
 
   return { success: false, canceled: true };
@@ -372,6 +476,217 @@ ipcMain.handle('load-assessment', safeHandler(async (event) => {
   return { success: false, canceled: true };
 }));
 
+// Canvas instance profiles: every handler answers with the full list so the renderer can replace its copy
+const canvasProfilesResponse = () => ({
+  success: true,
+  profiles: configManager.getCanvasProfiles(),
+  activeProfileId: configManager.getActiveCanvasProfile().id
+});
+
+ipcMain.handle('get-canvas-profiles', safeHandler(async () => canvasProfilesResponse()));
+
+ipcMain.handle('save-canvas-profile', safeHandler(async (event, profile) => {
+  const saved = configManager.saveCanvasProfile(profile);
+  return { ...canvasProfilesResponse(), profile: saved };
+}));
+
+ipcMain.handle('delete-canvas-profile', safeHandler(async (event, id) => {
+  configManager.removeCanvasProfile(id);
+  return canvasProfilesResponse();
+}));
+
+ipcMain.handle('set-active-canvas-profile', safeHandler(async (event, id) => {
+  configManager.setActiveCanvasProfile(id);
+  log.info(`🏫 Active Canvas profile: ${id}`);
+  return canvasProfilesResponse();
+}));
+
+// Canvas REST API: each profile's access token is cached like the LLM provider keys
+const canvasTokenKey = (profileId) => `canvas_${profileId}`;
+
+function createCanvasClient() {
+  const profile = configManager.getActiveCanvasProfile();
+  const token = llmService.getCachedApiKey(canvasTokenKey(profile.id));
+  if (!token) {
+    throw new Error(`No Canvas access token for ${profile.name}. Enter one under Canvas Instance.`);
+  }
+  return new CanvasApiClient({ baseUrl: profile.baseUrl, token });
+}
+
+ipcMain.handle('get-canvas-token-status', safeHandler(async () => {
+  const profile = configManager.getActiveCanvasProfile();
+  return { success: true, hasToken: !!llmService.getCachedApiKey(canvasTokenKey(profile.id)) };
+}));
+
+ipcMain.handle('set-canvas-token', safeHandler(async (event, token) => {
+  const profile = configManager.getActiveCanvasProfile();
+  if (!token) {
+    llmService.removeCachedApiKey(canvasTokenKey(profile.id));
+    return { success: true, hasToken: false };
+  }
+
+  // Checked here rather than through the cache's validator so Canvas's error reaches the user
+  const user = await new CanvasApiClient({ baseUrl: profile.baseUrl, token }).getSelf();
+  if (!await llmService.apiKeyCache.setApiKey(canvasTokenKey(profile.id), token)) {
+    throw new Error('The API key cache is disabled (apiKeyCache.enabled), so the token cannot be kept');
+  }
+  log.info(`🔑 Canvas token saved for ${profile.name} (${user.name})`);
+  return { success: true, hasToken: true, user: { id: user.id, name: user.name } };
+}));
+
+ipcMain.handle('upload-to-canvas', safeHandler(async (event, assessment, courseId) => {
+  const client = createCanvasClient();
+  const packager = createQTIPackager('qti');
+  const { files, skipped } = packager.buildPackage(assessment);
+  await validatePackagedQTI(files);
+
+  const title = (assessment.title || '').trim() || 'assessment';
+  const { migrationId, progress } = await client.importQTIPackage(courseId, packager.zipFiles(files), {
+    fileName: `${title.replace(/[\\/:*?"<>|]/g, '_')}.zip`,
+    questionBankName: title,
+    onProgress: update => event.sender.send('canvas-upload-progress', update)
+  });
+  log.info(`📤 Uploaded "${title}" to Canvas course ${courseId} (migration ${migrationId})`);
+  return { success: true, migrationId, progress, skipped: QTIExporter.describeSkipped(assessment, skipped) };
+}));
+
+ipcMain.handle('list-canvas-courses', safeHandler(async () => {
+  const courses = await createCanvasClient().listCourses();
+  return { success: true, courses: courses.map(course => ({ id: course.id, name: course.name, courseCode: course.course_code || '' })) };
+}));
+
+ipcMain.handle('list-canvas-quizzes', safeHandler(async (event, courseId) => {
+  const quizzes = await createCanvasClient().listQuizzes(courseId);
+  return {
+    success: true,
+    quizzes: quizzes.map(quiz => ({ id: quiz.id, title: quiz.title, questionCount: quiz.question_count || 0, published: !!quiz.published }))
+  };
+}));
+
+ipcMain.handle('import-canvas-quiz', safeHandler(async (event, courseId, quizId) => {
+  const client = createCanvasClient();
+  const quiz = await client.getQuiz(courseId, quizId);
+  const questions = await client.listQuizQuestions(courseId, quizId);
+  const groupIds = [...new Set(questions.map(question => question.quiz_group_id).filter(Boolean))];
+  const groups = await Promise.all(groupIds.map(groupId => client.getQuizGroup(courseId, quizId, groupId)));
+
+  const { assessment, skipped } = canvasQuizMapper.toAssessment({ courseId, quiz, questions, groups });
+  log.info(`📥 Imported ${assessment.questions.length} questions from Canvas quiz ${quizId} in course ${courseId} (${skipped.length} skipped)`);
+  return { success: true, assessment, skipped };
+}));
+
+ipcMain.handle('import-qti', safeHandler(async (event) => {
+  if (!mainWindow) throw new Error('No main window available');
+
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile'],
+    filters: [
+      { name: 'QTI / Moodle XML / CSV Files', extensions: ['xml', 'zip', 'imscc', 'csv'] }
+    ]
+  });
+
+  if (!result.canceled && result.filePaths.length > 0) {
+    const filePath = result.filePaths[0];
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.csv') {
+      // Spreadsheet rows: invalid ones are reported back by row number instead of failing the import
+      const { questions, errors } = new CsvFormat().parse(fs.readFileSync(filePath, 'utf8'));
+      const assessment = { title: path.basename(filePath, path.extname(filePath)), description: '', timeLimit: 0, questions, groups: [] };
+      log.info(`📥 Imported ${questions.length} questions from ${filePath} (${errors.length} invalid rows)`);
+      return { success: true, assessment, skipped: [], errors };
+    }
+
+    let imported;
+    if (['.zip', '.imscc'].includes(extension)) {
+      imported = await qtiImporter.importPackage(fs.readFileSync(filePath));
+    } else {
+      const xml = fs.readFileSync(filePath, 'utf8');
+      imported = MoodleImporter.isMoodleXML(xml)
+        ? await moodleImporter.importXML(xml)
+        : await qtiImporter.importXML(xml);
+    }
+    const { assessment, skipped } = imported;
+
+    log.info(`📥 Imported ${assessment.questions.length} questions from ${filePath} (${skipped.length} skipped)`);
+    return { success: true, assessment, skipped };
+  }
+
+  return { success: false, canceled: true };
+}));
+
+ipcMain.handle('export-moodle-xml', safeHandler(async (event, assessment) => {
+  if (!mainWindow) throw new Error('No main window available');
+
+  const exporter = new MoodleExporter({
+    includeExplanations: llmService.getConfig('export.includeExplanations') !== false
+  });
+  const baseName = (assessment.title || '').trim().replace(/[\\/:*?"<>|]/g, '_') || 'assessment';
+  const result = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: `${baseName}.moodle.xml`,
+    filters: [
+      { name: 'Moodle XML', extensions: ['xml'] }
+    ]
+  });
+
+  if (!result.canceled) {
+    const { xml, skipped } = exporter.generateXML(assessment);
+    fs.writeFileSync(result.filePath, xml, 'utf8');
+    return { success: true, filePath: result.filePath, skipped: QTIExporter.describeSkipped(assessment, skipped) };
+  }
+
+  return { success: false, canceled: true };
+}));
+
+ipcMain.handle('export-text-quiz', safeHandler(async (event, assessment, format, options = {}) => {
+  if (!mainWindow) throw new Error('No main window available');
+
+  const textFormat = TEXT_EXPORT_FORMATS[format];
+  if (!textFormat) throw new Error(`Unknown text quiz format: ${format}`);
+
+  const baseName = (assessment.title || '').trim().replace(/[\\/:*?"<>|]/g, '_') || 'assessment';
+  const result = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: `${baseName}${textFormat.suffix}`,
+    filters: [textFormat.filter]
+  });
+
+  if (!result.canceled) {
+    const { text, skipped } = textFormat.write(assessment, {
+      includeExplanations: llmService.getConfig('export.includeExplanations') !== false,
+      language: options.language
+    });
+    fs.writeFileSync(result.filePath, text, 'utf8');
+    return { success: true, filePath: result.filePath, skipped: QTIExporter.describeSkipped(assessment, skipped) };
+  }
+
+  return { success: false, canceled: true };
+}));
+
+// The exam and its answer key are saved as two PDFs so the key is never printed by accident
+ipcMain.handle('export-exam-pdf', safeHandler(async (event, assessment, options = {}) => {
+  if (!mainWindow) throw new Error('No main window available');
+
+  const printer = new ExamPrinter({
+    includeExplanations: llmService.getConfig('export.includeExplanations') !== false,
+    language: options.language
+  });
+  const baseName = (assessment.title || '').trim().replace(/[\\/:*?"<>|]/g, '_') || 'assessment';
+  const result = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: `${baseName}.pdf`,
+    filters: [
+      { name: 'PDF', extensions: ['pdf'] }
+    ]
+  });
+
+  if (!result.canceled) {
+    const answerKeyPath = result.filePath.replace(/\.pdf$/i, '') + '-answer-key.pdf';
+    fs.writeFileSync(result.filePath, await printHTMLToPDF(printer.generateExamHTML(assessment)));
+    fs.writeFileSync(answerKeyPath, await printHTMLToPDF(printer.generateAnswerKeyHTML(assessment)));
+    return { success: true, filePath: result.filePath, answerKeyPath, skipped: QTIExporter.describeSkipped(assessment, printer.getSkippedQuestions(assessment)) };
+  }
+
+  return { success: false, canceled: true };
+}));
+
 // File upload handlers for AI attachments
 ipcMain.handle('save-temporary-file', safeHandler(async (_, fileBuffer, fileName) => {
   const tempDir = path.join(app.getPath('temp'), 'qti-generator');
@@ -426,13 +741,13 @@ ipcMain.handle('cleanup-temporary-files', safeHandler(async (_) => {
 // }));
 
 // LLM Service handlers
-ipcMain.handle('configure-llm', safeHandler(async (_, provider, apiKey) => {
-  await llmService.setProvider(provider, apiKey);
+ipcMain.handle('configure-llm', safeHandler(async (_, provider, apiKey, options = {}) => {
+  await llmService.setProvider(provider, apiKey, options);
   return { success: true };
 }));
 
-ipcMain.handle('test-api-key', safeHandler(async (_, provider, apiKey) => {
-  const isValid = await llmService.testApiKey(provider, apiKey);
+ipcMain.handle('test-api-key', safeHandler(async (_, provider, apiKey, options = {}) => {
+  const isValid = await llmService.testApiKey(provider, apiKey, options);
   return { success: true, isValid };
 }));
 
@@ -441,6 +756,10 @@ ipcMain.handle('generate-questions', safeHandler(async (_, context, options) =>
   return { success: true, questions };
 }));
 
+ipcMain.handle('get-llm-provider-settings', safeHandler(async (_, provider) => {
+  return { success: true, settings: configManager.getProviderSettings(provider) };
+}));
+
 ipcMain.handle('get-cached-api-key', safeHandler(async (_, provider) => {
   const apiKey = llmService.getCachedApiKey(provider);
   return { success: true, apiKey };
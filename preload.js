@@ -6,7 +6,26 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Assessment operations
   saveAssessment: (assessmentData) => ipcRenderer.invoke('save-assessment', assessmentData),
   loadAssessment: () => ipcRenderer.invoke('load-assessment'),
-  exportQTI: (qtiXML) => ipcRenderer.invoke('export-qti', qtiXML),
+  exportQTIPackage: (assessment, format) => ipcRenderer.invoke('export-qti-package', assessment, format),
+  exportMoodleXML: (assessment) => ipcRenderer.invoke('export-moodle-xml', assessment),
+  exportTextQuiz: (assessment, format, options) => ipcRenderer.invoke('export-text-quiz', assessment, format, options),
+  exportExamPDF: (assessment, options) => ipcRenderer.invoke('export-exam-pdf', assessment, options),
+  importQTI: () => ipcRenderer.invoke('import-qti'),
+
+  // Canvas instance profiles
+  getCanvasProfiles: () => ipcRenderer.invoke('get-canvas-profiles'),
+  saveCanvasProfile: (profile) => ipcRenderer.invoke('save-canvas-profile', profile),
+  deleteCanvasProfile: (id) => ipcRenderer.invoke('delete-canvas-profile', id),
+  setActiveCanvasProfile: (id) => ipcRenderer.invoke('set-active-canvas-profile', id),
+
+  // Canvas REST API
+  getCanvasTokenStatus: () => ipcRenderer.invoke('get-canvas-token-status'),
+  setCanvasToken: (token) => ipcRenderer.invoke('set-canvas-token', token),
+  uploadToCanvas: (assessment, courseId) => ipcRenderer.invoke('upload-to-canvas', assessment, courseId),
+  onCanvasUploadProgress: (callback) => ipcRenderer.on('canvas-upload-progress', callback),
+  listCanvasCourses: () => ipcRenderer.invoke('list-canvas-courses'),
+  listCanvasQuizzes: (courseId) => ipcRenderer.invoke('list-canvas-quizzes', courseId),
+  importCanvasQuiz: (courseId, quizId) => ipcRenderer.invoke('import-canvas-quiz', courseId, quizId),
 
   // File operations - PDF disabled to prevent DOMMatrix issues
   // selectPDFFile: () => ipcRenderer.invoke('select-pdf-file'),
@@ -21,11 +40,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
   cleanupTemporaryFiles: () => ipcRenderer.invoke('cleanup-temporary-files'),
 
   // LLM operations
-  configureLLM: (provider, apiKey) => ipcRenderer.invoke('configure-llm', provider, apiKey),
-  testApiKey: (provider, apiKey) => ipcRenderer.invoke('test-api-key', provider, apiKey),
+  configureLLM: (provider, apiKey, options) => ipcRenderer.invoke('configure-llm', provider, apiKey, options),
+  testApiKey: (provider, apiKey, options) => ipcRenderer.invoke('test-api-key', provider, apiKey, options),
   generateQuestions: (context, options) => ipcRenderer.invoke('generate-questions', context, options),
   generateQuestionAnswers: (questionText, options) => ipcRenderer.invoke('generate-question-answers', questionText, options),
   getCachedApiKey: (provider) => ipcRenderer.invoke('get-cached-api-key', provider),
+  getLLMProviderSettings: (provider) => ipcRenderer.invoke('get-llm-provider-settings', provider),
 
   // File operations for LaTeX parsing
   readFile: (filePath) => ipcRenderer.invoke('read-file', filePath),
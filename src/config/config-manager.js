@@ -1,3 +1,18 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import QuizSettings from '../services/quiz-settings.js';
+import LaTeXRenderer from '../latex-renderer.js';
+
+// Canvas instance the app was first written for; kept as the default profile
+const DEFAULT_CANVAS_PROFILE = {
+  id: 'espol',
+  name: 'ESPOL Aula Virtual',
+  baseUrl: 'https://aulavirtual.espol.edu.ec',
+  mathOutput: 'image',
+  quizSettings: { ...QuizSettings.DEFAULTS }
+};
+
 // Configuration management following SOLID principles
 class ConfigManager {
   constructor() {
@@ -10,7 +25,8 @@ class ConfigManager {
       llm: {
         defaultProvider: 'gemini',
         timeout: 30000,
-        maxRetries: 3
+        maxRetries: 3,
+        providers: {}
       },
       ui: {
         autoSave: true,
@@ -21,6 +37,10 @@ class ConfigManager {
         defaultFormat: 'qti',
         includeExplanations: true,
         validateXML: true
+      },
+      canvas: {
+        activeProfile: DEFAULT_CANVAS_PROFILE.id,
+        profiles: [{ ...DEFAULT_CANVAS_PROFILE }]
       }
     };
 
@@ -64,11 +84,8 @@ class ConfigManager {
           const userConfig = JSON.parse(userConfigStr);
           this.mergeConfig(this.config, userConfig);
         }
-      } else if (typeof require !== 'undefined') {
+      } else {
         // Main process - use file system
-        const fs = require('fs');
-        const path = require('path');
-        const os = require('os');
         const userConfigPath = path.join(os.homedir(), '.qti-generator', 'config.json');
         
         if (fs.existsSync(userConfigPath)) {
@@ -87,11 +104,8 @@ class ConfigManager {
       if (typeof window !== 'undefined' && window.localStorage) {
         // Renderer process - use localStorage
         localStorage.setItem('qti-generator-config', JSON.stringify(this.config, null, 2));
-      } else if (typeof require !== 'undefined') {
+      } else {
         // Main process - use file system
-        const fs = require('fs');
-        const path = require('path');
-        const os = require('os');
         const userConfigPath = path.join(os.homedir(), '.qti-generator', 'config.json');
         const configDir = path.dirname(userConfigPath);
         
@@ -122,6 +136,103 @@ class ConfigManager {
     }
   }
 
+  /**
+   * Canvas instance profiles: each has a base URL, a math output mode and the quiz settings new assessments start with
+   * @returns {Array<Object>}
+   */
+  getCanvasProfiles() {
+    const profiles = this.get('canvas.profiles');
+    return Array.isArray(profiles) && profiles.length > 0
+      ? profiles.map(profile => this.normalizeCanvasProfile(profile))
+      : [this.normalizeCanvasProfile(DEFAULT_CANVAS_PROFILE)];
+  }
+
+  /**
+   * The profile exports use; falls back to the first one when the active id is gone
+   * @returns {Object}
+   */
+  getActiveCanvasProfile() {
+    const profiles = this.getCanvasProfiles();
+    return profiles.find(profile => profile.id === this.get('canvas.activeProfile')) || profiles[0];
+  }
+
+  setActiveCanvasProfile(id) {
+    if (!this.getCanvasProfiles().some(profile => profile.id === id)) {
+      throw new Error(`Unknown Canvas profile: ${id}`);
+    }
+    this.set('canvas.activeProfile', id);
+  }
+
+  /**
+   * Add a profile, or replace the one with the same id
+   * @param {Object} profile - { id?, name, baseUrl, mathOutput?, quizSettings? }
+   * @returns {Object} The saved profile
+   */
+  saveCanvasProfile(profile) {
+    const saved = this.normalizeCanvasProfile(profile);
+    if (!saved.name) {
+      throw new Error('Canvas profile needs a name');
+    }
+    if (!/^https?:\/\/[^\s/]+/.test(saved.baseUrl)) {
+      throw new Error(`Canvas base URL must start with http:// or https://, got "${saved.baseUrl}"`);
+    }
+
+    const profiles = this.getCanvasProfiles();
+    if (!saved.id) {
+      const slug = saved.name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'canvas';
+      let id = slug;
+      for (let n = 2; profiles.some(existing => existing.id === id); n++) {
+        id = `${slug}-${n}`;
+      }
+      saved.id = id;
+    }
+
+    const index = profiles.findIndex(existing => existing.id === saved.id);
+    if (index >= 0) {
+      profiles[index] = saved;
+    } else {
+      profiles.push(saved);
+    }
+    this.set('canvas.profiles', profiles);
+    return saved;
+  }
+
+  removeCanvasProfile(id) {
+    const profiles = this.getCanvasProfiles();
+    if (profiles.length === 1) {
+      throw new Error('At least one Canvas profile is needed');
+    }
+    const remaining = profiles.filter(profile => profile.id !== id);
+    this.set('canvas.profiles', remaining);
+    if (this.get('canvas.activeProfile') === id) {
+      this.set('canvas.activeProfile', remaining[0].id);
+    }
+  }
+
+  /**
+   * Connection settings saved for an LLM provider, keyed by provider name like its cached API key
+   * (the server URL and models of a local OpenAI-compatible server)
+   * @param {string} providerName
+   * @returns {Object} Empty when nothing was saved
+   */
+  getProviderSettings(providerName) {
+    return { ...(this.get('llm.providers') || {})[providerName] };
+  }
+
+  saveProviderSettings(providerName, settings) {
+    this.set('llm.providers', { ...(this.get('llm.providers') || {}), [providerName]: { ...settings } });
+  }
+
+  normalizeCanvasProfile(profile = {}) {
+    return {
+      id: String(profile.id ?? '').trim(),
+      name: String(profile.name ?? '').trim(),
+      baseUrl: String(profile.baseUrl ?? '').trim().replace(/\/+$/, ''),
+      mathOutput: LaTeXRenderer.MATH_OUTPUT_MODES.includes(profile.mathOutput) ? profile.mathOutput : DEFAULT_CANVAS_PROFILE.mathOutput,
+      quizSettings: QuizSettings.normalize(profile.quizSettings)
+    };
+  }
+
   reset() {
     this.config = {
       apiKeyCache: {
@@ -132,7 +243,8 @@ class ConfigManager {
       llm: {
         defaultProvider: 'gemini',
         timeout: 30000,
-        maxRetries: 3
+        maxRetries: 3,
+        providers: {}
       },
       ui: {
         autoSave: true,
@@ -143,6 +255,10 @@ class ConfigManager {
         defaultFormat: 'qti',
         includeExplanations: true,
         validateXML: true
+      },
+      canvas: {
+        activeProfile: DEFAULT_CANVAS_PROFILE.id,
+        profiles: [{ ...DEFAULT_CANVAS_PROFILE }]
       }
     };
     this.saveUserConfig();
@@ -167,6 +283,13 @@ class ConfigManager {
       errors.push('llm.timeout must be between 5000 and 120000 ms');
     }
 
+    // Validate Canvas profiles
+    this.getCanvasProfiles().forEach(profile => {
+      if (!/^https?:\/\/[^\s/]+/.test(profile.baseUrl)) {
+        errors.push(`canvas profile "${profile.name || profile.id}" needs an http(s) base URL`);
+      }
+    });
+
     return {
       isValid: errors.length === 0,
       errors
@@ -0,0 +1,312 @@
+import QTIExporter from './qti-exporter.js';
+import LaTeXRenderer from './latex-renderer.js';
+import NumberParser from './services/number-parser.js';
+
+// Fixed words on the printed pages, per interface language
+const LABELS = {
+    es: {
+        name: 'Nombre', date: 'Fecha', timeLimit: 'Tiempo', minutes: 'minutos', totalPoints: 'Puntaje total',
+        points: (count) => (count === 1 ? '1 punto' : `${count} puntos`),
+        answerKey: 'Respuestas', solution: 'Solución', true: 'Verdadero', false: 'Falso', openAnswer: 'Respuesta abierta'
+    },
+    en: {
+        name: 'Name', date: 'Date', timeLimit: 'Time limit', minutes: 'minutes', totalPoints: 'Total points',
+        points: (count) => (count === 1 ? '1 point' : `${count} points`),
+        answerKey: 'Answer key', solution: 'Solution', true: 'True', false: 'False', openAnswer: 'Open answer'
+    }
+};
+
+const PRINT_STYLES = `
+    body { font-family: Georgia, 'Times New Roman', serif; font-size: 11pt; color: #000; margin: 0; }
+    .exam-header { border-bottom: 2px solid #000; padding-bottom: 8pt; margin-bottom: 14pt; }
+    .exam-header h1 { font-size: 17pt; margin: 0 0 6pt; }
+    .exam-meta, .student-fields { display: flex; gap: 24pt; margin-top: 4pt; }
+    .student-fields span { flex: 1; border-bottom: 1px solid #000; padding-top: 10pt; }
+    .question { break-inside: avoid; margin-bottom: 14pt; }
+    .question-header { font-weight: bold; margin-bottom: 4pt; }
+    .question-points { font-weight: normal; font-style: italic; margin-left: 6pt; }
+    .choices { list-style: none; padding-left: 16pt; margin: 6pt 0 0; }
+    .choices li { margin: 3pt 0; }
+    .marker { display: inline-block; width: 14pt; }
+    .answer-line { border-bottom: 1px solid #000; height: 20pt; width: 60%; }
+    .answer-box { border: 1px solid #000; height: 120pt; margin-top: 6pt; }
+    .blank { display: inline-block; border-bottom: 1px solid #000; min-width: 80pt; }
+    .matching { display: flex; gap: 36pt; margin-top: 6pt; }
+    .matching ol { margin: 0; padding-left: 18pt; }
+    .matching .blank { min-width: 30pt; }
+    .solution { margin-top: 3pt; font-style: italic; }
+`;
+
+/**
+ * Exam Printer - Renders an assessment as printable HTML for a paper exam and its answer key
+ * Every question is printed (question groups draw nothing on paper) except the ones getSkippedQuestions
+ * lists, so the exam and its key always share numbers and formula values; math is rendered with KaTeX.
+ * main.js prints both documents to PDF with webContents.printToPDF.
+ */
+class ExamPrinter {
+    /**
+     * @param {Object} [options] - Printer options
+     * @param {boolean} [options.includeExplanations=true] - Print explanations as solutions in the answer key
+     * @param {string} [options.language='es'] - Language of the fixed labels ('es' or 'en')
+     */
+    constructor(options = {}) {
+        this.options = { includeExplanations: true, language: 'es', ...options };
+        this.labels = LABELS[this.options.language] || LABELS.es;
+        // Answer normalisation and feedback are shared with the Canvas exporter
+        this.qtiExporter = new QTIExporter({ includeExplanations: this.options.includeExplanations });
+        this.latexRenderer = new LaTeXRenderer();
+    }
+
+    /**
+     * Exam for students: header with title, time limit and total points, then the numbered questions
+     * @param {Object} assessment - Assessment object
+     * @returns {string} HTML document
+     */
+    generateExamHTML(assessment) {
+        const questions = this.getPrintableQuestions(assessment);
+        const totalPoints = questions.reduce((sum, question) => sum + (Number(question.points) || 0), 0);
+        const meta = [];
+        if (assessment.timeLimit > 0) {
+            meta.push(`<span>${this.labels.timeLimit}: ${assessment.timeLimit} ${this.labels.minutes}</span>`);
+        }
+        meta.push(`<span>${this.labels.totalPoints}: ${parseFloat(totalPoints.toPrecision(12))}</span>`);
+
+        const header = `
+    <header class="exam-header">
+      <h1>${this.escapeHTML(assessment.title)}</h1>
+      <div class="exam-meta">${meta.join('')}</div>
+      <div class="student-fields"><span>${this.labels.name}:</span><span>${this.labels.date}:</span></div>${
+          assessment.description ? `\n      <p>${this.renderText(assessment.description)}</p>` : ''}
+    </header>`;
+
+        const body = questions.map((question, index) => `
+    <section class="question">
+      <div class="question-header">${index + 1}.<span class="question-points">(${this.labels.points(Number(question.points) || 0)})</span></div>
+      ${this.generateQuestionHTML(question)}
+    </section>`).join('');
+
+        return this.wrapDocument(assessment.title, `${header}${body}`);
+    }
+
+    /**
+     * Answer key for graders: the correct answer of every question under the same numbers,
+     * followed by the explanation when explanations are enabled
+     * @param {Object} assessment - Assessment object
+     * @returns {string} HTML document
+     */
+    generateAnswerKeyHTML(assessment) {
+        const body = this.getPrintableQuestions(assessment).map((question, index) => {
+            const feedback = this.qtiExporter.getFeedback(question);
+            const solution = feedback && feedback.general
+                ? `\n      <div class="solution">${this.labels.solution}: ${this.renderText(feedback.general)}</div>`
+                : '';
+            return `
+    <section class="question">
+      <div class="question-header">${index + 1}.</div>
+      <div>${this.generateAnswerHTML(question)}</div>${solution}
+    </section>`;
+        }).join('');
+
+        return this.wrapDocument(`${assessment.title || ''} - ${this.labels.answerKey}`, `
+    <header class="exam-header">
+      <h1>${this.escapeHTML(assessment.title)}</h1>
+      <div class="exam-meta"><span>${this.labels.answerKey}</span></div>
+    </header>${body}`);
+    }
+
+    /**
+     * Questions that cannot be printed yet, with a reason (formula questions without stored answer sets)
+     * @param {Object} assessment - Assessment object
+     * @returns {Array<Object>}
+     */
+    getSkippedQuestions(assessment) {
+        return this.qtiExporter.getSkippedQuestions({ ...assessment, questions: assessment.questions || [] });
+    }
+
+    getPrintableQuestions(assessment) {
+        const skippedIds = new Set(this.getSkippedQuestions(assessment).map(question => question.id));
+        return (assessment.questions || []).filter(question => !skippedIds.has(question.id));
+    }
+
+    /**
+     * Question text and the space to answer it
+     */
+    generateQuestionHTML(question) {
+        switch (question.type) {
+            case 'multiple_choice':
+            case 'multiple_answers': {
+                const marker = question.type === 'multiple_choice' ? '○' : '☐';
+                return `${this.block(this.renderText(question.text))}${this.choiceList((question.choices || []).map(choice => choice.text), marker)}`;
+            }
+            case 'true_false':
+                return `${this.block(this.renderText(question.text))}${this.choiceList([this.labels.true, this.labels.false], '○', false)}`;
+            case 'essay':
+                return `${this.block(this.renderText(question.text))}<div class="answer-box"></div>`;
+            case 'matching': {
+                const { pairs, options } = this.getMatchingLayout(question);
+                return `${this.block(this.renderText(question.text))}<div class="matching"><ol>${
+                    pairs.map(match => `<li>${this.renderText(match.left)} <span class="blank"></span></li>`).join('')
+                }</ol><ol type="A">${options.map(option => `<li>${this.renderText(option)}</li>`).join('')}</ol></div>`;
+            }
+            case 'fill_in_multiple_blanks':
+            case 'multiple_dropdowns':
+                return this.block(this.fillBlanks(question));
+            case 'calculated':
+                return `${this.block(this.renderText(this.resolveCalculated(question).text))}<div class="answer-line"></div>`;
+            default:
+                return `${this.block(this.renderText(question.text))}<div class="answer-line"></div>`;
+        }
+    }
+
+    /**
+     * The correct answer as shown in the answer key
+     */
+    generateAnswerHTML(question) {
+        switch (question.type) {
+            case 'multiple_choice':
+            case 'multiple_answers': {
+                const choices = question.choices || [];
+                const correct = question.type === 'multiple_choice'
+                    ? [Number(question.correctAnswer)]
+                    : this.qtiExporter.getCorrectChoiceIndexes(question);
+                return correct
+                    .filter(index => choices[index])
+                    .map(index => `${this.letter(index)}) ${this.renderText(choices[index].text)}`)
+                    .join('; ');
+            }
+            case 'true_false':
+                return String(question.correctAnswer) === 'true' ? this.labels.true : this.labels.false;
+            case 'short_answer':
+            case 'fill_in_blank':
+                return this.qtiExporter.getAcceptedAnswers(question).map(answer => this.renderText(answer)).join(' / ');
+            case 'essay':
+                return question.gradingRubric ? this.renderText(question.gradingRubric) : this.labels.openAnswer;
+            case 'numerical':
+                return this.formatNumericalAnswer(this.qtiExporter.getNumericalBounds(question.numericAnswer));
+            case 'calculated': {
+                const { answerSet, tolerance } = this.resolveCalculated(question);
+                return answerSet
+                    ? this.formatNumericalAnswer(this.qtiExporter.getNumericalBounds({ mode: 'exact', value: answerSet.answer, margin: tolerance }))
+                    : '';
+            }
+            case 'matching': {
+                const { pairs, options } = this.getMatchingLayout(question);
+                return pairs
+                    .map((match, index) => `${index + 1} → ${this.letter(options.indexOf(String(match.right).trim())).toUpperCase()}`)
+                    .join(', ');
+            }
+            case 'fill_in_multiple_blanks':
+            case 'multiple_dropdowns': {
+                const isDropdown = question.type === 'multiple_dropdowns';
+                return this.qtiExporter.getBlanks(question).map(blank => {
+                    const answers = isDropdown
+                        ? (blank.options || []).filter(option => option.correct).map(option => String(option.text ?? '').trim())
+                        : this.qtiExporter.getAcceptedAnswers({ acceptedAnswers: blank.answers });
+                    return `${this.escapeHTML(blank.name)}: ${answers.map(answer => this.renderText(answer)).join(' / ')}`;
+                }).join('; ');
+            }
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Matching pairs and the right-hand options in alphabetical order, so their position gives nothing away
+     */
+    getMatchingLayout(question) {
+        return {
+            pairs: (question.matches || []).filter(match =>
+                String(match.left ?? '').trim() && String(match.right ?? '').trim()
+            ),
+            options: this.qtiExporter.getMatchingOptions(question).sort((a, b) => a.localeCompare(b))
+        };
+    }
+
+    /**
+     * Formula questions are printed with the variables of the first stored answer set filled in
+     * @returns {{text: string, answerSet: (Object|undefined), tolerance: number}}
+     */
+    resolveCalculated(question) {
+        const variables = this.qtiExporter.formulaEvaluator.resolveVariables(question.text, (question.calculated || {}).variables);
+        const calculated = { ...question.calculated, variables };
+        const [answerSet] = this.qtiExporter.getAnswerSets(calculated);
+        const text = String(question.text || '').replace(/\[([A-Za-z_][A-Za-z0-9_]*)\]/g, (placeholder, name) =>
+            answerSet && answerSet.values[name] !== undefined ? String(answerSet.values[name]) : placeholder
+        );
+        return { text, answerSet, tolerance: Math.abs(NumberParser.parse(calculated.tolerance ?? 0)) || 0 };
+    }
+
+    /**
+     * Question text with each [name] blank drawn as a line; dropdown blanks list their options after it
+     */
+    fillBlanks(question) {
+        const blanks = this.qtiExporter.getBlanks(question);
+        const isDropdown = question.type === 'multiple_dropdowns';
+        const parts = String(question.text || '').split(/(\[[A-Za-z_][A-Za-z0-9_]*\])/);
+
+        return parts.map((part, index) => {
+            const blank = index % 2 === 1 ? blanks.find(candidate => `[${candidate.name}]` === part) : null;
+            if (!blank) return this.renderText(part);
+            const options = isDropdown
+                ? (blank.options || []).map(option => String(option.text ?? '').trim()).filter(Boolean)
+                : [];
+            return `<span class="blank"></span>${options.length > 0 ? ` (${options.map(option => this.renderText(option)).join(' / ')})` : ''}`;
+        }).join('');
+    }
+
+    formatNumericalAnswer(bounds) {
+        if (!bounds) return '';
+        if (bounds.value === undefined) {
+            return this.renderText(`$[${bounds.lower}, ${bounds.upper}]$`);
+        }
+        const margin = parseFloat((bounds.upper - bounds.value).toPrecision(12));
+        return this.renderText(margin > 0 ? `$${bounds.value} \\pm ${margin}$` : `$${bounds.value}$`);
+    }
+
+    choiceList(texts, marker, render = true) {
+        return `<ol class="choices">${texts.map((text, index) =>
+            `<li><span class="marker">${marker}</span>${this.letter(index)}) ${render ? this.renderText(text) : this.escapeHTML(text)}</li>`
+        ).join('')}</ol>`;
+    }
+
+    block(html) {
+        return `<div class="question-text">${html}</div>`;
+    }
+
+    letter(index) {
+        return String.fromCharCode(97 + index);
+    }
+
+    /**
+     * Escape text as HTML and render $...$ / $$...$$ with KaTeX; line breaks are kept
+     */
+    renderText(text) {
+        return String(text ?? '')
+            .split(/(\$\$[\s\S]*?\$\$|\$[^$]+\$)/)
+            .map((part, index) => (index % 2 === 1
+                ? this.latexRenderer.renderMath(part.replace(/\s*\r?\n\s*/g, ' '))
+                : this.escapeHTML(part).replace(/\r?\n/g, '<br>')))
+            .join('');
+    }
+
+    wrapDocument(title, body) {
+        return `<!DOCTYPE html>
+<html lang="${this.options.language}">
+  <head>
+    <meta charset="UTF-8">
+    <title>${this.escapeHTML(title)}</title>
+    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@0.16.0/dist/katex.min.css">
+    <style>${PRINT_STYLES}</style>
+  </head>
+  <body>${body}
+  </body>
+</html>
+`;
+    }
+
+    escapeHTML(text) {
+        return this.qtiExporter.escapeXML(String(text ?? ''));
+    }
+}
+
+export default ExamPrinter;
@@ -1,7 +1,15 @@
 import katex from 'katex';
+import MathDelimiters from './services/math-delimiters.js';
 
 class LaTeXRenderer {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.canvasBaseUrl] - Canvas instance serving /equation_images/ (from the active Canvas profile)
+   * @param {string} [options.mathOutput] - How prepareForQTI writes math, one of LaTeXRenderer.MATH_OUTPUT_MODES
+   */
+  constructor(options = {}) {
+    this.canvasBaseUrl = (options.canvasBaseUrl || LaTeXRenderer.DEFAULT_CANVAS_BASE_URL).replace(/\/+$/, '');
+    this.mathOutput = LaTeXRenderer.MATH_OUTPUT_MODES.includes(options.mathOutput) ? options.mathOutput : 'image';
     this.katexOptions = {
       throwOnError: false,
       errorColor: '#cc0000',
@@ -132,11 +140,12 @@ class LaTeXRenderer {
   }
 
   // Convert LaTeX to MathML for QTI export
-  latexToMathML(latex) {
+  latexToMathML(latex, displayMode = false) {
     try {
       return katex.renderToString(latex, {
         output: 'mathml',
-        throwOnError: true
+        throwOnError: true,
+        displayMode
       });
     } catch (error) {
       console.warn('LaTeX to MathML conversion error:', error);
@@ -155,12 +164,23 @@ class LaTeXRenderer {
       return processed;
     }
 
+    if (this.mathOutput === 'mathml') {
+      return processed
+        .replace(/\$\$(.*?)\$\$/g, (match, latex) => this.latexToMathML(latex.trim(), true))
+        .replace(/\$([^$]+)\$/g, (match, latex) => this.latexToMathML(latex.trim()));
+    }
+
+    // Left for the MathJax renderer enabled on the Canvas instance
+    if (this.mathOutput === 'mathjax') {
+      return MathDelimiters.toMathJax(processed, { displayBrackets: true });
+    }
+
     // Canvas LMS expects LaTeX in img tags with equation_image class
     // Convert display math ($$...$$) to Canvas-compatible format
     processed = processed.replace(/\$\$(.*?)\$\$/g, (match, latex) => {
       const cleanLatex = this.prepareLatexForCanvas(latex.trim());
       const encodedLatex = this.encodeLatexForCanvas(cleanLatex);
-      const baseUrl = 'https://aulavirtual.espol.edu.ec/equation_images/';
+      const baseUrl = `${this.canvasBaseUrl}/equation_images/`;
 
       return `<img class="equation_image" style="display: block; margin-left: auto; margin-right: auto;" title="${cleanLatex}" src="${baseUrl}${encodedLatex}" alt="LaTeX: ${cleanLatex}" data-equation-content="${cleanLatex}" />`;
     });
@@ -169,7 +189,7 @@ class LaTeXRenderer {
     processed = processed.replace(/\$([^$]+)\$/g, (match, latex) => {
       const cleanLatex = this.prepareLatexForCanvas(latex.trim());
       const encodedLatex = this.encodeLatexForCanvas(cleanLatex);
-      const baseUrl = 'https://aulavirtual.espol.edu.ec/equation_images/';
+      const baseUrl = `${this.canvasBaseUrl}/equation_images/`;
 
       return `<img class="equation_image" title="${cleanLatex}" src="${baseUrl}${encodedLatex}" alt="LaTeX: ${cleanLatex}" data-equation-content="${cleanLatex}" />`;
     });
@@ -214,6 +234,16 @@ class LaTeXRenderer {
       .replace(/&/g, '%2526');
   }
 
+  // Decode a Canvas equation image URL path back to LaTeX (inverse of encodeLatexForCanvas)
+  decodeLatexFromCanvas(encoded) {
+    try {
+      return decodeURIComponent(decodeURIComponent(encoded));
+    } catch (error) {
+      console.warn('Could not decode Canvas equation URL:', error);
+      return encoded;
+    }
+  }
+
   // Common math symbols and their LaTeX codes for help
   getMathSymbols() {
     return {
@@ -263,5 +293,9 @@ class LaTeXRenderer {
   }
 }
 
+LaTeXRenderer.DEFAULT_CANVAS_BASE_URL = 'https://aulavirtual.espol.edu.ec';
+// How math is written into exports: Canvas equation_image tags, inline MathML or \(...\) / \[...\] for MathJax
+LaTeXRenderer.MATH_OUTPUT_MODES = ['image', 'mathml', 'mathjax'];
+
 //module.exports = LaTeXRenderer;
 export default LaTeXRenderer;
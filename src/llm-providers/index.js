@@ -18,6 +18,7 @@ const GeminiProvider = require('./gemini-provider');
 const MistralProvider = require('./mistral-provider');
 const DeepSeekProvider = require('./deepseek-provider');
 const HuggingFaceProvider = require('./huggingface-provider');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
 
 // Enhanced LLM Service
 const LLMService = require('../llm-service-v2');
@@ -29,7 +30,8 @@ const PROVIDER_TYPES = {
     FREE_TIER: [
         'huggingface',   // Free inference API
         'mistral',       // Free tier available
-        'deepseek'       // Free tier available
+        'deepseek',      // Free tier available
+        'openai-compatible' // Local model server
     ],
     PAID_TIER: [
         'gemini'         // Generous free tier, then paid
@@ -38,7 +40,8 @@ const PROVIDER_TYPES = {
         'gemini',
         'mistral', 
         'deepseek',
-        'huggingface'
+        'huggingface',
+        'openai-compatible'
     ]
 };
 
@@ -73,6 +76,13 @@ const PROVIDER_CAPABILITIES = {
         codeGeneration: false,
         mathSupport: false,
         maxTokens: 1024
+    },
+    'openai-compatible': {
+        streaming: false,
+        multimodal: false,
+        codeGeneration: true,
+        mathSupport: true,
+        maxTokens: 4096
     }
 };
 
@@ -175,6 +185,7 @@ module.exports = {
     MistralProvider,
     DeepSeekProvider,
     HuggingFaceProvider,
+    OpenAICompatibleProvider,
     
     // Constants and utilities
     PROVIDER_TYPES,
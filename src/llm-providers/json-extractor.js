@@ -171,8 +171,11 @@ class JSONExtractor {
         if (!question.text) {
           throw new Error(`Question ${index + 1} missing "text" field`);
         }
-        if (question.type === 'multiple_choice' && (!question.choices || !Array.isArray(question.choices))) {
-          throw new Error(`Question ${index + 1} of type "multiple_choice" missing "choices" array`);
+        if (['multiple_choice', 'multiple_answers'].includes(question.type) && (!question.choices || !Array.isArray(question.choices))) {
+          throw new Error(`Question ${index + 1} of type "${question.type}" missing "choices" array`);
+        }
+        if (question.type === 'matching' && !Array.isArray(question.matches)) {
+          throw new Error(`Question ${index + 1} of type "matching" missing "matches" array`);
         }
       });
 
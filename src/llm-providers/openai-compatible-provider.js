@@ -0,0 +1,208 @@
+import BaseLLMProvider from './base-llm-provider.js';
+import JSONExtractor from './json-extractor.js';
+import log from 'electron-log/main.js';
+
+/**
+ * OpenAI-compatible LLM Provider implementation
+ * Talks to any server exposing /v1/chat/completions and /v1/models, such as
+ * Ollama, llama.cpp's llama-server or vLLM, so questions can be generated offline
+ */
+class OpenAICompatibleProvider extends BaseLLMProvider {
+  constructor() {
+    super('openai-compatible', {
+      // Empty: use whatever models the server lists
+      models: [],
+      supportsStreaming: false,
+      maxTokens: 4096,
+      rateLimits: {},
+      // Ollama's default address; llama-server and vLLM usually listen on :8080/v1 and :8000/v1
+      baseUrl: 'http://localhost:11434/v1',
+      requiresApiKey: false,
+      // Local models on modest hardware can take minutes per answer
+      requestTimeoutMs: 5 * 60 * 1000
+    });
+  }
+
+  /**
+   * Configure the server; local servers usually run without a key
+   * @param {string} [apiKey] - Bearer token, if the server expects one
+   * @param {Object} [options] - baseUrl, models (array or comma-separated names), requestTimeoutMs
+   */
+  async configure(apiKey, options = {}) {
+    this.apiKey = apiKey || '';
+    this.options = {
+      ...this.config,
+      ...options,
+      baseUrl: String(options.baseUrl || this.config.baseUrl).trim().replace(/\/+$/, ''),
+      models: OpenAICompatibleProvider.parseModels(options.models)
+    };
+
+    await this.initializeClient();
+    this.isConfigured = true;
+  }
+
+  async initializeClient() {
+    try {
+      new URL(this.options.baseUrl);
+    } catch (error) {
+      throw new Error(`Invalid server URL: ${this.options.baseUrl}`);
+    }
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    this.client = { baseUrl: this.options.baseUrl, headers };
+    log.info(`OpenAI-compatible client initialized for ${this.options.baseUrl}`);
+  }
+
+  getAvailableModels() {
+    return this.options ? this.options.models : this.config.models;
+  }
+
+  async performGeneration(prompt, options = {}) {
+    const modelsToTry = await this.resolveModels();
+    let lastError = null;
+
+    for (let i = 0; i < modelsToTry.length; i++) {
+      const currentModel = modelsToTry[i];
+
+      try {
+        log.info(`Attempting generation with local model: ${currentModel} (${i + 1}/${modelsToTry.length})`);
+
+        const requestBody = {
+          model: currentModel,
+          messages: [
+            {
+              role: 'system',
+              content: 'You are a helpful AI assistant that generates educational questions in JSON format.'
+            },
+            {
+              role: 'user',
+              content: prompt
+            }
+          ],
+          max_tokens: options.maxTokens || this.options.maxTokens,
+          temperature: options.temperature || 0.7,
+          top_p: options.topP || 0.9,
+          stream: false
+        };
+
+        const response = await this.makeRequest('/chat/completions', requestBody);
+
+        if (!response.choices || response.choices.length === 0) {
+          throw new Error('No response choices returned from the server');
+        }
+
+        const text = response.choices[0].message.content;
+        log.info(`✅ ${currentModel} - Response received: ${text.length} characters`);
+
+        const cleanText = JSONExtractor.extractJSONFromResponse(text, currentModel);
+        const parsedQuestions = JSONExtractor.validateQuestionsStructure(cleanText);
+
+        log.info(`✅ ${currentModel} - Successfully parsed ${parsedQuestions.questions.length} questions`);
+        return parsedQuestions.questions;
+
+      } catch (error) {
+        lastError = error;
+        log.warn(`❌ ${currentModel} failed: ${error.message}`);
+      }
+    }
+
+    if (lastError instanceof SyntaxError) {
+      throw new Error(`Failed to parse LLM response as JSON (tried ${modelsToTry.length} models): ${lastError.message}`);
+    }
+    throw new Error(`All models on ${this.options.baseUrl} failed (tried ${modelsToTry.length} models). Last error: ${lastError.message}`);
+  }
+
+  /**
+   * The server answers /models when it is up and accepts the key (if any)
+   */
+  async performApiKeyTest() {
+    try {
+      const models = await this.listServerModels();
+      log.info(`✅ OpenAI-compatible server at ${this.options.baseUrl} lists ${models.length} models`);
+      return true;
+    } catch (error) {
+      log.error(`❌ OpenAI-compatible server test failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Configured models, or the ones the server lists when none are configured
+   * @returns {Promise<Array<string>>}
+   */
+  async resolveModels() {
+    if (this.options.models.length > 0) {
+      return this.options.models;
+    }
+
+    const models = await this.listServerModels();
+    if (models.length === 0) {
+      throw new Error(`No models available on ${this.options.baseUrl}. Pull or load a model first.`);
+    }
+    return models;
+  }
+
+  async listServerModels() {
+    const response = await this.makeRequest('/models');
+    return (response.data || response.models || [])
+      .map(model => model.id || model.name)
+      .filter(Boolean);
+  }
+
+  async makeRequest(endpoint, body) {
+    const url = `${this.client.baseUrl}${endpoint}`;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: body ? 'POST' : 'GET',
+        headers: this.client.headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.options.requestTimeoutMs)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`The server at ${this.client.baseUrl} did not answer within ${Math.round(this.options.requestTimeoutMs / 1000)} seconds`);
+      }
+      throw new Error(`Network error: Unable to connect to ${this.client.baseUrl}. Is the model server running?`);
+    }
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      let errorMessage = `Server error (${response.status}): ${errorBody}`;
+
+      try {
+        const errorJson = JSON.parse(errorBody);
+        const message = errorJson.error && (errorJson.error.message || errorJson.error);
+        if (message) {
+          errorMessage = `Server error (${response.status}): ${message}`;
+        }
+      } catch (parseError) {
+        // Use raw error body
+      }
+
+      throw new Error(errorMessage);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Normalize the model setting: an array, or names separated by commas or new lines
+   * @param {Array<string>|string} [models]
+   * @returns {Array<string>}
+   */
+  static parseModels(models) {
+    const names = Array.isArray(models) ? models : String(models || '').split(/[,\n]/);
+    return names.map(name => String(name).trim()).filter(Boolean);
+  }
+}
+
+export default OpenAICompatibleProvider;
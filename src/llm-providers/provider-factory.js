@@ -2,6 +2,7 @@ import GeminiProvider from './gemini-provider.js';
 import MistralProvider from './mistral-provider.js';
 import DeepSeekProvider from './deepseek-provider.js';
 import HuggingFaceProvider from './huggingface-provider.js';
+import OpenAICompatibleProvider from './openai-compatible-provider.js';
 
 /**
  * Factory class for creating LLM providers
@@ -14,7 +15,8 @@ class ProviderFactory {
             ['gemini', GeminiProvider],
             ['mistral', MistralProvider],
             ['deepseek', DeepSeekProvider],
-            ['huggingface', HuggingFaceProvider]
+            ['huggingface', HuggingFaceProvider],
+            ['openai-compatible', OpenAICompatibleProvider]
         ]);
     }
 
@@ -126,8 +128,8 @@ class ProviderFactory {
                 warnings: []
             };
             
-            // Check for required API key
-            if (!config.apiKey) {
+            // Check for required API key (local servers usually run without one)
+            if (!config.apiKey && provider.config.requiresApiKey !== false) {
                 validation.isValid = false;
                 validation.errors.push('API key is required');
             }
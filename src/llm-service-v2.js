@@ -1,6 +1,7 @@
 import ProviderFactory from './llm-providers/provider-factory.js';
 import ConfigManager from './config/config-manager.js';
 import ApiKeyCache from './services/api-key-cache.js';
+import QuestionValidator from './services/question-validator.js';
 
 import log from 'electron-log/main.js';
 
@@ -39,9 +40,16 @@ class LLMService {
 
       this.providerName = providerName;
 
-      // Cache the API key if validation successful
+      // Server URL and models are kept in the config file; the key goes to the key cache below
+      if (options.baseUrl !== undefined || options.models !== undefined) {
+        this.configManager.saveProviderSettings(providerName, { baseUrl: options.baseUrl, models: options.models });
+      }
+
+      // Cache the API key if validation successful; keyless local servers have nothing to cache
       if (await this.currentProvider.testApiKey()) {
-        await this.apiKeyCache.setApiKey(providerName, apiKey, () => this.currentProvider.testApiKey());
+        if (apiKey) {
+          await this.apiKeyCache.setApiKey(providerName, apiKey, () => this.currentProvider.testApiKey());
+        }
         log.info(`✅ ${providerName} provider configured and validated successfully`);
       } else {
         log.debug(`⚠️  ${providerName} provider configured but API key validation failed`);
@@ -176,12 +184,13 @@ class LLMService {
    * Test API key for a specific provider
    * @param {string} providerName - Name of the provider
    * @param {string} apiKey - API key to test
+   * @param {Object} [options] - Provider options, e.g. the server URL of an OpenAI-compatible provider
    * @returns {Promise<boolean>} True if API key is valid
    */
-  async testApiKey(providerName, apiKey) {
+  async testApiKey(providerName, apiKey, options = {}) {
     try {
       const provider = ProviderFactory.createProvider(providerName);
-      await provider.configure(apiKey);
+      await provider.configure(apiKey, options);
       return await provider.testApiKey();
     } catch (error) {
       log.error(`API key test failed for ${providerName}:`, error.message);
@@ -235,9 +244,14 @@ class LLMService {
       : `Generate ${questionCount} questions from the text content in spanish language!.`;
 
     const questionTypeInstruction = !withAttachments ? this.buildQuestionTypeInstruction(questionTypes) : `questions of types depending on the document: multiple_choice,
+      multiple_answers,
       true_false,
       short_answer,
-      essay
+      essay,
+      matching,
+      numerical,
+      fill_in_multiple_blanks,
+      multiple_dropdowns
 `;
     const mathInstruction = this.buildMathInstruction(includeMath)
     const formatInstruction = this.buildFormatInstruction();
@@ -262,9 +276,15 @@ ${this.getJsonSchemaExample()}
   buildQuestionTypeInstruction(questionTypes) {
     const typeMap = {
       multiple_choice: 'multiple choice',
+      multiple_answers: 'multiple answers',
       true_false: 'true/false',
       short_answer: 'short answer',
-      essay: 'essay'
+      fill_in_blank: 'fill in the blank',
+      essay: 'essay',
+      matching: 'matching',
+      numerical: 'numerical',
+      fill_in_multiple_blanks: 'fill in multiple blanks',
+      multiple_dropdowns: 'multiple dropdowns'
     };
 
     const formattedTypes = questionTypes.map(type =>
@@ -273,9 +293,14 @@ ${this.getJsonSchemaExample()}
 
     return `Create questions of these types: ${formattedTypes}. ` +
       'For multiple choice: provide options with one correct answer. ' +
+      'For multiple answers: provide options and correctAnswer as an array with the ids of every correct option. ' +
       'For true/false: provide correct boolean answer. ' +
-      'For short answer: provide sample correct answer. ' +
-      'For essay: provide grading criteria.';
+      'For short answer: provide sample correct answer and acceptedAnswers, a list of short exact answers to auto-grade. ' +
+      'For essay: provide grading criteria. ' +
+      'For matching: provide matches as a list of {left, right} pairs (e.g. term and definition) and optionally distractors, extra wrong right-hand options. ' +
+      'For numerical: provide numericAnswer with mode "exact" (value, margin), "range" (start, end) or "precision" (value, precision as significant digits). ' +
+      'For fill in multiple blanks: mark each blank in the text as [name] and provide blanks as a list of {name, answers}. ' +
+      'For multiple dropdowns: mark each dropdown in the text as [name] and provide blanks as a list of {name, options: [{text, correct}]} with exactly one correct option.';
   }
 
   buildMathInstruction(includeMath) {
@@ -309,11 +334,52 @@ ${this.getJsonSchemaExample()}
       "correctAnswer": 1,
       "explanation": "Explanation"
     },
+    {
+      "type": "multiple_answers",
+      "text": "Select all that apply",
+      "points": 2,
+      "choices": [
+        {"id": 0, "text": "Option A"},
+        {"id": 1, "text": "Option B"},
+        {"id": 2, "text": "Option C"}
+      ],
+      "correctAnswer": [0, 2],
+      "explanation": "Explanation"
+    },
     {
       "type": "short_answer",
       "text": "Question text",
       "points": 3,
       "sampleAnswer": "Correct answer",
+      "acceptedAnswers": ["Correct answer", "Alternative spelling"],
+      "explanation": "Explanation"
+    },
+    {
+      "type": "matching",
+      "text": "Match each term with its definition",
+      "points": 3,
+      "matches": [
+        {"left": "Term A", "right": "Definition A"},
+        {"left": "Term B", "right": "Definition B"}
+      ],
+      "distractors": ["Unrelated definition"],
+      "explanation": "Explanation"
+    },
+    {
+      "type": "numerical",
+      "text": "Compute the value",
+      "points": 2,
+      "numericAnswer": {"mode": "exact", "value": 3.14, "margin": 0.01},
+      "explanation": "Explanation"
+    },
+    {
+      "type": "fill_in_multiple_blanks",
+      "text": "El agua hierve a [temp] grados y se congela a [frio] grados",
+      "points": 2,
+      "blanks": [
+        {"name": "temp", "answers": ["100", "cien"]},
+        {"name": "frio", "answers": ["0", "cero"]}
+      ],
       "explanation": "Explanation"
     }
   ]
@@ -338,48 +404,12 @@ ${this.getJsonSchemaExample()}
           correctAnswer: question.correctAnswer
         });
 
-        const processedQuestion = {
-          id: `q_${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${index}`,
-          type: question.type,
-          text: question.text,
-          points: question.points || 1
-        };
-
-        // Validate question type
-        if (!['multiple_choice', 'true_false', 'short_answer', 'essay'].includes(question.type)) {
-          log.warn(`Skipping question ${index + 1}: Invalid type ${question.type}`);
+        const { question: processedQuestion, error } = QuestionValidator.process(question, index);
+        if (error) {
+          log.warn(`Skipping question ${index + 1}: ${error}`);
           return;
         }
 
-        // Type-specific validation and processing
-        if (question.type === 'multiple_choice') {
-          if (!question.choices || !Array.isArray(question.choices)) {
-            log.warn(`Skipping question ${index + 1}: Got:`, question.choices);
-            return;
-          }
-          processedQuestion.choices = question.choices.map((choice, i) => ({
-            id: i,
-            text: choice.text
-          }));
-          processedQuestion.correctAnswer = question.correctAnswer;
-          log.info(`Multiple choice question processed. Correct answer: ${question.correctAnswer}`);
-        } else if (question.type === 'true_false') {
-          if (!['true', 'false'].includes(question.correctAnswer)) {
-            log.warn(`Skipping question ${index + 1}: True/false must have 'true' or 'false' as correct answer. Got: ${question.correctAnswer}`);
-            return;
-          }
-          processedQuestion.correctAnswer = question.correctAnswer;
-        } else if (question.type === 'short_answer') {
-          processedQuestion.sampleAnswer = question.sampleAnswer || '';
-        } else if (question.type === 'essay') {
-          processedQuestion.gradingRubric = question.gradingRubric || '';
-        }
-
-        // Add explanation if provided
-        if (question.explanation) {
-          processedQuestion.explanation = question.explanation;
-        }
-
         processedQuestions.push(processedQuestion);
         log.info(`Successfully processed question ${index + 1}`);
       } catch (error) {
@@ -133,6 +133,9 @@ class LocalizationManager {
                     case 'multiple_choice':
                         typeKey = 'multipleChoice';
                         break;
+                    case 'multiple_answers':
+                        typeKey = 'multipleAnswers';
+                        break;
                     case 'true_false':
                         typeKey = 'trueFalse';
                         break;
@@ -142,6 +145,18 @@ class LocalizationManager {
                     case 'essay':
                         typeKey = 'essay';
                         break;
+                    case 'matching':
+                        typeKey = 'matching';
+                        break;
+                    case 'numerical':
+                        typeKey = 'numerical';
+                        break;
+                    case 'fill_in_multiple_blanks':
+                        typeKey = 'fillInMultipleBlanks';
+                        break;
+                    case 'multiple_dropdowns':
+                        typeKey = 'multipleDropdowns';
+                        break;
                 }
                 if (typeKey) {
                     const textNode = Array.from(label.childNodes).find(node => node.nodeType === Node.TEXT_NODE);
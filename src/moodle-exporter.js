@@ -0,0 +1,264 @@
+import QTIExporter from './qti-exporter.js';
+import MathDelimiters from './services/math-delimiters.js';
+
+/**
+ * Moodle Exporter - Writes the assessment model as Moodle XML
+ * Covers multichoice (single and multiple answer), truefalse, shortanswer, essay and numerical;
+ * LaTeX is written as \(...\) and $$...$$ so Moodle's MathJax filter renders it
+ */
+class MoodleExporter {
+    /**
+     * @param {Object} [options] - Exporter options
+     * @param {boolean} [options.includeExplanations=true] - Write explanations and other feedback
+     */
+    constructor(options = {}) {
+        this.options = { includeExplanations: true, ...options };
+        // Answer normalisation and feedback are shared with the Canvas exporter
+        this.qtiExporter = new QTIExporter(this.options);
+    }
+
+    /**
+     * Generate a Moodle XML quiz document
+     * @param {Object} assessment - Assessment object
+     * @returns {{xml: string, skipped: Array<Object>}} skipped lists questions Moodle XML export does not cover
+     */
+    generateXML(assessment) {
+        const skipped = [];
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>`;
+
+        if (assessment.title) {
+            xml += `
+  <question type="category">
+    <category>
+      <text>$course$/top/${this.escapeXML(assessment.title.replace(/\//g, '//'))}</text>
+    </category>
+  </question>`;
+        }
+
+        assessment.questions.forEach(question => {
+            const questionXML = this.generateQuestionXML(question);
+            if (questionXML) {
+                xml += questionXML;
+            } else {
+                skipped.push(question);
+            }
+        });
+
+        xml += `
+</quiz>
+`;
+        return { xml, skipped };
+    }
+
+    /**
+     * Generate XML for a single question, or '' for types Moodle XML export does not cover
+     */
+    generateQuestionXML(question) {
+        switch (question.type) {
+            case 'multiple_choice':
+            case 'multiple_answers':
+                return this.generateMultichoiceXML(question);
+            case 'true_false':
+                return this.generateTrueFalseXML(question);
+            case 'short_answer':
+            case 'fill_in_blank':
+                return this.generateShortAnswerXML(question);
+            case 'essay':
+                return this.generateEssayXML(question);
+            case 'numerical':
+                return this.generateNumericalXML(question);
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Multiple choice and multiple answers; for multiple answers each correct choice earns an equal
+     * share and each wrong one takes an equal share away, so ticking everything scores nothing
+     */
+    generateMultichoiceXML(question) {
+        const single = question.type === 'multiple_choice';
+        const feedback = this.getFeedback(question);
+        const correctIndexes = single ? [Number(question.correctAnswer)] : this.qtiExporter.getCorrectChoiceIndexes(question);
+        const choices = question.choices || [];
+        const wrongCount = choices.length - correctIndexes.filter(index => choices[index]).length;
+
+        const answers = choices.map((choice, index) => {
+            const isCorrect = correctIndexes.includes(index);
+            let fraction = isCorrect ? 100 : 0;
+            if (!single) {
+                fraction = isCorrect ? 100 / correctIndexes.length : (wrongCount > 0 ? -100 / wrongCount : 0);
+            }
+            return this.generateAnswerXML(this.formatFraction(fraction), this.toHTML(choice.text), 'html', feedback.choices[index]);
+        }).join('');
+
+        return `${this.generateHeaderXML(question, 'multichoice', feedback)}
+    <single>${single}</single>
+    <shuffleanswers>true</shuffleanswers>
+    <answernumbering>abc</answernumbering>
+    <correctfeedback format="html">
+      <text>${this.cdata(this.toHTML(feedback.correct))}</text>
+    </correctfeedback>
+    <partiallycorrectfeedback format="html">
+      <text></text>
+    </partiallycorrectfeedback>
+    <incorrectfeedback format="html">
+      <text>${this.cdata(this.toHTML(feedback.incorrect))}</text>
+    </incorrectfeedback>${answers}
+  </question>`;
+    }
+
+    /**
+     * True/false; the correct and incorrect feedback hang off the matching answer
+     */
+    generateTrueFalseXML(question) {
+        const feedback = this.getFeedback(question);
+        const isTrue = String(question.correctAnswer) === 'true';
+
+        return `${this.generateHeaderXML(question, 'truefalse', feedback)}${
+            this.generateAnswerXML(isTrue ? 100 : 0, 'true', 'moodle_auto_format', isTrue ? feedback.correct : feedback.incorrect)}${
+            this.generateAnswerXML(isTrue ? 0 : 100, 'false', 'moodle_auto_format', isTrue ? feedback.incorrect : feedback.correct)}
+  </question>`;
+    }
+
+    /**
+     * Short answer; every accepted answer is worth full marks, compared case-insensitively
+     */
+    generateShortAnswerXML(question) {
+        const feedback = this.getFeedback(question);
+        const answers = this.qtiExporter.getAcceptedAnswers(question)
+            .map(answer => this.generateAnswerXML(100, this.escapeXML(answer), 'moodle_auto_format', feedback.correct))
+            .join('');
+
+        return `${this.generateHeaderXML(question, 'shortanswer', feedback)}
+    <usecase>0</usecase>${answers}
+  </question>`;
+    }
+
+    /**
+     * Essay; the grading rubric becomes the grader information
+     */
+    generateEssayXML(question) {
+        const feedback = this.getFeedback(question);
+
+        return `${this.generateHeaderXML(question, 'essay', feedback)}
+    <responseformat>editor</responseformat>
+    <responserequired>1</responserequired>
+    <responsefieldlines>15</responsefieldlines>
+    <attachments>0</attachments>
+    <attachmentsrequired>0</attachmentsrequired>
+    <graderinfo format="html">
+      <text>${this.cdata(this.toHTML(question.gradingRubric))}</text>
+    </graderinfo>
+    <responsetemplate format="html">
+      <text></text>
+    </responsetemplate>
+  </question>`;
+    }
+
+    /**
+     * Numerical; Moodle grades value ± tolerance, so ranges are written as their midpoint
+     */
+    generateNumericalXML(question) {
+        const feedback = this.getFeedback(question);
+        const bounds = this.qtiExporter.getNumericalBounds(question.numericAnswer);
+        let answer = '';
+        if (bounds) {
+            const round = (number) => parseFloat(number.toPrecision(12));
+            const value = bounds.value !== undefined ? bounds.value : round((bounds.lower + bounds.upper) / 2);
+            const tolerance = round(Math.max(value - bounds.lower, bounds.upper - value));
+            answer = this.generateAnswerXML(100, String(value), 'moodle_auto_format', feedback.correct, `
+      <tolerance>${tolerance}</tolerance>`);
+        }
+
+        return `${this.generateHeaderXML(question, 'numerical', feedback)}${answer}
+  </question>`;
+    }
+
+    /**
+     * Opening tag and the fields every question type shares
+     */
+    generateHeaderXML(question, type, feedback) {
+        return `
+  <question type="${type}">
+    <name>
+      <text>${this.escapeXML(this.questionName(question))}</text>
+    </name>
+    <questiontext format="html">
+      <text>${this.cdata(this.toHTML(question.text))}</text>
+    </questiontext>
+    <generalfeedback format="html">
+      <text>${this.cdata(this.toHTML(feedback.general))}</text>
+    </generalfeedback>
+    <defaultgrade>${Number(question.points) || 0}</defaultgrade>
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>`;
+    }
+
+    generateAnswerXML(fraction, text, format, feedbackText, extra = '') {
+        const feedbackXML = feedbackText ? `
+      <feedback format="html">
+        <text>${this.cdata(this.toHTML(feedbackText))}</text>
+      </feedback>` : '';
+        const content = format === 'html' ? this.cdata(text) : text;
+
+        return `
+    <answer fraction="${fraction}" format="${format}">
+      <text>${content}</text>${feedbackXML}${extra}
+    </answer>`;
+    }
+
+    /**
+     * Feedback texts to write; empty strings when explanations are switched off
+     */
+    getFeedback(question) {
+        const feedback = this.qtiExporter.getFeedback(question);
+        const choices = [];
+        (feedback ? feedback.choices : []).forEach(choice => {
+            choices[Number(choice.ident)] = choice.text;
+        });
+        return {
+            general: feedback ? feedback.general : '',
+            correct: feedback ? feedback.correct : '',
+            incorrect: feedback ? feedback.incorrect : '',
+            choices
+        };
+    }
+
+    /**
+     * Question bank name: the first line of the text, shortened
+     */
+    questionName(question) {
+        const firstLine = String(question.text || '').split('\n')[0].trim();
+        if (!firstLine) return `Question ${question.id}`;
+        return firstLine.length > 60 ? `${firstLine.substring(0, 57)}...` : firstLine;
+    }
+
+    /**
+     * Escape text as HTML, keeping LaTeX for MathJax: $...$ becomes \(...\), $$...$$ stays
+     */
+    toHTML(text) {
+        if (!text) return '';
+
+        return MathDelimiters.toMathJax(this.escapeXML(String(text))).replace(/\r?\n/g, '<br>');
+    }
+
+    /**
+     * Moodle only accepts fractions from its own list, written with up to 7 significant digits
+     */
+    formatFraction(fraction) {
+        return parseFloat(fraction.toPrecision(7));
+    }
+
+    cdata(text) {
+        if (!text) return '';
+        return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+    }
+
+    escapeXML(text) {
+        return this.qtiExporter.escapeXML(text);
+    }
+}
+
+export default MoodleExporter;
@@ -0,0 +1,186 @@
+import xml2js from 'xml2js';
+import QTIImporter from './qti-importer.js';
+import NumberParser from './services/number-parser.js';
+import MathDelimiters from './services/math-delimiters.js';
+
+/**
+ * Moodle Importer - Reads Moodle XML quizzes back into the assessment model
+ * Counterpart of MoodleExporter; runs in the main process (xml2js)
+ */
+class MoodleImporter {
+    constructor() {
+        // HTML to editor text conversion is shared with the QTI importer
+        this.qtiImporter = new QTIImporter();
+    }
+
+    /**
+     * Whether an XML document is a Moodle XML quiz rather than QTI
+     * @param {string} xmlString - XML document
+     * @returns {boolean}
+     */
+    static isMoodleXML(xmlString) {
+        return /<quiz[\s>]/.test(xmlString) && !xmlString.includes('<questestinterop');
+    }
+
+    /**
+     * Import questions from Moodle XML
+     * @param {string} xmlString - quiz document
+     * @returns {Promise<{assessment: Object, skipped: Array}>}
+     */
+    async importXML(xmlString) {
+        const root = await xml2js.parseStringPromise(xmlString);
+        if (!root || !root.quiz) {
+            throw new Error('Not a Moodle XML document: missing quiz');
+        }
+
+        let title = '';
+        const questions = [];
+        const skipped = [];
+
+        (root.quiz.question || []).forEach((node, index) => {
+            const type = this.attr(node, 'type');
+            if (type === 'category') {
+                // $course$/top/Quiz name -> Quiz name; "//" escapes a slash inside a category name
+                const path = this.text(this.first(this.first(node, 'category'), 'text'));
+                title = title || path.split(/(?<!\/)\/(?!\/)/).pop().replace(/\/\//g, '/').trim();
+                return;
+            }
+
+            const question = this.parseQuestion(node, type, index + 1);
+            if (question) {
+                questions.push(question);
+            } else {
+                skipped.push({ ident: `${index + 1}`, title: this.text(this.first(this.first(node, 'name'), 'text')), type });
+            }
+        });
+
+        return {
+            assessment: {
+                title: title === 'top' ? '' : title,
+                description: '',
+                timeLimit: 0,
+                questions,
+                groups: []
+            },
+            skipped
+        };
+    }
+
+    /**
+     * Convert one <question> element, or return null for types we do not read
+     */
+    parseQuestion(node, type, position) {
+        const question = {
+            id: `moodle_${position}`,
+            type: null,
+            text: this.readText(this.first(node, 'questiontext')),
+            points: parseFloat(this.text(this.first(node, 'defaultgrade'))) || 0,
+            source: 'moodle_import'
+        };
+        const answers = (node.answer || []).map(answer => ({
+            text: this.readText(answer),
+            fraction: parseFloat(this.attr(answer, 'fraction')) || 0,
+            feedback: this.readText(this.first(answer, 'feedback')),
+            tolerance: this.text(this.first(answer, 'tolerance'))
+        }));
+        const feedback = {
+            general: this.readText(this.first(node, 'generalfeedback')),
+            correct: '',
+            incorrect: ''
+        };
+
+        switch (type) {
+            case 'multichoice': {
+                const single = this.text(this.first(node, 'single')) !== 'false';
+                question.type = single ? 'multiple_choice' : 'multiple_answers';
+                question.choices = answers.map((answer, index) => {
+                    const choice = { id: index, text: answer.text, correct: single ? answer.fraction >= 100 : answer.fraction > 0 };
+                    if (answer.feedback) {
+                        choice.feedback = answer.feedback;
+                    }
+                    return choice;
+                });
+                if (single) {
+                    const correctIndex = question.choices.findIndex(choice => choice.correct);
+                    question.correctAnswer = correctIndex >= 0 ? correctIndex : 0;
+                } else {
+                    question.correctAnswer = question.choices
+                        .map((choice, index) => (choice.correct ? index : -1))
+                        .filter(index => index >= 0);
+                }
+                feedback.correct = this.readText(this.first(node, 'correctfeedback'));
+                feedback.incorrect = this.readText(this.first(node, 'incorrectfeedback'));
+                break;
+            }
+            case 'truefalse': {
+                question.type = 'true_false';
+                const correct = answers.find(answer => answer.fraction >= 100);
+                const wrong = answers.find(answer => answer !== correct);
+                question.correctAnswer = correct && /^(true|verdadero|cierto)$/i.test(correct.text.trim()) ? 'true' : 'false';
+                feedback.correct = correct ? correct.feedback : '';
+                feedback.incorrect = wrong ? wrong.feedback : '';
+                break;
+            }
+            case 'shortanswer': {
+                question.type = 'short_answer';
+                const accepted = answers.filter(answer => answer.fraction >= 100 && answer.text);
+                question.acceptedAnswers = accepted.map(answer => answer.text);
+                question.sampleAnswer = question.acceptedAnswers[0] || '';
+                feedback.correct = accepted.length > 0 ? accepted[0].feedback : '';
+                break;
+            }
+            case 'essay':
+                question.type = 'essay';
+                question.gradingRubric = this.readText(this.first(node, 'graderinfo'));
+                break;
+            case 'numerical': {
+                question.type = 'numerical';
+                const correct = answers.find(answer => answer.fraction >= 100);
+                question.numericAnswer = {
+                    mode: 'exact',
+                    value: correct && NumberParser.isNumber(correct.text) ? NumberParser.parse(correct.text) : '',
+                    margin: correct ? Math.abs(NumberParser.parse(correct.tolerance)) || 0 : 0
+                };
+                feedback.correct = correct ? correct.feedback : '';
+                break;
+            }
+            default:
+                return null;
+        }
+
+        if (feedback.general || feedback.correct || feedback.incorrect) {
+            question.feedback = feedback;
+        }
+        return question;
+    }
+
+    /**
+     * Read the <text> of an element as editor text; HTML is flattened and MathJax
+     * delimiters \(...\) and \[...\] become $...$ and $$...$$
+     */
+    readText(node) {
+        if (!node) return '';
+        const raw = this.text(this.first(node, 'text'));
+        const format = this.attr(node, 'format') || 'moodle_auto_format';
+
+        return MathDelimiters.fromMathJax(format === 'html' ? this.qtiImporter.htmlToText(raw) : raw.trim());
+    }
+
+    // xml2js node helpers
+
+    first(node, name) {
+        return node && Array.isArray(node[name]) ? node[name][0] : undefined;
+    }
+
+    attr(node, name) {
+        return node && node.$ ? node.$[name] : undefined;
+    }
+
+    text(node) {
+        if (node === undefined || node === null) return '';
+        if (typeof node === 'string') return node;
+        return node._ || '';
+    }
+}
+
+export default MoodleImporter;
@@ -1,22 +1,47 @@
 import LaTeXRenderer from './latex-renderer.js';
+import NumberParser from './services/number-parser.js';
+import FormulaEvaluator from './services/formula-evaluator.js';
+import PlaceholderParser from './services/placeholder-parser.js';
+import QuizSettings from './services/quiz-settings.js';
+import ImageAttachments from './services/image-attachments.js';
+import StableId from './services/stable-id.js';
 
 /**
  * QTI Exporter - Handles QTI XML generation and validation
  * Decoupled from the renderer for better separation of concerns
  */
 class QTIExporter {
-    constructor() {
-        this.latexRenderer = new LaTeXRenderer();
+    /**
+     * @param {Object} [options] - Exporter options
+     * @param {boolean} [options.includeExplanations=true] - Write explanations and other feedback as itemfeedback
+     * @param {string} [options.canvasBaseUrl] - Canvas instance equation images point at
+     * @param {string} [options.mathOutput] - 'image', 'mathml' or 'mathjax' (see LaTeXRenderer.MATH_OUTPUT_MODES)
+     */
+    constructor(options = {}) {
+        this.latexRenderer = new LaTeXRenderer({ canvasBaseUrl: options.canvasBaseUrl, mathOutput: options.mathOutput });
+        this.formulaEvaluator = new FormulaEvaluator();
+        this.options = { includeExplanations: true, ...options };
+        // Set per generateQTI call
+        this.imageFiles = null;
     }
 
     /**
      * Generate QTI XML from assessment data
-     * @param {Object} assessment - Assessment object with title, description, timeLimit, questions
-     * @returns {string} QTI XML string
+     * @param {Object} assessment - Assessment object with title, description, timeLimit, settings, questions
+     * @param {Object} [options] - Export options
+     * @param {string} [options.assessmentId] - Ident to use for the assessment (defaults to generateAssessmentId)
+     * @param {Map<string, string>} [options.imageFiles] - Attached image id => course file name, when the package carries the images
+     * @returns {string} QTI XML string; questions getSkippedQuestions lists are left out
      */
-    generateQTI(assessment) {
-        const assessmentId = this.generateId();
-        const timestamp = new Date().toISOString();
+    generateQTI(assessment, options = {}) {
+        const skippedIds = new Set(this.getSkippedQuestions(assessment).map(question => question.id));
+        if (skippedIds.size > 0) {
+            assessment = { ...assessment, questions: assessment.questions.filter(question => !skippedIds.has(question.id)) };
+        }
+        const assessmentId = options.assessmentId || this.generateAssessmentId(assessment);
+        this.imageFiles = options.imageFiles || null;
+        const settings = QuizSettings.normalize(assessment.settings);
+        const maxAttempts = settings.allowedAttempts > 0 ? settings.allowedAttempts : 'unlimited';
         
         let qti = `<?xml version="1.0" encoding="UTF-8"?>
 <questestinterop xmlns="http://www.imsglobal.org/xsd/ims_qtiasiv1p2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/ims_qtiasiv1p2 http://www.imsglobal.org/xsd/ims_qtiasiv1p2p1.xsd">
@@ -24,7 +49,7 @@ class QTIExporter {
     <qtimetadata>
       <qtimetadatafield>
         <fieldlabel>cc_maxattempts</fieldlabel>
-        <fieldentry>1</fieldentry>
+        <fieldentry>${maxAttempts}</fieldentry>
       </qtimetadatafield>`;
 
         if (assessment.timeLimit > 0) {
@@ -46,12 +71,24 @@ class QTIExporter {
       <qtimetadata>
         <qtimetadatafield>
           <fieldlabel>question_references</fieldlabel>
-          <fieldentry>${assessment.questions.map(q => this.generateQuestionId(q.id)).join(',')}</fieldentry>
+          <fieldentry>${assessment.questions.map(q => this.generateQuestionId(q.id, assessmentId)).join(',')}</fieldentry>
         </qtimetadatafield>
       </qtimetadata>`;
 
+        // Grouped questions are written as a nested section where the first member appears
+        const groups = assessment.groups || [];
+        const writtenGroups = new Set();
         assessment.questions.forEach(question => {
-            qti += this.generateQuestionXML(question);
+            const group = groups.find(g => g.id === question.groupId);
+            if (!group) {
+                qti += this.generateQuestionXML(question, assessmentId);
+                return;
+            }
+            if (writtenGroups.has(group.id)) {
+                return;
+            }
+            writtenGroups.add(group.id);
+            qti += this.generateGroupXML(group, assessment.questions.filter(q => q.groupId === group.id), assessmentId);
         });
 
         qti += `
@@ -62,22 +99,66 @@ class QTIExporter {
         return qti;
     }
 
+    /**
+     * Generate a Canvas question group: a section that draws pickCount items from its pool
+     * @param {Object} group - Group with name, pickCount, pointsPerItem
+     * @param {Array} questions - Questions assigned to the group
+     * @param {string} assessmentId - Assessment ident the section ident is derived from
+     * @returns {string} Section XML
+     */
+    generateGroupXML(group, questions, assessmentId) {
+        const pickCount = QTIExporter.groupPickCount(group, questions);
+        const pointsPerItem = QTIExporter.groupPointsPerItem(group, questions);
+
+        let xml = `
+      <section ident="${this.generateId(assessmentId, 'group', group.id)}" title="${this.escapeXML(group.name || 'Group')}">
+        <selection_ordering>
+          <selection>
+            <selection_number>${pickCount}</selection_number>
+            <selection_extension>
+              <points_per_item>${pointsPerItem}</points_per_item>
+            </selection_extension>
+          </selection>
+        </selection_ordering>`;
+
+        questions.forEach(question => {
+            xml += this.generateQuestionXML(question, assessmentId);
+        });
+
+        xml += `
+      </section>`;
+
+        return xml;
+    }
+
     /**
      * Generate XML for a single question
      * @param {Object} question - Question object
+     * @param {string} assessmentId - Assessment ident the item ident is derived from
      * @returns {string} Question XML
      */
-    generateQuestionXML(question) {
-        const questionId = this.generateQuestionId(question.id);
+    generateQuestionXML(question, assessmentId) {
+        const questionId = this.generateQuestionId(question.id, assessmentId);
         
         switch (question.type) {
             case 'multiple_choice':
                 return this.generateMultipleChoiceXML(question, questionId);
+            case 'multiple_answers':
+                return this.generateMultipleAnswersXML(question, questionId);
             case 'true_false':
                 return this.generateTrueFalseXML(question, questionId);
+            case 'matching':
+                return this.generateMatchingXML(question, questionId);
+            case 'numerical':
+                return this.generateNumericalXML(question, questionId);
+            case 'calculated':
+                return this.generateCalculatedXML(question, questionId);
             case 'short_answer':
             case 'fill_in_blank':
                 return this.generateShortAnswerXML(question, questionId);
+            case 'fill_in_multiple_blanks':
+            case 'multiple_dropdowns':
+                return this.generateBlanksXML(question, questionId);
             case 'essay':
                 return this.generateEssayXML(question, questionId);
             default:
@@ -105,7 +186,7 @@ class QTIExporter {
         </itemmetadata>
         <presentation>
           <material>
-            <mattext texttype="text/html">${this.escapeForHTML(question.text)}</mattext>
+            <mattext texttype="text/html">${this.questionTextHTML(question)}</mattext>
           </material>
           <response_lid ident="response1" rcardinality="Single">
             <render_choice>`;
@@ -114,7 +195,7 @@ class QTIExporter {
             xml += `
               <response_label ident="${index}">
                 <material>
-                  <mattext texttype="text/html">${this.escapeForHTML(choice.text)}</mattext>
+                  <mattext texttype="text/html">${this.choiceHTML(choice)}</mattext>
                 </material>
               </response_label>`;
         });
@@ -126,14 +207,94 @@ class QTIExporter {
         <resprocessing>
           <outcomes>
             <decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/>
-          </outcomes>
+          </outcomes>${this.generateFeedbackConditions(question)}
           <respcondition continue="No">
             <conditionvar>
               <varequal respident="response1">${question.correctAnswer}</varequal>
             </conditionvar>
-            <setvar action="Set" varname="SCORE">100</setvar>
-          </respcondition>
-        </resprocessing>
+            <setvar action="Set" varname="SCORE">100</setvar>${this.generateFeedbackLink(question, 'correct')}
+          </respcondition>${this.generateIncorrectFeedbackCondition(question)}
+        </resprocessing>${this.generateItemFeedback(question)}
+      </item>`;
+
+        return xml;
+    }
+
+    /**
+     * Indexes of the correct choices of a multiple answers question
+     */
+    getCorrectChoiceIndexes(question) {
+        if (Array.isArray(question.correctAnswer)) {
+            return question.correctAnswer.map(Number);
+        }
+        return (question.choices || [])
+            .map((choice, index) => (choice.correct ? index : -1))
+            .filter(index => index >= 0);
+    }
+
+    /**
+     * Generate multiple answers (checkbox) question XML
+     * Canvas grades it with one <and> condition: every correct choice selected, every other one not
+     */
+    generateMultipleAnswersXML(question, questionId) {
+        const correctIndexes = this.getCorrectChoiceIndexes(question);
+
+        let xml = `
+      <item ident="${questionId}" title="Question ${question.id}">
+        <itemmetadata>
+          <qtimetadata>
+            <qtimetadatafield>
+              <fieldlabel>question_type</fieldlabel>
+              <fieldentry>multiple_answers_question</fieldentry>
+            </qtimetadatafield>
+            <qtimetadatafield>
+              <fieldlabel>points_possible</fieldlabel>
+              <fieldentry>${question.points}</fieldentry>
+            </qtimetadatafield>
+          </qtimetadata>
+        </itemmetadata>
+        <presentation>
+          <material>
+            <mattext texttype="text/html">${this.questionTextHTML(question)}</mattext>
+          </material>
+          <response_lid ident="response1" rcardinality="Multiple">
+            <render_choice>`;
+
+        question.choices.forEach((choice, index) => {
+            xml += `
+              <response_label ident="${index}">
+                <material>
+                  <mattext texttype="text/html">${this.choiceHTML(choice)}</mattext>
+                </material>
+              </response_label>`;
+        });
+
+        xml += `
+            </render_choice>
+          </response_lid>
+        </presentation>
+        <resprocessing>
+          <outcomes>
+            <decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/>
+          </outcomes>${this.generateFeedbackConditions(question)}
+          <respcondition continue="No">
+            <conditionvar>
+              <and>`;
+
+        question.choices.forEach((choice, index) => {
+            xml += correctIndexes.includes(index) ? `
+                <varequal respident="response1">${index}</varequal>` : `
+                <not>
+                  <varequal respident="response1">${index}</varequal>
+                </not>`;
+        });
+
+        xml += `
+              </and>
+            </conditionvar>
+            <setvar action="Set" varname="SCORE">100</setvar>${this.generateFeedbackLink(question, 'correct')}
+          </respcondition>${this.generateIncorrectFeedbackCondition(question)}
+        </resprocessing>${this.generateItemFeedback(question)}
       </item>`;
 
         return xml;
@@ -161,7 +322,7 @@ class QTIExporter {
         </itemmetadata>
         <presentation>
           <material>
-            <mattext texttype="text/html">${this.escapeForHTML(question.text)}</mattext>
+            <mattext texttype="text/html">${this.questionTextHTML(question)}</mattext>
           </material>
           <response_lid ident="response1" rcardinality="Single">
             <render_choice>
@@ -181,21 +342,462 @@ class QTIExporter {
         <resprocessing>
           <outcomes>
             <decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/>
-          </outcomes>
+          </outcomes>${this.generateFeedbackConditions(question)}
           <respcondition continue="No">
             <conditionvar>
               <varequal respident="response1">${correctValue}</varequal>
             </conditionvar>
-            <setvar action="Set" varname="SCORE">100</setvar>
+            <setvar action="Set" varname="SCORE">100</setvar>${this.generateFeedbackLink(question, 'correct')}
+          </respcondition>${this.generateIncorrectFeedbackCondition(question)}
+        </resprocessing>${this.generateItemFeedback(question)}
+      </item>`;
+    }
+
+    /**
+     * Right-hand options of a matching question: the answers of every pair plus the distractors
+     */
+    getMatchingOptions(question) {
+        const options = [
+            ...(question.matches || []).map(match => match.right),
+            ...(question.distractors || [])
+        ].map(option => String(option ?? '').trim()).filter(option => option.length > 0);
+        return [...new Set(options)];
+    }
+
+    /**
+     * Generate matching question XML
+     * One response_lid per left item, all sharing the same right-hand options; each pair scores an equal share
+     */
+    generateMatchingXML(question, questionId) {
+        const matches = (question.matches || []).filter(match =>
+            String(match.left ?? '').trim() && String(match.right ?? '').trim()
+        );
+        const options = this.getMatchingOptions(question);
+        const share = matches.length > 0 ? Math.round((100 / matches.length) * 100) / 100 : 0;
+
+        let xml = `
+      <item ident="${questionId}" title="Question ${question.id}">
+        <itemmetadata>
+          <qtimetadata>
+            <qtimetadatafield>
+              <fieldlabel>question_type</fieldlabel>
+              <fieldentry>matching_question</fieldentry>
+            </qtimetadatafield>
+            <qtimetadatafield>
+              <fieldlabel>points_possible</fieldlabel>
+              <fieldentry>${question.points}</fieldentry>
+            </qtimetadatafield>
+          </qtimetadata>
+        </itemmetadata>
+        <presentation>
+          <material>
+            <mattext texttype="text/html">${this.questionTextHTML(question)}</mattext>
+          </material>`;
+
+        matches.forEach((match, matchIndex) => {
+            xml += `
+          <response_lid ident="response_${matchIndex}">
+            <material>
+              <mattext texttype="text/html">${this.escapeForHTML(match.left)}</mattext>
+            </material>
+            <render_choice>`;
+            options.forEach((option, optionIndex) => {
+                xml += `
+              <response_label ident="${optionIndex}">
+                <material>
+                  <mattext texttype="text/html">${this.escapeForHTML(option)}</mattext>
+                </material>
+              </response_label>`;
+            });
+            xml += `
+            </render_choice>
+          </response_lid>`;
+        });
+
+        xml += `
+        </presentation>
+        <resprocessing>
+          <outcomes>
+            <decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/>
+          </outcomes>${this.generateFeedbackConditions(question)}`;
+
+        matches.forEach((match, matchIndex) => {
+            xml += `
+          <respcondition>
+            <conditionvar>
+              <varequal respident="response_${matchIndex}">${options.indexOf(String(match.right).trim())}</varequal>
+            </conditionvar>
+            <setvar varname="SCORE" action="Add">${share}</setvar>
+          </respcondition>`;
+        });
+
+        xml += `
+        </resprocessing>${this.generateItemFeedback(question)}
+      </item>`;
+
+        return xml;
+    }
+
+    /**
+     * Accepted interval of a numerical answer, or null while the answer is incomplete
+     * exact: value ± margin, range: [start, end], precision: value to N significant digits
+     * @returns {{value: (number|undefined), lower: number, upper: number}|null}
+     */
+    getNumericalBounds(numericAnswer = {}) {
+        const mode = numericAnswer.mode || 'exact';
+
+        if (mode === 'range') {
+            const start = NumberParser.parse(numericAnswer.start);
+            const end = NumberParser.parse(numericAnswer.end);
+            if (Number.isNaN(start) || Number.isNaN(end)) return null;
+            return { lower: Math.min(start, end), upper: Math.max(start, end) };
+        }
+
+        const value = NumberParser.parse(numericAnswer.value);
+        if (Number.isNaN(value)) return null;
+
+        let tolerance = 0;
+        if (mode === 'precision') {
+            const precision = Math.max(1, parseInt(numericAnswer.precision, 10) || 1);
+            const magnitude = value === 0 ? 0 : Math.floor(Math.log10(Math.abs(value)));
+            tolerance = Math.pow(10, magnitude - precision + 1) / 2;
+        } else {
+            tolerance = Math.abs(NumberParser.parse(numericAnswer.margin)) || 0;
+        }
+
+        const round = (number) => parseFloat(number.toPrecision(12));
+        return { value, lower: round(value - tolerance), upper: round(value + tolerance) };
+    }
+
+    /**
+     * Build the conditionvar body for a numerical answer
+     */
+    generateNumericalCondition(numericAnswer = {}) {
+        const answer = this.getNumericalBounds(numericAnswer);
+        if (!answer) return '';
+
+        const bounds = `
+              <vargte respident="response1">${answer.lower}</vargte>
+              <varlte respident="response1">${answer.upper}</varlte>`;
+        if (answer.value === undefined) return bounds;
+
+        return `
+              <or>
+                <varequal respident="response1">${answer.value}</varequal>
+                <and>${bounds.replace(/\n/g, '\n    ')}
+                </and>
+              </or>`;
+    }
+
+    /**
+     * Generate numerical question XML
+     */
+    generateNumericalXML(question, questionId) {
+        const condition = this.generateNumericalCondition(question.numericAnswer);
+        const gradingXML = condition ? `
+          <respcondition continue="No">
+            <conditionvar>${condition}
+            </conditionvar>
+            <setvar action="Set" varname="SCORE">100</setvar>${this.generateFeedbackLink(question, 'correct')}
+          </respcondition>${this.generateIncorrectFeedbackCondition(question)}` : '';
+
+        return `
+      <item ident="${questionId}" title="Question ${question.id}">
+        <itemmetadata>
+          <qtimetadata>
+            <qtimetadatafield>
+              <fieldlabel>question_type</fieldlabel>
+              <fieldentry>numerical_question</fieldentry>
+            </qtimetadatafield>
+            <qtimetadatafield>
+              <fieldlabel>points_possible</fieldlabel>
+              <fieldentry>${question.points}</fieldentry>
+            </qtimetadatafield>
+          </qtimetadata>
+        </itemmetadata>
+        <presentation>
+          <material>
+            <mattext texttype="text/html">${this.questionTextHTML(question)}</mattext>
+          </material>
+          <response_str ident="response1" rcardinality="Single">
+            <render_fib fibtype="Decimal">
+              <response_label ident="answer1"/>
+            </render_fib>
+          </response_str>
+        </presentation>
+        <resprocessing>
+          <outcomes>
+            <decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/>
+          </outcomes>${this.generateFeedbackConditions(question)}${gradingXML}
+        </resprocessing>${this.generateItemFeedback(question)}
+      </item>`;
+    }
+
+    /**
+     * Answer sets the author generated for a formula question; empty when there are none or they
+     * miss a variable added to the text since. Exporters never draw sets themselves, so every
+     * export writes the sets shown in the editor.
+     */
+    getAnswerSets(calculated) {
+        const stored = calculated.answerSets || [];
+        const complete = stored.every(answerSet =>
+            Number.isFinite(Number(answerSet.answer)) &&
+            (calculated.variables || []).every(variable => answerSet.values && answerSet.values[variable.name] !== undefined)
+        );
+        return complete ? stored : [];
+    }
+
+    /**
+     * Why a question cannot be exported, or null when it can
+     * Formula questions need a formula that evaluates and generated answer sets
+     * @param {Object} question - Question object
+     * @returns {string|null}
+     */
+    getExportProblem(question) {
+        if (question.type !== 'calculated') {
+            return null;
+        }
+
+        const calculated = question.calculated || {};
+        if (!String(calculated.formula || '').trim()) {
+            return 'Formula is empty';
+        }
+        const variables = this.formulaEvaluator.resolveVariables(question.text, calculated.variables);
+        const answerSets = this.getAnswerSets({ ...calculated, variables });
+        if (answerSets.length === 0) {
+            return 'No answer sets generated for the current formula and variables';
+        }
+        try {
+            this.formulaEvaluator.evaluate(calculated.formula, answerSets[0].values);
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    }
+
+    /**
+     * Questions generateQTI leaves out, each with the reason
+     * @param {Object} assessment - Assessment object
+     * @returns {Array<Object>} Skipped questions with a reason property
+     */
+    getSkippedQuestions(assessment) {
+        return assessment.questions
+            .map(question => ({ question, reason: this.getExportProblem(question) }))
+            .filter(({ reason }) => reason)
+            .map(({ question, reason }) => ({ ...question, reason }));
+    }
+
+    /**
+     * Generate formula (calculated) question XML
+     * Canvas reads the variables, formula and precomputed answer sets from itemproc_extension
+     */
+    generateCalculatedXML(question, questionId) {
+        const variables = this.formulaEvaluator.resolveVariables(question.text, (question.calculated || {}).variables);
+        const calculated = { ...question.calculated, variables };
+        const answerSets = this.getAnswerSets(calculated);
+        const tolerance = Math.abs(NumberParser.parse(calculated.tolerance ?? 0)) || 0;
+
+        let xml = `
+      <item ident="${questionId}" title="Question ${question.id}">
+        <itemmetadata>
+          <qtimetadata>
+            <qtimetadatafield>
+              <fieldlabel>question_type</fieldlabel>
+              <fieldentry>calculated_question</fieldentry>
+            </qtimetadatafield>
+            <qtimetadatafield>
+              <fieldlabel>points_possible</fieldlabel>
+              <fieldentry>${question.points}</fieldentry>
+            </qtimetadatafield>
+          </qtimetadata>
+        </itemmetadata>
+        <presentation>
+          <material>
+            <mattext texttype="text/html">${this.questionTextHTML(question)}</mattext>
+          </material>
+          <response_str ident="response1" rcardinality="Single">
+            <render_fib fibtype="Decimal">
+              <response_label ident="answer1"/>
+            </render_fib>
+          </response_str>
+        </presentation>
+        <resprocessing>
+          <outcomes>
+            <decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/>
+          </outcomes>${this.generateFeedbackConditions(question)}
+          <respcondition title="correct">
+            <conditionvar>
+              <other/>
+            </conditionvar>
+            <setvar varname="SCORE" action="Set">100</setvar>${this.generateFeedbackLink(question, 'correct')}
+          </respcondition>
+          <respcondition title="incorrect">
+            <conditionvar>
+              <not>
+                <other/>
+              </not>
+            </conditionvar>
+            <setvar varname="SCORE" action="Set">0</setvar>${this.generateFeedbackLink(question, 'incorrect')}
           </respcondition>
-        </resprocessing>
+        </resprocessing>${this.generateItemFeedback(question)}
+        <itemproc_extension>
+          <calculated>
+            <answer_tolerance>${tolerance}</answer_tolerance>
+            <formulas decimal_places="${parseInt(calculated.decimals, 10) || 0}">
+              <formula>${this.escapeXML(calculated.formula || '')}</formula>
+            </formulas>
+            <vars>`;
+
+        variables.forEach(variable => {
+            xml += `
+              <var name="${this.escapeXML(variable.name)}" scale="${parseInt(variable.decimals, 10) || 0}">
+                <min>${NumberParser.parse(variable.min)}</min>
+                <max>${NumberParser.parse(variable.max)}</max>
+              </var>`;
+        });
+
+        xml += `
+            </vars>
+            <var_sets>`;
+
+        answerSets.forEach((answerSet, index) => {
+            xml += `
+              <var_set ident="${index + 1}">`;
+            variables.forEach(variable => {
+                xml += `
+                <var name="${this.escapeXML(variable.name)}">${answerSet.values[variable.name]}</var>`;
+            });
+            xml += `
+                <answer>${answerSet.answer}</answer>
+              </var_set>`;
+        });
+
+        xml += `
+            </var_sets>
+          </calculated>
+        </itemproc_extension>
       </item>`;
+
+        return xml;
+    }
+
+    /**
+     * Blanks of a fill-in-multiple-blanks or multiple-dropdowns question, one per [name] in the text
+     * Each blank is { name, answers: [text] } or, for dropdowns, { name, options: [{text, correct}] }
+     */
+    getBlanks(question) {
+        return PlaceholderParser.resolve(question.text, question.blanks, name =>
+            question.type === 'multiple_dropdowns' ? { name, options: [] } : { name, answers: [] }
+        );
+    }
+
+    /**
+     * Generate fill-in-multiple-blanks / multiple-dropdowns question XML
+     * One response_lid per blank; every accepted answer (or the correct option) earns that blank's share
+     */
+    generateBlanksXML(question, questionId) {
+        const isDropdown = question.type === 'multiple_dropdowns';
+        const questionType = isDropdown ? 'multiple_dropdowns_question' : 'fill_in_multiple_blanks_question';
+        const blanks = this.getBlanks(question).map((blank, blankIndex) => {
+            const labels = isDropdown
+                ? (blank.options || []).filter(option => String(option.text ?? '').trim())
+                : this.getAcceptedAnswers({ acceptedAnswers: blank.answers }).map(text => ({ text, correct: true }));
+            return {
+                name: blank.name,
+                labels: labels.map((label, labelIndex) => ({ ...label, ident: `${blankIndex + 1}_${labelIndex + 1}` }))
+            };
+        });
+        const share = blanks.length > 0 ? Math.round((100 / blanks.length) * 100) / 100 : 0;
+
+        let xml = `
+      <item ident="${questionId}" title="Question ${question.id}">
+        <itemmetadata>
+          <qtimetadata>
+            <qtimetadatafield>
+              <fieldlabel>question_type</fieldlabel>
+              <fieldentry>${questionType}</fieldentry>
+            </qtimetadatafield>
+            <qtimetadatafield>
+              <fieldlabel>points_possible</fieldlabel>
+              <fieldentry>${question.points}</fieldentry>
+            </qtimetadatafield>
+          </qtimetadata>
+        </itemmetadata>
+        <presentation>
+          <material>
+            <mattext texttype="text/html">${this.questionTextHTML(question)}</mattext>
+          </material>`;
+
+        blanks.forEach(blank => {
+            xml += `
+          <response_lid ident="response_${this.escapeXML(blank.name)}">
+            <material>
+              <mattext>${this.escapeXML(blank.name)}</mattext>
+            </material>
+            <render_choice>`;
+            blank.labels.forEach(label => {
+                xml += `
+              <response_label ident="${label.ident}">
+                <material>
+                  <mattext texttype="text/plain">${this.escapeXML(String(label.text).trim())}</mattext>
+                </material>
+              </response_label>`;
+            });
+            xml += `
+            </render_choice>
+          </response_lid>`;
+        });
+
+        xml += `
+        </presentation>
+        <resprocessing>
+          <outcomes>
+            <decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/>
+          </outcomes>${this.generateFeedbackConditions(question)}`;
+
+        blanks.forEach(blank => {
+            blank.labels.filter(label => label.correct).forEach(label => {
+                xml += `
+          <respcondition>
+            <conditionvar>
+              <varequal respident="response_${this.escapeXML(blank.name)}">${label.ident}</varequal>
+            </conditionvar>
+            <setvar varname="SCORE" action="Add">${share}</setvar>
+          </respcondition>`;
+            });
+        });
+
+        xml += `
+        </resprocessing>${this.generateItemFeedback(question)}
+      </item>`;
+
+        return xml;
+    }
+
+    /**
+     * Non-empty, de-duplicated answers Canvas should accept for a short answer question
+     */
+    getAcceptedAnswers(question) {
+        const answers = (question.acceptedAnswers || [])
+            .map(answer => String(answer ?? '').trim())
+            .filter(answer => answer.length > 0);
+        return [...new Set(answers)];
     }
 
     /**
      * Generate short answer question XML
      */
     generateShortAnswerXML(question, questionId) {
+        const acceptedAnswers = this.getAcceptedAnswers(question);
+        const answerConditions = acceptedAnswers.map(answer => `
+              <varequal respident="response1">${this.escapeXML(answer)}</varequal>`).join('');
+        const gradingXML = acceptedAnswers.length > 0 ? `
+          <respcondition continue="No">
+            <conditionvar>${answerConditions}
+            </conditionvar>
+            <setvar action="Set" varname="SCORE">100</setvar>${this.generateFeedbackLink(question, 'correct')}
+          </respcondition>${this.generateIncorrectFeedbackCondition(question)}` : '';
+
         return `
       <item ident="${questionId}" title="Question ${question.id}">
         <itemmetadata>
@@ -212,7 +814,7 @@ class QTIExporter {
         </itemmetadata>
         <presentation>
           <material>
-            <mattext texttype="text/html">${this.escapeForHTML(question.text)}</mattext>
+            <mattext texttype="text/html">${this.questionTextHTML(question)}</mattext>
           </material>
           <response_str ident="response1" rcardinality="Single">
             <render_fib>
@@ -223,8 +825,8 @@ class QTIExporter {
         <resprocessing>
           <outcomes>
             <decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/>
-          </outcomes>
-        </resprocessing>
+          </outcomes>${this.generateFeedbackConditions(question)}${gradingXML}
+        </resprocessing>${this.generateItemFeedback(question)}
       </item>`;
     }
 
@@ -248,7 +850,7 @@ class QTIExporter {
         </itemmetadata>
         <presentation>
           <material>
-            <mattext texttype="text/html">${this.escapeForHTML(question.text)}</mattext>
+            <mattext texttype="text/html">${this.questionTextHTML(question)}</mattext>
           </material>
           <response_str ident="response1" rcardinality="Single">
             <render_fib>
@@ -259,103 +861,131 @@ class QTIExporter {
         <resprocessing>
           <outcomes>
             <decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/>
-          </outcomes>
-        </resprocessing>
+          </outcomes>${this.generateFeedbackConditions(question)}
+        </resprocessing>${this.generateItemFeedback(question)}
       </item>`;
     }
 
     /**
-     * Validate XML structure - FIXED to handle XML entities properly
+     * Feedback to export for a question, or null when explanations are switched off
+     * The LLM's explanation stands in for general feedback until the author writes one
      */
-    validateXML(xmlString) {
-        const errors = [];
-        
-        try {
-            // Basic XML structure validation
-            if (!xmlString.trim().startsWith('<?xml')) {
-                errors.push('Missing XML declaration');
-            }
-            
-            // 1. First, temporarily replace all valid XML entities to avoid false positives
-            const entityPlaceholders = {
-                '&amp;': '___AMP___',
-                '&lt;': '___LT___',
-                '&gt;': '___GT___',
-                '&quot;': '___QUOT___',
-                '&#39;': '___APOS___'
-            };
-            
-            let tempXML = xmlString;
-            Object.entries(entityPlaceholders).forEach(([entity, placeholder]) => {
-                tempXML = tempXML.replace(new RegExp(entity.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), placeholder);
-            });
-            
-            // 2. Now check for truly problematic patterns in the cleaned XML
-            const problematicPatterns = [
-                { 
-                    pattern: /[^_]&[^_]/g, 
-                    message: 'Unescaped ampersand'
-                },
-                { 
-                    pattern: /="[^"]*'[^"]*"/g, 
-                    message: 'Unescaped single quote in double-quoted attribute'
-                },
-                { 
-                    pattern: /='[^']*"[^']*'/g, 
-                    message: 'Unescaped double quote in single-quoted attribute'
-                }
-            ];
-            
-            problematicPatterns.forEach(({ pattern, message }) => {
-                const matches = tempXML.match(pattern);
-                if (matches) {
-                    errors.push(`${message}: Found ${matches.length} instances`);
-                }
-            });
-            
-            // 3. Check for proper tag nesting using a more robust approach
-            const tagStack = [];
-            const selfClosingTags = new Set(['img', 'br', 'hr', 'input', 'meta', 'link', 'area', 'base', 'col', 'embed', 'source', 'track', 'wbr']);
-            
-            // More precise tag pattern that handles self-closing tags and attributes properly
-            const tagPattern = /<(\/)?([\w:-]+)(?:\s[^>]*?)?(\/)?>/g;
-            let match;
-            
-            while ((match = tagPattern.exec(xmlString)) !== null) {
-                const isClosing = !!match[1];
-                const tagName = match[2].toLowerCase();
-                const isSelfClosing = !!match[3] || selfClosingTags.has(tagName);
-                
-                if (isClosing) {
-                    if (tagStack.length === 0) {
-                        errors.push(`Unexpected closing tag: ${tagName}`);
-                    } else {
-                        const expectedTag = tagStack.pop();
-                        if (expectedTag !== tagName) {
-                            errors.push(`Mismatched closing tag: expected ${expectedTag}, got ${tagName}`);
-                            // Try to recover by putting the expected tag back
-                            tagStack.push(expectedTag);
-                        }
-                    }
-                } else if (!isSelfClosing) {
-                    tagStack.push(tagName);
-                }
-            }
-            
-            if (tagStack.length > 0) {
-                errors.push(`Unclosed tags: ${tagStack.join(', ')}`);
-            }
-            
-        } catch (error) {
-            errors.push(`XML parsing error: ${error.message}`);
-        }
-        
+    getFeedback(question) {
+        if (!this.options.includeExplanations) return null;
+
+        const feedback = question.feedback || {};
+        const clean = (text) => String(text ?? '').trim();
+        const gradedAsWhole = QTIExporter.OUTCOME_FEEDBACK_TYPES.includes(question.type);
+        const hasChoices = ['multiple_choice', 'multiple_answers'].includes(question.type);
         return {
-            isValid: errors.length === 0,
-            errors: errors
+            general: clean(feedback.general ?? question.explanation),
+            correct: gradedAsWhole ? clean(feedback.correct) : '',
+            incorrect: gradedAsWhole ? clean(feedback.incorrect) : '',
+            choices: (hasChoices ? question.choices || [] : [])
+                .map((choice, index) => ({ ident: `${index}`, text: clean(choice.feedback) }))
+                .filter(choice => choice.text)
         };
     }
 
+    /**
+     * Conditions placed before scoring: general feedback always shows, per-choice feedback when that choice was picked
+     */
+    generateFeedbackConditions(question) {
+        const feedback = this.getFeedback(question);
+        if (!feedback) return '';
+
+        const condition = (test, linkId) => `
+          <respcondition continue="Yes">
+            <conditionvar>
+              ${test}
+            </conditionvar>
+            <displayfeedback feedbacktype="Response" linkrefid="${linkId}"/>
+          </respcondition>`;
+
+        let xml = feedback.general ? condition('<other/>', 'general_fb') : '';
+        feedback.choices.forEach(choice => {
+            xml += condition(`<varequal respident="response1">${choice.ident}</varequal>`, `${choice.ident}_fb`);
+        });
+        return xml;
+    }
+
+    /**
+     * displayfeedback link for the correct / incorrect feedback inside a scoring condition
+     */
+    generateFeedbackLink(question, kind) {
+        const feedback = this.getFeedback(question);
+        if (!feedback || !feedback[kind]) return '';
+
+        const linkId = kind === 'correct' ? 'correct_fb' : 'general_incorrect_fb';
+        return `
+            <displayfeedback feedbacktype="Response" linkrefid="${linkId}"/>`;
+    }
+
+    /**
+     * Catch-all condition after the scoring one: reached only when the answer was not correct
+     */
+    generateIncorrectFeedbackCondition(question) {
+        const link = this.generateFeedbackLink(question, 'incorrect');
+        if (!link) return '';
+
+        return `
+          <respcondition continue="Yes">
+            <conditionvar>
+              <other/>
+            </conditionvar>${link}
+          </respcondition>`;
+    }
+
+    /**
+     * itemfeedback blocks referenced by the displayfeedback links
+     */
+    generateItemFeedback(question) {
+        const feedback = this.getFeedback(question);
+        if (!feedback) return '';
+
+        const entries = [
+            { ident: 'general_fb', text: feedback.general },
+            { ident: 'correct_fb', text: feedback.correct },
+            { ident: 'general_incorrect_fb', text: feedback.incorrect },
+            ...feedback.choices.map(choice => ({ ident: `${choice.ident}_fb`, text: choice.text }))
+        ];
+
+        return entries.filter(entry => entry.text).map(entry => `
+        <itemfeedback ident="${entry.ident}">
+          <flow_mat>
+            <material>
+              <mattext texttype="text/html">${this.escapeForHTML(entry.text)}</mattext>
+            </material>
+          </flow_mat>
+        </itemfeedback>`).join('');
+    }
+
+    /**
+     * Question text as HTML, followed by the images attached to the question
+     */
+    questionTextHTML(question) {
+        return this.escapeForHTML(question.text) + this.imagesHTML(question.images);
+    }
+
+    /**
+     * Choice text as HTML, followed by the image attached to the choice
+     */
+    choiceHTML(choice) {
+        return this.escapeForHTML(choice.text) + this.imagesHTML(choice.image ? [choice.image] : []);
+    }
+
+    /**
+     * Entity-escaped <img> tags for attached images
+     * Packages point at the copies in course files; plain XML exports embed the data URL
+     */
+    imagesHTML(images) {
+        return (images || []).filter(image => image && image.dataUrl).map(image => {
+            const fileName = this.imageFiles && this.imageFiles.get(image.id);
+            const src = fileName ? ImageAttachments.fileBaseUrl(fileName) : image.dataUrl;
+            return this.escapeXML(`<p><img src="${this.escapeXML(src)}" alt="${this.escapeXML(image.name || '')}" /></p>`);
+        }).join('');
+    }
+
     /**
      * Escape text for HTML content while preserving LaTeX img tags
      */
@@ -503,18 +1133,97 @@ class QTIExporter {
     }
 
     /**
-     * Generate unique ID
+     * Generate an ident derived from its parts, so re-exports reuse it
+     * @param {...*} parts - Assessment ident plus whatever identifies the element
+     */
+    generateId(...parts) {
+        return `i${StableId.derive(...parts)}`;
+    }
+
+    /**
+     * Ident of the assessment, derived from the ID saved with it
+     */
+    generateAssessmentId(assessment) {
+        return this.generateId(StableId.assessmentId(assessment), 'assessment');
+    }
+
+    /**
+     * Item ident of a question, derived from its persistent ID
+     * @param {string|number} questionId - question.id
+     * @param {string} assessmentId - Assessment ident
+     */
+    generateQuestionId(questionId, assessmentId) {
+        return `question_${String(questionId).replace(/[^A-Za-z0-9_.-]/g, '_')}_${this.generateId(assessmentId, 'question', questionId)}`;
+    }
+
+    /**
+     * Questions a group draws: pickCount, capped at the pool size; all of them when unset
+     * @param {Object} group - Question group
+     * @param {Array} questions - Questions assigned to the group
+     * @returns {number}
+     */
+    static groupPickCount(group, questions) {
+        return Math.min(parseInt(group.pickCount, 10) || questions.length, questions.length);
+    }
+
+    /**
+     * Points of each drawn question; a group without pointsPerItem (null or cleared) uses its first question's points,
+     * while an explicit 0 stays 0
+     * @param {Object} group - Question group
+     * @param {Array} questions - Questions assigned to the group
+     * @returns {number}
      */
-    generateId() {
-        return 'i' + Math.random().toString(36).substring(2, 15);
+    static groupPointsPerItem(group, questions) {
+        const unset = group.pointsPerItem === null || group.pointsPerItem === undefined || group.pointsPerItem === '';
+        const points = Number(unset ? (questions[0] || {}).points : group.pointsPerItem);
+        return Number.isFinite(points) ? points : 0;
     }
 
     /**
-     * Generate question ID
+     * Total points a student can earn; groups contribute pickCount × pointsPerItem, as written to the QTI
+     * Shared by assessment_meta.xml and the editor, so both agree with the exported groups
+     * @param {Object} assessment - Assessment object
+     * @returns {number}
      */
-    generateQuestionId(questionNum) {
-        return `question_${questionNum}_${this.generateId()}`;
+    static calculatePointsPossible(assessment) {
+        const groups = assessment.groups || [];
+        const ungrouped = assessment.questions
+            .filter(q => !groups.some(g => g.id === q.groupId))
+            .reduce((sum, q) => sum + (Number(q.points) || 0), 0);
+
+        return groups.reduce((sum, group) => {
+            const pool = assessment.questions.filter(q => q.groupId === group.id);
+            if (pool.length === 0) return sum;
+            return sum + QTIExporter.groupPickCount(group, pool) * QTIExporter.groupPointsPerItem(group, pool);
+        }, ungrouped);
+    }
+
+    /**
+     * Questions an export left out, numbered as in the editor and with the reason when they could not be exported yet
+     * Every export reports its skipped questions in this shape, so the messages shown for them agree
+     * @param {Object} assessment - Assessment object
+     * @param {Array<Object>} skipped - Skipped questions, with a reason property when they are invalid
+     * @returns {Array<{id: *, type: string, number: number, reason: (string|null)}>}
+     */
+    static describeSkipped(assessment, skipped) {
+        return skipped.map(question => ({
+            id: question.id,
+            type: question.type,
+            number: assessment.questions.findIndex(candidate => candidate.id === question.id) + 1,
+            reason: question.reason || null
+        }));
     }
 }
 
+// Question types scored all-or-nothing, so correct/incorrect feedback can hang off the scoring condition
+QTIExporter.OUTCOME_FEEDBACK_TYPES = [
+    'multiple_choice',
+    'multiple_answers',
+    'true_false',
+    'short_answer',
+    'fill_in_blank',
+    'numerical',
+    'calculated'
+];
+
 export default QTIExporter;
\ No newline at end of file
@@ -0,0 +1,589 @@
+import xml2js from 'xml2js';
+import AdmZip from 'adm-zip';
+import LaTeXRenderer from './latex-renderer.js';
+import MathDelimiters from './services/math-delimiters.js';
+import QuizSettings from './services/quiz-settings.js';
+
+/**
+ * QTI Importer - Reads Canvas QTI 1.2 exports back into the assessment model
+ * Counterpart of QTIExporter; runs in the main process (xml2js, adm-zip)
+ */
+class QTIImporter {
+    constructor() {
+        this.latexRenderer = new LaTeXRenderer();
+        this.parserOptions = {
+            explicitChildren: true,
+            preserveChildrenOrder: true,
+            charsAsChildren: false
+        };
+    }
+
+    /**
+     * Import an assessment from a Canvas QTI package (.zip / .imscc)
+     * @param {Buffer} buffer - Zip file contents
+     * @returns {Promise<{assessment: Object, skipped: Array}>}
+     */
+    async importPackage(buffer) {
+        const zip = new AdmZip(buffer);
+        const entry = zip.getEntries().find(candidate =>
+            !candidate.isDirectory &&
+            candidate.entryName.endsWith('.xml') &&
+            candidate.getData().toString('utf8').includes('<questestinterop')
+        );
+
+        if (!entry) {
+            throw new Error('No QTI assessment found in package');
+        }
+
+        const result = await this.importXML(entry.getData().toString('utf8'));
+
+        // Canvas keeps the remaining quiz settings next to the assessment
+        const metaEntry = zip.getEntries().find(candidate => candidate.entryName.endsWith('assessment_meta.xml'));
+        if (metaEntry) {
+            const meta = await this.readAssessmentMeta(metaEntry.getData().toString('utf8'));
+            result.assessment.description = meta.description || result.assessment.description;
+            result.assessment.settings = QuizSettings.normalize({ ...result.assessment.settings, ...meta.settings });
+        }
+        return result;
+    }
+
+    /**
+     * Read the quiz settings from Canvas's assessment_meta.xml
+     * @param {string} xmlString - quiz document
+     * @returns {Promise<{description: string, settings: Object}>} Only the settings present in the file
+     */
+    async readAssessmentMeta(xmlString) {
+        const root = await new xml2js.Parser({ explicitArray: false }).parseStringPromise(xmlString);
+        const quiz = root.quiz || {};
+        const value = (name) => (typeof quiz[name] === 'string' ? quiz[name].trim() : '');
+        const flag = (name) => (value(name) ? value(name) === 'true' : undefined);
+
+        const settings = {
+            quizType: value('quiz_type') || undefined,
+            shuffleAnswers: flag('shuffle_answers'),
+            scoringPolicy: value('scoring_policy') || undefined,
+            showCorrectAnswers: flag('show_correct_answers'),
+            oneQuestionAtATime: flag('one_question_at_a_time'),
+            accessCode: value('access_code')
+        };
+        const attempts = parseInt(value('allowed_attempts'), 10);
+        if (!Number.isNaN(attempts)) {
+            settings.allowedAttempts = attempts > 0 ? attempts : 0;
+        }
+
+        return {
+            description: value('description'),
+            settings: Object.fromEntries(Object.entries(settings).filter(([, setting]) => setting !== undefined))
+        };
+    }
+
+    /**
+     * Import an assessment from QTI 1.2 XML
+     * @param {string} xmlString - questestinterop document
+     * @returns {Promise<{assessment: Object, skipped: Array}>}
+     */
+    async importXML(xmlString) {
+        const parser = new xml2js.Parser(this.parserOptions);
+        const root = await parser.parseStringPromise(this.wrapMarkupInMattext(xmlString));
+
+        const questestinterop = root.questestinterop;
+        if (!questestinterop) {
+            throw new Error('Not a QTI 1.2 document: missing questestinterop');
+        }
+
+        const assessmentNode = this.children(questestinterop, 'assessment')[0];
+        if (!assessmentNode) {
+            throw new Error('QTI document has no assessment');
+        }
+
+        const metadata = this.readMetadata(this.children(assessmentNode, 'qtimetadata')[0]);
+        const questions = [];
+        const groups = [];
+        const skipped = [];
+
+        this.children(assessmentNode, 'section').forEach(section => {
+            this.collectItems(section, null, { questions, groups, skipped });
+        });
+
+        const timeLimit = parseInt(metadata.qmd_timelimit || metadata.cc_timelimit, 10) || 0;
+        const maxAttempts = metadata.cc_maxattempts === 'unlimited' ? 0 : metadata.cc_maxattempts;
+        const ident = this.attr(assessmentNode, 'ident');
+
+        return {
+            assessment: {
+                // Re-importing the same quiz gives the same ID, and so the same idents on export
+                id: ident ? `qti_${ident}` : undefined,
+                title: this.attr(assessmentNode, 'title') || '',
+                description: '',
+                timeLimit,
+                settings: QuizSettings.normalize({ allowedAttempts: maxAttempts }),
+                questions,
+                groups
+            },
+            skipped
+        };
+    }
+
+    /**
+     * Walk a section (and nested question groups) collecting questions in document order
+     */
+    collectItems(section, parentGroup, result) {
+        const { questions, groups, skipped } = result;
+        const group = this.readGroup(section) || parentGroup;
+        if (group && group !== parentGroup) {
+            groups.push(group);
+        }
+
+        (section.$$ || []).forEach(child => {
+            if (child['#name'] === 'section') {
+                this.collectItems(child, group, result);
+            } else if (child['#name'] === 'item') {
+                const question = this.parseItem(child);
+                if (!question) {
+                    skipped.push({
+                        ident: this.attr(child, 'ident'),
+                        title: this.attr(child, 'title'),
+                        type: this.readMetadata(this.findPath(child, ['itemmetadata', 'qtimetadata'])).question_type || 'unknown'
+                    });
+                    return;
+                }
+                // The item keeps its own points_possible; the group's pointsPerItem scores it while grouped
+                if (group) {
+                    question.groupId = group.id;
+                }
+                questions.push(question);
+            }
+        });
+    }
+
+    /**
+     * Convert a single QTI item into an app question, or null if unsupported
+     */
+    parseItem(item) {
+        const metadata = this.readMetadata(this.findPath(item, ['itemmetadata', 'qtimetadata']));
+        const presentation = this.children(item, 'presentation')[0];
+        if (!presentation) return null;
+
+        const question = {
+            id: `qti_${this.attr(item, 'ident')}`,
+            type: null,
+            text: this.materialToText(this.children(presentation, 'material')[0]),
+            points: parseFloat(metadata.points_possible) || 0,
+            source: 'qti_import'
+        };
+
+        const labels = this.readResponseLabels(presentation);
+        const correctIdents = this.readCorrectIdents(this.children(item, 'resprocessing')[0]);
+
+        switch (metadata.question_type) {
+            case 'multiple_choice_question': {
+                question.type = 'multiple_choice';
+                question.choices = labels.map((label, index) => ({
+                    id: index,
+                    text: label.text,
+                    correct: correctIdents.includes(label.ident)
+                }));
+                const correctIndex = question.choices.findIndex(choice => choice.correct);
+                question.correctAnswer = correctIndex >= 0 ? correctIndex : 0;
+                break;
+            }
+            case 'multiple_answers_question':
+                question.type = 'multiple_answers';
+                question.choices = labels.map((label, index) => ({
+                    id: index,
+                    text: label.text,
+                    correct: correctIdents.includes(label.ident)
+                }));
+                question.correctAnswer = question.choices
+                    .map((choice, index) => (choice.correct ? index : -1))
+                    .filter(index => index >= 0);
+                break;
+            case 'numerical_question':
+                question.type = 'numerical';
+                question.numericAnswer = this.readNumericAnswer(this.children(item, 'resprocessing')[0]);
+                break;
+            case 'calculated_question':
+                question.type = 'calculated';
+                question.calculated = this.readCalculated(this.findPath(item, ['itemproc_extension', 'calculated']));
+                break;
+            case 'fill_in_multiple_blanks_question':
+                question.type = 'fill_in_multiple_blanks';
+                question.blanks = this.readBlanks(presentation, this.children(item, 'resprocessing')[0])
+                    .map(blank => ({ name: blank.name, answers: blank.options.filter(option => option.correct).map(option => option.text) }));
+                break;
+            case 'multiple_dropdowns_question':
+                question.type = 'multiple_dropdowns';
+                question.blanks = this.readBlanks(presentation, this.children(item, 'resprocessing')[0]);
+                break;
+            case 'matching_question':
+                question.type = 'matching';
+                Object.assign(question, this.readMatching(presentation, this.children(item, 'resprocessing')[0]));
+                break;
+            case 'true_false_question': {
+                question.type = 'true_false';
+                const correctLabel = labels.find(label => correctIdents.includes(label.ident));
+                const isTrue = correctLabel && /^(true|verdadero|cierto)$/i.test(correctLabel.text.trim());
+                question.correctAnswer = isTrue ? 'true' : 'false';
+                break;
+            }
+            case 'short_answer_question':
+                question.type = 'short_answer';
+                question.acceptedAnswers = correctIdents.filter(answer => answer.length > 0);
+                question.sampleAnswer = question.acceptedAnswers[0] || '';
+                break;
+            case 'essay_question':
+                question.type = 'essay';
+                question.gradingRubric = '';
+                break;
+            default:
+                return null;
+        }
+
+        this.applyFeedback(question, item, labels);
+        return question;
+    }
+
+    /**
+     * Copy itemfeedback back onto the question: Canvas names them general_fb, correct_fb,
+     * general_incorrect_fb and <answer ident>_fb for per-choice comments
+     */
+    applyFeedback(question, item, labels) {
+        const feedbackTexts = {};
+        this.children(item, 'itemfeedback').forEach(itemfeedback => {
+            const material = this.findPath(itemfeedback, ['flow_mat', 'material']) || this.children(itemfeedback, 'material')[0];
+            feedbackTexts[this.attr(itemfeedback, 'ident')] = this.materialToText(material);
+        });
+
+        const feedback = {
+            general: feedbackTexts.general_fb || '',
+            correct: feedbackTexts.correct_fb || '',
+            incorrect: feedbackTexts.general_incorrect_fb || ''
+        };
+        if (feedback.general || feedback.correct || feedback.incorrect) {
+            question.feedback = feedback;
+        }
+
+        (question.choices || []).forEach((choice, index) => {
+            const text = labels[index] && feedbackTexts[`${labels[index].ident}_fb`];
+            if (text) {
+                choice.feedback = text;
+            }
+        });
+    }
+
+    /**
+     * Read response_label idents and texts from a presentation block
+     */
+    readResponseLabels(presentation) {
+        const labels = [];
+        const visit = (node) => {
+            (node.$$ || []).forEach(child => {
+                if (child['#name'] === 'response_label') {
+                    labels.push({
+                        ident: this.attr(child, 'ident'),
+                        text: this.materialToText(this.children(child, 'material')[0])
+                    });
+                } else if (child['#name'] !== 'material') {
+                    visit(child);
+                }
+            });
+        };
+        visit(presentation);
+        return labels;
+    }
+
+    /**
+     * Collect varequal values from the response conditions that award points
+     */
+    readCorrectIdents(resprocessing) {
+        if (!resprocessing) return [];
+
+        const idents = [];
+        this.children(resprocessing, 'respcondition').forEach(condition => {
+            const awardsScore = this.children(condition, 'setvar').some(setvar =>
+                parseFloat(this.text(setvar)) > 0
+            );
+            if (!awardsScore) return;
+
+            // Multiple answers wrap the selected choices in <and>; the ones under <not> are wrong
+            const conditionvar = this.children(condition, 'conditionvar')[0];
+            const containers = [conditionvar, ...this.children(conditionvar, 'and')];
+            containers.forEach(container => {
+                this.children(container, 'varequal').forEach(varequal => {
+                    idents.push(this.text(varequal).trim());
+                });
+            });
+        });
+        return idents;
+    }
+
+    /**
+     * Read the first scored numerical answer: a bare vargte/varlte pair is a range,
+     * anything with a varequal is an exact value with its margin
+     */
+    readNumericAnswer(resprocessing) {
+        const condition = this.children(resprocessing, 'respcondition').find(candidate =>
+            this.children(candidate, 'setvar').some(setvar => parseFloat(this.text(setvar)) > 0)
+        );
+        const conditionvar = condition ? this.children(condition, 'conditionvar')[0] : null;
+        if (!conditionvar) return { mode: 'exact', value: '', margin: 0 };
+
+        const container = this.children(conditionvar, 'or')[0] || conditionvar;
+        const bounds = this.children(container, 'and')[0] || container;
+        const readNumber = (parent, name) => {
+            const node = this.children(parent, name)[0];
+            return node ? parseFloat(this.text(node)) : NaN;
+        };
+
+        const exact = readNumber(container, 'varequal');
+        const lower = readNumber(bounds, 'vargte');
+        const upper = readNumber(bounds, 'varlte');
+
+        if (Number.isNaN(exact)) {
+            return { mode: 'range', start: Number.isNaN(lower) ? '' : lower, end: Number.isNaN(upper) ? '' : upper };
+        }
+        const margin = Number.isNaN(upper) ? 0 : parseFloat((upper - exact).toPrecision(12));
+        return { mode: 'exact', value: exact, margin };
+    }
+
+    /**
+     * Read a formula question's variables, formula and answer sets from itemproc_extension
+     */
+    readCalculated(calculated) {
+        const formulas = this.children(calculated, 'formulas')[0];
+        const number = (node) => parseFloat(this.text(node));
+
+        const variables = this.children(this.children(calculated, 'vars')[0], 'var').map(variable => ({
+            name: this.attr(variable, 'name'),
+            min: number(this.children(variable, 'min')[0]),
+            max: number(this.children(variable, 'max')[0]),
+            decimals: parseInt(this.attr(variable, 'scale'), 10) || 0
+        }));
+
+        const answerSets = this.children(this.children(calculated, 'var_sets')[0], 'var_set').map(varSet => {
+            const values = {};
+            this.children(varSet, 'var').forEach(variable => {
+                values[this.attr(variable, 'name')] = number(variable);
+            });
+            return { values, answer: number(this.children(varSet, 'answer')[0]) };
+        });
+
+        return {
+            formula: this.text(this.children(formulas, 'formula')[0]).trim(),
+            decimals: parseInt(this.attr(formulas, 'decimal_places'), 10) || 0,
+            tolerance: number(this.children(calculated, 'answer_tolerance')[0]) || 0,
+            variables,
+            answerCount: answerSets.length || 10,
+            answerSets
+        };
+    }
+
+    /**
+     * Read the blanks of a multiple-blanks / dropdowns item: one response_lid per [name],
+     * its labels marked correct when a scored varequal points at them
+     */
+    readBlanks(presentation, resprocessing) {
+        const correct = new Set();
+        this.children(resprocessing, 'respcondition').forEach(condition => {
+            const varequal = this.findPath(condition, ['conditionvar', 'varequal']);
+            if (varequal) {
+                correct.add(`${this.attr(varequal, 'respident')}|${this.text(varequal).trim()}`);
+            }
+        });
+
+        return this.children(presentation, 'response_lid').map(responseLid => {
+            const ident = this.attr(responseLid, 'ident');
+            const material = this.children(responseLid, 'material')[0];
+            return {
+                name: (material ? this.materialToText(material) : '') || ident.replace(/^response_/, ''),
+                options: this.readResponseLabels(responseLid).map(label => ({
+                    text: label.text,
+                    correct: correct.has(`${ident}|${label.ident}`)
+                }))
+            };
+        });
+    }
+
+    /**
+     * Rebuild matching pairs: each response_lid is a left item, its scored varequal names the right one
+     */
+    readMatching(presentation, resprocessing) {
+        const answers = {};
+        this.children(resprocessing, 'respcondition').forEach(condition => {
+            const varequal = this.findPath(condition, ['conditionvar', 'varequal']);
+            if (varequal) {
+                answers[this.attr(varequal, 'respident')] = this.text(varequal).trim();
+            }
+        });
+
+        const options = new Map();
+        const matches = this.children(presentation, 'response_lid').map(responseLid => {
+            this.readResponseLabels(responseLid).forEach(label => options.set(label.ident, label.text));
+            return {
+                left: this.materialToText(this.children(responseLid, 'material')[0]),
+                rightIdent: answers[this.attr(responseLid, 'ident')]
+            };
+        });
+
+        const usedIdents = new Set(matches.map(match => match.rightIdent));
+        return {
+            matches: matches.map(match => ({ left: match.left, right: options.get(match.rightIdent) || '' })),
+            distractors: [...options.entries()]
+                .filter(([ident]) => !usedIdents.has(ident))
+                .map(([, text]) => text)
+        };
+    }
+
+    /**
+     * Read a Canvas question group (section with selection_ordering), or null for plain sections
+     */
+    readGroup(section) {
+        const selection = this.findPath(section, ['selection_ordering', 'selection']);
+        if (!selection) return null;
+
+        const pickCount = parseInt(this.text(this.children(selection, 'selection_number')[0]), 10);
+        const pointsNode = this.findPath(selection, ['selection_extension', 'points_per_item']);
+        const pointsPerItem = pointsNode ? parseFloat(this.text(pointsNode)) : NaN;
+
+        return {
+            id: `qti_${this.attr(section, 'ident')}`,
+            name: this.attr(section, 'title') || '',
+            pickCount: isNaN(pickCount) ? 1 : pickCount,
+            pointsPerItem: isNaN(pointsPerItem) ? null : pointsPerItem
+        };
+    }
+
+    /**
+     * Turn a qtimetadata block into a { fieldlabel: fieldentry } map
+     */
+    readMetadata(qtimetadata) {
+        const fields = {};
+        if (!qtimetadata) return fields;
+
+        this.children(qtimetadata, 'qtimetadatafield').forEach(field => {
+            const label = this.children(field, 'fieldlabel')[0];
+            const entry = this.children(field, 'fieldentry')[0];
+            if (label) {
+                fields[this.text(label).trim()] = entry ? this.text(entry).trim() : '';
+            }
+        });
+        return fields;
+    }
+
+    /**
+     * Convert a material node to editor text with $...$ LaTeX
+     */
+    materialToText(material) {
+        if (!material) return '';
+        const mattext = this.children(material, 'mattext')[0];
+        if (!mattext) return '';
+
+        const content = this.text(mattext);
+        const textType = this.attr(mattext, 'texttype') || 'text/plain';
+        return textType === 'text/html' ? this.htmlToText(content) : content.trim();
+    }
+
+    /**
+     * Convert Canvas HTML to plain text, turning equation images back into LaTeX
+     */
+    htmlToText(html) {
+        if (!html) return '';
+
+        const withLatex = html.replace(/<img\b[^>]*>/gi, (tag) => {
+            if (!/class\s*=\s*["'][^"']*equation_image/i.test(tag)) {
+                return '';
+            }
+            const latex = this.latexFromEquationImage(tag);
+            const isDisplay = /display:\s*block/i.test(this.readTagAttribute(tag, 'style') || '');
+            return isDisplay ? `$$${latex}$$` : `$${latex}$`;
+        }).replace(/<math\b([^>]*)>([\s\S]*?)<\/math>/gi, (math, attributes, content) => {
+            // MathML written with its TeX annotation (KaTeX does) goes back to dollars
+            const annotation = content.match(/<annotation\b[^>]*encoding\s*=\s*["']application\/x-tex["'][^>]*>([\s\S]*?)<\/annotation>/i);
+            if (!annotation) {
+                return math;
+            }
+            const isDisplay = /display\s*=\s*["']block["']/i.test(attributes);
+            return isDisplay ? `$$${annotation[1].trim()}$$` : `$${annotation[1].trim()}$`;
+        });
+
+        const text = withLatex
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|li|h[1-6])>/gi, '\n')
+            .replace(/<[^>]+>/g, '');
+
+        return MathDelimiters.fromMathJax(this.decodeEntities(text))
+            .replace(/\u00a0/g, ' ')
+            .split('\n')
+            .map(line => line.replace(/[ \t]+/g, ' ').trim())
+            .filter(line => line.length > 0)
+            .join('\n');
+    }
+
+    /**
+     * Recover the LaTeX source of a Canvas equation_image tag
+     */
+    latexFromEquationImage(tag) {
+        const content = this.readTagAttribute(tag, 'data-equation-content') || this.readTagAttribute(tag, 'title');
+        if (content) {
+            return this.decodeEntities(content);
+        }
+
+        const src = this.decodeEntities(this.readTagAttribute(tag, 'src') || '');
+        const marker = 'equation_images/';
+        const index = src.indexOf(marker);
+        return index >= 0 ? this.latexRenderer.decodeLatexFromCanvas(src.substring(index + marker.length)) : '';
+    }
+
+    readTagAttribute(tag, name) {
+        const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(["'])([\\s\\S]*?)\\1`, 'i'));
+        return match ? match[2] : null;
+    }
+
+    decodeEntities(text) {
+        return text
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;|&apos;/g, "'")
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+            .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Our own exports embed raw <img> markup inside mattext; wrap it in CDATA so it
+     * reaches us as text just like Canvas's entity-escaped HTML does
+     */
+    wrapMarkupInMattext(xmlString) {
+        return xmlString.replace(/(<mattext\b[^>]*>)([\s\S]*?)(<\/mattext>)/g, (match, open, inner, close) => {
+            if (!inner.includes('<') || inner.trim().startsWith('<![CDATA[')) {
+                return match;
+            }
+            return `${open}<![CDATA[${inner.replace(/]]>/g, ']]]]><![CDATA[>')}]]>${close}`;
+        });
+    }
+
+    // xml2js node helpers
+
+    children(node, name) {
+        if (!node || !node.$$) return [];
+        return node.$$.filter(child => child['#name'] === name);
+    }
+
+    findPath(node, path) {
+        return path.reduce((current, name) => (current ? this.children(current, name)[0] : undefined), node);
+    }
+
+    attr(node, name) {
+        return node && node.$ ? node.$[name] : undefined;
+    }
+
+    text(node) {
+        if (node === undefined || node === null) return '';
+        if (typeof node === 'string') return node;
+        return node._ || '';
+    }
+}
+
+export default QTIImporter;
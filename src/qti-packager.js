@@ -0,0 +1,168 @@
+import AdmZip from 'adm-zip';
+import QTIExporter from './qti-exporter.js';
+import QuizSettings from './services/quiz-settings.js';
+import ImageAttachments from './services/image-attachments.js';
+
+/**
+ * QTI Packager - Wraps QTIExporter output in a Canvas-ready IMS content package
+ * Layout follows Canvas's own quiz exports:
+ *   imsmanifest.xml
+ *   <assessmentId>/<assessmentId>.xml
+ *   <assessmentId>/assessment_meta.xml
+ *   web_resources/Uploaded Media/<image>   (images attached to questions and choices)
+ */
+class QTIPackager {
+    constructor(qtiExporter = new QTIExporter()) {
+        this.qtiExporter = qtiExporter;
+    }
+
+    /**
+     * Build the list of files that make up the package
+     * @param {Object} assessment - Assessment object
+     * @returns {{assessmentId: string, files: Array<{path: string, content: (string|Buffer)}>, skipped: Array<Object>}}
+     *   skipped lists questions that cannot be exported yet, each with a reason
+     */
+    buildPackage(assessment) {
+        const skipped = this.qtiExporter.getSkippedQuestions(assessment);
+        if (skipped.length > 0) {
+            const skippedIds = new Set(skipped.map(question => question.id));
+            assessment = { ...assessment, questions: assessment.questions.filter(question => !skippedIds.has(question.id)) };
+        }
+        const assessmentId = this.qtiExporter.generateAssessmentId(assessment);
+        const metaId = this.qtiExporter.generateId(assessmentId, 'assessment_meta');
+        const images = ImageAttachments.collect(assessment);
+        const imageFiles = ImageAttachments.fileNames(images);
+        const imageResources = images.map(image => ({
+            identifier: this.qtiExporter.generateId(assessmentId, 'file', imageFiles.get(image.id)),
+            path: `${ImageAttachments.PACKAGE_ROOT}/${ImageAttachments.FOLDER}/${imageFiles.get(image.id)}`,
+            content: Buffer.from(ImageAttachments.decode(image).base64, 'base64')
+        }));
+
+        return {
+            assessmentId,
+            skipped,
+            files: [
+                {
+                    path: 'imsmanifest.xml',
+                    content: this.generateManifest(assessment, assessmentId, metaId, imageResources)
+                },
+                {
+                    path: `${assessmentId}/${assessmentId}.xml`,
+                    content: this.qtiExporter.generateQTI(assessment, { assessmentId, imageFiles })
+                },
+                {
+                    path: `${assessmentId}/assessment_meta.xml`,
+                    content: this.generateAssessmentMeta(assessment, assessmentId)
+                },
+                ...imageResources.map(({ path, content }) => ({ path, content }))
+            ]
+        };
+    }
+
+    /**
+     * Create the zip archive for an assessment
+     * @param {Object} assessment - Assessment object
+     * @returns {Buffer} Zip file contents
+     */
+    createZip(assessment) {
+        return this.zipFiles(this.buildPackage(assessment).files);
+    }
+
+    /**
+     * Zip files from buildPackage, so a package can be checked before it is written
+     * @param {Array<{path: string, content: (string|Buffer)}>} files - Package files
+     * @returns {Buffer} Zip file contents
+     */
+    zipFiles(files) {
+        const zip = new AdmZip();
+        files.forEach(file => {
+            zip.addFile(file.path, Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8'));
+        });
+        return zip.toBuffer();
+    }
+
+    /**
+     * Generate imsmanifest.xml pointing at the assessment, its Canvas metadata and attached images
+     * It carries no export date, so exporting the same assessment on another day gives the same manifest
+     */
+    generateManifest(assessment, assessmentId, metaId, imageResources = []) {
+        const escape = (text) => this.qtiExporter.escapeXML(text);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${this.qtiExporter.generateId(assessmentId, 'manifest')}" xmlns="http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1" xmlns:lom="http://ltsc.ieee.org/xsd/imsccv1p1/LOM/resource" xmlns:imsmd="http://www.imsglobal.org/xsd/imsmd_v1p2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1 http://www.imsglobal.org/xsd/imscp_v1p1.xsd http://ltsc.ieee.org/xsd/imsccv1p1/LOM/resource http://www.imsglobal.org/profile/cc/ccv1p1/LOM/ccv1p1_lomresource_v1p0.xsd http://www.imsglobal.org/xsd/imsmd_v1p2 http://www.imsglobal.org/xsd/imsmd_v1p2p2.xsd">
+  <metadata>
+    <schema>IMS Content</schema>
+    <schemaversion>1.1.3</schemaversion>
+    <imsmd:lom>
+      <imsmd:general>
+        <imsmd:title>
+          <imsmd:string>${escape(assessment.title || 'QTI Export')}</imsmd:string>
+        </imsmd:title>
+      </imsmd:general>
+    </imsmd:lom>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="${assessmentId}" type="imsqti_xmlv1p2">
+      <file href="${assessmentId}/${assessmentId}.xml"/>
+      <dependency identifierref="${metaId}"/>${imageResources.map(resource => `
+      <dependency identifierref="${resource.identifier}"/>`).join('')}
+    </resource>
+    <resource identifier="${metaId}" type="associatedcontent/imscc_xmlv1p1/learning-application-resource" href="${assessmentId}/assessment_meta.xml">
+      <file href="${assessmentId}/assessment_meta.xml"/>
+    </resource>${imageResources.map(resource => `
+    <resource identifier="${resource.identifier}" type="webcontent" href="${escape(resource.path)}">
+      <file href="${escape(resource.path)}"/>
+    </resource>`).join('')}
+  </resources>
+</manifest>`;
+    }
+
+    /**
+     * Generate Canvas's assessment_meta.xml with the quiz settings
+     */
+    generateAssessmentMeta(assessment, assessmentId) {
+        const escape = (text) => this.qtiExporter.escapeXML(text);
+        const pointsPossible = this.calculatePointsPossible(assessment);
+        const timeLimit = assessment.timeLimit > 0 ? assessment.timeLimit : '';
+        const settings = QuizSettings.normalize(assessment.settings);
+        const accessCode = settings.accessCode ? `
+  <access_code>${escape(settings.accessCode)}</access_code>` : '';
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<quiz identifier="${assessmentId}" xmlns="http://canvas.instructure.com/xsd/cccv1p0" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://canvas.instructure.com/xsd/cccv1p0 https://canvas.instructure.com/xsd/cccv1p0.xsd">
+  <title>${escape(assessment.title)}</title>
+  <description>${escape(assessment.description)}</description>
+  <shuffle_answers>${settings.shuffleAnswers}</shuffle_answers>
+  <scoring_policy>${settings.scoringPolicy}</scoring_policy>
+  <hide_results></hide_results>
+  <quiz_type>${settings.quizType}</quiz_type>
+  <points_possible>${pointsPossible}</points_possible>
+  <require_lockdown_browser>false</require_lockdown_browser>
+  <require_lockdown_browser_for_results>false</require_lockdown_browser_for_results>
+  <require_lockdown_browser_monitor>false</require_lockdown_browser_monitor>
+  <lockdown_browser_monitor_data/>
+  <show_correct_answers>${settings.showCorrectAnswers}</show_correct_answers>
+  <anonymous_submissions>false</anonymous_submissions>
+  <could_be_locked>false</could_be_locked>
+  <time_limit>${timeLimit}</time_limit>
+  <allowed_attempts>${QuizSettings.canvasAttempts(settings)}</allowed_attempts>
+  <one_question_at_a_time>${settings.oneQuestionAtATime}</one_question_at_a_time>
+  <cant_go_back>false</cant_go_back>
+  <available>false</available>
+  <one_time_results>false</one_time_results>
+  <show_correct_answers_last_attempt>false</show_correct_answers_last_attempt>
+  <only_visible_to_overrides>false</only_visible_to_overrides>
+  <module_locked>false</module_locked>${accessCode}
+</quiz>`;
+    }
+
+    /**
+     * Total points a student can earn; groups contribute pickCount × pointsPerItem
+     */
+    calculatePointsPossible(assessment) {
+        return QTIExporter.calculatePointsPossible(assessment);
+    }
+}
+
+export default QTIPackager;
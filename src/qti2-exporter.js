@@ -0,0 +1,532 @@
+import LaTeXRenderer from './latex-renderer.js';
+import QTIExporter from './qti-exporter.js';
+import NumberParser from './services/number-parser.js';
+
+/**
+ * QTI 2 Exporter - Generates QTI 2.1 or QTI 3.0 items and tests from the same assessment model as QTIExporter
+ * Both versions are built from one element tree; 3.0 only renames it
+ * (assessmentItem -> qti-assessment-item, responseIdentifier -> response-identifier) and changes namespaces.
+ * Items score in points directly (SCORE up to MAXSCORE) so any QTI 2 player can total them.
+ */
+class QTI2Exporter {
+    /**
+     * @param {Object} [options] - Exporter options
+     * @param {string} [options.version='2.1'] - '2.1' or '3.0'
+     * @param {boolean} [options.includeExplanations=true] - Write explanations and other feedback as modalFeedback
+     */
+    constructor(options = {}) {
+        this.options = { version: '2.1', includeExplanations: true, ...options };
+        this.profile = QTI2Exporter.VERSIONS[this.options.version];
+        if (!this.profile) {
+            throw new Error(`Unsupported QTI version "${this.options.version}"`);
+        }
+        this.latexRenderer = new LaTeXRenderer();
+        // Answer normalisation is shared with the Canvas exporter so both targets grade alike
+        this.qtiExporter = new QTIExporter({ includeExplanations: this.options.includeExplanations });
+    }
+
+    get isV3() {
+        return this.options.version === '3.0';
+    }
+
+    /**
+     * Generate one assessmentItem document
+     * @param {Object} question - Question object
+     * @param {string} identifier - Item identifier
+     * @param {number} [points] - Points the item is worth; defaults to question.points
+     * @returns {string|null} Item XML, or null for question types QTI 2 cannot express and questions that cannot be exported yet
+     */
+    generateItem(question, identifier, points = question.points) {
+        const parts = this.buildItemParts(question, Number(points) || 0);
+        if (!parts) return null;
+
+        const feedback = this.getFeedback(question);
+        const item = this.element('assessmentItem', {
+            ...this.namespaceAttributes(),
+            identifier,
+            title: `Question ${question.id}`,
+            adaptive: 'false',
+            timeDependent: 'false'
+        },
+            parts.declarations,
+            this.element('outcomeDeclaration', { identifier: 'SCORE', cardinality: 'single', baseType: 'float' },
+                this.element('defaultValue', {}, this.element('value', {}, '0'))),
+            this.element('outcomeDeclaration', { identifier: 'MAXSCORE', cardinality: 'single', baseType: 'float' },
+                this.element('defaultValue', {}, this.element('value', {}, String(Number(points) || 0)))),
+            feedback ? this.element('outcomeDeclaration', { identifier: 'FEEDBACK', cardinality: 'multiple', baseType: 'identifier' }) : null,
+            this.element('itemBody', {}, parts.body),
+            this.generateResponseProcessing(parts.scoring, feedback),
+            this.generateModalFeedback(feedback)
+        );
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${this.serialize(item)}`;
+    }
+
+    /**
+     * Declarations, body and scoring rules for each question type
+     * @returns {{declarations: Array, body: Array, scoring: Array}|null}
+     */
+    buildItemParts(question, points) {
+        switch (question.type) {
+            case 'multiple_choice':
+            case 'multiple_answers':
+            case 'true_false':
+                return this.buildChoiceParts(question, points);
+            case 'matching':
+                return this.buildMatchingParts(question, points);
+            case 'numerical':
+                return this.buildNumericalParts(question.text, question.numericAnswer, points);
+            case 'calculated':
+                return this.buildCalculatedParts(question, points);
+            case 'short_answer':
+            case 'fill_in_blank':
+                return this.buildShortAnswerParts(question, points);
+            case 'fill_in_multiple_blanks':
+            case 'multiple_dropdowns':
+                return this.buildBlanksParts(question, points);
+            case 'essay':
+                return {
+                    declarations: [this.element('responseDeclaration', { identifier: 'RESPONSE', cardinality: 'single', baseType: 'string' })],
+                    body: [
+                        this.block(question.text),
+                        this.element('extendedTextInteraction', { responseIdentifier: 'RESPONSE' })
+                    ],
+                    scoring: []
+                };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Multiple choice, multiple answers and true/false all become a choiceInteraction
+     */
+    buildChoiceParts(question, points) {
+        let choices;
+        let correct;
+        if (question.type === 'true_false') {
+            choices = [{ identifier: 'TRUE', text: 'True' }, { identifier: 'FALSE', text: 'False' }];
+            correct = [String(question.correctAnswer) === 'true' ? 'TRUE' : 'FALSE'];
+        } else {
+            choices = (question.choices || []).map((choice, index) => ({ identifier: `CHOICE_${index}`, text: choice.text }));
+            const indexes = question.type === 'multiple_answers'
+                ? this.qtiExporter.getCorrectChoiceIndexes(question)
+                : [Number(question.correctAnswer)];
+            correct = indexes.filter(index => choices[index]).map(index => choices[index].identifier);
+        }
+
+        const multiple = question.type === 'multiple_answers';
+        return {
+            declarations: [
+                this.element('responseDeclaration', { identifier: 'RESPONSE', cardinality: multiple ? 'multiple' : 'single', baseType: 'identifier' },
+                    this.correctResponse(correct))
+            ],
+            body: [
+                this.block(question.text),
+                this.element('choiceInteraction', { responseIdentifier: 'RESPONSE', shuffle: 'false', maxChoices: multiple ? 0 : 1 },
+                    choices.map(choice => this.element('simpleChoice', { identifier: choice.identifier }, this.formatText(choice.text))))
+            ],
+            scoring: correct.length > 0 ? [this.matchCorrectCondition('RESPONSE', points)] : []
+        };
+    }
+
+    /**
+     * Matching becomes a matchInteraction of directed pairs; each pair is worth an equal share
+     */
+    buildMatchingParts(question, points) {
+        const matches = (question.matches || []).filter(match =>
+            String(match.left ?? '').trim() && String(match.right ?? '').trim()
+        );
+        const options = this.qtiExporter.getMatchingOptions(question);
+        const pairs = matches.map((match, index) =>
+            `LEFT_${index} RIGHT_${options.indexOf(String(match.right).trim())}`
+        );
+        const share = matches.length > 0 ? points / matches.length : 0;
+
+        return {
+            declarations: [
+                this.element('responseDeclaration', { identifier: 'RESPONSE', cardinality: 'multiple', baseType: 'directedPair' },
+                    this.correctResponse(pairs),
+                    this.mapping(pairs.map(pair => ({ key: pair, value: share })), points))
+            ],
+            body: [
+                this.block(question.text),
+                this.element('matchInteraction', { responseIdentifier: 'RESPONSE', shuffle: 'false', maxAssociations: matches.length },
+                    this.element('simpleMatchSet', {},
+                        matches.map((match, index) => this.element('simpleAssociableChoice', { identifier: `LEFT_${index}`, matchMax: 1 }, this.formatText(match.left)))),
+                    this.element('simpleMatchSet', {},
+                        options.map((option, index) => this.element('simpleAssociableChoice', { identifier: `RIGHT_${index}`, matchMax: matches.length }, this.formatText(option)))))
+            ],
+            scoring: matches.length > 0 ? [this.setScore(this.element('mapResponse', { identifier: 'RESPONSE' }))] : []
+        };
+    }
+
+    /**
+     * Numerical answers are graded as a float within the bounds QTIExporter computes
+     */
+    buildNumericalParts(text, numericAnswer, points) {
+        const bounds = this.qtiExporter.getNumericalBounds(numericAnswer);
+        const response = this.element('variable', { identifier: 'RESPONSE' });
+        const number = (value) => this.element('baseValue', { baseType: 'float' }, String(value));
+
+        return {
+            declarations: [
+                this.element('responseDeclaration', { identifier: 'RESPONSE', cardinality: 'single', baseType: 'float' },
+                    bounds && bounds.value !== undefined ? this.correctResponse([String(bounds.value)]) : null)
+            ],
+            body: [
+                this.block(text),
+                this.element('p', {}, this.element('textEntryInteraction', { responseIdentifier: 'RESPONSE', expectedLength: 15 }))
+            ],
+            scoring: bounds ? [
+                this.element('responseCondition', {},
+                    this.element('responseIf', {},
+                        this.element('and', {},
+                            this.element('gte', {}, response, number(bounds.lower)),
+                            this.element('lte', {}, response, number(bounds.upper))),
+                        this.setScore(number(points))))
+            ] : []
+        };
+    }
+
+    /**
+     * QTI 2 templates cannot run Canvas formulas, so a formula question is exported as a
+     * numerical question using its first stored answer set; null when it has none (see QTIExporter.getExportProblem)
+     */
+    buildCalculatedParts(question, points) {
+        if (this.qtiExporter.getExportProblem(question)) return null;
+
+        const variables = this.qtiExporter.formulaEvaluator.resolveVariables(question.text, (question.calculated || {}).variables);
+        const calculated = { ...question.calculated, variables };
+        const [answerSet] = this.qtiExporter.getAnswerSets(calculated);
+        const text = String(question.text || '').replace(/\[([A-Za-z_][A-Za-z0-9_]*)\]/g, (placeholder, name) =>
+            answerSet.values[name] !== undefined ? String(answerSet.values[name]) : placeholder
+        );
+        const tolerance = Math.abs(NumberParser.parse(calculated.tolerance ?? 0)) || 0;
+
+        return this.buildNumericalParts(text, { mode: 'exact', value: answerSet.answer, margin: tolerance }, points);
+    }
+
+    /**
+     * Short answer becomes a textEntryInteraction; every accepted answer maps to full points
+     */
+    buildShortAnswerParts(question, points) {
+        const acceptedAnswers = this.qtiExporter.getAcceptedAnswers(question);
+
+        return {
+            declarations: [
+                this.element('responseDeclaration', { identifier: 'RESPONSE', cardinality: 'single', baseType: 'string' },
+                    acceptedAnswers.length > 0 ? this.correctResponse(acceptedAnswers.slice(0, 1)) : null,
+                    acceptedAnswers.length > 0 ? this.mapping(acceptedAnswers.map(answer => ({ key: answer, value: points })), points) : null)
+            ],
+            body: [
+                this.block(question.text),
+                this.element('p', {}, this.element('textEntryInteraction', { responseIdentifier: 'RESPONSE', expectedLength: 30 }))
+            ],
+            scoring: acceptedAnswers.length > 0 ? [this.setScore(this.element('mapResponse', { identifier: 'RESPONSE' }))] : []
+        };
+    }
+
+    /**
+     * Fill-in-multiple-blanks and multiple-dropdowns put one inline interaction where each [name] stands
+     * Every blank is worth an equal share, summed into SCORE
+     */
+    buildBlanksParts(question, points) {
+        const isDropdown = question.type === 'multiple_dropdowns';
+        const blanks = this.qtiExporter.getBlanks(question);
+        const share = blanks.length > 0 ? points / blanks.length : 0;
+        const interactions = {};
+
+        const declarations = blanks.map(blank => {
+            const identifier = `RESPONSE_${blank.name}`;
+            if (isDropdown) {
+                const options = (blank.options || []).filter(option => String(option.text ?? '').trim());
+                const correct = options
+                    .map((option, index) => (option.correct ? `${blank.name}_${index}` : null))
+                    .filter(Boolean);
+                interactions[blank.name] = this.element('inlineChoiceInteraction', { responseIdentifier: identifier, shuffle: 'false' },
+                    options.map((option, index) => this.element('inlineChoice', { identifier: `${blank.name}_${index}` }, this.escapeXML(String(option.text).trim()))));
+                return this.element('responseDeclaration', { identifier, cardinality: 'single', baseType: 'identifier' },
+                    this.correctResponse(correct.slice(0, 1)),
+                    this.mapping(correct.map(key => ({ key, value: share })), share));
+            }
+
+            const answers = [...new Set((blank.answers || []).map(answer => String(answer ?? '').trim()).filter(Boolean))];
+            interactions[blank.name] = this.element('textEntryInteraction', { responseIdentifier: identifier, expectedLength: 15 });
+            return this.element('responseDeclaration', { identifier, cardinality: 'single', baseType: 'string' },
+                this.correctResponse(answers.slice(0, 1)),
+                this.mapping(answers.map(key => ({ key, value: share })), share));
+        });
+
+        const body = this.formatText(question.text).replace(/\[([A-Za-z_][A-Za-z0-9_]*)\]/g, (placeholder, name) =>
+            interactions[name] ? this.serialize(interactions[name]) : placeholder
+        );
+
+        return {
+            declarations,
+            body: [this.element('div', {}, body)],
+            scoring: blanks.length > 0 ? [
+                this.setScore(this.element('sum', {},
+                    blanks.map(blank => this.element('mapResponse', { identifier: `RESPONSE_${blank.name}` }))))
+            ] : []
+        };
+    }
+
+    /**
+     * Feedback to export, shared with the Canvas exporter; per-choice feedback has no QTI 2 equivalent here
+     * @returns {{general: string, correct: string, incorrect: string}|null} null when there is nothing to show
+     */
+    getFeedback(question) {
+        const feedback = this.qtiExporter.getFeedback(question);
+        if (!feedback || (!feedback.general && !feedback.correct && !feedback.incorrect)) return null;
+        return { general: feedback.general, correct: feedback.correct, incorrect: feedback.incorrect };
+    }
+
+    /**
+     * Scoring rules followed by the rules that pick which modalFeedback to show
+     * Correct feedback shows when SCORE reaches MAXSCORE, incorrect feedback otherwise
+     */
+    generateResponseProcessing(scoring, feedback) {
+        const rules = [...scoring];
+
+        if (feedback && feedback.general) {
+            rules.push(this.setFeedback(['general']));
+        }
+        if (feedback && scoring.length > 0 && (feedback.correct || feedback.incorrect)) {
+            rules.push(this.element('responseCondition', {},
+                this.element('responseIf', {},
+                    this.element('gte', {},
+                        this.element('variable', { identifier: 'SCORE' }),
+                        this.element('variable', { identifier: 'MAXSCORE' })),
+                    feedback.correct ? this.setFeedback(['correct'], true) : null),
+                feedback.incorrect ? this.element('responseElse', {}, this.setFeedback(['incorrect'], true)) : null));
+        }
+
+        return rules.length > 0 ? this.element('responseProcessing', {}, rules) : null;
+    }
+
+    generateModalFeedback(feedback) {
+        if (!feedback) return [];
+
+        return ['general', 'correct', 'incorrect']
+            .filter(kind => feedback[kind])
+            .map(kind => {
+                const content = this.block(feedback[kind]);
+                return this.element('modalFeedback', { outcomeIdentifier: 'FEEDBACK', showHide: 'show', identifier: kind },
+                    this.isV3 ? this.element('contentBody', {}, content) : content);
+            });
+    }
+
+    /**
+     * Generate the assessmentTest that references every item
+     * Question groups become sections that select pickCount of their items
+     * @param {Object} assessment - Assessment object
+     * @param {string} testId - Test identifier
+     * @param {Array<{identifier: string, href: string, question: Object}>} itemRefs - Exported items
+     * @returns {string} Test XML
+     */
+    generateTest(assessment, testId, itemRefs) {
+        const groups = assessment.groups || [];
+        const itemRef = (ref) => this.element('assessmentItemRef', { identifier: ref.identifier, href: ref.href });
+
+        // Same ordering as the Canvas export: a group is written where its first member appears
+        const sectionContent = [];
+        const writtenGroups = new Set();
+        itemRefs.forEach(ref => {
+            const group = groups.find(g => g.id === ref.question.groupId);
+            if (!group) {
+                sectionContent.push(itemRef(ref));
+                return;
+            }
+            if (writtenGroups.has(group.id)) return;
+            writtenGroups.add(group.id);
+
+            const members = itemRefs.filter(other => other.question.groupId === group.id);
+            const pickCount = QTIExporter.groupPickCount(group, members);
+            sectionContent.push(this.element('assessmentSection', { identifier: `group_${writtenGroups.size}`, title: group.name || 'Group', visible: 'false' },
+                this.element('selection', { select: pickCount }),
+                members.map(itemRef)));
+        });
+
+        const test = this.element('assessmentTest', {
+            ...this.namespaceAttributes(),
+            identifier: testId,
+            title: assessment.title || 'QTI Export',
+            toolName: 'ai2qti'
+        },
+            this.element('outcomeDeclaration', { identifier: 'SCORE', cardinality: 'single', baseType: 'float' },
+                this.element('defaultValue', {}, this.element('value', {}, '0'))),
+            assessment.timeLimit > 0 ? this.element('timeLimits', { maxTime: assessment.timeLimit * 60 }) : null,
+            this.element('testPart', { identifier: 'part_1', navigationMode: 'nonlinear', submissionMode: 'simultaneous' },
+                this.element('assessmentSection', { identifier: 'section_1', title: assessment.title || 'Section', visible: 'true' },
+                    sectionContent)),
+            this.element('outcomeProcessing', {},
+                this.setOutcome('SCORE', this.element('sum', {},
+                    this.element('testVariables', { variableIdentifier: 'SCORE' }))))
+        );
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${this.serialize(test)}`;
+    }
+
+    correctResponse(values) {
+        if (values.length === 0) return null;
+        return this.element('correctResponse', {}, values.map(value => this.element('value', {}, this.escapeXML(value))));
+    }
+
+    mapping(entries, upperBound) {
+        if (entries.length === 0) return null;
+        return this.element('mapping', { defaultValue: 0, lowerBound: 0, upperBound },
+            entries.map(entry => this.element('mapEntry', { mapKey: entry.key, mappedValue: entry.value, caseSensitive: 'false' })));
+    }
+
+    matchCorrectCondition(identifier, points) {
+        return this.element('responseCondition', {},
+            this.element('responseIf', {},
+                this.element('match', {},
+                    this.element('variable', { identifier }),
+                    this.element('correct', { identifier })),
+                this.setScore(this.element('baseValue', { baseType: 'float' }, String(points)))));
+    }
+
+    setScore(expression) {
+        return this.setOutcome('SCORE', expression);
+    }
+
+    /**
+     * Set FEEDBACK to the given identifiers, optionally keeping the ones already set
+     */
+    setFeedback(identifiers, keep = false) {
+        return this.setOutcome('FEEDBACK', this.element('multiple', {},
+            keep ? this.element('variable', { identifier: 'FEEDBACK' }) : null,
+            identifiers.map(identifier => this.element('baseValue', { baseType: 'identifier' }, identifier))));
+    }
+
+    setOutcome(identifier, expression) {
+        return this.element('setOutcomeValue', { identifier }, expression);
+    }
+
+    namespaceAttributes() {
+        return {
+            xmlns: this.profile.namespace,
+            'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+            'xsi:schemaLocation': `${this.profile.namespace} ${this.profile.schemaLocation}`
+        };
+    }
+
+    /**
+     * Question text as a div of XHTML, LaTeX written as MathML
+     */
+    block(text) {
+        return this.element('div', {}, this.formatText(text) || ' ');
+    }
+
+    /**
+     * Escape text for an itemBody: LaTeX becomes MathML (any QTI 2 player can render it,
+     * unlike Canvas equation images) and line breaks become <br/>
+     */
+    formatText(text) {
+        if (!text) return '';
+
+        let html = '';
+        let position = 0;
+        const pattern = /\$\$(.*?)\$\$|\$([^$]+)\$/g;
+        const escapeText = (part) => this.escapeXML(part).replace(/\r?\n/g, '<br/>');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            html += escapeText(text.slice(position, match.index));
+            html += this.toMathML(match[1] ?? match[2], match[1] !== undefined);
+            position = pattern.lastIndex;
+        }
+        return html + escapeText(text.slice(position));
+    }
+
+    toMathML(latex, display) {
+        const rendered = this.latexRenderer.latexToMathML(latex.trim());
+        const math = rendered.match(/<math[\s\S]*<\/math>/);
+        if (!math || !math[0].includes('xmlns=')) {
+            return `<math xmlns="http://www.w3.org/1998/Math/MathML"><mtext>${this.escapeXML(latex.trim())}</mtext></math>`;
+        }
+        return display ? math[0].replace('<math ', '<math display="block" ') : math[0];
+    }
+
+    /**
+     * Create an element node; children are nodes or already-escaped XML strings
+     */
+    element(name, attributes = {}, ...children) {
+        return {
+            name,
+            attributes,
+            children: children.flat(Infinity).filter(child => child !== null && child !== undefined && child !== '')
+        };
+    }
+
+    /**
+     * Serialize an element tree; elements holding only elements are indented, mixed content is written inline
+     */
+    serialize(node, depth = 0) {
+        const indent = '  '.repeat(depth);
+        const name = this.elementName(node.name);
+        const attributes = Object.entries(node.attributes)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => ` ${this.attributeName(key)}="${this.escapeXML(String(value))}"`)
+            .join('');
+
+        if (node.children.length === 0) {
+            return `${indent}<${name}${attributes}/>`;
+        }
+        if (node.children.every(child => typeof child === 'object')) {
+            const children = node.children.map(child => this.serialize(child, depth + 1)).join('\n');
+            return `${indent}<${name}${attributes}>\n${children}\n${indent}</${name}>`;
+        }
+        const content = node.children.map(child => (typeof child === 'object' ? this.serialize(child) : child)).join('');
+        return `${indent}<${name}${attributes}>${content}</${name}>`;
+    }
+
+    /**
+     * QTI 3.0 names its elements qti-kebab-case; XHTML elements keep their names
+     */
+    elementName(name) {
+        if (!this.isV3 || QTI2Exporter.XHTML_ELEMENTS.includes(name)) return name;
+        return `qti-${this.kebabCase(name)}`;
+    }
+
+    attributeName(name) {
+        return this.isV3 && !name.includes(':') ? this.kebabCase(name) : name;
+    }
+
+    kebabCase(name) {
+        return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    }
+
+    escapeXML(text) {
+        return this.qtiExporter.escapeXML(text);
+    }
+}
+
+QTI2Exporter.VERSIONS = {
+    '2.1': {
+        namespace: 'http://www.imsglobal.org/xsd/imsqti_v2p1',
+        schemaLocation: 'http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1p2.xsd',
+        manifestNamespace: 'http://www.imsglobal.org/xsd/imscp_v1p1',
+        manifestSchemaLocation: 'http://www.imsglobal.org/xsd/imscp_v1p1.xsd',
+        schema: 'QTIv2.1 Package',
+        schemaVersion: '1.0.0',
+        itemType: 'imsqti_item_xmlv2p1',
+        testType: 'imsqti_test_xmlv2p1'
+    },
+    '3.0': {
+        namespace: 'http://www.imsglobal.org/xsd/imsqtiasi_v3p0',
+        schemaLocation: 'https://purl.imsglobal.org/spec/qti/v3p0/schema/xsd/imsqti_asiv3p0_v1p0.xsd',
+        manifestNamespace: 'http://www.imsglobal.org/xsd/qti/qtiv3p0/imscp_v1p1',
+        manifestSchemaLocation: 'https://purl.imsglobal.org/spec/qti/v3p0/schema/xsd/imsqtiv3p0_imscpv1p2_v1p0.xsd',
+        schema: 'QTI Package',
+        schemaVersion: '3.0.0',
+        itemType: 'imsqti_item_xmlv3p0',
+        testType: 'imsqti_test_xmlv3p0'
+    }
+};
+
+// Elements written as plain XHTML inside itemBody
+QTI2Exporter.XHTML_ELEMENTS = ['div', 'p', 'br'];
+
+export default QTI2Exporter;
@@ -0,0 +1,114 @@
+import AdmZip from 'adm-zip';
+import QTI2Exporter from './qti2-exporter.js';
+import QTIExporter from './qti-exporter.js';
+
+/**
+ * QTI 2 Packager - Wraps QTI2Exporter output in an IMS content package
+ * Layout:
+ *   imsmanifest.xml
+ *   <testId>.xml
+ *   items/<itemId>.xml
+ */
+class QTI2Packager {
+    constructor(qti2Exporter = new QTI2Exporter()) {
+        this.qti2Exporter = qti2Exporter;
+    }
+
+    /**
+     * Build the list of files that make up the package
+     * @param {Object} assessment - Assessment object
+     * @returns {{testId: string, files: Array<{path: string, content: string}>, skipped: Array<Object>}}
+     *   skipped lists questions whose type has no QTI 2 equivalent, and those that cannot be exported yet with a reason
+     */
+    buildPackage(assessment) {
+        const qtiExporter = this.qti2Exporter.qtiExporter;
+        const assessmentId = qtiExporter.generateAssessmentId(assessment);
+        const testId = `test_${assessmentId}`;
+        const groups = assessment.groups || [];
+        const items = [];
+        const skipped = [];
+
+        assessment.questions.forEach(question => {
+            const identifier = qtiExporter.generateQuestionId(question.id, assessmentId);
+            const group = groups.find(g => g.id === question.groupId);
+            const points = group
+                ? QTIExporter.groupPointsPerItem(group, assessment.questions.filter(q => q.groupId === group.id))
+                : question.points;
+            const reason = qtiExporter.getExportProblem(question);
+            const content = reason ? null : this.qti2Exporter.generateItem(question, identifier, points);
+            if (!content) {
+                skipped.push(reason ? { ...question, reason } : question);
+                return;
+            }
+            items.push({ identifier, href: `items/${identifier}.xml`, question, content });
+        });
+
+        return {
+            testId,
+            skipped,
+            files: [
+                {
+                    path: 'imsmanifest.xml',
+                    content: this.generateManifest(testId, items)
+                },
+                {
+                    path: `${testId}.xml`,
+                    content: this.qti2Exporter.generateTest(assessment, testId, items)
+                },
+                ...items.map(item => ({ path: item.href, content: item.content }))
+            ]
+        };
+    }
+
+    /**
+     * Create the zip archive for an assessment
+     * @param {Object} assessment - Assessment object
+     * @returns {Buffer} Zip file contents
+     */
+    createZip(assessment) {
+        return this.zipFiles(this.buildPackage(assessment).files);
+    }
+
+    /**
+     * Zip files from buildPackage, so a package can be checked before it is written
+     * @param {Array<{path: string, content: (string|Buffer)}>} files - Package files
+     * @returns {Buffer} Zip file contents
+     */
+    zipFiles(files) {
+        const zip = new AdmZip();
+        files.forEach(file => {
+            zip.addFile(file.path, Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8'));
+        });
+        return zip.toBuffer();
+    }
+
+    /**
+     * Generate imsmanifest.xml with the test resource depending on one resource per item
+     */
+    generateManifest(testId, items) {
+        const profile = this.qti2Exporter.profile;
+
+        const dependencies = items.map(item => `
+      <dependency identifierref="${item.identifier}"/>`).join('');
+        const itemResources = items.map(item => `
+    <resource identifier="${item.identifier}" type="${profile.itemType}" href="${item.href}">
+      <file href="${item.href}"/>
+    </resource>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="manifest_${testId}" xmlns="${profile.manifestNamespace}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${profile.manifestNamespace} ${profile.manifestSchemaLocation}">
+  <metadata>
+    <schema>${profile.schema}</schema>
+    <schemaversion>${profile.schemaVersion}</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="${testId}" type="${profile.testType}" href="${testId}.xml">
+      <file href="${testId}.xml"/>${dependencies}
+    </resource>${itemResources}
+  </resources>
+</manifest>`;
+    }
+}
+
+export default QTI2Packager;
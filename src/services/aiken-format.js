@@ -0,0 +1,119 @@
+/**
+ * Aiken Format - Reads and writes Moodle's Aiken plain-text format for multiple choice
+ *   What is 2 + 2?
+ *   A. 3
+ *   B) 4
+ *   ANSWER: B
+ * Question text may span several lines; questions are separated by blank lines.
+ */
+class AikenFormat {
+  /**
+   * Parse an Aiken document into multiple choice questions for assessmentActions.addQuestion
+   * @param {string} text - Aiken source
+   * @returns {{questions: Array<Object>, errors: Array<string>}} errors name the line each bad question starts on
+   */
+  parse(text) {
+    const questions = [];
+    const errors = [];
+    let current = null;
+
+    const reset = () => {
+      current = null;
+    };
+    const fail = (message) => {
+      errors.push(`Line ${current.line}: ${message}`);
+      reset();
+    };
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line) {
+        // A blank line between options and the ANSWER line would lose the question
+        if (current && current.choices.length > 0) {
+          fail('Question has no ANSWER line');
+        }
+        return;
+      }
+
+      if (!current) {
+        current = { line: index + 1, textLines: [], choices: [] };
+      }
+
+      const option = line.match(/^([A-Z])[.)]\s+(.*)$/);
+      const answer = line.match(/^ANSWER:\s*([A-Z])$/i);
+
+      if (answer) {
+        const correctAnswer = current.choices.findIndex(choice => choice.letter === answer[1].toUpperCase());
+        if (current.textLines.length === 0 || current.choices.length < 2) {
+          fail('Question needs text and at least two options');
+        } else if (correctAnswer < 0) {
+          fail(`ANSWER ${answer[1].toUpperCase()} does not match any option`);
+        } else {
+          questions.push({
+            type: 'multiple_choice',
+            text: current.textLines.join('\n'),
+            points: 1,
+            choices: current.choices.map(choice => ({ text: choice.text, correct: choice.letter === answer[1].toUpperCase() })),
+            correctAnswer
+          });
+          reset();
+        }
+      } else if (option && current.textLines.length > 0) {
+        current.choices.push({ letter: option[1], text: option[2].trim() });
+      } else if (current.choices.length > 0) {
+        fail('Text after the options must be an ANSWER line');
+      } else {
+        current.textLines.push(line);
+      }
+    });
+
+    if (current) {
+      errors.push(`Line ${current.line}: Question has no ANSWER line`);
+    }
+
+    return { questions, errors };
+  }
+
+  /**
+   * Write multiple choice questions as Aiken; question text is joined onto one line
+   * @param {Array<Object>} questions - Assessment questions
+   * @returns {{text: string, skipped: Array<Object>}} skipped lists questions Aiken cannot express
+   */
+  write(questions) {
+    const skipped = [];
+    const blocks = [];
+    const singleLine = (text) => String(text ?? '').replace(/\s*\r?\n\s*/g, ' ').trim();
+
+    questions.forEach(question => {
+      const choices = question.choices || [];
+      const correctIndex = Number(question.correctAnswer);
+      if (question.type !== 'multiple_choice' || choices.length < 2 || choices.length > 26 || !choices[correctIndex]) {
+        skipped.push(question);
+        return;
+      }
+
+      const letter = (index) => String.fromCharCode(65 + index);
+      blocks.push([
+        singleLine(question.text),
+        ...choices.map((choice, index) => `${letter(index)}. ${singleLine(choice.text)}`),
+        `ANSWER: ${letter(correctIndex)}`
+      ].join('\n'));
+    });
+
+    return { text: blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '', skipped };
+  }
+
+  /**
+   * Whether a file name is an Aiken file: .aiken, or .aiken.txt as the app exports it
+   * @param {string} fileName
+   * @returns {boolean}
+   */
+  static matchesFileName(fileName) {
+    return /\.aiken(\.txt)?$/i.test(String(fileName || ''));
+  }
+}
+
+// Moodle's import file picker expects .txt, so exports keep the format name before it
+AikenFormat.FILE_SUFFIX = '.aiken.txt';
+
+export default AikenFormat;
@@ -0,0 +1,252 @@
+/**
+ * Canvas API Client - Imports QTI packages into a Canvas course and reads courses and quizzes back
+ * Uploads follow Canvas's content migration flow: create a qti_converter migration with a pre_attachment,
+ * upload the zip to the upload_url it returns, then poll the migration's progress until it ends.
+ * Runs in the main process (fetch, FormData and Blob from Node 18+)
+ */
+class CanvasApiClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - Canvas instance, e.g. https://canvas.example.edu
+   * @param {string} options.token - Personal access token
+   * @param {number} [options.pollIntervalMs=1000] - Delay between progress checks
+   * @param {number} [options.timeoutMs=600000] - Stop waiting for a migration after this long
+   */
+  constructor({ baseUrl, token, pollIntervalMs = 1000, timeoutMs = 10 * 60 * 1000 } = {}) {
+    if (!baseUrl) {
+      throw new Error('Canvas base URL is required');
+    }
+    if (!token) {
+      throw new Error('Canvas access token is required');
+    }
+    this.baseUrl = String(baseUrl).replace(/\/+$/, '');
+    this.token = token;
+    this.pollIntervalMs = pollIntervalMs;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * The user the token belongs to; used to check a token before it is cached
+   * @returns {Promise<Object>} Canvas user
+   */
+  async getSelf() {
+    return this.request('/api/v1/users/self');
+  }
+
+  /**
+   * Courses the user teaches, newest first
+   * @returns {Promise<Array<Object>>} Canvas courses
+   */
+  async listCourses() {
+    const courses = await this.requestAll('/api/v1/courses?enrollment_type=teacher&state[]=available&state[]=unpublished&per_page=100');
+    return courses.sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+  }
+
+  /**
+   * Classic quizzes of a course
+   * @param {string|number} courseId - Canvas course ID
+   * @returns {Promise<Array<Object>>} Canvas quizzes
+   */
+  async listQuizzes(courseId) {
+    return this.requestAll(`/api/v1/courses/${encodeURIComponent(courseId)}/quizzes?per_page=100`);
+  }
+
+  async getQuiz(courseId, quizId) {
+    return this.request(`/api/v1/courses/${encodeURIComponent(courseId)}/quizzes/${encodeURIComponent(quizId)}`);
+  }
+
+  /**
+   * Questions of a quiz, with their answers, in quiz order
+   */
+  async listQuizQuestions(courseId, quizId) {
+    const questions = await this.requestAll(`/api/v1/courses/${encodeURIComponent(courseId)}/quizzes/${encodeURIComponent(quizId)}/questions?per_page=100`);
+    return questions.sort((a, b) => (a.position || 0) - (b.position || 0));
+  }
+
+  async getQuizGroup(courseId, quizId, groupId) {
+    return this.request(`/api/v1/courses/${encodeURIComponent(courseId)}/quizzes/${encodeURIComponent(quizId)}/groups/${encodeURIComponent(groupId)}`);
+  }
+
+  /**
+   * Import a QTI package into a course and wait for Canvas to finish converting it
+   * @param {string|number} courseId - Canvas course ID
+   * @param {Buffer} zip - Package from QTIPackager.createZip
+   * @param {Object} [options]
+   * @param {string} [options.fileName='quiz.zip'] - Name of the uploaded file
+   * @param {string} [options.questionBankName] - Question bank the questions go into
+   * @param {Function} [options.onProgress] - Called with { state, completion, message } as the import advances
+   * @returns {Promise<{migrationId: number, progress: Object}>}
+   */
+  async importQTIPackage(courseId, zip, { fileName = 'quiz.zip', questionBankName, onProgress = () => {} } = {}) {
+    onProgress({ state: 'creating', completion: 0, message: null });
+    const migration = await this.createMigration(courseId, { fileName, size: zip.length, questionBankName });
+
+    onProgress({ state: 'uploading', completion: 0, message: null });
+    await this.uploadFile(migration.pre_attachment, fileName, zip);
+
+    const progress = await this.waitForProgress(migration.progress_url, onProgress);
+    if (progress.workflow_state === 'failed') {
+      const issues = await this.getMigrationIssues(courseId, migration.id);
+      const details = issues.map(issue => issue.description).filter(Boolean);
+      throw new Error(`Canvas could not import the package: ${details.join('; ') || progress.message || 'migration failed'}`);
+    }
+
+    return { migrationId: migration.id, progress };
+  }
+
+  /**
+   * Create a qti_converter content migration that expects the package as a file upload
+   */
+  async createMigration(courseId, { fileName, size, questionBankName }) {
+    const body = new URLSearchParams({
+      migration_type: 'qti_converter',
+      'pre_attachment[name]': fileName,
+      'pre_attachment[size]': String(size)
+    });
+    if (questionBankName) {
+      body.set('settings[question_bank_name]', questionBankName);
+    }
+
+    const migration = await this.request(`/api/v1/courses/${encodeURIComponent(courseId)}/content_migrations`, { method: 'POST', body });
+    if (!migration.pre_attachment || !migration.pre_attachment.upload_url) {
+      throw new Error((migration.pre_attachment && migration.pre_attachment.message) || 'Canvas did not return an upload URL for the package');
+    }
+    return migration;
+  }
+
+  /**
+   * Upload the package to the pre_attachment's upload_url and confirm it
+   * The upload_url can point at file storage outside Canvas, so the token is not sent to it;
+   * a redirect back to Canvas confirms the upload and is followed with the token.
+   */
+  async uploadFile(preAttachment, fileName, content) {
+    const form = new FormData();
+    Object.entries(preAttachment.upload_params || {}).forEach(([key, value]) => form.append(key, value));
+    form.append(preAttachment.file_param || 'file', new Blob([content], { type: 'application/zip' }), fileName);
+
+    const response = await fetch(preAttachment.upload_url, { method: 'POST', body: form, redirect: 'manual' });
+    if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+      return this.request(new URL(response.headers.get('location'), preAttachment.upload_url).href);
+    }
+    if (!response.ok) {
+      throw new Error(`Canvas file upload failed (${response.status}): ${await this.readError(response)}`);
+    }
+    return this.parse(response);
+  }
+
+  /**
+   * Poll a Canvas progress object until it is completed or failed
+   * @param {string} progressUrl - progress_url of the migration
+   * @param {Function} onProgress - Called after every check
+   * @returns {Promise<Object>} Final progress object
+   */
+  async waitForProgress(progressUrl, onProgress = () => {}) {
+    const deadline = Date.now() + this.timeoutMs;
+
+    for (;;) {
+      const progress = await this.request(progressUrl);
+      onProgress({ state: progress.workflow_state, completion: Number(progress.completion) || 0, message: progress.message || null });
+      if (CanvasApiClient.FINISHED_STATES.includes(progress.workflow_state)) {
+        return progress;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for Canvas to import the package (last state: ${progress.workflow_state})`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+  }
+
+  /**
+   * Problems Canvas recorded while importing; empty when they cannot be read
+   */
+  async getMigrationIssues(courseId, migrationId) {
+    try {
+      const issues = await this.request(`/api/v1/courses/${encodeURIComponent(courseId)}/content_migrations/${migrationId}/migration_issues`);
+      return Array.isArray(issues) ? issues : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Call the Canvas API with the access token
+   * @param {string} pathOrUrl - API path, or a full URL Canvas returned (progress_url, upload confirmation)
+   * @param {Object} [options] - method and body
+   * @returns {Promise<*>} Parsed JSON
+   */
+  async request(pathOrUrl, options = {}) {
+    return this.parse(await this.send(pathOrUrl, options));
+  }
+
+  /**
+   * GET every page of a list endpoint, following the rel="next" links Canvas paginates with
+   * @returns {Promise<Array>} Items of all pages
+   */
+  async requestAll(path) {
+    const items = [];
+    let next = path;
+    while (next) {
+      const response = await this.send(next);
+      items.push(...(await this.parse(response) || []));
+      const link = (response.headers.get('link') || '').split(',').find(part => /rel="next"/.test(part));
+      next = link ? link.match(/<([^>]+)>/)[1] : null;
+    }
+    return items;
+  }
+
+  async send(pathOrUrl, { method = 'GET', body } = {}) {
+    const url = new URL(pathOrUrl, `${this.baseUrl}/`);
+    if (url.origin !== new URL(this.baseUrl).origin) {
+      throw new Error(`Refusing to send the Canvas token to ${url.origin}`);
+    }
+
+    let response;
+    try {
+      response = await fetch(url.href, {
+        method,
+        body,
+        headers: { Authorization: `Bearer ${this.token}`, Accept: 'application/json' }
+      });
+    } catch (error) {
+      throw new Error(`Network error: unable to reach Canvas at ${this.baseUrl} (${error.cause?.code || error.message})`);
+    }
+
+    if (response.status === 401) {
+      throw new Error('Canvas rejected the access token (401). Check it is valid for this Canvas instance.');
+    }
+    if (!response.ok) {
+      throw new Error(`Canvas API error (${response.status}): ${await this.readError(response)}`);
+    }
+    return response;
+  }
+
+  async parse(response) {
+    const text = await response.text();
+    // Canvas prefixes JSON with while(1); when it is asked for it without an API token
+    return text ? JSON.parse(text.replace(/^while\(1\);/, '')) : null;
+  }
+
+  /**
+   * Canvas error bodies: { errors: [{ message }] }, { errors: { field: [...] } } or { message }
+   */
+  async readError(response) {
+    const text = await response.text();
+    try {
+      const body = JSON.parse(text);
+      if (Array.isArray(body.errors)) {
+        return body.errors.map(error => error.message || String(error)).join('; ');
+      }
+      if (body.errors && typeof body.errors === 'object') {
+        return JSON.stringify(body.errors);
+      }
+      return body.message || text;
+    } catch (parseError) {
+      return text || response.statusText;
+    }
+  }
+}
+
+// workflow_state values of a Canvas progress object that end polling
+CanvasApiClient.FINISHED_STATES = ['completed', 'failed'];
+
+export default CanvasApiClient;
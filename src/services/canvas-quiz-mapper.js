@@ -0,0 +1,250 @@
+import QTIImporter from '../qti-importer.js';
+import QuizSettings from './quiz-settings.js';
+
+/**
+ * Canvas Quiz Mapper - Converts quizzes read through the Canvas REST API into the assessment model
+ * REST counterpart of QTIImporter: question HTML goes through the same htmlToText, and the result
+ * has the same { assessment, skipped } shape. Runs in the main process.
+ */
+class CanvasQuizMapper {
+  constructor() {
+    this.importer = new QTIImporter();
+  }
+
+  /**
+   * Build an assessment from a quiz, its questions and the groups they belong to
+   * @param {Object} data
+   * @param {string|number} data.courseId - Canvas course ID
+   * @param {Object} data.quiz - Quiz from GET /quizzes/:id
+   * @param {Array<Object>} data.questions - Questions from GET /quizzes/:id/questions
+   * @param {Array<Object>} [data.groups] - Question groups from GET /quizzes/:id/groups/:group_id
+   * @returns {{assessment: Object, skipped: Array}}
+   */
+  toAssessment({ courseId, quiz, questions, groups = [] }) {
+    const questionsOut = [];
+    const skipped = [];
+
+    questions.forEach(canvasQuestion => {
+      const question = this.toQuestion(canvasQuestion);
+      if (!question) {
+        skipped.push({
+          ident: String(canvasQuestion.id),
+          title: canvasQuestion.question_name || '',
+          type: canvasQuestion.question_type || 'unknown'
+        });
+        return;
+      }
+      if (canvasQuestion.quiz_group_id) {
+        question.groupId = `canvas_group_${canvasQuestion.quiz_group_id}`;
+      }
+      questionsOut.push(question);
+    });
+
+    return {
+      assessment: {
+        // Importing the same quiz again gives the same ID, and so the same idents on export
+        id: `canvas_${courseId}_${quiz.id}`,
+        title: quiz.title || '',
+        description: this.importer.htmlToText(quiz.description || ''),
+        timeLimit: parseInt(quiz.time_limit, 10) || 0,
+        settings: QuizSettings.normalize({
+          quizType: quiz.quiz_type,
+          shuffleAnswers: quiz.shuffle_answers,
+          allowedAttempts: quiz.allowed_attempts,
+          scoringPolicy: quiz.scoring_policy,
+          showCorrectAnswers: quiz.show_correct_answers,
+          oneQuestionAtATime: quiz.one_question_at_a_time,
+          accessCode: quiz.access_code || ''
+        }),
+        questions: questionsOut,
+        groups: groups.map(group => this.toGroup(group))
+      },
+      skipped
+    };
+  }
+
+  toGroup(group) {
+    const points = parseFloat(group.question_points);
+    return {
+      id: `canvas_group_${group.id}`,
+      name: group.name || '',
+      pickCount: parseInt(group.pick_count, 10) || 1,
+      pointsPerItem: Number.isNaN(points) ? null : points
+    };
+  }
+
+  /**
+   * Convert a single Canvas quiz question, or null if its type is unsupported
+   */
+  toQuestion(canvasQuestion) {
+    const answers = canvasQuestion.answers || [];
+    const question = {
+      id: `canvas_${canvasQuestion.id}`,
+      type: null,
+      text: this.importer.htmlToText(canvasQuestion.question_text || ''),
+      points: parseFloat(canvasQuestion.points_possible) || 0,
+      source: 'canvas_import'
+    };
+
+    switch (canvasQuestion.question_type) {
+      case 'multiple_choice_question': {
+        question.type = 'multiple_choice';
+        question.choices = this.toChoices(answers);
+        const correctIndex = question.choices.findIndex(choice => choice.correct);
+        question.correctAnswer = correctIndex >= 0 ? correctIndex : 0;
+        break;
+      }
+      case 'multiple_answers_question':
+        question.type = 'multiple_answers';
+        question.choices = this.toChoices(answers);
+        question.correctAnswer = question.choices
+          .map((choice, index) => (choice.correct ? index : -1))
+          .filter(index => index >= 0);
+        break;
+      case 'true_false_question': {
+        question.type = 'true_false';
+        const correct = answers.find(answer => this.isCorrect(answer));
+        question.correctAnswer = correct && /^(true|verdadero|cierto)$/i.test(this.answerText(correct)) ? 'true' : 'false';
+        break;
+      }
+      case 'short_answer_question':
+        question.type = 'short_answer';
+        question.acceptedAnswers = answers.map(answer => this.answerText(answer)).filter(text => text.length > 0);
+        question.sampleAnswer = question.acceptedAnswers[0] || '';
+        break;
+      case 'essay_question':
+        question.type = 'essay';
+        question.gradingRubric = '';
+        break;
+      case 'numerical_question':
+        question.type = 'numerical';
+        question.numericAnswer = this.toNumericAnswer(answers.find(answer => this.isCorrect(answer)) || answers[0]);
+        break;
+      case 'matching_question':
+        question.type = 'matching';
+        question.matches = answers.map(answer => ({ left: answer.left || '', right: answer.right || '' }));
+        question.distractors = String(canvasQuestion.matching_answer_incorrect_matches || '')
+          .split('\n')
+          .map(text => text.trim())
+          .filter(Boolean);
+        break;
+      case 'fill_in_multiple_blanks_question':
+        question.type = 'fill_in_multiple_blanks';
+        question.blanks = this.groupByBlank(answers)
+          .map(([name, blankAnswers]) => ({ name, answers: blankAnswers.map(answer => this.answerText(answer)) }));
+        break;
+      case 'multiple_dropdowns_question':
+        question.type = 'multiple_dropdowns';
+        question.blanks = this.groupByBlank(answers).map(([name, blankAnswers]) => ({
+          name,
+          options: blankAnswers.map(answer => ({ text: this.answerText(answer), correct: this.isCorrect(answer) }))
+        }));
+        break;
+      case 'calculated_question':
+        question.type = 'calculated';
+        question.calculated = this.toCalculated(canvasQuestion);
+        break;
+      default:
+        return null;
+    }
+
+    this.applyFeedback(question, canvasQuestion);
+    return question;
+  }
+
+  toChoices(answers) {
+    return answers.map((answer, index) => {
+      const choice = { id: index, text: this.answerText(answer), correct: this.isCorrect(answer) };
+      const feedback = this.commentText(answer);
+      if (feedback) {
+        choice.feedback = feedback;
+      }
+      return choice;
+    });
+  }
+
+  /**
+   * Canvas numerical answers are exact_answer (exact ± margin), range_answer or precision_answer
+   */
+  toNumericAnswer(answer = {}) {
+    const number = value => (value === undefined || value === null || value === '' ? '' : parseFloat(value));
+
+    switch (answer.numerical_answer_type) {
+      case 'range_answer':
+        return { mode: 'range', start: number(answer.start), end: number(answer.end) };
+      case 'precision_answer':
+        return { mode: 'precision', value: number(answer.approximate), precision: parseInt(answer.precision, 10) || 1 };
+      default:
+        return { mode: 'exact', value: number(answer.exact), margin: parseFloat(answer.margin) || 0 };
+    }
+  }
+
+  /**
+   * Formula questions: variables, the first formula, and the answer sets Canvas generated
+   */
+  toCalculated(canvasQuestion) {
+    const answerSets = (canvasQuestion.answers || []).map(answer => {
+      const values = {};
+      (answer.variables || []).forEach(variable => {
+        values[variable.name] = parseFloat(variable.value);
+      });
+      return { values, answer: parseFloat(answer.answer) };
+    });
+    const formula = (canvasQuestion.formulas || [])[0];
+
+    return {
+      formula: String((formula && formula.formula) || '').trim(),
+      decimals: parseInt(canvasQuestion.formula_decimal_places, 10) || 0,
+      tolerance: parseFloat(canvasQuestion.answer_tolerance) || 0,
+      variables: (canvasQuestion.variables || []).map(variable => ({
+        name: variable.name,
+        min: parseFloat(variable.min),
+        max: parseFloat(variable.max),
+        decimals: parseInt(variable.scale, 10) || 0
+      })),
+      answerCount: answerSets.length || 10,
+      answerSets
+    };
+  }
+
+  /**
+   * Blank answers grouped by blank_id, in the order the blanks first appear
+   * @returns {Array<[string, Array<Object>]>}
+   */
+  groupByBlank(answers) {
+    const blanks = new Map();
+    answers.forEach(answer => {
+      const name = answer.blank_id || '';
+      if (!blanks.has(name)) {
+        blanks.set(name, []);
+      }
+      blanks.get(name).push(answer);
+    });
+    return [...blanks.entries()];
+  }
+
+  applyFeedback(question, canvasQuestion) {
+    const feedback = {
+      general: this.importer.htmlToText(canvasQuestion.neutral_comments_html || canvasQuestion.neutral_comments || ''),
+      correct: this.importer.htmlToText(canvasQuestion.correct_comments_html || canvasQuestion.correct_comments || ''),
+      incorrect: this.importer.htmlToText(canvasQuestion.incorrect_comments_html || canvasQuestion.incorrect_comments || '')
+    };
+    if (feedback.general || feedback.correct || feedback.incorrect) {
+      question.feedback = feedback;
+    }
+  }
+
+  answerText(answer) {
+    return answer.html ? this.importer.htmlToText(answer.html) : String(answer.text ?? '').trim();
+  }
+
+  commentText(answer) {
+    return answer.comments_html ? this.importer.htmlToText(answer.comments_html) : String(answer.comments || '').trim();
+  }
+
+  isCorrect(answer) {
+    return parseFloat(answer.weight) > 0;
+  }
+}
+
+export default CanvasQuizMapper;
@@ -0,0 +1,370 @@
+import QTIExporter from '../qti-exporter.js';
+import NumberParser from './number-parser.js';
+import QuestionValidator from './question-validator.js';
+
+// Column layout; the header row names the columns, so spreadsheets may reorder them
+const COLUMNS = ['type', 'text', 'choices', 'correct_answer', 'points', 'explanation', 'tags'];
+const TRUE_VALUES = ['true', 't', 'verdadero', 'v', '1'];
+const FALSE_VALUES = ['false', 'f', 'falso', '0'];
+
+/**
+ * CSV Format - Bulk import and export of questions as a spreadsheet, one question per row
+ *   type            multiple_choice, multiple_answers, true_false, short_answer, essay, numerical,
+ *                   matching, fill_in_multiple_blanks or multiple_dropdowns
+ *   text            question text ([name] marks a blank)
+ *   choices         choices separated by |; matching pairs as "left -> right" (empty left = distractor);
+ *                   dropdown options as "blank=option"
+ *   correct_answer  letter(s) or 1-based number(s) of the correct choice(s) (A|C); true/false;
+ *                   accepted answers (Paris|París); essay rubric; numbers as 2.5, 2.5±0.1 or 1..2;
+ *                   blank answers as "blank=answer" (repeat the blank for alternatives)
+ *   points          defaults to 1
+ *   explanation     optional
+ *   tags            optional, separated by |
+ * A literal | inside a list is written \|. Rows go through the same validation as AI-generated questions.
+ */
+class CsvFormat {
+  constructor() {
+    // Answer normalisation is shared with the Canvas exporter
+    this.qtiExporter = new QTIExporter();
+  }
+
+  /**
+   * Parse a CSV document (comma or semicolon separated, with a header row)
+   * @param {string} text - CSV source
+   * @returns {{questions: Array<Object>, errors: Array<string>}} errors name the spreadsheet row (the header is row 1)
+   */
+  parse(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const records = this.parseRecords(source, this.detectDelimiter(source));
+    const questions = [];
+    const errors = [];
+
+    if (records.length === 0) {
+      return { questions, errors: ['Row 1: Missing header row'] };
+    }
+
+    const header = records[0].map(cell => cell.trim().toLowerCase().replace(/\s+/g, '_'));
+    const missing = ['type', 'text'].filter(column => !header.includes(column));
+    if (missing.length > 0) {
+      return { questions, errors: [`Row 1: Missing column ${missing.map(column => `"${column}"`).join(', ')}`] };
+    }
+
+    records.slice(1).forEach((record, index) => {
+      const row = index + 2;
+      if (record.every(cell => !cell.trim())) return;
+
+      const cells = {};
+      header.forEach((column, columnIndex) => {
+        cells[column] = (record[columnIndex] || '').trim();
+      });
+
+      try {
+        const { question, error } = QuestionValidator.process(this.rowToQuestion(cells), index);
+        if (error) {
+          throw new Error(error);
+        }
+        const tags = this.splitList(cells.tags);
+        if (tags.length > 0) {
+          question.tags = tags;
+        }
+        questions.push(question);
+      } catch (error) {
+        errors.push(`Row ${row}: ${error.message}`);
+      }
+    });
+
+    return { questions, errors };
+  }
+
+  /**
+   * Raw question from the cells of one row, before validation
+   */
+  rowToQuestion(cells) {
+    const type = cells.type.toLowerCase();
+    const question = { type, text: cells.text };
+    const choices = this.splitList(cells.choices);
+    const correct = cells.correct_answer || '';
+
+    if (!cells.text) {
+      throw new Error('Question text is empty');
+    }
+    if (cells.points) {
+      question.points = NumberParser.parse(cells.points);
+      if (!(question.points >= 0)) {
+        throw new Error(`Points "${cells.points}" is not a number`);
+      }
+    }
+    if (cells.explanation) {
+      question.explanation = cells.explanation;
+    }
+
+    switch (type) {
+      case 'multiple_choice':
+      case 'multiple_answers': {
+        question.choices = choices.map(choice => ({ text: choice }));
+        const indexes = this.splitList(correct).map(answer => this.choiceIndex(answer, choices));
+        question.correctAnswer = type === 'multiple_choice' ? indexes[0] : indexes;
+        if (type === 'multiple_choice' && indexes.length !== 1) {
+          throw new Error('Multiple choice needs exactly one correct answer');
+        }
+        break;
+      }
+      case 'true_false': {
+        const answer = correct.toLowerCase();
+        question.correctAnswer = TRUE_VALUES.includes(answer) ? 'true' : (FALSE_VALUES.includes(answer) ? 'false' : correct);
+        break;
+      }
+      case 'short_answer':
+      case 'fill_in_blank':
+        question.acceptedAnswers = this.splitList(correct);
+        break;
+      case 'essay':
+        question.gradingRubric = correct;
+        break;
+      case 'numerical':
+        question.numericAnswer = this.parseNumericAnswer(correct);
+        break;
+      case 'matching':
+        question.matches = [];
+        question.distractors = [];
+        choices.forEach(choice => {
+          const arrow = choice.indexOf('->');
+          if (arrow < 0) {
+            throw new Error(`Matching choice "${choice}" has no "->"`);
+          }
+          const left = choice.slice(0, arrow).trim();
+          const right = choice.slice(arrow + 2).trim();
+          if (left) {
+            question.matches.push({ left, right });
+          } else {
+            question.distractors.push(right);
+          }
+        });
+        break;
+      case 'fill_in_multiple_blanks':
+        question.blanks = this.groupByBlank(this.splitList(correct)).map(([name, answers]) => ({ name, answers }));
+        break;
+      case 'multiple_dropdowns': {
+        const correctOptions = new Map(this.groupByBlank(this.splitList(correct)));
+        question.blanks = this.groupByBlank(choices).map(([name, options]) => ({
+          name,
+          options: options.map(option => ({ text: option, correct: (correctOptions.get(name) || []).includes(option) }))
+        }));
+        break;
+      }
+      default:
+        break;
+    }
+
+    return question;
+  }
+
+  /**
+   * "A", "b" or "2" (1-based) to a choice index
+   */
+  choiceIndex(answer, choices) {
+    const letter = answer.match(/^[A-Za-z]$/);
+    const index = letter ? answer.toUpperCase().charCodeAt(0) - 65 : parseInt(answer, 10) - 1;
+    if (!/^([A-Za-z]|\d+)$/.test(answer) || !(index >= 0 && index < choices.length)) {
+      throw new Error(`Correct answer "${answer}" is not one of the ${choices.length} choices`);
+    }
+    return index;
+  }
+
+  parseNumericAnswer(answer) {
+    const range = answer.split('..');
+    if (range.length === 2) {
+      return { mode: 'range', start: range[0], end: range[1] };
+    }
+    const [value, margin = 0] = answer.split(/±|\+-|\+\/-/);
+    return { mode: 'exact', value, margin };
+  }
+
+  /**
+   * ["a=1", "b=2", "a=one"] to [["a", ["1", "one"]], ["b", ["2"]]]
+   */
+  groupByBlank(items) {
+    const groups = new Map();
+    items.forEach(item => {
+      const separator = item.indexOf('=');
+      if (separator <= 0) {
+        throw new Error(`"${item}" must be written as blank=value`);
+      }
+      const name = item.slice(0, separator).trim();
+      groups.set(name, [...(groups.get(name) || []), item.slice(separator + 1).trim()]);
+    });
+    return [...groups.entries()];
+  }
+
+  /**
+   * Split a cell at | (not \|) into trimmed, non-empty items
+   */
+  splitList(cell) {
+    return String(cell || '')
+      .split(/(?<!\\)\|/)
+      .map(item => item.replace(/\\\|/g, '|').trim())
+      .filter(item => item.length > 0);
+  }
+
+  /**
+   * Excel writes semicolons where the decimal separator is a comma; whichever the header uses wins
+   */
+  detectDelimiter(text) {
+    const headerLine = text.split(/\r?\n/)[0] || '';
+    return (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+  }
+
+  /**
+   * RFC 4180 records: quoted cells may hold delimiters, "" and line breaks
+   * @returns {Array<Array<string>>}
+   */
+  parseRecords(text, delimiter) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        record.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(cell);
+        records.push(record);
+        record = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell || record.length > 0) {
+      record.push(cell);
+      records.push(record);
+    }
+    return records;
+  }
+
+  /**
+   * Write questions as CSV with a header row; a BOM keeps accents intact when Excel opens the file
+   * @param {Array<Object>} questions - Assessment questions
+   * @returns {{text: string, skipped: Array<Object>}} skipped lists questions the layout cannot express
+   */
+  write(questions) {
+    const skipped = [];
+    const rows = [COLUMNS];
+
+    questions.forEach(question => {
+      const cells = this.questionToCells(question);
+      if (!cells) {
+        skipped.push(question);
+        return;
+      }
+      rows.push([
+        question.type,
+        question.text || '',
+        cells.choices.map(item => this.escapeItem(item)).join('|'),
+        cells.correct.map(item => this.escapeItem(item)).join('|'),
+        String(question.points ?? 1),
+        String(question.explanation ?? (question.feedback && question.feedback.general) ?? ''),
+        (question.tags || []).map(tag => this.escapeItem(tag)).join('|')
+      ]);
+    });
+
+    return {
+      text: `\uFEFF${rows.map(row => row.map(cell => this.quote(cell)).join(',')).join('\r\n')}\r\n`,
+      skipped
+    };
+  }
+
+  /**
+   * Choices and correct-answer items for one question, or null for types the layout cannot express
+   * @returns {{choices: Array<string>, correct: Array<string>}|null}
+   */
+  questionToCells(question) {
+    const letter = (index) => String.fromCharCode(65 + index);
+
+    switch (question.type) {
+      case 'multiple_choice':
+        return {
+          choices: (question.choices || []).map(choice => String(choice.text ?? '')),
+          correct: [letter(Number(question.correctAnswer))]
+        };
+      case 'multiple_answers':
+        return {
+          choices: (question.choices || []).map(choice => String(choice.text ?? '')),
+          correct: this.qtiExporter.getCorrectChoiceIndexes(question).map(letter)
+        };
+      case 'true_false':
+        return { choices: [], correct: [String(question.correctAnswer) === 'true' ? 'true' : 'false'] };
+      case 'short_answer':
+      case 'fill_in_blank':
+        return { choices: [], correct: this.qtiExporter.getAcceptedAnswers(question) };
+      case 'essay':
+        return { choices: [], correct: question.gradingRubric ? [question.gradingRubric] : [] };
+      case 'numerical': {
+        const bounds = this.qtiExporter.getNumericalBounds(question.numericAnswer);
+        if (!bounds) return null;
+        const margin = bounds.value !== undefined ? parseFloat((bounds.upper - bounds.value).toPrecision(12)) : 0;
+        let answer = `${bounds.lower}..${bounds.upper}`;
+        if (bounds.value !== undefined) {
+          answer = margin > 0 ? `${bounds.value}±${margin}` : `${bounds.value}`;
+        }
+        return { choices: [], correct: [answer] };
+      }
+      case 'matching': {
+        const pairs = (question.matches || []).filter(match =>
+          String(match.left ?? '').trim() && String(match.right ?? '').trim()
+        );
+        const rights = pairs.map(match => String(match.right).trim());
+        return {
+          choices: [
+            ...pairs.map(match => `${String(match.left).trim()} -> ${String(match.right).trim()}`),
+            ...this.qtiExporter.getMatchingOptions(question).filter(option => !rights.includes(option)).map(option => ` -> ${option}`)
+          ],
+          correct: []
+        };
+      }
+      case 'fill_in_multiple_blanks':
+        return {
+          choices: [],
+          correct: this.qtiExporter.getBlanks(question).flatMap(blank =>
+            this.qtiExporter.getAcceptedAnswers({ acceptedAnswers: blank.answers }).map(answer => `${blank.name}=${answer}`))
+        };
+      case 'multiple_dropdowns': {
+        const blanks = this.qtiExporter.getBlanks(question);
+        const options = (blank) => (blank.options || []).filter(option => String(option.text ?? '').trim());
+        return {
+          choices: blanks.flatMap(blank => options(blank).map(option => `${blank.name}=${String(option.text).trim()}`)),
+          correct: blanks.flatMap(blank => options(blank).filter(option => option.correct).map(option => `${blank.name}=${String(option.text).trim()}`))
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  escapeItem(item) {
+    return String(item).replace(/\|/g, '\\|');
+  }
+
+  quote(cell) {
+    const text = String(cell);
+    return /[",;\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+export default CsvFormat;
@@ -0,0 +1,237 @@
+import NumberParser from './number-parser.js';
+import PlaceholderParser from './placeholder-parser.js';
+
+/**
+ * Formula Evaluator - Evaluates Canvas formula question expressions without eval()
+ * Supports + - * / ^, parentheses, unary signs, the constants pi and e and the
+ * functions Canvas offers in formula questions (sin, cos, sqrt, ln, log, ...)
+ */
+class FormulaEvaluator {
+  constructor() {
+    this.functions = {
+      sin: Math.sin,
+      cos: Math.cos,
+      tan: Math.tan,
+      asin: Math.asin,
+      acos: Math.acos,
+      atan: Math.atan,
+      sinh: Math.sinh,
+      cosh: Math.cosh,
+      tanh: Math.tanh,
+      sqrt: Math.sqrt,
+      abs: Math.abs,
+      exp: Math.exp,
+      ln: Math.log,
+      log: Math.log10,
+      floor: Math.floor,
+      ceil: Math.ceil,
+      round: Math.round,
+      min: Math.min,
+      max: Math.max
+    };
+    this.constants = {
+      pi: Math.PI,
+      e: Math.E
+    };
+  }
+
+  /**
+   * Names of the [x]-style variables used in a question text, in order of appearance
+   * @param {string} text - Question text
+   * @returns {Array<string>} Unique variable names
+   */
+  extractVariables(text) {
+    return PlaceholderParser.extract(text);
+  }
+
+  /**
+   * Variable settings for every [x] in the text; new variables default to integers from 1 to 10
+   * @param {string} text - Question text
+   * @param {Array<Object>} variables - Stored { name, min, max, decimals } settings
+   * @returns {Array<Object>} Settings in order of appearance in the text
+   */
+  resolveVariables(text, variables = []) {
+    return PlaceholderParser.resolve(text, variables, name => ({ name, min: 1, max: 10, decimals: 0 }));
+  }
+
+  /**
+   * Evaluate a formula
+   * @param {string} formula - Expression such as "x * sin(y) + 2^z"
+   * @param {Object} variables - Variable values by name
+   * @returns {number} Result
+   * @throws {Error} If the formula is malformed or uses unknown names
+   */
+  evaluate(formula, variables = {}) {
+    const tokens = this.tokenize(formula);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (value) => {
+      const token = next();
+      if (!token || token.value !== value) {
+        throw new Error(`Expected "${value}" in formula`);
+      }
+    };
+
+    // expression := term (("+" | "-") term)*
+    const parseExpression = () => {
+      let value = parseTerm();
+      while (peek() && (peek().value === '+' || peek().value === '-')) {
+        value = next().value === '+' ? value + parseTerm() : value - parseTerm();
+      }
+      return value;
+    };
+
+    // term := unary (("*" | "/") unary)*
+    const parseTerm = () => {
+      let value = parseUnary();
+      while (peek() && (peek().value === '*' || peek().value === '/')) {
+        value = next().value === '*' ? value * parseUnary() : value / parseUnary();
+      }
+      return value;
+    };
+
+    // unary := ("+" | "-") unary | power
+    const parseUnary = () => {
+      if (peek() && (peek().value === '+' || peek().value === '-')) {
+        return next().value === '-' ? -parseUnary() : parseUnary();
+      }
+      return parsePower();
+    };
+
+    // power := primary ("^" unary)?   (right associative)
+    const parsePower = () => {
+      const base = parsePrimary();
+      if (peek() && peek().value === '^') {
+        next();
+        return Math.pow(base, parseUnary());
+      }
+      return base;
+    };
+
+    const parsePrimary = () => {
+      const token = next();
+      if (!token) {
+        throw new Error('Unexpected end of formula');
+      }
+      if (token.type === 'number') {
+        return token.value;
+      }
+      if (token.value === '(') {
+        const value = parseExpression();
+        expect(')');
+        return value;
+      }
+      if (token.type === 'name') {
+        if (peek() && peek().value === '(') {
+          return callFunction(token.value);
+        }
+        if (Object.prototype.hasOwnProperty.call(variables, token.value)) {
+          return Number(variables[token.value]);
+        }
+        if (Object.prototype.hasOwnProperty.call(this.constants, token.value)) {
+          return this.constants[token.value];
+        }
+        throw new Error(`Unknown variable "${token.value}" in formula`);
+      }
+      throw new Error(`Unexpected "${token.value}" in formula`);
+    };
+
+    const callFunction = (name) => {
+      const fn = this.functions[name];
+      if (!fn) {
+        throw new Error(`Unknown function "${name}" in formula`);
+      }
+      expect('(');
+      const args = [parseExpression()];
+      while (peek() && peek().value === ',') {
+        next();
+        args.push(parseExpression());
+      }
+      expect(')');
+      return fn(...args);
+    };
+
+    const result = parseExpression();
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${peek().value}" in formula`);
+    }
+    return result;
+  }
+
+  /**
+   * Split a formula into number, name and operator tokens
+   */
+  tokenize(formula) {
+    const tokens = [];
+    const source = String(formula || '');
+    const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|(\*\*|[-+*/^(),]))/y;
+
+    let index = 0;
+    while (index < source.length) {
+      if (/^\s*$/.test(source.slice(index))) break;
+
+      pattern.lastIndex = index;
+      const match = pattern.exec(source);
+      if (!match) {
+        throw new Error(`Unexpected character "${source.slice(index).trim()[0]}" in formula`);
+      }
+      if (match[1] !== undefined) {
+        tokens.push({ type: 'number', value: parseFloat(match[1]) });
+      } else if (match[2] !== undefined) {
+        tokens.push({ type: 'name', value: match[2] });
+      } else {
+        tokens.push({ type: 'operator', value: match[3] === '**' ? '^' : match[3] });
+      }
+      index = pattern.lastIndex;
+    }
+
+    if (tokens.length === 0) {
+      throw new Error('Formula is empty');
+    }
+    return tokens;
+  }
+
+  /**
+   * Generate answer sets: random variable values within their bounds and the resulting answer
+   * @param {Object} spec - { variables: [{name, min, max, decimals}], formula, decimals }
+   * @param {number} count - Number of sets to generate
+   * @param {Function} [random=Math.random] - Random source, injectable for tests
+   * @returns {Array<{values: Object, answer: number}>}
+   * @throws {Error} If the formula cannot be evaluated or never yields a finite answer
+   */
+  generateAnswerSets(spec, count, random = Math.random) {
+    const sets = [];
+    const maxAttempts = count * 20;
+
+    for (let attempt = 0; attempt < maxAttempts && sets.length < count; attempt++) {
+      const values = {};
+      (spec.variables || []).forEach(variable => {
+        const min = NumberParser.parse(variable.min);
+        const max = NumberParser.parse(variable.max);
+        if (Number.isNaN(min) || Number.isNaN(max)) {
+          throw new Error(`Variable "${variable.name}" needs a numeric min and max`);
+        }
+        values[variable.name] = this.round(min + random() * (max - min), variable.decimals);
+      });
+
+      const answer = this.evaluate(spec.formula, values);
+      if (Number.isFinite(answer)) {
+        sets.push({ values, answer: this.round(answer, spec.decimals) });
+      }
+    }
+
+    if (sets.length < count) {
+      throw new Error('Formula does not produce a finite answer for the given variable ranges');
+    }
+    return sets;
+  }
+
+  round(value, decimals = 0) {
+    const places = Math.max(0, parseInt(decimals, 10) || 0);
+    return parseFloat(value.toFixed(places));
+  }
+}
+
+export default FormulaEvaluator;
@@ -0,0 +1,408 @@
+import QTIExporter from '../qti-exporter.js';
+import NumberParser from './number-parser.js';
+import MathDelimiters from './math-delimiters.js';
+
+/**
+ * GIFT Format - Reads and writes Moodle's GIFT plain-text quiz format
+ * Questions are separated by blank lines (also inside {...}, as in Moodle); answers sit in {...} after the question text:
+ *   {=right ~wrong}            multiple choice        {~%50%a ~%50%b ~%-100%c}  multiple answers
+ *   {T} / {FALSE#wrong#right}  true/false             {=Paris =París}           short answer
+ *   {=Fe -> Iron =Au -> Gold}  matching               {#2.718:0.001} / {#1..2}  numerical
+ *   {}                         essay                  ####text                  general feedback
+ * Special characters ~ = # { } : and \ are escaped with a backslash; \n is a line break.
+ * LaTeX is written as \(...\) / $$...$$ so Moodle's MathJax filter renders imported questions.
+ */
+class GiftFormat {
+  /**
+   * @param {Object} [options] - Writer options
+   * @param {boolean} [options.includeExplanations=true] - Write explanations and other feedback
+   */
+  constructor(options = {}) {
+    this.options = { includeExplanations: true, ...options };
+    // Answer normalisation and feedback are shared with the Canvas exporter
+    this.qtiExporter = new QTIExporter(this.options);
+  }
+
+  /**
+   * Parse a GIFT document into question objects for assessmentActions.addQuestion
+   * @param {string} text - GIFT source
+   * @returns {{questions: Array<Object>, errors: Array<string>}} errors name the line each bad question starts on
+   */
+  parse(text) {
+    const questions = [];
+    const errors = [];
+
+    this.splitBlocks(text).forEach(block => {
+      try {
+        const question = this.parseBlock(block.text);
+        if (question) {
+          questions.push(question);
+        }
+      } catch (error) {
+        errors.push(`Line ${block.line}: ${error.message}`);
+      }
+    });
+
+    return { questions, errors };
+  }
+
+  /**
+   * Split the source into question blocks at blank lines, dropping // comment lines
+   * @returns {Array<{text: string, line: number}>}
+   */
+  splitBlocks(text) {
+    const blocks = [];
+    let current = null;
+
+    String(text || '').split(/\r?\n/).forEach((line, index) => {
+      const trimmed = line.trim();
+      if (trimmed === '') {
+        if (current) {
+          blocks.push(current);
+          current = null;
+        }
+      } else if (!trimmed.startsWith('//')) {
+        if (current) {
+          current.text += `\n${line}`;
+        } else {
+          current = { text: line, line: index + 1 };
+        }
+      }
+    });
+
+    if (current) {
+      blocks.push(current);
+    }
+    return blocks;
+  }
+
+  /**
+   * Parse one question block; returns null for $CATEGORY lines and descriptions without answers
+   */
+  parseBlock(block) {
+    let source = block.trim();
+    if (source.startsWith('$CATEGORY:')) return null;
+
+    // ::Title:: is optional and has no place in the question model
+    const title = source.match(/^::((?:\\.|[^\\:]|:(?!:))*)::/);
+    if (title) {
+      source = source.slice(title[0].length).trim();
+    }
+    const format = source.match(/^\[(html|moodle|plain|markdown)\]/i);
+    const isHTML = format && format[1].toLowerCase() === 'html';
+    if (format) {
+      source = source.slice(format[0].length);
+    }
+
+    const open = this.indexOfUnescaped(source, '{');
+    if (open < 0) return null;
+    const close = this.indexOfUnescaped(source, '}', open + 1);
+    if (close < 0) {
+      throw new Error('Answer block is missing its closing }');
+    }
+
+    const before = source.slice(0, open).trim();
+    const after = source.slice(close + 1).trim();
+    // "Missing word" questions keep the answer block in the middle of the sentence
+    const rawText = after ? `${before} _____ ${after}` : before;
+    const text = this.unescape(isHTML ? this.htmlToText(rawText) : rawText);
+
+    return this.parseAnswers(source.slice(open + 1, close), text);
+  }
+
+  /**
+   * Work out the question type from the answer block and build the question
+   */
+  parseAnswers(body, text) {
+    const feedbackAt = this.indexOfUnescaped(body, '####');
+    const general = feedbackAt >= 0 ? this.unescape(body.slice(feedbackAt + 4)) : '';
+    const content = (feedbackAt >= 0 ? body.slice(0, feedbackAt) : body).trim();
+    const question = { type: null, text, points: 1 };
+    const feedback = { general, correct: '', incorrect: '' };
+
+    const trueFalse = content.match(/^(T|TRUE|F|FALSE)\s*(?=#|$)/i);
+    if (content === '') {
+      question.type = 'essay';
+      question.gradingRubric = '';
+    } else if (content.startsWith('#')) {
+      question.type = 'numerical';
+      Object.assign(question, this.parseNumerical(content.slice(1).trim(), feedback));
+    } else if (trueFalse) {
+      // {TRUE#feedback when answered wrong#feedback when answered right}
+      const [, incorrect = '', correct = ''] = this.splitUnescaped(content, '#');
+      question.type = 'true_false';
+      question.correctAnswer = trueFalse[1].toUpperCase().startsWith('T') ? 'true' : 'false';
+      feedback.incorrect = this.unescape(incorrect);
+      feedback.correct = this.unescape(correct);
+    } else {
+      const answers = this.splitAnswers(content);
+      if (answers.length === 0) {
+        throw new Error('Answers must start with = or ~');
+      }
+      const rightCount = answers.filter(answer => answer.mark === '=').length;
+      const wrongCount = answers.length - rightCount;
+
+      if (rightCount === answers.length && answers.every(answer => this.indexOfUnescaped(answer.text, '->') >= 0)) {
+        question.type = 'matching';
+        question.matches = [];
+        question.distractors = [];
+        answers.forEach(answer => {
+          const arrow = this.indexOfUnescaped(answer.text, '->');
+          const left = this.unescape(answer.text.slice(0, arrow));
+          const right = this.unescape(answer.text.slice(arrow + 2));
+          if (left) {
+            question.matches.push({ left, right });
+          } else {
+            question.distractors.push(right);
+          }
+        });
+      } else if (wrongCount === 0) {
+        question.type = 'short_answer';
+        question.acceptedAnswers = answers.map(answer => this.unescape(answer.text)).filter(Boolean);
+        question.sampleAnswer = question.acceptedAnswers[0] || '';
+        feedback.correct = this.unescape(answers[0].feedback);
+      } else if (rightCount === 1) {
+        question.type = 'multiple_choice';
+        question.choices = answers.map(answer => this.choiceFromAnswer(answer, answer.mark === '='));
+        question.correctAnswer = answers.findIndex(answer => answer.mark === '=');
+      } else {
+        question.type = 'multiple_answers';
+        question.choices = answers.map(answer => this.choiceFromAnswer(answer, answer.mark === '=' || answer.weight > 0));
+        question.correctAnswer = question.choices
+          .map((choice, index) => (choice.correct ? index : -1))
+          .filter(index => index >= 0);
+        if (question.correctAnswer.length === 0) {
+          throw new Error('Multiple answers question has no answer with a positive %weight%');
+        }
+      }
+    }
+
+    if (feedback.general || feedback.correct || feedback.incorrect) {
+      question.feedback = feedback;
+    }
+    return question;
+  }
+
+  /**
+   * Numerical answers: "value:margin", "min..max" or a list of "=value:margin" with %weights
+   */
+  parseNumerical(content, feedback) {
+    let answer = content;
+    if (content.startsWith('=') || content.startsWith('~')) {
+      const answers = this.splitAnswers(content);
+      answer = (answers.find(candidate => candidate.mark === '=' && (candidate.weight === null || candidate.weight >= 100)) || answers[0]).raw;
+    }
+
+    const [value, answerFeedback = ''] = this.splitUnescaped(answer, '#');
+    feedback.correct = this.unescape(answerFeedback);
+
+    const range = value.split('..');
+    if (range.length === 2) {
+      const start = NumberParser.parse(range[0]);
+      const end = NumberParser.parse(range[1]);
+      if (Number.isNaN(start) || Number.isNaN(end)) {
+        throw new Error(`Invalid numerical range "${value.trim()}"`);
+      }
+      return { numericAnswer: { mode: 'range', start, end } };
+    }
+
+    const [number, margin = '0'] = this.splitUnescaped(value, ':');
+    const parsed = NumberParser.parse(number);
+    if (Number.isNaN(parsed)) {
+      throw new Error(`Invalid numerical answer "${value.trim()}"`);
+    }
+    return { numericAnswer: { mode: 'exact', value: parsed, margin: Math.abs(NumberParser.parse(margin)) || 0 } };
+  }
+
+  choiceFromAnswer(answer, correct) {
+    const choice = { text: this.unescape(answer.text), correct };
+    if (answer.feedback) {
+      choice.feedback = this.unescape(answer.feedback);
+    }
+    return choice;
+  }
+
+  /**
+   * Split an answer block at each unescaped = or ~
+   * @returns {Array<{mark: string, weight: (number|null), text: string, feedback: string, raw: string}>}
+   */
+  splitAnswers(content) {
+    const answers = [];
+    let current = null;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (char === '\\') {
+        if (current) current.raw += content.slice(i, i + 2);
+        i++;
+      } else if (char === '=' || char === '~') {
+        current = { mark: char, raw: '' };
+        answers.push(current);
+      } else if (current) {
+        current.raw += char;
+      }
+    }
+
+    return answers.map(answer => {
+      const weight = answer.raw.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+      const body = weight ? answer.raw.slice(weight[0].length) : answer.raw;
+      const [answerText, feedback = ''] = this.splitUnescaped(body, '#');
+      return {
+        mark: answer.mark,
+        weight: weight ? parseFloat(weight[1]) : null,
+        text: answerText.trim(),
+        feedback: feedback.trim(),
+        raw: body.trim()
+      };
+    });
+  }
+
+  /**
+   * Split at the first unescaped separator
+   * @returns {Array<string>} [before, after] or [text] when the separator does not occur
+   */
+  splitUnescaped(text, separator) {
+    const index = this.indexOfUnescaped(text, separator);
+    if (index < 0) return [text];
+    return [text.slice(0, index), ...this.splitUnescaped(text.slice(index + separator.length), separator)];
+  }
+
+  indexOfUnescaped(text, token, from = 0) {
+    for (let i = from; i < text.length; i++) {
+      if (text[i] === '\\') {
+        i++;
+      } else if (text.startsWith(token, i)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  unescape(text) {
+    const unescaped = String(text || '')
+      .replace(/\\([\\~=#{}:n])/g, (match, char) => (char === 'n' ? '\n' : char))
+      .trim();
+    return MathDelimiters.fromMathJax(unescaped);
+  }
+
+  htmlToText(html) {
+    return html
+      .replace(/<br\s*\/?>/gi, '\\n')
+      .replace(/<\/(p|div|li)>/gi, '\\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Write questions as GIFT
+   * @param {Array<Object>} questions - Assessment questions
+   * @returns {{text: string, skipped: Array<Object>}} skipped lists questions GIFT cannot express
+   */
+  write(questions) {
+    const skipped = [];
+    const blocks = [];
+
+    questions.forEach(question => {
+      const answers = this.writeAnswers(question);
+      if (answers === null) {
+        skipped.push(question);
+        return;
+      }
+      blocks.push(`${this.escape(question.text)} {${answers}}`);
+    });
+
+    return { text: blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '', skipped };
+  }
+
+  /**
+   * Contents of the {...} block, or null for types GIFT cannot express
+   */
+  writeAnswers(question) {
+    const feedback = this.qtiExporter.getFeedback(question) || { general: '', correct: '', incorrect: '', choices: [] };
+    const general = feedback.general ? `\n####${this.escape(feedback.general)}` : '';
+    const withFeedback = (text) => (text ? `#${this.escape(text)}` : '');
+    const choiceFeedback = (index) => {
+      const choice = feedback.choices.find(candidate => candidate.ident === `${index}`);
+      return withFeedback(choice && choice.text);
+    };
+    const lines = (items) => `\n${items.join('\n')}${general}\n`;
+
+    switch (question.type) {
+      case 'multiple_choice':
+        return lines((question.choices || []).map((choice, index) =>
+          `${index === Number(question.correctAnswer) ? '=' : '~'}${this.escape(choice.text)}${choiceFeedback(index)}`));
+      case 'multiple_answers': {
+        const choices = question.choices || [];
+        const correct = this.qtiExporter.getCorrectChoiceIndexes(question).filter(index => choices[index]);
+        const wrongCount = choices.length - correct.length;
+        const weight = (fraction) => parseFloat(fraction.toPrecision(7));
+        return lines(choices.map((choice, index) => {
+          const fraction = correct.includes(index) ? 100 / correct.length : (wrongCount > 0 ? -100 / wrongCount : 0);
+          return `~%${weight(fraction)}%${this.escape(choice.text)}${choiceFeedback(index)}`;
+        }));
+      }
+      case 'true_false': {
+        const answer = String(question.correctAnswer) === 'true' ? 'TRUE' : 'FALSE';
+        const outcomes = feedback.correct || feedback.incorrect
+          ? `#${this.escape(feedback.incorrect)}#${this.escape(feedback.correct)}`
+          : '';
+        return `${answer}${outcomes}${general}`;
+      }
+      case 'short_answer':
+      case 'fill_in_blank': {
+        const accepted = this.qtiExporter.getAcceptedAnswers(question);
+        if (accepted.length === 0) return null;
+        return lines(accepted.map((answer, index) => `=${this.escape(answer)}${index === 0 ? withFeedback(feedback.correct) : ''}`));
+      }
+      case 'essay':
+        return general ? `${general}\n` : '';
+      case 'matching': {
+        const pairs = (question.matches || []).filter(match =>
+          String(match.left ?? '').trim() && String(match.right ?? '').trim()
+        );
+        const rights = pairs.map(match => String(match.right).trim());
+        const distractors = this.qtiExporter.getMatchingOptions(question).filter(option => !rights.includes(option));
+        return lines([
+          ...pairs.map(match => `=${this.escape(match.left)} -> ${this.escape(match.right)}`),
+          ...distractors.map(option => `= -> ${this.escape(option)}`)
+        ]);
+      }
+      case 'numerical': {
+        const bounds = this.qtiExporter.getNumericalBounds(question.numericAnswer);
+        if (!bounds) return null;
+        const answer = bounds.value !== undefined
+          ? `${bounds.value}:${parseFloat((bounds.upper - bounds.value).toPrecision(12))}`
+          : `${bounds.lower}..${bounds.upper}`;
+        return `#${answer}${withFeedback(feedback.correct)}${general}`;
+      }
+      default:
+        return null;
+    }
+  }
+
+  escape(text) {
+    return MathDelimiters.toMathJax(String(text ?? '').trim())
+      .replace(/\\(?=[\\~=#{}:n])/g, '\\\\')
+      .replace(/([~=#{}:])/g, '\\$1')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Whether a file name is a GIFT file: .gift, or .gift.txt as the app exports it
+   * @param {string} fileName
+   * @returns {boolean}
+   */
+  static matchesFileName(fileName) {
+    return /\.gift(\.txt)?$/i.test(String(fileName || ''));
+  }
+}
+
+// Moodle's import file picker expects .txt, so exports keep the format name before it
+GiftFormat.FILE_SUFFIX = '.gift.txt';
+
+export default GiftFormat;
@@ -0,0 +1,111 @@
+/**
+ * Image Attachments - Images attached to question text (question.images) and choices (choice.image)
+ * Each image is kept in the assessment as { id, name, mimeType, dataUrl }, so saved JSON carries it.
+ * The QTI packager copies them into the zip as course files referenced through $IMS-CC-FILEBASE$.
+ */
+class ImageAttachments {
+  /**
+   * Read an image picked in the editor
+   * @param {File} file - File from an <input type="file">
+   * @returns {Promise<Object>} Image attachment
+   */
+  static fromFile(file) {
+    if (!ImageAttachments.MIME_TYPES[file.type]) {
+      return Promise.reject(new Error(`Unsupported image type: ${file.type || file.name}`));
+    }
+    if (file.size > ImageAttachments.MAX_BYTES) {
+      return Promise.reject(new Error(`Image is larger than ${ImageAttachments.MAX_BYTES / 1024 / 1024} MB: ${file.name}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve({
+        id: `img_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+        name: file.name,
+        mimeType: file.type,
+        dataUrl: reader.result
+      });
+      reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  /**
+   * Every attached image in the assessment, in question order
+   * @param {Object} assessment - Assessment object
+   * @returns {Array<Object>} Images, each once
+   */
+  static collect(assessment) {
+    const images = new Map();
+    (assessment.questions || []).forEach(question => {
+      [...(question.images || []), ...(question.choices || []).map(choice => choice.image)]
+        .filter(image => image && image.dataUrl && !images.has(image.id))
+        .forEach(image => images.set(image.id, image));
+    });
+    return [...images.values()];
+  }
+
+  /**
+   * Course file names for the images, unique within the package
+   * @param {Array<Object>} images - Images from collect()
+   * @returns {Map<string, string>} Image id => file name
+   */
+  static fileNames(images) {
+    const names = new Map();
+    const used = new Set();
+    images.forEach(image => {
+      const extension = ImageAttachments.MIME_TYPES[ImageAttachments.decode(image).mimeType] || 'png';
+      const base = String(image.name || 'image')
+        .replace(/\.[^.]*$/, '')
+        .replace(/[^A-Za-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'image';
+
+      let name = `${base}.${extension}`;
+      for (let i = 2; used.has(name.toLowerCase()); i++) {
+        name = `${base}-${i}.${extension}`;
+      }
+      used.add(name.toLowerCase());
+      names.set(image.id, name);
+    });
+    return names;
+  }
+
+  /**
+   * Split a data URL into its MIME type and base64 payload
+   * @param {Object} image - Image attachment
+   * @returns {{mimeType: string, base64: string}}
+   */
+  static decode(image) {
+    const match = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s.exec(image.dataUrl || '');
+    if (!match) {
+      throw new Error(`Image ${image.name || image.id} is not a base64 data URL`);
+    }
+    return { mimeType: match[1], base64: match[2] };
+  }
+
+  /**
+   * Path of a course file as written in question HTML
+   * @param {string} fileName - Name from fileNames()
+   * @returns {string}
+   */
+  static fileBaseUrl(fileName) {
+    return `${ImageAttachments.FILEBASE}/${ImageAttachments.FOLDER.split('/').map(encodeURIComponent).join('/')}/${encodeURIComponent(fileName)}`;
+  }
+}
+
+// Canvas resolves $IMS-CC-FILEBASE$ to the course files root on import
+ImageAttachments.FILEBASE = '$IMS-CC-FILEBASE$';
+ImageAttachments.FOLDER = 'Uploaded Media';
+// Package directory Canvas copies into course files
+ImageAttachments.PACKAGE_ROOT = 'web_resources';
+ImageAttachments.MAX_BYTES = 5 * 1024 * 1024;
+// Accepted MIME types and the extension written for each
+ImageAttachments.MIME_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'image/webp': 'webp'
+};
+
+export default ImageAttachments;
@@ -0,0 +1,236 @@
+import QTIExporter from '../qti-exporter.js';
+import NumberParser from './number-parser.js';
+
+// Fixed words in the printed exam, per interface language
+const LABELS = {
+  es: { answerKey: 'Respuestas', solution: 'Solución', true: 'Verdadero', false: 'Falso', openAnswer: 'Respuesta abierta' },
+  en: { answerKey: 'Answer key', solution: 'Solution', true: 'True', false: 'False', openAnswer: 'Open answer' }
+};
+
+// Math and whole environments are written exactly as authored
+const VERBATIM_PATTERN = /(\$\$[\s\S]*?\$\$|\$[^$]*\$|\\\([\s\S]*?\\\)|\\\[[\s\S]*?\\\]|\\begin\{([^}]*)\}[\s\S]*?\\end\{\2\})/;
+
+/**
+ * LaTeX Writer - Writes an assessment back as \begin{ejerc} exercises, the format LaTeXParser reads
+ * Choices go in \begin{enumerate}[a)]; the answer key (and solutions, when enabled) follows on its own page
+ */
+class LaTeXWriter {
+  /**
+   * @param {Object} [options] - Writer options
+   * @param {boolean} [options.includeSolutions=false] - Write explanations under each answer in the key
+   * @param {boolean} [options.includeAnswerKey=true] - Write the answer key section
+   * @param {string} [options.language='es'] - Language of the fixed labels ('es' or 'en')
+   */
+  constructor(options = {}) {
+    this.options = { includeSolutions: false, includeAnswerKey: true, language: 'es', ...options };
+    this.labels = LABELS[this.options.language] || LABELS.es;
+    // Answer normalisation is shared with the Canvas exporter; explanations only matter for solutions
+    this.qtiExporter = new QTIExporter({ includeExplanations: this.options.includeSolutions });
+  }
+
+  /**
+   * Write the assessment as a LaTeX fragment to \input into the exam template
+   * @param {Object} assessment - Assessment object
+   * @returns {{text: string, skipped: Array<Object>}} skipped lists questions of unknown types, and those
+   *   that cannot be exported yet with a reason (see QTIExporter.getExportProblem)
+   */
+  write(assessment) {
+    const skipped = [];
+    const exercises = [];
+    const keys = [];
+
+    (assessment.questions || []).forEach(question => {
+      const reason = this.qtiExporter.getExportProblem(question);
+      const exercise = reason ? null : this.writeExercise(question);
+      if (!exercise) {
+        skipped.push(reason ? { ...question, reason } : question);
+        return;
+      }
+      exercises.push(exercise.body);
+      keys.push(this.writeKeyItem(question, exercise.answer));
+    });
+
+    let text = assessment.title ? `% ${assessment.title.replace(/\s*\r?\n\s*/g, ' ')}\n\n` : '';
+    text += exercises.map(body => `\\begin{ejerc}\n${body}\n\\end{ejerc}\n`).join('\n');
+
+    if (this.options.includeAnswerKey && keys.length > 0) {
+      text += `\n\\clearpage\n\\section*{${this.labels.answerKey}}\n\\begin{enumerate}\n${keys.join('\n')}\n\\end{enumerate}\n`;
+    }
+
+    return { text, skipped };
+  }
+
+  /**
+   * Exercise body and answer-key text for one question, or null for unknown types and formula questions without answer sets
+   * @returns {{body: string, answer: string}|null}
+   */
+  writeExercise(question) {
+    switch (question.type) {
+      case 'multiple_choice':
+      case 'multiple_answers': {
+        const choices = question.choices || [];
+        const correct = question.type === 'multiple_choice'
+          ? [Number(question.correctAnswer)]
+          : this.qtiExporter.getCorrectChoiceIndexes(question);
+        return {
+          body: `${this.toLatex(question.text)}\n\n${this.enumerate(choices.map(choice => this.toLatex(choice.text)), 'a)')}`,
+          answer: correct
+            .filter(index => choices[index])
+            .map(index => `${this.letter(index)}) ${this.toLatex(choices[index].text)}`)
+            .join('; ')
+        };
+      }
+      case 'true_false':
+        return {
+          body: `${this.toLatex(question.text)}\n\n${this.enumerate([this.labels.true, this.labels.false], 'a)')}`,
+          answer: String(question.correctAnswer) === 'true' ? this.labels.true : this.labels.false
+        };
+      case 'short_answer':
+      case 'fill_in_blank':
+        return {
+          body: this.toLatex(question.text),
+          answer: this.qtiExporter.getAcceptedAnswers(question).map(answer => this.toLatex(answer)).join(' / ')
+        };
+      case 'essay':
+        return {
+          body: this.toLatex(question.text),
+          answer: question.gradingRubric ? this.toLatex(question.gradingRubric) : this.labels.openAnswer
+        };
+      case 'numerical':
+        return {
+          body: this.toLatex(question.text),
+          answer: this.formatNumericalAnswer(this.qtiExporter.getNumericalBounds(question.numericAnswer))
+        };
+      case 'calculated':
+        return this.writeCalculated(question);
+      case 'matching':
+        return this.writeMatching(question);
+      case 'fill_in_multiple_blanks':
+      case 'multiple_dropdowns':
+        return this.writeBlanks(question);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Formula questions are printed with the variables of the first stored answer set filled in,
+   * or null when they have none
+   */
+  writeCalculated(question) {
+    const variables = this.qtiExporter.formulaEvaluator.resolveVariables(question.text, (question.calculated || {}).variables);
+    const calculated = { ...question.calculated, variables };
+    const [answerSet] = this.qtiExporter.getAnswerSets(calculated);
+    if (!answerSet) {
+      return null;
+    }
+
+    const text = String(question.text || '').replace(/\[([A-Za-z_][A-Za-z0-9_]*)\]/g, (placeholder, name) =>
+      answerSet.values[name] !== undefined ? String(answerSet.values[name]) : placeholder
+    );
+    const margin = Math.abs(NumberParser.parse(calculated.tolerance ?? 0)) || 0;
+
+    return {
+      body: this.toLatex(text),
+      answer: this.formatNumericalAnswer(this.qtiExporter.getNumericalBounds({ mode: 'exact', value: answerSet.answer, margin }))
+    };
+  }
+
+  /**
+   * Left items numbered, right-hand options lettered in alphabetical order so their position
+   * gives nothing away; the key pairs them as 1 → B
+   */
+  writeMatching(question) {
+    const pairs = (question.matches || []).filter(match =>
+      String(match.left ?? '').trim() && String(match.right ?? '').trim()
+    );
+    const options = this.qtiExporter.getMatchingOptions(question).sort((a, b) => a.localeCompare(b));
+
+    return {
+      body: [
+        this.toLatex(question.text),
+        this.enumerate(pairs.map(match => this.toLatex(match.left)), '1.'),
+        this.enumerate(options.map(option => this.toLatex(option)), 'A)')
+      ].join('\n\n'),
+      answer: pairs
+        .map((match, index) => `${index + 1}~$\\rightarrow$~${this.letter(options.indexOf(String(match.right).trim())).toUpperCase()}`)
+        .join(', ')
+    };
+  }
+
+  /**
+   * Each [name] becomes an answer line; dropdown blanks list their options after it
+   */
+  writeBlanks(question) {
+    const blanks = this.qtiExporter.getBlanks(question);
+    const isDropdown = question.type === 'multiple_dropdowns';
+    const text = String(question.text || '').replace(/\[([A-Za-z_][A-Za-z0-9_]*)\]/g, (placeholder, name) => {
+      const blank = blanks.find(candidate => candidate.name === name);
+      if (!blank) return placeholder;
+      const options = isDropdown
+        ? (blank.options || []).map(option => String(option.text ?? '').trim()).filter(Boolean)
+        : [];
+      return options.length > 0 ? `\\underline{\\hspace{3cm}} (${options.join(' / ')})` : '\\underline{\\hspace{3cm}}';
+    });
+
+    return {
+      body: this.toLatex(text),
+      answer: blanks.map(blank => {
+        const answers = isDropdown
+          ? (blank.options || []).filter(option => option.correct).map(option => String(option.text ?? '').trim())
+          : this.qtiExporter.getAcceptedAnswers({ acceptedAnswers: blank.answers });
+        return `${this.toLatex(blank.name)}: ${answers.map(answer => this.toLatex(answer)).join(' / ')}`;
+      }).join('; ')
+    };
+  }
+
+  /**
+   * Answer-key entry, followed by the solution when solutions are enabled
+   */
+  writeKeyItem(question, answer) {
+    const feedback = this.qtiExporter.getFeedback(question);
+    const solution = feedback && feedback.general
+      ? `\n\n    \\textit{${this.labels.solution}:} ${this.toLatex(feedback.general).replace(/\n/g, '\n    ')}`
+      : '';
+    return `  \\item ${answer}${solution}`;
+  }
+
+  formatNumericalAnswer(bounds) {
+    if (!bounds) return '';
+    if (bounds.value === undefined) {
+      return `$[${bounds.lower}, ${bounds.upper}]$`;
+    }
+    const margin = parseFloat((bounds.upper - bounds.value).toPrecision(12));
+    return margin > 0 ? `$${bounds.value} \\pm ${margin}$` : `$${bounds.value}$`;
+  }
+
+  enumerate(items, label) {
+    return `\\begin{enumerate}[${label}]\n${items.map(item => `  \\item ${item}`).join('\n')}\n\\end{enumerate}`;
+  }
+
+  letter(index) {
+    return String.fromCharCode(97 + index);
+  }
+
+  /**
+   * Question text is already LaTeX; outside math and environments stray & and _ are escaped and
+   * line breaks become paragraph breaks. % and # are always escaped so they cannot swallow text.
+   */
+  toLatex(text) {
+    return String(text ?? '')
+      .trim()
+      .replace(/(?<!\\)([%#])/g, '\\$1')
+      .split(VERBATIM_PATTERN)
+      .reduce((parts, part, index) => {
+        // split() also returns the environment-name group; it is part of the verbatim match before it
+        if (index % 3 === 2 || part === undefined) return parts;
+        parts.push(index % 3 === 1
+          ? part
+          : part.replace(/(?<!\\)([&_])/g, '\\$1').replace(/[ \t]*\r?\n\s*/g, '\n\n'));
+        return parts;
+      }, [])
+      .join('');
+  }
+}
+
+export default LaTeXWriter;
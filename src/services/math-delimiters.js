@@ -0,0 +1,35 @@
+/**
+ * Math Delimiters - Converts between the editor's $...$ LaTeX and MathJax-style delimiters
+ * Moodle's MathJax filter renders \(...\) and $$...$$ but not single dollars
+ */
+class MathDelimiters {
+  /**
+   * Rewrite inline $...$ as \(...\); display $$...$$ is left as is unless displayBrackets is set
+   * @param {string} text - Editor text
+   * @param {Object} [options]
+   * @param {boolean} [options.displayBrackets] - Write display math as \[...\]
+   * @returns {string}
+   */
+  static toMathJax(text, options = {}) {
+    if (!text) return '';
+
+    return String(text)
+      .replace(/\$\$(.*?)\$\$/g, (match, latex) => (options.displayBrackets ? `\\[${latex.trim()}\\]` : `$$${latex.trim()}$$`))
+      .replace(/(^|[^$])\$([^$]+)\$(?!\$)/g, (match, before, latex) => `${before}\\(${latex.trim()}\\)`);
+  }
+
+  /**
+   * Rewrite \(...\) as $...$ and \[...\] as $$...$$
+   * @param {string} text - Text with MathJax delimiters
+   * @returns {string}
+   */
+  static fromMathJax(text) {
+    if (!text) return '';
+
+    return String(text)
+      .replace(/\\\[([\s\S]*?)\\\]/g, (match, latex) => `$$${latex.trim()}$$`)
+      .replace(/\\\(([\s\S]*?)\\\)/g, (match, latex) => `$${latex.trim()}$`);
+  }
+}
+
+export default MathDelimiters;
@@ -0,0 +1,49 @@
+/**
+ * Number Parser - Reads numbers written either way our material writes them
+ * Accepts "3.14", "3,14" (decimal comma), "1.234,5" / "1,234.5" (thousands separators) and "−2" (unicode minus)
+ */
+class NumberParser {
+  /**
+   * Parse a number or numeric string
+   * @param {number|string} value - Raw value
+   * @returns {number} Parsed number, or NaN when the value is not a number
+   */
+  static parse(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : NaN;
+    }
+    if (typeof value !== 'string') {
+      return NaN;
+    }
+
+    let normalized = value.trim().replace(/\s+/g, '').replace(/−/g, '-');
+    const lastComma = normalized.lastIndexOf(',');
+    const lastDot = normalized.lastIndexOf('.');
+
+    if (lastComma >= 0 && lastDot >= 0) {
+      // Whichever separator comes last is the decimal one
+      const thousands = lastComma > lastDot ? '.' : ',';
+      normalized = normalized.split(thousands).join('');
+      normalized = normalized.replace(',', '.');
+    } else if (lastComma >= 0) {
+      const commas = normalized.split(',').length - 1;
+      normalized = commas === 1 ? normalized.replace(',', '.') : normalized.split(',').join('');
+    }
+
+    if (!/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(normalized)) {
+      return NaN;
+    }
+    return parseFloat(normalized);
+  }
+
+  /**
+   * Check whether a value parses to a number
+   * @param {number|string} value - Raw value
+   * @returns {boolean}
+   */
+  static isNumber(value) {
+    return !Number.isNaN(NumberParser.parse(value));
+  }
+}
+
+export default NumberParser;
@@ -0,0 +1,37 @@
+/**
+ * Placeholder Parser - Finds Canvas-style [name] placeholders in question text
+ * Used for formula variables and for fill-in-multiple-blanks / multiple-dropdowns blanks
+ */
+class PlaceholderParser {
+  /**
+   * Placeholder names in order of first appearance
+   * @param {string} text - Question text
+   * @returns {Array<string>} Unique names
+   */
+  static extract(text) {
+    const names = [];
+    const pattern = /\[([A-Za-z_][A-Za-z0-9_]*)\]/g;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+      if (!names.includes(match[1])) {
+        names.push(match[1]);
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Settings for every placeholder in the text, keeping stored ones and creating defaults for new names
+   * @param {string} text - Question text
+   * @param {Array<{name: string}>} items - Stored settings
+   * @param {Function} createDefault - (name) => settings for a placeholder without stored settings
+   * @returns {Array<Object>} Settings in order of appearance in the text
+   */
+  static resolve(text, items = [], createDefault) {
+    return PlaceholderParser.extract(text).map(name =>
+      (items || []).find(item => item.name === name) || createDefault(name)
+    );
+  }
+}
+
+export default PlaceholderParser;
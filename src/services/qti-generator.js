@@ -1,11 +1,22 @@
 // Import stores
-import { assessmentActions } from '../stores/assessment.js';
-import { llmActions, aiGenerationActions } from '../stores/llm.js';
+import { get } from 'svelte/store';
+import { assessmentStore, assessmentActions } from '../stores/assessment.js';
+import { activeCanvasProfile, canvasProfileActions } from '../stores/canvas-profiles.js';
+import { canvasApiActions } from '../stores/canvas-api.js';
+import { llmStore, llmActions, aiGenerationActions } from '../stores/llm.js';
+import { currentLanguage } from '../stores/localization.js';
 
 // Import proper non-browser services
 import QTIExporter from '../qti-exporter.js';
 import LaTeXRenderer from '../latex-renderer.js';
 import LaTeXParser from './latex-parser.js';
+import GiftFormat from './gift-format.js';
+import AikenFormat from './aiken-format.js';
+
+// Attachment types read straight into questions, without the LLM
+const QUIZ_FILE_TYPES = ['gift', 'aiken'];
+// Export formats written as a single text file
+const TEXT_EXPORT_FORMATS = [...QUIZ_FILE_TYPES, 'latex', 'csv'];
 
 
 class QTIGeneratorService {
@@ -14,6 +25,7 @@ class QTIGeneratorService {
     this.qtiExporter = new QTIExporter();
     this.latexRenderer = new LaTeXRenderer();
     this.latexParser = new LaTeXParser();
+    this.quizFormats = { gift: new GiftFormat(), aiken: new AikenFormat() };
     this.currentProvider = 'gemini';
     this.initialized = true;
   }
@@ -27,13 +39,13 @@ class QTIGeneratorService {
   }
 
   // LLM Configuration
-  async configureLLM(provider, apiKey) {
+  async configureLLM(provider, apiKey, options = {}) {
     try {
-      console.log('🔧 Configuring LLM:', { provider, apiKey: apiKey ? '***masked***' : 'empty' });
+      console.log('🔧 Configuring LLM:', { provider, apiKey: apiKey ? '***masked***' : 'empty', ...options });
       this.currentProvider = provider;
 
       // Configure LLM service via IPC
-      const result = await window.electronAPI.configureLLM(provider, apiKey);
+      const result = await window.electronAPI.configureLLM(provider, apiKey, options);
       console.log('🔧 LLM Configuration result:', result);
 
       if (result.success) {
@@ -54,6 +66,24 @@ class QTIGeneratorService {
     }
   }
 
+  /**
+   * Restore the local server URL and models saved by the last successful configureLLM
+   */
+  async loadLocalServerSettings() {
+    if (typeof window === 'undefined' || !window.electronAPI) return;
+
+    const result = await window.electronAPI.getLLMProviderSettings('openai-compatible');
+    if (!result.success) return;
+
+    const { baseUrl, models } = result.settings;
+    const current = get(llmStore);
+    llmActions.updateConfig({
+      serverUrl: baseUrl || current.serverUrl,
+      models: Array.isArray(models) ? models.join(', ') : (models ?? current.models),
+      isConfigured: current.isConfigured
+    });
+  }
+
   // PDF Processing
   async processPDF(file) {
     try {
@@ -98,12 +128,14 @@ class QTIGeneratorService {
    * Generates assessment questions based on provided parameters.
    * Handles LaTeX file parsing and AI question generation.
    * @param {Object} params Generation parameters
-   * @return {Promise<{success: boolean, questions?: Array, error?: string}>} Result object
+   * @return {Promise<{success: boolean, questions?: Array, error?: string, errors: Array<string>}>} Result object;
+   *   errors lists the GIFT/Aiken questions and files that could not be read
    */
   async generateQuestions(params) {
     console.log('🤖 Starting question generation with params:', params);
     llmActions.setGenerating(true);
     llmActions.clearError();
+    const errors = [];
 
     try {
       const {
@@ -120,7 +152,8 @@ class QTIGeneratorService {
       const generatedQuestions = await this.processAttachments(
         attachments,
         params,
-        useAI
+        useAI,
+        errors
       );
 
       const aiGeneratedQuestions = useAttachmentOnly ? [] : await this.generateAIBasedQuestions(
@@ -134,11 +167,11 @@ class QTIGeneratorService {
       this.validateQuestionCount(generatedQuestions);
       this.addQuestionsToAssessment(generatedQuestions);
 
-      return { success: true, questions: generatedQuestions };
+      return { success: true, questions: generatedQuestions, errors };
     } catch (error) {
       console.error('❌ Question generation failed:', error);
       llmActions.setError(error.message);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, errors };
     } finally {
       llmActions.setGenerating(false);
     }
@@ -194,6 +227,20 @@ class QTIGeneratorService {
     return result.questions;
   }
 
+  /**
+   * Reads questions from a GIFT or Aiken file; questions that fail to parse are left out and reported.
+   * @private
+   * @returns {Promise<{questions: Array<Object>, errors: Array<string>}>} errors are prefixed with the file name
+   */
+  async processQuizFile(quizFile) {
+    console.log('📝 Importing quiz file:', quizFile.name);
+    const fileContent = await window.electronAPI.readFile(quizFile.path);
+    const { questions, errors } = this.quizFormats[quizFile.type].parse(fileContent);
+
+    console.log(`📚 Imported ${questions.length} questions from ${quizFile.name} (${errors.length} invalid)`);
+    return { questions, errors: errors.map(error => `${quizFile.name}: ${error}`) };
+  }
+
   /**
    * Generates AI answers for questions requiring augmentation.
    * @private
@@ -232,8 +279,9 @@ class QTIGeneratorService {
   /**
    * Processes all attachments and returns generated questions.
    * @private
+   * @param {Array<string>} errors - Receives the GIFT/Aiken questions and files that could not be read
    */
-  async processAttachments(attachments, params, useAI) {
+  async processAttachments(attachments, params, useAI, errors = []) {
     if (!attachments.length) return [];
 
     const generatedQuestions = [];
@@ -248,17 +296,29 @@ class QTIGeneratorService {
       }
     }
 
+    const quizFiles = attachments.filter(file => QUIZ_FILE_TYPES.includes(file.type));
+    for (const quizFile of quizFiles) {
+      try {
+        const result = await this.processQuizFile(quizFile);
+        generatedQuestions.push(...result.questions);
+        errors.push(...result.errors);
+      } catch (error) {
+        console.error(`❌ Quiz file import failed for ${quizFile.name}: ${error.message}`);
+        errors.push(`${quizFile.name}: ${error.message}`);
+      }
+    }
+
     return generatedQuestions;
   }
 
   /**
-   * Generates AI-based questions from context and non-LaTeX attachments.
+   * Generates AI-based questions from context and the attachments that are not parsed directly.
    * @private
    */
   async generateAIBasedQuestions(contextText, attachments, params, useAI) {
     if (!useAI) return [];
 
-    const nonLatexAttachments = attachments.filter(file => file.type !== 'tex');
+    const nonLatexAttachments = attachments.filter(file => file.type !== 'tex' && !QUIZ_FILE_TYPES.includes(file.type));
     const hasValidInput = contextText || nonLatexAttachments.length > 0;
 
     if (!hasValidInput) return [];
@@ -303,9 +363,167 @@ class QTIGeneratorService {
     });
   }
 
+  // Canvas Profiles
+  async loadCanvasProfiles() {
+    return this.updateCanvasProfiles(() => window.electronAPI.getCanvasProfiles());
+  }
+
+  async saveCanvasProfile(profile) {
+    return this.updateCanvasProfiles(() => window.electronAPI.saveCanvasProfile(profile));
+  }
+
+  async deleteCanvasProfile(id) {
+    return this.updateCanvasProfiles(() => window.electronAPI.deleteCanvasProfile(id));
+  }
+
+  /**
+   * Make a profile active; switching to another profile gives an assessment without questions yet
+   * that profile's default quiz settings
+   */
+  async selectCanvasProfile(id) {
+    const previousId = get(activeCanvasProfile)?.id;
+    const result = await this.updateCanvasProfiles(() => window.electronAPI.setActiveCanvasProfile(id));
+
+    const profile = get(activeCanvasProfile);
+    if (result.success && profile && profile.id !== previousId && get(assessmentStore).questions.length === 0) {
+      assessmentActions.updateSettings(profile.quizSettings);
+    }
+    return result;
+  }
+
+  /**
+   * Run a profile IPC call and mirror the list it returns into the store
+   * @private
+   */
+  async updateCanvasProfiles(call) {
+    if (typeof window === 'undefined' || !window.electronAPI) {
+      return { success: false, error: 'Canvas profiles are only available in the desktop app' };
+    }
+
+    try {
+      const result = await call();
+      if (!result.success) {
+        throw new Error(result.error || 'Canvas profile update failed');
+      }
+      canvasProfileActions.setProfiles(result);
+      return result;
+    } catch (error) {
+      canvasProfileActions.setError(error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Canvas REST API
+  async loadCanvasTokenStatus() {
+    return this.callCanvasApi(async () => {
+      const result = await window.electronAPI.getCanvasTokenStatus();
+      if (result.success) {
+        canvasApiActions.setTokenStatus(result);
+      }
+      return result;
+    });
+  }
+
+  async saveCanvasToken(token) {
+    return this.callCanvasApi(async () => {
+      const result = await window.electronAPI.setCanvasToken(token.trim());
+      if (result.success) {
+        canvasApiActions.setTokenStatus(result);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Import the current assessment into a Canvas course; progress is mirrored into canvasApiStore
+   * @param {string} courseId - Canvas course ID
+   */
+  async uploadToCanvas(courseId) {
+    if (!this.canvasProgressListener && typeof window !== 'undefined' && window.electronAPI) {
+      this.canvasProgressListener = (event, progress) => canvasApiActions.setUploadProgress(progress);
+      window.electronAPI.onCanvasUploadProgress(this.canvasProgressListener);
+    }
+
+    return this.callCanvasApi(async () => {
+      const assessment = get(assessmentStore);
+      if (assessment.questions.length === 0) {
+        throw new Error('Add at least one question before uploading');
+      }
+      if (!String(courseId || '').trim()) {
+        throw new Error('Enter the Canvas course ID');
+      }
+
+      canvasApiActions.setUploadProgress({ state: 'creating', completion: 0, message: null });
+      const result = await window.electronAPI.uploadToCanvas(assessment, String(courseId).trim());
+      if (!result.success) {
+        canvasApiActions.setUploadProgress(null);
+      }
+      return result;
+    });
+  }
+
+  async loadCanvasCourses() {
+    return this.callCanvasApi(async () => {
+      const result = await window.electronAPI.listCanvasCourses();
+      if (result.success) {
+        canvasApiActions.setCourses(result.courses);
+      }
+      return result;
+    });
+  }
+
+  async loadCanvasQuizzes(courseId) {
+    canvasApiActions.setQuizzes([]);
+    return this.callCanvasApi(async () => {
+      const result = await window.electronAPI.listCanvasQuizzes(String(courseId).trim());
+      if (result.success) {
+        canvasApiActions.setQuizzes(result.quizzes);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Replace the current assessment with a quiz read from Canvas
+   * @param {string} courseId - Canvas course ID
+   * @param {string} quizId - Canvas quiz ID
+   * @returns {Promise<Object>} { success, assessment, skipped } or { success: false, error }
+   */
+  async importCanvasQuiz(courseId, quizId) {
+    return this.callCanvasApi(async () => {
+      const result = await window.electronAPI.importCanvasQuiz(String(courseId).trim(), String(quizId));
+      if (result.success) {
+        assessmentActions.loadAssessment(result.assessment);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Run a Canvas API IPC call, reporting failures through canvasApiStore
+   * @private
+   */
+  async callCanvasApi(call) {
+    if (typeof window === 'undefined' || !window.electronAPI) {
+      return { success: false, error: 'Canvas access is only available in the desktop app' };
+    }
+
+    try {
+      canvasApiActions.clearError();
+      const result = await call();
+      if (!result.success) {
+        throw new Error(result.error || 'Canvas request failed');
+      }
+      return result;
+    } catch (error) {
+      canvasApiActions.setError(error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Assessment Operations
   newAssessment() {
-    assessmentActions.clearAssessment();
+    assessmentActions.clearAssessment(get(activeCanvasProfile)?.quizSettings);
   }
 
   async saveAssessment(assessment) {
@@ -324,31 +542,62 @@ class QTIGeneratorService {
     }
   }
 
-  async exportQTI(assessment) {
+  /**
+   * Export the assessment as a content package
+   * @param {Object} assessment - Assessment object
+   * @param {string} [format='qti'] - 'qti' (Canvas QTI 1.2), 'qti21', 'qti30', 'moodle' (Moodle XML), 'gift', 'aiken', 'latex' (ejerc exercises),
+   *   'csv' (one question per row) or 'pdf' (printable exam and answer key)
+   */
+  async exportQTI(assessment, format = 'qti') {
     try {
-      // Generate QTI XML
-      const qtiXML = this.qtiExporter.generateQTI(assessment);
-
-      // Validate the XML
-      const validation = this.qtiExporter.validateXML(qtiXML);
-      if (!validation.isValid) {
-        throw new Error(`Invalid QTI XML: ${validation.errors.join(', ')}`);
-      }
-
-      // Save or download the QTI file
       if (typeof window !== 'undefined' && window.electronAPI) {
-        const result = await window.electronAPI.exportQTI(qtiXML);
+        let result;
+        if (format === 'moodle') {
+          result = await window.electronAPI.exportMoodleXML(assessment);
+        } else if (format === 'pdf') {
+          result = await window.electronAPI.exportExamPDF(assessment, { language: get(currentLanguage) });
+        } else if (TEXT_EXPORT_FORMATS.includes(format)) {
+          result = await window.electronAPI.exportTextQuiz(assessment, format, { language: get(currentLanguage) });
+        } else {
+          // Canvas packages are validated in the main process, on the XML that goes into the zip
+          result = await window.electronAPI.exportQTIPackage(assessment, format);
+        }
+        if (!result.success && !result.canceled) {
+          throw new Error(result.error || 'Export failed');
+        }
         return result;
       }
 
-      // Fallback: download as XML
+      if (format !== 'qti') {
+        throw new Error('Only Canvas QTI can be exported outside the desktop app');
+      }
+
+      // Fallback: download the bare XML
+      const qtiXML = this.qtiExporter.generateQTI(assessment);
       this.downloadAsFile(qtiXML, 'assessment.xml', 'application/xml');
-      return { success: true };
+      return { success: true, skipped: QTIExporter.describeSkipped(assessment, this.qtiExporter.getSkippedQuestions(assessment)) };
     } catch (error) {
       throw new Error(`Failed to export QTI: ${error.message}`);
     }
   }
 
+  async importQTI() {
+    try {
+      const result = await window.electronAPI.importQTI();
+      if (result.canceled) {
+        return result;
+      }
+      if (!result.success) {
+        throw new Error(result.error || 'QTI import failed');
+      }
+
+      assessmentActions.loadAssessment(result.assessment);
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to import QTI: ${error.message}`);
+    }
+  }
+
   // Utility methods
   downloadAsJSON(data, filename) {
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
@@ -0,0 +1,303 @@
+import xml2js from 'xml2js';
+
+/**
+ * QTI Validator - Parses QTI 1.2 XML and checks the rules Canvas relies on when importing:
+ * unique idents, answers that point at real choices, item metadata and numeric points.
+ * Every error carries the line/column of the offending element and the item it belongs to.
+ * Runs in the main process (xml2js)
+ */
+class QTIValidator {
+  /**
+   * Validate a questestinterop document
+   * @param {string} xmlString - QTI 1.2 XML
+   * @returns {Promise<{isValid: boolean, errors: Array<{line: number, column: number, item: (Object|null), message: string}>}>}
+   */
+  async validate(xmlString) {
+    const xml = String(xmlString ?? '').replace(/^\uFEFF/, '');
+    let parsed;
+    try {
+      parsed = await this.parse(xml);
+    } catch (error) {
+      const position = error.position || { line: 1, column: 1 };
+      return {
+        isValid: false,
+        errors: [{ ...position, item: null, message: `XML is not well-formed: ${error.message.split('\n')[0]}` }]
+      };
+    }
+
+    const errors = [];
+    const context = { errors, positions: parsed.positions, item: null };
+    const root = parsed.root.questestinterop;
+    if (!root) {
+      const [name] = Object.keys(parsed.root);
+      this.report(context, parsed.root[name], `Root element must be questestinterop, found ${name}`);
+      return { isValid: false, errors };
+    }
+
+    const assessment = this.children(root, 'assessment')[0];
+    if (!assessment) {
+      this.report(context, root, 'questestinterop has no assessment');
+      return { isValid: false, errors };
+    }
+
+    const idents = new Map();
+    this.checkIdent(context, assessment, idents);
+    this.children(assessment, 'section').forEach(section => this.checkSection(context, section, idents));
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Format errors as a readable report, one line per error
+   * @param {Array<Object>} errors - Errors returned by validate()
+   * @returns {string}
+   */
+  formatReport(errors) {
+    return errors.map(error => {
+      const where = error.item ? `, in "${error.item.title || error.item.ident}"` : '';
+      return `Line ${error.line}, column ${error.column}${where}: ${error.message}`;
+    }).join('\n');
+  }
+
+  /**
+   * Parse with xml2js, recording where each element starts
+   * xml2js drops source positions, so the sax parser it wraps is tapped for the start of every tag;
+   * tags open in document order, the same order as a depth-first walk of the preserved children.
+   */
+  parse(xml) {
+    const parser = new xml2js.Parser({ explicitChildren: true, preserveChildrenOrder: true, charsAsChildren: false });
+    const sax = parser.saxParser;
+    const lineStarts = [0];
+    for (let i = xml.indexOf('\n'); i !== -1; i = xml.indexOf('\n', i + 1)) {
+      lineStarts.push(i + 1);
+    }
+    const starts = [];
+    let errorPosition = null;
+
+    const openTag = sax.onopentag;
+    sax.onopentag = (node) => {
+      starts.push(this.locate(lineStarts, sax.startTagPosition - 1));
+      openTag(node);
+    };
+    const onError = sax.onerror;
+    sax.onerror = (error) => {
+      errorPosition = errorPosition || { line: sax.line + 1, column: sax.column + 1 };
+      onError(error);
+    };
+
+    return new Promise((resolve, reject) => {
+      parser.parseString(xml, (error, root) => {
+        if (error) {
+          error.position = errorPosition;
+          reject(error);
+          return;
+        }
+        if (!root) {
+          reject(Object.assign(new Error('Document is empty'), { position: errorPosition }));
+          return;
+        }
+
+        const positions = new Map();
+        let index = 0;
+        const walk = (node) => {
+          positions.set(node, starts[index++]);
+          (node.$$ || []).forEach(walk);
+        };
+        Object.values(root).forEach(walk);
+        resolve({ root, positions });
+      });
+    });
+  }
+
+  /**
+   * Sections hold items and nested question groups; groups must have numeric pick settings
+   */
+  checkSection(context, section, idents) {
+    this.checkIdent(context, section, idents);
+
+    const extension = this.findPath(section, ['selection_ordering', 'selection', 'selection_extension']);
+    const pointsPerItem = this.children(extension, 'points_per_item')[0];
+    if (pointsPerItem && !this.isNumber(this.text(pointsPerItem))) {
+      this.report(context, pointsPerItem, `points_per_item "${this.text(pointsPerItem)}" is not a number`);
+    }
+    const selectionNumber = this.children(this.findPath(section, ['selection_ordering', 'selection']), 'selection_number')[0];
+    if (selectionNumber && !/^\d+$/.test(this.text(selectionNumber).trim())) {
+      this.report(context, selectionNumber, `selection_number "${this.text(selectionNumber)}" is not a whole number`);
+    }
+
+    (section.$$ || []).forEach(child => {
+      if (child['#name'] === 'section') {
+        this.checkSection(context, child, idents);
+      } else if (child['#name'] === 'item') {
+        this.checkItem(context, child, idents);
+      }
+    });
+  }
+
+  /**
+   * Check one item: metadata, response/label idents, answers and feedback references
+   */
+  checkItem(context, item, idents) {
+    context.item = { ident: this.attr(item, 'ident') || '', title: this.attr(item, 'title') || '' };
+    this.checkIdent(context, item, idents);
+
+    const metadata = this.findPath(item, ['itemmetadata', 'qtimetadata']);
+    const fields = this.readMetadata(metadata);
+    if (!fields.question_type) {
+      this.report(context, metadata || item, 'Missing question_type metadata');
+    }
+    if (!fields.points_possible) {
+      this.report(context, metadata || item, 'Missing points_possible metadata');
+    } else if (!this.isNumber(fields.points_possible.value)) {
+      this.report(context, fields.points_possible.node, `points_possible "${fields.points_possible.value}" is not a number`);
+    }
+
+    const presentation = this.children(item, 'presentation')[0];
+    if (!presentation) {
+      this.report(context, item, 'Item has no presentation');
+    }
+
+    // Responses by ident, each with the idents of its choices
+    const responses = new Map();
+    this.descendants(presentation, node => /^response_(lid|str|num|grp|xy)$/.test(node['#name'])).forEach(response => {
+      const ident = this.attr(response, 'ident');
+      if (!ident) {
+        this.report(context, response, `${response['#name']} has no ident`);
+        return;
+      }
+      if (responses.has(ident)) {
+        this.report(context, response, `Duplicate response ident "${ident}"`);
+        return;
+      }
+      const labels = new Set();
+      this.descendants(response, node => node['#name'] === 'response_label').forEach(label => {
+        const labelIdent = this.attr(label, 'ident');
+        if (!labelIdent) {
+          this.report(context, label, 'response_label has no ident');
+        } else if (labels.has(labelIdent)) {
+          this.report(context, label, `Duplicate response_label ident "${labelIdent}" in ${ident}`);
+        }
+        labels.add(labelIdent);
+      });
+      responses.set(ident, { type: response['#name'], labels });
+    });
+
+    const feedbackIdents = new Set(this.children(item, 'itemfeedback').map(feedback => this.attr(feedback, 'ident')));
+    const resprocessing = this.children(item, 'resprocessing')[0];
+
+    this.descendants(resprocessing, node => /^var(equal|gt|gte|lt|lte)$/.test(node['#name'])).forEach(condition => {
+      const respident = this.attr(condition, 'respident');
+      const response = responses.get(respident);
+      if (!response) {
+        this.report(context, condition, `${condition['#name']} points to unknown response "${respident}"`);
+        return;
+      }
+      const value = this.text(condition).trim();
+      if (response.type === 'response_lid' && condition['#name'] === 'varequal' && !response.labels.has(value)) {
+        this.report(context, condition, `varequal value "${value}" is not a response_label of ${respident}`);
+      } else if (response.type === 'response_num' && !this.isNumber(value)) {
+        this.report(context, condition, `${condition['#name']} value "${value}" is not a number`);
+      }
+    });
+
+    this.descendants(resprocessing, node => node['#name'] === 'setvar').forEach(setvar => {
+      if (!this.isNumber(this.text(setvar))) {
+        this.report(context, setvar, `setvar value "${this.text(setvar)}" is not a number`);
+      }
+    });
+
+    this.descendants(resprocessing, node => node['#name'] === 'displayfeedback').forEach(display => {
+      const linkrefid = this.attr(display, 'linkrefid');
+      if (!feedbackIdents.has(linkrefid)) {
+        this.report(context, display, `displayfeedback points to unknown itemfeedback "${linkrefid}"`);
+      }
+    });
+
+    context.item = null;
+  }
+
+  /**
+   * Assessment, section and item idents must be present and unique across the document
+   */
+  checkIdent(context, node, idents) {
+    const ident = this.attr(node, 'ident');
+    if (!ident) {
+      this.report(context, node, `${node['#name']} has no ident`);
+      return;
+    }
+    if (idents.has(ident)) {
+      this.report(context, node, `Duplicate ident "${ident}" (first used on line ${idents.get(ident).line})`);
+      return;
+    }
+    idents.set(ident, context.positions.get(node) || { line: 1 });
+  }
+
+  report(context, node, message) {
+    const position = context.positions.get(node) || { line: 1, column: 1 };
+    context.errors.push({ line: position.line, column: position.column, item: context.item, message });
+  }
+
+  /**
+   * Line and column (both 1-based) of a character offset
+   * @param {Array<number>} lineStarts - Offset where each line begins
+   * @param {number} offset - Character offset
+   */
+  locate(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  }
+
+  readMetadata(qtimetadata) {
+    const fields = {};
+    this.children(qtimetadata, 'qtimetadatafield').forEach(field => {
+      const label = this.children(field, 'fieldlabel')[0];
+      const entry = this.children(field, 'fieldentry')[0];
+      if (label) {
+        fields[this.text(label).trim()] = { node: entry || field, value: this.text(entry).trim() };
+      }
+    });
+    return fields;
+  }
+
+  isNumber(value) {
+    return /^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/.test(String(value));
+  }
+
+  descendants(node, predicate, found = []) {
+    (node?.$$ || []).forEach(child => {
+      if (predicate(child)) found.push(child);
+      this.descendants(child, predicate, found);
+    });
+    return found;
+  }
+
+  children(node, name) {
+    if (!node || !node.$$) return [];
+    return node.$$.filter(child => child['#name'] === name);
+  }
+
+  findPath(node, path) {
+    return path.reduce((current, name) => (current ? this.children(current, name)[0] : undefined), node);
+  }
+
+  attr(node, name) {
+    return node && node.$ ? node.$[name] : undefined;
+  }
+
+  text(node) {
+    if (node === undefined || node === null) return '';
+    if (typeof node === 'string') return node;
+    return node._ || '';
+  }
+}
+
+export default QTIValidator;
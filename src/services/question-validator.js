@@ -0,0 +1,181 @@
+import NumberParser from './number-parser.js';
+import PlaceholderParser from './placeholder-parser.js';
+
+/**
+ * Question Validator - Checks raw questions (LLM output, CSV rows) and normalises them
+ * into the shape the editor and exporters expect
+ */
+class QuestionValidator {
+  /**
+   * Validate one question
+   * @param {Object} question - Raw question
+   * @param {number} [index=0] - Position in its batch, part of the generated id
+   * @returns {{question: (Object|null), error: (string|null)}} The processed question, or why it was rejected
+   */
+  static process(question, index = 0) {
+    const reject = (error) => ({ question: null, error });
+
+    if (!QuestionValidator.SUPPORTED_TYPES.includes(question.type)) {
+      return reject(`Invalid type ${question.type}`);
+    }
+
+    const processedQuestion = {
+      id: `q_${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${index}`,
+      type: question.type,
+      text: question.text,
+      points: question.points || 1
+    };
+
+    if (question.type === 'multiple_choice') {
+      if (!question.choices || !Array.isArray(question.choices)) {
+        return reject('Multiple choice requires choices');
+      }
+      processedQuestion.choices = question.choices.map((choice, i) => ({
+        id: i,
+        text: choice.text
+      }));
+      processedQuestion.correctAnswer = question.correctAnswer;
+    } else if (question.type === 'multiple_answers') {
+      if (!question.choices || !Array.isArray(question.choices)) {
+        return reject('Multiple answers requires choices');
+      }
+      const correctAnswers = [].concat(question.correctAnswer ?? [])
+        .map(Number)
+        .filter(answer => Number.isInteger(answer) && answer >= 0 && answer < question.choices.length);
+      if (correctAnswers.length === 0) {
+        return reject(`Multiple answers must list at least one correct choice. Got: ${question.correctAnswer}`);
+      }
+      processedQuestion.choices = question.choices.map((choice, i) => ({
+        id: i,
+        text: choice.text,
+        correct: correctAnswers.includes(i)
+      }));
+      processedQuestion.correctAnswer = [...new Set(correctAnswers)].sort((a, b) => a - b);
+    } else if (question.type === 'true_false') {
+      if (!['true', 'false'].includes(question.correctAnswer)) {
+        return reject(`True/false must have 'true' or 'false' as correct answer. Got: ${question.correctAnswer}`);
+      }
+      processedQuestion.correctAnswer = question.correctAnswer;
+    } else if (question.type === 'short_answer' || question.type === 'fill_in_blank') {
+      processedQuestion.sampleAnswer = question.sampleAnswer || '';
+      processedQuestion.acceptedAnswers = QuestionValidator.normalizeAcceptedAnswers(question);
+    } else if (question.type === 'essay') {
+      processedQuestion.gradingRubric = question.gradingRubric || '';
+    } else if (question.type === 'matching') {
+      const matches = (Array.isArray(question.matches) ? question.matches : [])
+        .map(match => ({
+          left: String(match?.left ?? '').trim(),
+          right: String(match?.right ?? '').trim()
+        }))
+        .filter(match => match.left && match.right);
+      if (matches.length < 2) {
+        return reject('Matching needs at least two left/right pairs');
+      }
+      processedQuestion.matches = matches;
+      processedQuestion.distractors = (Array.isArray(question.distractors) ? question.distractors : [])
+        .map(distractor => String(distractor ?? '').trim())
+        .filter(distractor => distractor && !matches.some(match => match.right === distractor));
+    } else if (question.type === 'numerical') {
+      const numericAnswer = QuestionValidator.normalizeNumericAnswer(question.numericAnswer);
+      if (!numericAnswer) {
+        return reject('Numerical answer is not a valid exact, range or precision answer');
+      }
+      processedQuestion.numericAnswer = numericAnswer;
+    } else if (question.type === 'fill_in_multiple_blanks' || question.type === 'multiple_dropdowns') {
+      const blanks = QuestionValidator.normalizeBlanks(question);
+      if (!blanks) {
+        return reject('Every [blank] in the text needs answers or options with one correct');
+      }
+      processedQuestion.blanks = blanks;
+    }
+
+    // Add explanation if provided
+    if (question.explanation) {
+      processedQuestion.explanation = question.explanation;
+    }
+
+    return { question: processedQuestion, error: null };
+  }
+
+  /**
+   * Accepted answers for auto-grading; falls back to the sample answer
+   * @param {Object} question - Raw short answer / fill in the blank question
+   * @returns {Array<string>} Trimmed, unique answers
+   */
+  static normalizeAcceptedAnswers(question) {
+    const candidates = Array.isArray(question.acceptedAnswers) && question.acceptedAnswers.length > 0
+      ? question.acceptedAnswers
+      : [question.sampleAnswer];
+
+    const answers = candidates
+      .map(answer => String(answer ?? '').trim())
+      .filter(answer => answer.length > 0);
+    return [...new Set(answers)];
+  }
+
+  /**
+   * Normalize the blanks of a fill-in-multiple-blanks / multiple-dropdowns question
+   * @param {Object} question - Raw question with [name] placeholders in its text
+   * @returns {Array<Object>|null} One blank per placeholder, or null when one cannot be graded
+   */
+  static normalizeBlanks(question) {
+    const names = PlaceholderParser.extract(question.text);
+    const rawBlanks = Array.isArray(question.blanks) ? question.blanks : [];
+    if (names.length === 0) return null;
+
+    const blanks = names.map(name => {
+      const raw = rawBlanks.find(blank => blank && blank.name === name) || {};
+      if (question.type === 'multiple_dropdowns') {
+        const options = (Array.isArray(raw.options) ? raw.options : [])
+          .map(option => (typeof option === 'string' ? { text: option, correct: false } : option))
+          .map(option => ({ text: String(option?.text ?? '').trim(), correct: Boolean(option?.correct) }))
+          .filter(option => option.text);
+        return options.length >= 2 && options.filter(option => option.correct).length === 1 ? { name, options } : null;
+      }
+      const answers = QuestionValidator.normalizeAcceptedAnswers({ acceptedAnswers: raw.answers });
+      return answers.length > 0 ? { name, answers } : null;
+    });
+
+    return blanks.every(Boolean) ? blanks : null;
+  }
+
+  /**
+   * Normalize a numerical answer, accepting decimal commas ("3,14")
+   * @param {Object} numericAnswer - Raw { mode, value, margin, start, end, precision }
+   * @returns {Object|null} Answer with numbers, or null when it cannot be graded
+   */
+  static normalizeNumericAnswer(numericAnswer) {
+    if (!numericAnswer || typeof numericAnswer !== 'object') {
+      return null;
+    }
+
+    const mode = numericAnswer.mode || 'exact';
+    if (mode === 'range') {
+      const start = NumberParser.parse(numericAnswer.start);
+      const end = NumberParser.parse(numericAnswer.end);
+      if (Number.isNaN(start) || Number.isNaN(end)) return null;
+      return { mode, start: Math.min(start, end), end: Math.max(start, end) };
+    }
+
+    const value = NumberParser.parse(numericAnswer.value);
+    if (Number.isNaN(value)) return null;
+
+    if (mode === 'precision') {
+      const precision = parseInt(numericAnswer.precision, 10);
+      return { mode, value, precision: precision > 0 ? precision : 2 };
+    }
+    if (mode === 'exact') {
+      const margin = NumberParser.parse(numericAnswer.margin ?? 0);
+      return { mode, value, margin: Number.isNaN(margin) ? 0 : Math.abs(margin) };
+    }
+    return null;
+  }
+}
+
+// Types the editor and every exporter handle; formula questions are only built in the editor
+QuestionValidator.SUPPORTED_TYPES = [
+  'multiple_choice', 'multiple_answers', 'true_false', 'short_answer', 'fill_in_blank', 'essay',
+  'matching', 'numerical', 'fill_in_multiple_blanks', 'multiple_dropdowns'
+];
+
+export default QuestionValidator;
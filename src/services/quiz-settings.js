@@ -0,0 +1,53 @@
+/**
+ * Quiz Settings - Canvas quiz options kept on assessment.settings
+ * Shared by the editor, the QTI exporter/packager (cc_maxattempts, assessment_meta.xml) and the importer
+ */
+class QuizSettings {
+  /**
+   * Fill in defaults and drop invalid values, so assessments saved before settings existed still export
+   * @param {Object} [settings] - Raw settings
+   * @returns {Object} Settings with every option set
+   */
+  static normalize(settings = {}) {
+    const raw = settings || {};
+    const defaults = QuizSettings.DEFAULTS;
+    const attempts = parseInt(raw.allowedAttempts, 10);
+
+    return {
+      quizType: QuizSettings.QUIZ_TYPES.includes(raw.quizType) ? raw.quizType : defaults.quizType,
+      shuffleAnswers: typeof raw.shuffleAnswers === 'boolean' ? raw.shuffleAnswers : defaults.shuffleAnswers,
+      // 0 means unlimited attempts
+      allowedAttempts: Number.isInteger(attempts) ? Math.max(attempts, 0) : defaults.allowedAttempts,
+      scoringPolicy: QuizSettings.SCORING_POLICIES.includes(raw.scoringPolicy) ? raw.scoringPolicy : defaults.scoringPolicy,
+      showCorrectAnswers: typeof raw.showCorrectAnswers === 'boolean' ? raw.showCorrectAnswers : defaults.showCorrectAnswers,
+      oneQuestionAtATime: typeof raw.oneQuestionAtATime === 'boolean' ? raw.oneQuestionAtATime : defaults.oneQuestionAtATime,
+      accessCode: String(raw.accessCode ?? '').trim()
+    };
+  }
+
+  /**
+   * Allowed attempts as Canvas writes them: -1 for unlimited
+   * @param {Object} settings - Normalized settings
+   * @returns {number}
+   */
+  static canvasAttempts(settings) {
+    return settings.allowedAttempts > 0 ? settings.allowedAttempts : -1;
+  }
+}
+
+// Canvas quiz_type values: graded quiz, practice quiz and ungraded survey
+QuizSettings.QUIZ_TYPES = ['assignment', 'practice_quiz', 'survey'];
+QuizSettings.SCORING_POLICIES = ['keep_highest', 'keep_latest'];
+
+// Matches what the exporter wrote before the settings were editable
+QuizSettings.DEFAULTS = {
+  quizType: 'assignment',
+  shuffleAnswers: false,
+  allowedAttempts: 1,
+  scoringPolicy: 'keep_highest',
+  showCorrectAnswers: true,
+  oneQuestionAtATime: false,
+  accessCode: ''
+};
+
+export default QuizSettings;
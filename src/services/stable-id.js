@@ -0,0 +1,66 @@
+/**
+ * Stable ID - Deterministic idents for exports, so exporting the same assessment twice gives identical XML
+ * Idents hash the assessment ID (saved in the assessment JSON) with the persistent ID of the question,
+ * group or file they name. Pure JavaScript, as exporters also run in the renderer.
+ */
+class StableId {
+  /**
+   * Random ID for a new assessment; it is saved with the assessment and never changes afterwards
+   * @returns {string}
+   */
+  static createAssessmentId() {
+    return `a_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 10)}`;
+  }
+
+  /**
+   * ID of an assessment. The app gives every assessment one (files saved before IDs existed get it when
+   * opened); anything else falls back to a hash of its title and question IDs, so untitled or
+   * same-titled assessments still get different IDs
+   * @param {Object} assessment - Assessment object
+   * @returns {string}
+   */
+  static assessmentId(assessment) {
+    return assessment.id
+      || `a_${StableId.derive('unsaved', assessment.title || '', ...(assessment.questions || []).map(question => question.id))}`;
+  }
+
+  /**
+   * 32 hex digits derived from the parts; the same parts always give the same digits
+   * @param {...*} parts - Values identifying what is named
+   * @returns {string}
+   */
+  static derive(...parts) {
+    return StableId.hash(JSON.stringify(parts.map(String)));
+  }
+
+  /**
+   * 128-bit cyrb128 hash of a string as hex
+   * @param {string} text - Text to hash
+   * @returns {string}
+   */
+  static hash(text) {
+    let h1 = 1779033703;
+    let h2 = 3144134277;
+    let h3 = 1013904242;
+    let h4 = 2773480762;
+    for (let i = 0; i < text.length; i++) {
+      const k = text.charCodeAt(i);
+      h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+      h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+      h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+      h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+    h1 ^= h2 ^ h3 ^ h4;
+    h2 ^= h1;
+    h3 ^= h1;
+    h4 ^= h1;
+
+    return [h1, h2, h3, h4].map(h => (h >>> 0).toString(16).padStart(8, '0')).join('');
+  }
+}
+
+export default StableId;
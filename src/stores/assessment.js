@@ -1,11 +1,17 @@
 import { writable } from 'svelte/store';
+import QuizSettings from '../services/quiz-settings.js';
+import StableId from '../services/stable-id.js';
 
 // Assessment store for managing assessment data
+// id is saved with the assessment; export idents are derived from it and the question ids
 export const assessmentStore = writable({
+  id: StableId.createAssessmentId(),
   title: '',
   description: '',
   timeLimit: 0,
-  questions: []
+  settings: { ...QuizSettings.DEFAULTS },
+  questions: [],
+  groups: []
 });
 
 // Helper functions for assessment operations
@@ -28,6 +34,14 @@ export const assessmentActions = {
     });
   },
   
+  // Canvas quiz settings are merged, so a form field only sends the option it edits
+  updateSettings: (updates) => {
+    assessmentStore.update(assessment => ({
+      ...assessment,
+      settings: QuizSettings.normalize({ ...assessment.settings, ...updates })
+    }));
+  },
+  
   updateQuestion: (questionId, updates) => {
     assessmentStore.update(assessment => ({
       ...assessment,
@@ -44,16 +58,57 @@ export const assessmentActions = {
     }));
   },
   
-  clearAssessment: () => {
+  // quizSettings: defaults of the active Canvas profile
+  clearAssessment: (quizSettings) => {
     assessmentStore.set({
+      id: StableId.createAssessmentId(),
       title: '',
       description: '',
       timeLimit: 0,
-      questions: []
+      settings: QuizSettings.normalize(quizSettings),
+      questions: [],
+      groups: []
     });
   },
   
+  addGroup: (group) => {
+    assessmentStore.update(assessment => {
+      const groups = assessment.groups || [];
+      const id = group.id || `g_${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${groups.length}`;
+      return {
+        ...assessment,
+        groups: [...groups, { ...group, id }]
+      };
+    });
+  },
+
+  updateGroup: (groupId, updates) => {
+    assessmentStore.update(assessment => ({
+      ...assessment,
+      groups: (assessment.groups || []).map(g =>
+        g.id === groupId ? { ...g, ...updates } : g
+      )
+    }));
+  },
+
+  // Removing a group keeps its questions, they just go back to the main section
+  removeGroup: (groupId) => {
+    assessmentStore.update(assessment => ({
+      ...assessment,
+      groups: (assessment.groups || []).filter(g => g.id !== groupId),
+      questions: assessment.questions.map(q =>
+        q.groupId === groupId ? { ...q, groupId: null } : q
+      )
+    }));
+  },
+  
   loadAssessment: (assessmentData) => {
-    assessmentStore.set(assessmentData);
+    assessmentStore.set({
+      groups: [],
+      ...assessmentData,
+      // Imported quizzes and files saved before IDs existed get one now; the next save keeps it
+      id: assessmentData.id || StableId.createAssessmentId(),
+      settings: QuizSettings.normalize(assessmentData.settings)
+    });
   }
 };
\ No newline at end of file
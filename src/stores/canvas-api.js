@@ -0,0 +1,62 @@
+import { writable } from 'svelte/store';
+
+// Canvas REST API state for the active profile: its token, the courses and quizzes browsed, and the running upload
+export const canvasApiStore = writable({
+  hasToken: false,
+  user: null,
+  // { id, name, courseCode } of the courses the user teaches, once loaded
+  courses: [],
+  // { id, title, questionCount, published } of the selected course's quizzes
+  quizzes: [],
+  // { state, completion, message } while a package is uploaded and imported
+  upload: null,
+  lastError: null
+});
+
+// Helper functions for Canvas API state
+export const canvasApiActions = {
+  setTokenStatus: ({ hasToken, user = null }) => {
+    canvasApiStore.update(store => ({
+      ...store,
+      hasToken,
+      user,
+      lastError: null
+    }));
+  },
+
+  setCourses: (courses) => {
+    canvasApiStore.update(store => ({
+      ...store,
+      courses,
+      quizzes: []
+    }));
+  },
+
+  setQuizzes: (quizzes) => {
+    canvasApiStore.update(store => ({
+      ...store,
+      quizzes
+    }));
+  },
+
+  setUploadProgress: (upload) => {
+    canvasApiStore.update(store => ({
+      ...store,
+      upload
+    }));
+  },
+
+  setError: (error) => {
+    canvasApiStore.update(store => ({
+      ...store,
+      lastError: error
+    }));
+  },
+
+  clearError: () => {
+    canvasApiStore.update(store => ({
+      ...store,
+      lastError: null
+    }));
+  }
+};
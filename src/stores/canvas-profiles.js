@@ -0,0 +1,39 @@
+import { writable, derived } from 'svelte/store';
+
+// Canvas instance profiles, mirrored from the main process config
+export const canvasProfileStore = writable({
+  profiles: [],
+  activeProfileId: null,
+  lastError: null
+});
+
+// The profile exports use
+export const activeCanvasProfile = derived(canvasProfileStore, store =>
+  store.profiles.find(profile => profile.id === store.activeProfileId) || null
+);
+
+// Helper functions for profile operations
+export const canvasProfileActions = {
+  setProfiles: ({ profiles, activeProfileId }) => {
+    canvasProfileStore.update(store => ({
+      ...store,
+      profiles,
+      activeProfileId,
+      lastError: null
+    }));
+  },
+
+  setError: (error) => {
+    canvasProfileStore.update(store => ({
+      ...store,
+      lastError: error
+    }));
+  },
+
+  clearError: () => {
+    canvasProfileStore.update(store => ({
+      ...store,
+      lastError: null
+    }));
+  }
+};
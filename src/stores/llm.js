@@ -4,6 +4,9 @@ import { writable } from 'svelte/store';
 export const llmStore = writable({
   provider: 'gemini',
   apiKey: '',
+  // OpenAI-compatible local server (Ollama, llama.cpp, vLLM); models are comma-separated, empty uses the server's list
+  serverUrl: 'http://localhost:11434/v1',
+  models: '',
   isConfigured: false,
   isGenerating: false,
   lastError: null
@@ -28,7 +31,7 @@ export const llmActions = {
     llmStore.update(store => ({
       ...store,
       ...config,
-      isConfigured: !!(config.apiKey && config.provider)
+      isConfigured: config.isConfigured ?? !!(config.apiKey && config.provider)
     }));
   },
 
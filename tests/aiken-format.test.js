@@ -0,0 +1,73 @@
+import AikenFormat from '../src/services/aiken-format.js';
+
+describe('AikenFormat', () => {
+  let aiken;
+
+  beforeEach(() => {
+    aiken = new AikenFormat();
+  });
+
+  test('should parse multiple choice questions with either option style', () => {
+    const { questions, errors } = aiken.parse(`What is 2 + 2?
+Think carefully.
+A. 3
+B) 4
+ANSWER: B
+
+Largest planet?
+A. Mars
+B. Jupiter
+answer: b
+`);
+
+    expect(errors).toEqual([]);
+    expect(questions).toEqual([
+      {
+        type: 'multiple_choice',
+        text: 'What is 2 + 2?\nThink carefully.',
+        points: 1,
+        choices: [{ text: '3', correct: false }, { text: '4', correct: true }],
+        correctAnswer: 1
+      },
+      {
+        type: 'multiple_choice',
+        text: 'Largest planet?',
+        points: 1,
+        choices: [{ text: 'Mars', correct: false }, { text: 'Jupiter', correct: true }],
+        correctAnswer: 1
+      }
+    ]);
+  });
+
+  test('should report the line of questions it cannot read', () => {
+    const { questions, errors } = aiken.parse('Q1\nA. x\nB. y\nANSWER: C\n\nQ2\nA. x\nB. y\n\nQ3\nA. x\nB. y\nANSWER: A');
+
+    expect(questions).toHaveLength(1);
+    expect(errors).toEqual([
+      'Line 1: ANSWER C does not match any option',
+      'Line 6: Question has no ANSWER line'
+    ]);
+  });
+
+  test('should write multiple choice and skip everything else', () => {
+    const essay = { id: 2, type: 'essay', text: 'Discuss', points: 1 };
+    const { text, skipped } = aiken.write([
+      { id: 1, type: 'multiple_choice', text: 'Pick\none', points: 1, choices: [{ text: 'a' }, { text: 'b' }], correctAnswer: 1 },
+      essay
+    ]);
+
+    expect(text).toBe('Pick one\nA. a\nB. b\nANSWER: B\n');
+    expect(skipped).toEqual([essay]);
+    expect(aiken.parse(text).questions[0].correctAnswer).toBe(1);
+  });
+
+  test('should recognise the files it exports as Aiken', () => {
+    const { text } = aiken.write([{ id: 1, type: 'multiple_choice', text: 'Pick', points: 1, choices: [{ text: 'a' }, { text: 'b' }], correctAnswer: 0 }]);
+
+    expect(AikenFormat.matchesFileName(`Quiz 1${AikenFormat.FILE_SUFFIX}`)).toBe(true);
+    expect(AikenFormat.matchesFileName('quiz.aiken')).toBe(true);
+    expect(AikenFormat.matchesFileName('notes.txt')).toBe(false);
+    expect(AikenFormat.matchesFileName('quiz.gift.txt')).toBe(false);
+    expect(aiken.parse(text).questions[0].correctAnswer).toBe(0);
+  });
+});
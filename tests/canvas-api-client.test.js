@@ -0,0 +1,162 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import CanvasApiClient from '../src/services/canvas-api-client.js';
+
+// Mock Canvas: answers the content migration flow and records every request
+function startMockCanvas({ progressStates = ['queued', 'running', 'completed'], issues = [] } = {}) {
+  const requests = [];
+  let progressCalls = 0;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('latin1');
+      requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body });
+      const json = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (req.headers.authorization !== 'Bearer secret' && !req.url.startsWith('/files_api')) {
+        return json(401, { errors: [{ message: 'Invalid access token.' }] });
+      }
+      if (req.method === 'GET' && req.url === '/api/v1/users/self') {
+        return json(200, { id: 1, name: 'Ana Teacher' });
+      }
+      if (req.method === 'POST' && req.url === '/api/v1/courses/42/content_migrations') {
+        return json(200, {
+          id: 5,
+          progress_url: `${server.baseUrl}/api/v1/progress/7`,
+          pre_attachment: { upload_url: `${server.baseUrl}/files_api/upload`, upload_params: { token: 'upload-token' }, file_param: 'attachment' }
+        });
+      }
+      if (req.method === 'POST' && req.url === '/files_api/upload') {
+        res.writeHead(302, { Location: '/api/v1/files/9/create_success?uuid=abc' });
+        return res.end();
+      }
+      if (req.method === 'GET' && req.url.startsWith('/api/v1/files/9/create_success')) {
+        return json(200, { id: 9, display_name: 'quiz.zip' });
+      }
+      if (req.method === 'GET' && req.url === '/api/v1/progress/7') {
+        const state = progressStates[Math.min(progressCalls++, progressStates.length - 1)];
+        return json(200, { id: 7, workflow_state: state, completion: state === 'completed' ? 100 : progressCalls * 25, message: null });
+      }
+      if (req.method === 'GET' && req.url === '/api/v1/courses/42/content_migrations/5/migration_issues') {
+        return json(200, issues);
+      }
+      if (req.method === 'GET' && req.url.startsWith('/api/v1/courses?')) {
+        const page = new URL(req.url, server.baseUrl).searchParams.get('page') || '1';
+        if (page === '1') {
+          res.setHeader('Link', `<${server.baseUrl}/api/v1/courses?page=2&per_page=100>; rel="next", <${server.baseUrl}/api/v1/courses?page=1&per_page=100>; rel="first"`);
+          return json(200, [{ id: 1, name: 'Algebra', created_at: '2024-01-10T00:00:00Z' }]);
+        }
+        return json(200, [{ id: 2, name: 'Calculus', created_at: '2025-01-10T00:00:00Z' }]);
+      }
+      if (req.method === 'GET' && req.url.startsWith('/api/v1/courses/42/quizzes/17/questions')) {
+        return json(200, [{ id: 2, position: 2 }, { id: 1, position: 1 }]);
+      }
+      return json(404, { errors: [{ message: 'The specified resource does not exist.' }] });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      server.baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, requests });
+    });
+  });
+}
+
+describe('CanvasApiClient', () => {
+  let mock;
+
+  afterEach(() => new Promise(resolve => mock.server.close(resolve)));
+
+  test('should create a qti_converter migration, upload the package and poll until it completes', async () => {
+    mock = await startMockCanvas();
+    const client = new CanvasApiClient({ baseUrl: `${mock.server.baseUrl}/`, token: 'secret', pollIntervalMs: 1 });
+    const updates = [];
+
+    const result = await client.importQTIPackage(42, Buffer.from('PK-zip-bytes'), {
+      fileName: 'Quiz 1.zip',
+      questionBankName: 'Quiz 1',
+      onProgress: update => updates.push(update.state)
+    });
+
+    expect(result).toMatchObject({ migrationId: 5, progress: { workflow_state: 'completed' } });
+    expect(updates).toEqual(['creating', 'uploading', 'queued', 'running', 'completed']);
+
+    const [create, upload, confirm] = mock.requests;
+    expect(new URLSearchParams(create.body).get('migration_type')).toBe('qti_converter');
+    expect(new URLSearchParams(create.body).get('pre_attachment[name]')).toBe('Quiz 1.zip');
+    expect(new URLSearchParams(create.body).get('pre_attachment[size]')).toBe('12');
+    expect(new URLSearchParams(create.body).get('settings[question_bank_name]')).toBe('Quiz 1');
+    expect(upload.authorization).toBeUndefined();
+    expect(upload.body).toContain('name="token"\r\n\r\nupload-token');
+    expect(upload.body).toContain('name="attachment"; filename="Quiz 1.zip"');
+    expect(upload.body).toContain('PK-zip-bytes');
+    expect(confirm).toMatchObject({ method: 'GET', url: '/api/v1/files/9/create_success?uuid=abc', authorization: 'Bearer secret' });
+  });
+
+  test('should report the migration issues when Canvas fails the import', async () => {
+    mock = await startMockCanvas({
+      progressStates: ['running', 'failed'],
+      issues: [{ description: 'Error importing item question_1', issue_type: 'error' }]
+    });
+    const client = new CanvasApiClient({ baseUrl: mock.server.baseUrl, token: 'secret', pollIntervalMs: 1 });
+
+    await expect(client.importQTIPackage(42, Buffer.from('zip'))).rejects
+      .toThrow('Canvas could not import the package: Error importing item question_1');
+  });
+
+  test('should stop polling when the migration takes too long', async () => {
+    mock = await startMockCanvas({ progressStates: ['running'] });
+    const client = new CanvasApiClient({ baseUrl: mock.server.baseUrl, token: 'secret', pollIntervalMs: 5, timeoutMs: 20 });
+
+    await expect(client.importQTIPackage(42, Buffer.from('zip'))).rejects
+      .toThrow('Timed out waiting for Canvas to import the package (last state: running)');
+  });
+
+  test('should explain rejected tokens and API errors', async () => {
+    mock = await startMockCanvas();
+
+    await expect(new CanvasApiClient({ baseUrl: mock.server.baseUrl, token: 'wrong' }).getSelf()).rejects
+      .toThrow('Canvas rejected the access token (401)');
+    await expect(new CanvasApiClient({ baseUrl: mock.server.baseUrl, token: 'secret' }).importQTIPackage(7, Buffer.from('zip'))).rejects
+      .toThrow('Canvas API error (404): The specified resource does not exist.');
+    expect(await new CanvasApiClient({ baseUrl: mock.server.baseUrl, token: 'secret' }).getSelf()).toEqual({ id: 1, name: 'Ana Teacher' });
+  });
+
+  test('should follow pagination links when listing courses', async () => {
+    mock = await startMockCanvas();
+    const client = new CanvasApiClient({ baseUrl: mock.server.baseUrl, token: 'secret' });
+
+    const courses = await client.listCourses();
+
+    expect(courses.map(course => course.name)).toEqual(['Calculus', 'Algebra']);
+    expect(mock.requests.map(request => request.url)).toEqual([
+      '/api/v1/courses?enrollment_type=teacher&state[]=available&state[]=unpublished&per_page=100',
+      '/api/v1/courses?page=2&per_page=100'
+    ]);
+    expect(mock.requests.every(request => request.authorization === 'Bearer secret')).toBe(true);
+  });
+
+  test('should list quiz questions in quiz order', async () => {
+    mock = await startMockCanvas();
+    const client = new CanvasApiClient({ baseUrl: mock.server.baseUrl, token: 'secret' });
+
+    expect((await client.listQuizQuestions(42, 17)).map(question => question.id)).toEqual([1, 2]);
+  });
+
+  test('should not send the token to other hosts', async () => {
+    mock = await startMockCanvas();
+    const client = new CanvasApiClient({ baseUrl: mock.server.baseUrl, token: 'secret' });
+
+    await expect(client.request('https://elsewhere.example.com/api/v1/progress/1')).rejects
+      .toThrow('Refusing to send the Canvas token to https://elsewhere.example.com');
+    expect(() => new CanvasApiClient({ baseUrl: mock.server.baseUrl })).toThrow('Canvas access token is required');
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * @jest-environment node
+ */
+import CanvasQuizMapper from '../src/services/canvas-quiz-mapper.js';
+import QTIExporter from '../src/qti-exporter.js';
+
+// Shapes as returned by GET /api/v1/courses/:course_id/quizzes/:id(/questions)
+const quiz = {
+  id: 17,
+  title: 'Unit 3 Quiz',
+  description: '<p>Read <strong>carefully</strong>.</p>',
+  quiz_type: 'practice_quiz',
+  time_limit: 30,
+  shuffle_answers: true,
+  allowed_attempts: -1,
+  scoring_policy: 'keep_latest',
+  show_correct_answers: false,
+  one_question_at_a_time: true,
+  access_code: null
+};
+
+const question = (id, question_type, fields = {}) => ({
+  id,
+  question_type,
+  question_name: `Question ${id}`,
+  question_text: `<p>Question ${id} with $x^2$</p>`,
+  points_possible: 2,
+  position: id,
+  answers: [],
+  ...fields
+});
+
+describe('CanvasQuizMapper', () => {
+  let mapper;
+
+  beforeEach(() => {
+    mapper = new CanvasQuizMapper();
+  });
+
+  test('should map the quiz settings and keep a stable assessment ID', () => {
+    const { assessment, skipped } = mapper.toAssessment({ courseId: 42, quiz, questions: [] });
+
+    expect(assessment).toMatchObject({
+      id: 'canvas_42_17',
+      title: 'Unit 3 Quiz',
+      description: 'Read carefully.',
+      timeLimit: 30,
+      settings: {
+        quizType: 'practice_quiz',
+        shuffleAnswers: true,
+        allowedAttempts: 0,
+        scoringPolicy: 'keep_latest',
+        showCorrectAnswers: false,
+        oneQuestionAtATime: true,
+        accessCode: ''
+      },
+      questions: [],
+      groups: []
+    });
+    expect(skipped).toEqual([]);
+  });
+
+  test('should map choice questions with their correct answers, points and feedback', () => {
+    const { assessment } = mapper.toAssessment({
+      courseId: 42,
+      quiz,
+      questions: [
+        question(1, 'multiple_choice_question', {
+          answers: [
+            { id: 11, text: 'Paris', weight: 100, comments: 'Right' },
+            { id: 12, html: '<p>Lyon &amp; Nice</p>', weight: 0 }
+          ],
+          correct_comments: 'Well done',
+          incorrect_comments_html: '<p>Review unit 3</p>'
+        }),
+        question(2, 'multiple_answers_question', {
+          answers: [{ text: '2', weight: 50 }, { text: '3', weight: 50 }, { text: '4', weight: 0 }]
+        }),
+        question(3, 'true_false_question', { answers: [{ text: 'True', weight: 0 }, { text: 'False', weight: 100 }] })
+      ]
+    });
+
+    const [multipleChoice, multipleAnswers, trueFalse] = assessment.questions;
+    expect(multipleChoice).toEqual({
+      id: 'canvas_1',
+      type: 'multiple_choice',
+      text: 'Question 1 with $x^2$',
+      points: 2,
+      source: 'canvas_import',
+      choices: [
+        { id: 0, text: 'Paris', correct: true, feedback: 'Right' },
+        { id: 1, text: 'Lyon & Nice', correct: false }
+      ],
+      correctAnswer: 0,
+      feedback: { general: '', correct: 'Well done', incorrect: 'Review unit 3' }
+    });
+    expect(multipleAnswers.correctAnswer).toEqual([0, 1]);
+    expect(trueFalse.correctAnswer).toBe('false');
+  });
+
+  test('should map text, numerical, matching and blank questions', () => {
+    const { assessment } = mapper.toAssessment({
+      courseId: 42,
+      quiz,
+      questions: [
+        question(1, 'short_answer_question', { answers: [{ text: 'Paris', weight: 100 }, { text: 'paris', weight: 100 }] }),
+        question(2, 'essay_question'),
+        question(3, 'numerical_question', { answers: [{ numerical_answer_type: 'exact_answer', exact: 3.5, margin: 0.1, weight: 100 }] }),
+        question(4, 'numerical_question', { answers: [{ numerical_answer_type: 'range_answer', start: 1, end: 2, weight: 100 }] }),
+        question(5, 'numerical_question', { answers: [{ numerical_answer_type: 'precision_answer', approximate: 3.14, precision: 3, weight: 100 }] }),
+        question(6, 'matching_question', {
+          answers: [{ left: 'H', right: 'Hydrogen', match_id: 1 }, { left: 'O', right: 'Oxygen', match_id: 2 }],
+          matching_answer_incorrect_matches: 'Helium\nNitrogen\n'
+        }),
+        question(7, 'fill_in_multiple_blanks_question', {
+          answers: [
+            { text: 'red', blank_id: 'color', weight: 100 },
+            { text: 'rojo', blank_id: 'color', weight: 100 },
+            { text: 'four', blank_id: 'legs', weight: 100 }
+          ]
+        }),
+        question(8, 'multiple_dropdowns_question', {
+          answers: [{ text: 'cat', blank_id: 'animal', weight: 100 }, { text: 'car', blank_id: 'animal', weight: 0 }]
+        })
+      ]
+    });
+
+    const byId = Object.fromEntries(assessment.questions.map(mapped => [mapped.id, mapped]));
+    expect(byId.canvas_1).toMatchObject({ type: 'short_answer', acceptedAnswers: ['Paris', 'paris'], sampleAnswer: 'Paris' });
+    expect(byId.canvas_2).toMatchObject({ type: 'essay', gradingRubric: '' });
+    expect(byId.canvas_3.numericAnswer).toEqual({ mode: 'exact', value: 3.5, margin: 0.1 });
+    expect(byId.canvas_4.numericAnswer).toEqual({ mode: 'range', start: 1, end: 2 });
+    expect(byId.canvas_5.numericAnswer).toEqual({ mode: 'precision', value: 3.14, precision: 3 });
+    expect(byId.canvas_6).toMatchObject({
+      type: 'matching',
+      matches: [{ left: 'H', right: 'Hydrogen' }, { left: 'O', right: 'Oxygen' }],
+      distractors: ['Helium', 'Nitrogen']
+    });
+    expect(byId.canvas_7.blanks).toEqual([{ name: 'color', answers: ['red', 'rojo'] }, { name: 'legs', answers: ['four'] }]);
+    expect(byId.canvas_8.blanks).toEqual([
+      { name: 'animal', options: [{ text: 'cat', correct: true }, { text: 'car', correct: false }] }
+    ]);
+  });
+
+  test('should map formula questions with their variables and answer sets', () => {
+    const { assessment } = mapper.toAssessment({
+      courseId: 42,
+      quiz,
+      questions: [question(1, 'calculated_question', {
+        formulas: [{ formula: 'a + b' }],
+        formula_decimal_places: 1,
+        answer_tolerance: 0.5,
+        variables: [{ name: 'a', min: 1, max: 10, scale: 0 }, { name: 'b', min: 0, max: 1, scale: 2 }],
+        answers: [{ weight: 100, answer: 5.5, variables: [{ name: 'a', value: '5' }, { name: 'b', value: '0.50' }] }]
+      })]
+    });
+
+    expect(assessment.questions[0].calculated).toEqual({
+      formula: 'a + b',
+      decimals: 1,
+      tolerance: 0.5,
+      variables: [{ name: 'a', min: 1, max: 10, decimals: 0 }, { name: 'b', min: 0, max: 1, decimals: 2 }],
+      answerCount: 1,
+      answerSets: [{ values: { a: 5, b: 0.5 }, answer: 5.5 }]
+    });
+  });
+
+  test('should keep question groups and report unsupported questions', () => {
+    const { assessment, skipped } = mapper.toAssessment({
+      courseId: 42,
+      quiz,
+      questions: [
+        question(1, 'essay_question', { quiz_group_id: 9 }),
+        question(2, 'file_upload_question'),
+        question(3, 'text_only_question')
+      ],
+      groups: [{ id: 9, name: 'Essays', pick_count: 1, question_points: 5 }]
+    });
+
+    expect(assessment.groups).toEqual([{ id: 'canvas_group_9', name: 'Essays', pickCount: 1, pointsPerItem: 5 }]);
+    expect(assessment.questions).toHaveLength(1);
+    expect(assessment.questions[0].groupId).toBe('canvas_group_9');
+    expect(skipped).toEqual([
+      { ident: '2', title: 'Question 2', type: 'file_upload_question' },
+      { ident: '3', title: 'Question 3', type: 'text_only_question' }
+    ]);
+  });
+
+  test('should produce an assessment the QTI exporter accepts', () => {
+    const { assessment } = mapper.toAssessment({
+      courseId: 42,
+      quiz,
+      questions: [question(1, 'multiple_choice_question', { answers: [{ text: 'A', weight: 100 }, { text: 'B', weight: 0 }] })]
+    });
+
+    const xml = new QTIExporter().generateQTI(assessment);
+    expect(xml).toContain('multiple_choice_question');
+    expect(xml).toContain('Unit 3 Quiz');
+  });
+});
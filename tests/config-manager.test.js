@@ -0,0 +1,82 @@
+import ConfigManager from '../src/config/config-manager.js';
+
+describe('ConfigManager', () => {
+  describe('Canvas profiles', () => {
+    let config;
+
+    beforeEach(() => {
+      localStorage.clear();
+      config = new ConfigManager();
+    });
+
+    test('should start with the ESPOL profile active', () => {
+      const profile = config.getActiveCanvasProfile();
+
+      expect(config.getCanvasProfiles()).toHaveLength(1);
+      expect(profile).toMatchObject({ id: 'espol', baseUrl: 'https://aulavirtual.espol.edu.ec', mathOutput: 'image' });
+      expect(profile.quizSettings.allowedAttempts).toBe(1);
+    });
+
+    test('should save a new profile under an id made from its name and keep it across restarts', () => {
+      const saved = config.saveCanvasProfile({
+        name: 'Universidad Pública',
+        baseUrl: 'https://canvas.example.edu/',
+        mathOutput: 'unknown',
+        quizSettings: { allowedAttempts: 3, quizType: 'practice_quiz' }
+      });
+      config.setActiveCanvasProfile(saved.id);
+
+      const restarted = new ConfigManager();
+      expect(saved.id).toBe('universidad-publica');
+      expect(restarted.getActiveCanvasProfile()).toEqual({
+        id: 'universidad-publica',
+        name: 'Universidad Pública',
+        baseUrl: 'https://canvas.example.edu',
+        mathOutput: 'image',
+        quizSettings: expect.objectContaining({ allowedAttempts: 3, quizType: 'practice_quiz', shuffleAnswers: false })
+      });
+    });
+
+    test('should replace a profile saved again with the same id', () => {
+      config.saveCanvasProfile({ ...config.getActiveCanvasProfile(), baseUrl: 'https://espol.instructure.com' });
+
+      expect(config.getCanvasProfiles()).toHaveLength(1);
+      expect(config.getActiveCanvasProfile().baseUrl).toBe('https://espol.instructure.com');
+    });
+
+    test('should reject profiles without a name or an http(s) base URL', () => {
+      expect(() => config.saveCanvasProfile({ name: '', baseUrl: 'https://a.edu' })).toThrow('needs a name');
+      expect(() => config.saveCanvasProfile({ name: 'A', baseUrl: 'canvas.a.edu' })).toThrow('must start with http');
+      expect(() => config.setActiveCanvasProfile('missing')).toThrow('Unknown Canvas profile: missing');
+    });
+
+    test('should fall back to another profile when the active one is removed, but keep the last one', () => {
+      const saved = config.saveCanvasProfile({ name: 'Other', baseUrl: 'https://other.edu' });
+      config.setActiveCanvasProfile(saved.id);
+
+      config.removeCanvasProfile(saved.id);
+
+      expect(config.getActiveCanvasProfile().id).toBe('espol');
+      expect(() => config.removeCanvasProfile('espol')).toThrow('At least one Canvas profile is needed');
+    });
+  });
+
+  describe('LLM provider settings', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    test('should keep a local server setup across restarts, per provider', () => {
+      const config = new ConfigManager();
+      expect(config.getProviderSettings('openai-compatible')).toEqual({});
+
+      config.saveProviderSettings('openai-compatible', { baseUrl: 'http://127.0.0.1:8080/v1', models: 'qwen2.5, llama3.1' });
+      config.saveProviderSettings('other', { baseUrl: 'http://other/v1' });
+
+      const restarted = new ConfigManager();
+      expect(restarted.getProviderSettings('openai-compatible')).toEqual({ baseUrl: 'http://127.0.0.1:8080/v1', models: 'qwen2.5, llama3.1' });
+      expect(restarted.getProviderSettings('other')).toEqual({ baseUrl: 'http://other/v1' });
+      expect(restarted.get('llm.defaultProvider')).toBe('gemini');
+    });
+  });
+});
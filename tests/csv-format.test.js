@@ -0,0 +1,111 @@
+import CsvFormat from '../src/services/csv-format.js';
+
+describe('CsvFormat', () => {
+  let csv;
+
+  beforeEach(() => {
+    csv = new CsvFormat();
+  });
+
+  test('should parse every column of the documented layout', () => {
+    const { questions, errors } = csv.parse(`type,text,choices,correct_answer,points,explanation,tags
+multiple_choice,What is 2 + 2?,3|4|5,B,2,Basic arithmetic,algebra|easy
+multiple_answers,Pick the primes,2|3|4,1|2,1,,
+true_false,The sun is a star,,Verdadero,,,
+short_answer,Capital of France?,,Paris|París,,,
+essay,"Explain, briefly",,Mentions gravity,5,,
+numerical,Approximate e,,"2,718±0,001",,,
+numerical,Between one and two,,1..2,,,
+matching,Match the symbols,Fe -> Iron|Au -> Gold| -> Silver,,,,
+fill_in_multiple_blanks,Water boils at [hot] and freezes at [cold],,hot=100|hot=cien|cold=0,,,
+multiple_dropdowns,The sky is [color],color=blue|color=green,color=blue,,,
+`);
+
+    expect(errors).toEqual([]);
+    expect(questions.map(q => q.type)).toEqual([
+      'multiple_choice', 'multiple_answers', 'true_false', 'short_answer', 'essay',
+      'numerical', 'numerical', 'matching', 'fill_in_multiple_blanks', 'multiple_dropdowns'
+    ]);
+
+    const [multipleChoice, multipleAnswers, trueFalse, shortAnswer, essay, exact, range, matching, blanks, dropdowns] = questions;
+    expect(multipleChoice).toMatchObject({
+      text: 'What is 2 + 2?',
+      points: 2,
+      choices: [{ id: 0, text: '3' }, { id: 1, text: '4' }, { id: 2, text: '5' }],
+      correctAnswer: 1,
+      explanation: 'Basic arithmetic',
+      tags: ['algebra', 'easy']
+    });
+    expect(multipleAnswers.correctAnswer).toEqual([0, 1]);
+    expect(trueFalse.correctAnswer).toBe('true');
+    expect(shortAnswer.acceptedAnswers).toEqual(['Paris', 'París']);
+    expect(essay).toMatchObject({ text: 'Explain, briefly', gradingRubric: 'Mentions gravity', points: 5 });
+    expect(exact.numericAnswer).toEqual({ mode: 'exact', value: 2.718, margin: 0.001 });
+    expect(range.numericAnswer).toEqual({ mode: 'range', start: 1, end: 2 });
+    expect(matching.matches).toEqual([{ left: 'Fe', right: 'Iron' }, { left: 'Au', right: 'Gold' }]);
+    expect(matching.distractors).toEqual(['Silver']);
+    expect(blanks.blanks).toEqual([{ name: 'hot', answers: ['100', 'cien'] }, { name: 'cold', answers: ['0'] }]);
+    expect(dropdowns.blanks[0].options).toEqual([{ text: 'blue', correct: true }, { text: 'green', correct: false }]);
+  });
+
+  test('should read semicolon-separated files with quoted line breaks and a BOM', () => {
+    const { questions, errors } = csv.parse('\uFEFFTipo de pregunta;type;text;correct_answer\r\nx;essay;"Line one\r\nline ""two""";\r\n');
+
+    expect(errors).toEqual([]);
+    expect(questions[0].text).toBe('Line one\r\nline "two"');
+  });
+
+  test('should report invalid rows by spreadsheet row number and keep the good ones', () => {
+    const { questions, errors } = csv.parse(`type,text,choices,correct_answer,points
+multiple_choice,Fine,a|b,A,1
+
+multiple_choice,Bad letter,a|b,D,1
+true_false,Unclear,,maybe,1
+calculated,Formula,,,1
+essay,,,,
+short_answer,Points,,x,lots
+matching,One pair,a -> 1,,1
+`);
+
+    expect(questions).toHaveLength(1);
+    expect(errors).toEqual([
+      'Row 4: Correct answer "D" is not one of the 2 choices',
+      "Row 5: True/false must have 'true' or 'false' as correct answer. Got: maybe",
+      'Row 6: Invalid type calculated',
+      'Row 7: Question text is empty',
+      'Row 8: Points "lots" is not a number',
+      'Row 9: Matching needs at least two left/right pairs'
+    ]);
+  });
+
+  test('should require the type and text columns', () => {
+    expect(csv.parse('question,answer\nx,y').errors).toEqual(['Row 1: Missing column "type", "text"']);
+  });
+
+  test('should read back what it writes', () => {
+    const original = [
+      { id: 1, type: 'multiple_choice', text: 'Is |x| = 1, "really"?', points: 2, choices: [{ text: '|x|' }, { text: 'no' }], correctAnswer: 0, tags: ['abs'] },
+      { id: 2, type: 'multiple_answers', text: 'Primes', points: 1, choices: [{ text: '2', correct: true }, { text: '3', correct: true }, { text: '4' }] },
+      { id: 3, type: 'numerical', text: 'e', points: 1, numericAnswer: { mode: 'exact', value: 2.718, margin: 0.001 } },
+      { id: 4, type: 'matching', text: 'Match', points: 1, matches: [{ left: 'a', right: '1' }, { left: 'b', right: '2' }], distractors: ['3'] },
+      { id: 5, type: 'multiple_dropdowns', text: 'Sky is [c]', points: 1, blanks: [{ name: 'c', options: [{ text: 'blue', correct: true }, { text: 'red' }] }] },
+      { id: 6, type: 'calculated', text: '[x] + 1', points: 1 }
+    ];
+
+    const { text, skipped } = csv.write(original);
+    const { questions, errors } = csv.parse(text);
+
+    expect(text.startsWith('\uFEFFtype,text,choices,correct_answer,points,explanation,tags\r\n')).toBe(true);
+    expect(text).toContain('"Is |x| = 1, ""really""?",\\|x\\||no,A,2,,abs');
+    expect(skipped).toEqual([original[5]]);
+    expect(errors).toEqual([]);
+    expect(questions[0]).toMatchObject({ text: 'Is |x| = 1, "really"?', choices: [{ text: '|x|' }, { text: 'no' }], correctAnswer: 0, points: 2, tags: ['abs'] });
+    expect(questions[1].correctAnswer).toEqual([0, 1]);
+    expect(questions[2].numericAnswer).toEqual({ mode: 'exact', value: 2.718, margin: 0.001 });
+    expect(questions[3].distractors).toEqual(['3']);
+    expect(questions[4].blanks).toEqual(original[4].blanks.map(blank => ({
+      name: 'c',
+      options: [{ text: 'blue', correct: true }, { text: 'red', correct: false }]
+    })));
+  });
+});
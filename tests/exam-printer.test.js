@@ -0,0 +1,100 @@
+import ExamPrinter from '../src/exam-printer.js';
+
+describe('Exam Printer', () => {
+    const assessment = {
+        title: 'Midterm <1>',
+        description: 'No calculators',
+        timeLimit: 90,
+        questions: [
+            {
+                id: 1,
+                type: 'multiple_choice',
+                text: 'Evaluate $\\frac{1}{2} + \\frac{1}{2}$',
+                points: 2,
+                choices: [{ text: '0' }, { text: '1' }],
+                correctAnswer: 1,
+                explanation: 'Two halves make a whole'
+            },
+            { id: 2, type: 'true_false', text: 'Is 2 < 3?', points: 1, correctAnswer: 'true' },
+            { id: 3, type: 'essay', text: 'Explain\nbriefly', points: 5, gradingRubric: 'Mentions limits' },
+            {
+                id: 4,
+                type: 'fill_in_multiple_blanks',
+                text: 'H2O is [a] and NaCl is [b]',
+                points: 2,
+                blanks: [{ name: 'a', answers: ['water'] }, { name: 'b', answers: ['salt'] }]
+            },
+            { id: 5, type: 'numerical', text: 'Pi', points: 1, numericAnswer: { mode: 'range', start: 3.14, end: 3.15 } }
+        ]
+    };
+
+    test('should print a header with title, time limit and total points', () => {
+        const html = new ExamPrinter({ language: 'en' }).generateExamHTML(assessment);
+
+        expect(html).toContain('<h1>Midterm &lt;1&gt;</h1>');
+        expect(html).toContain('<span>Time limit: 90 minutes</span>');
+        expect(html).toContain('<span>Total points: 11</span>');
+        expect(html).toContain('<p>No calculators</p>');
+        expect(html).toContain('katex.min.css');
+    });
+
+    test('should number the questions and render their math with KaTeX', () => {
+        const html = new ExamPrinter({ language: 'en' }).generateExamHTML(assessment);
+
+        expect(html).toContain('1.<span class="question-points">(2 points)</span>');
+        expect(html).toContain('5.<span class="question-points">(1 point)</span>');
+        expect(html).toContain('class="katex"');
+        expect(html).not.toContain('$\\frac');
+        expect(html).toContain('Is 2 &lt; 3?');
+        expect(html).toContain('Explain<br>briefly</div><div class="answer-box"></div>');
+        expect(html).toContain('H2O is <span class="blank"></span> and NaCl is <span class="blank"></span>');
+        expect(html).not.toContain('Two halves');
+        expect(html).not.toContain('Mentions limits');
+    });
+
+    test('should list the correct answers and solutions in the answer key', () => {
+        const html = new ExamPrinter({ language: 'en' }).generateAnswerKeyHTML(assessment);
+
+        expect(html).toContain('<div>b) 1</div>');
+        expect(html).toContain('<div class="solution">Solution: Two halves make a whole</div>');
+        expect(html).toContain('<div>True</div>');
+        expect(html).toContain('<div>Mentions limits</div>');
+        expect(html).toContain('<div>a: water; b: salt</div>');
+    });
+
+    test('should print formula questions with the same stored answer set in the exam and the key', () => {
+        const variables = [{ name: 'a', min: 1, max: 99, decimals: 0 }, { name: 'b', min: 1, max: 99, decimals: 0 }];
+        const formulas = {
+            title: 'Sums',
+            questions: [
+                { id: 1, type: 'calculated', text: 'What is [a] + [b]?', points: 1, calculated: { formula: 'a + b', variables, answerSets: [{ values: { a: 14, b: 82 }, answer: 96 }, { values: { a: 1, b: 2 }, answer: 3 }] } },
+                { id: 2, type: 'calculated', text: 'What is [a] - [b]?', points: 1, calculated: { formula: 'a - b', variables } },
+                { id: 3, type: 'true_false', text: 'Is 2 < 3?', points: 1, correctAnswer: 'true' }
+            ]
+        };
+        const printer = new ExamPrinter({ language: 'en' });
+        const exam = printer.generateExamHTML(formulas);
+        const key = printer.generateAnswerKeyHTML(formulas);
+
+        expect(exam).toContain('What is 14 + 82?');
+        expect(exam).not.toContain('What is [a] - [b]?');
+        expect(exam).toContain('2.<span class="question-points">(1 point)</span>');
+        expect(exam).toContain('<span>Total points: 2</span>');
+        expect(key).toMatch(/>96</);
+        expect(key).toContain('<div class="question-header">2.</div>\n      <div>True</div>');
+        expect(printer.getSkippedQuestions(formulas).map(({ id, reason }) => [id, reason]))
+            .toEqual([[2, 'No answer sets generated for the current formula and variables']]);
+        expect(printer.generateExamHTML(formulas)).toBe(exam);
+    });
+
+    test('should use Spanish labels by default and leave solutions out when explanations are off', () => {
+        const printer = new ExamPrinter({ includeExplanations: false });
+        const exam = printer.generateExamHTML(assessment);
+        const key = printer.generateAnswerKeyHTML(assessment);
+
+        expect(exam).toContain('<html lang="es">');
+        expect(exam).toContain('(2 puntos)');
+        expect(key).toContain('<div>Verdadero</div>');
+        expect(key).not.toContain('Two halves');
+    });
+});
@@ -0,0 +1,85 @@
+import FormulaEvaluator from '../src/services/formula-evaluator.js';
+
+describe('FormulaEvaluator', () => {
+  let evaluator;
+
+  beforeEach(() => {
+    evaluator = new FormulaEvaluator();
+  });
+
+  describe('evaluate', () => {
+    test('should respect operator precedence and associativity', () => {
+      expect(evaluator.evaluate('1 + 2 * 3')).toBe(7);
+      expect(evaluator.evaluate('(1 + 2) * 3')).toBe(9);
+      expect(evaluator.evaluate('2^3^2')).toBe(512);
+      expect(evaluator.evaluate('-2^2')).toBe(-4);
+      expect(evaluator.evaluate('2 ** -1')).toBe(0.5);
+      expect(evaluator.evaluate('10 / 4 - 1')).toBe(1.5);
+    });
+
+    test('should substitute variables, constants and functions', () => {
+      expect(evaluator.evaluate('x * sin(pi / 2) + ln(e)', { x: 3 })).toBeCloseTo(4);
+      expect(evaluator.evaluate('sqrt(v^2 + w^2)', { v: 3, w: 4 })).toBe(5);
+      expect(evaluator.evaluate('log(1000) + max(1, 4, 2)')).toBe(7);
+    });
+
+    test('should report malformed formulas', () => {
+      expect(() => evaluator.evaluate('x +', { x: 1 })).toThrow('Unexpected end of formula');
+      expect(() => evaluator.evaluate('y * 2')).toThrow('Unknown variable "y"');
+      expect(() => evaluator.evaluate('foo(2)')).toThrow('Unknown function "foo"');
+      expect(() => evaluator.evaluate('2 # 3')).toThrow('Unexpected character "#"');
+      expect(() => evaluator.evaluate('(1 + 2')).toThrow('Expected ")"');
+      expect(() => evaluator.evaluate('  ')).toThrow('Formula is empty');
+    });
+
+    test('should never execute arbitrary code', () => {
+      expect(() => evaluator.evaluate('constructor("return 1")()')).toThrow();
+      expect(() => evaluator.evaluate('x.y', { x: 1 })).toThrow();
+    });
+  });
+
+  describe('variables', () => {
+    test('should extract [x] variables in order without duplicates', () => {
+      expect(evaluator.extractVariables('A car at [v] m/s for [t] s covers [v]*[t] m. See [1] and [a b].'))
+        .toEqual(['v', 't']);
+    });
+
+    test('should keep stored settings and default new variables', () => {
+      const resolved = evaluator.resolveVariables('[a] + [b]', [{ name: 'b', min: 2, max: 3, decimals: 1 }, { name: 'old', min: 0, max: 1 }]);
+
+      expect(resolved).toEqual([
+        { name: 'a', min: 1, max: 10, decimals: 0 },
+        { name: 'b', min: 2, max: 3, decimals: 1 }
+      ]);
+    });
+  });
+
+  describe('generateAnswerSets', () => {
+    test('should draw values within bounds and round the answer', () => {
+      const values = [0, 0.5, 0.999];
+      let call = 0;
+      const random = () => values[call++ % values.length];
+
+      const sets = evaluator.generateAnswerSets({
+        variables: [{ name: 'x', min: '1', max: '3', decimals: 1 }, { name: 'y', min: '0,5', max: '2,5', decimals: 0 }],
+        formula: 'x / y',
+        decimals: 2
+      }, 2, random);
+
+      expect(sets).toHaveLength(2);
+      expect(sets[0]).toEqual({ values: { x: 1, y: 2 }, answer: 0.5 });
+      sets.forEach(set => {
+        expect(set.values.x).toBeGreaterThanOrEqual(1);
+        expect(set.values.x).toBeLessThanOrEqual(3);
+      });
+    });
+
+    test('should fail when the formula never yields a finite answer', () => {
+      expect(() => evaluator.generateAnswerSets({
+        variables: [{ name: 'x', min: 0, max: 0, decimals: 0 }],
+        formula: '1 / x',
+        decimals: 0
+      }, 3)).toThrow('finite answer');
+    });
+  });
+});
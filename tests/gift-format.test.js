@@ -0,0 +1,136 @@
+import GiftFormat from '../src/services/gift-format.js';
+
+describe('GiftFormat', () => {
+  let gift;
+
+  beforeEach(() => {
+    gift = new GiftFormat();
+  });
+
+  test('should parse every supported question type', () => {
+    const { questions, errors } = gift.parse(`// A comment
+$CATEGORY: $course$/top/Sample
+
+::Q1:: What is 2 + 2? {
+  ~3#Too small
+  =4
+  ####Basic arithmetic
+}
+
+Pick the primes {~%50%2 ~%50%3 ~%-100%4}
+
+The sun is a star {TRUE#Look it up#Well done}
+
+Capital of France? {=Paris =París}
+
+Explain gravity {}
+
+Match the symbols {
+  =Fe -> Iron
+  =Au -> Gold
+  = -> Silver
+}
+
+Approximate e {#2.718:0.001}
+
+A number between one and two {#1..2}`);
+
+    expect(errors).toEqual([]);
+    expect(questions.map(q => q.type)).toEqual([
+      'multiple_choice', 'multiple_answers', 'true_false', 'short_answer', 'essay', 'matching', 'numerical', 'numerical'
+    ]);
+
+    const [multipleChoice, multipleAnswers, trueFalse, shortAnswer, essay, matching, exact, range] = questions;
+    expect(multipleChoice).toEqual({
+      type: 'multiple_choice',
+      text: 'What is 2 + 2?',
+      points: 1,
+      choices: [{ text: '3', correct: false, feedback: 'Too small' }, { text: '4', correct: true }],
+      correctAnswer: 1,
+      feedback: { general: 'Basic arithmetic', correct: '', incorrect: '' }
+    });
+    expect(multipleAnswers.correctAnswer).toEqual([0, 1]);
+    expect(trueFalse.correctAnswer).toBe('true');
+    expect(trueFalse.feedback).toEqual({ general: '', correct: 'Well done', incorrect: 'Look it up' });
+    expect(shortAnswer.acceptedAnswers).toEqual(['Paris', 'París']);
+    expect(essay.gradingRubric).toBe('');
+    expect(matching.matches).toEqual([{ left: 'Fe', right: 'Iron' }, { left: 'Au', right: 'Gold' }]);
+    expect(matching.distractors).toEqual(['Silver']);
+    expect(exact.numericAnswer).toEqual({ mode: 'exact', value: 2.718, margin: 0.001 });
+    expect(range.numericAnswer).toEqual({ mode: 'range', start: 1, end: 2 });
+  });
+
+  test('should turn missing-word questions into a blank and unescape special characters', () => {
+    const { questions } = gift.parse('Solve \\(x \\= 1\\) \\{fast\\}: the answer is {=one ~two} today');
+
+    expect(questions[0].text).toBe('Solve $x = 1$ {fast}: the answer is _____ today');
+  });
+
+  test('should report the line of questions it cannot read', () => {
+    const { questions, errors } = gift.parse('Fine {=yes}\n\nBroken {=\n\nBad {~%0%a ~b}');
+
+    expect(questions).toHaveLength(1);
+    expect(errors).toEqual([
+      'Line 3: Answer block is missing its closing }',
+      'Line 5: Multiple answers question has no answer with a positive %weight%'
+    ]);
+  });
+
+  test('should read back what it writes', () => {
+    const original = [
+      {
+        id: 1,
+        type: 'multiple_choice',
+        text: 'Is $a = b$?\nExplain {briefly}',
+        points: 1,
+        choices: [{ text: 'Yes: always', feedback: 'No #1' }, { text: '\\frac{1}{2}' }],
+        correctAnswer: 1,
+        explanation: 'Because ~reasons'
+      },
+      { id: 2, type: 'multiple_answers', text: 'Primes', points: 1, choices: [{ text: '2', correct: true }, { text: '3', correct: true }, { text: '4' }] },
+      { id: 3, type: 'true_false', text: 'Sky is blue', points: 1, correctAnswer: 'false', feedback: { correct: 'Right', incorrect: 'Wrong' } },
+      { id: 4, type: 'short_answer', text: 'Say hi', points: 1, acceptedAnswers: ['hi', 'hello'] },
+      { id: 5, type: 'essay', text: 'Discuss', points: 1 },
+      { id: 6, type: 'matching', text: 'Match', points: 1, matches: [{ left: 'a', right: '1' }, { left: 'b', right: '2' }], distractors: ['3'] },
+      { id: 7, type: 'numerical', text: 'Between', points: 1, numericAnswer: { mode: 'range', start: 1, end: 2 } }
+    ];
+
+    const { text, skipped } = gift.write(original);
+    const { questions, errors } = gift.parse(text);
+
+    expect(skipped).toEqual([]);
+    expect(errors).toEqual([]);
+    expect(text).toContain('Is \\(a \\= b\\)?\\nExplain \\{briefly\\}');
+    expect(questions[0].text).toBe('Is $a = b$?\nExplain {briefly}');
+    expect(questions[0].choices).toEqual([
+      { text: 'Yes: always', correct: false, feedback: 'No #1' },
+      { text: '\\frac{1}{2}', correct: true }
+    ]);
+    expect(questions[0].feedback.general).toBe('Because ~reasons');
+    expect(questions[1].correctAnswer).toEqual([0, 1]);
+    expect(questions[2].correctAnswer).toBe('false');
+    expect(questions[2].feedback).toEqual({ general: '', correct: 'Right', incorrect: 'Wrong' });
+    expect(questions[3].acceptedAnswers).toEqual(['hi', 'hello']);
+    expect(questions[4].type).toBe('essay');
+    expect(questions[5].distractors).toEqual(['3']);
+    expect(questions[6].numericAnswer).toEqual({ mode: 'range', start: 1, end: 2 });
+  });
+
+  test('should recognise the files it exports as GIFT', () => {
+    const { text } = gift.write([{ id: 1, type: 'true_false', text: 'Sky is blue', points: 1, correctAnswer: 'true' }]);
+
+    expect(GiftFormat.matchesFileName(`Quiz 1${GiftFormat.FILE_SUFFIX}`)).toBe(true);
+    expect(GiftFormat.matchesFileName('QUIZ.GIFT')).toBe(true);
+    expect(GiftFormat.matchesFileName('notes.txt')).toBe(false);
+    expect(GiftFormat.matchesFileName('quiz.aiken.txt')).toBe(false);
+    expect(gift.parse(text).questions[0]).toMatchObject({ type: 'true_false', correctAnswer: 'true' });
+  });
+
+  test('should skip question types GIFT cannot express', () => {
+    const formula = { id: 8, type: 'calculated', text: 'x', points: 1 };
+    const { text, skipped } = gift.write([formula]);
+
+    expect(text).toBe('');
+    expect(skipped).toEqual([formula]);
+  });
+});
@@ -0,0 +1,47 @@
+import ImageAttachments from '../src/services/image-attachments.js';
+
+describe('ImageAttachments', () => {
+  const image = (id, name, mimeType = 'image/png') => ({ id, name, mimeType, dataUrl: `data:${mimeType};base64,iVBORw0KGgo=` });
+
+  test('should read a picked file as a data URL attachment', async () => {
+    const file = new File(['abc'], 'graph.png', { type: 'image/png' });
+
+    const attachment = await ImageAttachments.fromFile(file);
+
+    expect(attachment).toMatchObject({ name: 'graph.png', mimeType: 'image/png', dataUrl: 'data:image/png;base64,YWJj' });
+    expect(attachment.id).toMatch(/^img_\d+_[a-z0-9]+$/);
+    await expect(ImageAttachments.fromFile(new File(['x'], 'notes.txt', { type: 'text/plain' })))
+      .rejects.toThrow('Unsupported image type: text/plain');
+  });
+
+  test('should collect question and choice images once each', () => {
+    const shared = image('a', 'a.png');
+    const assessment = {
+      questions: [
+        { images: [shared, image('b', 'b.png')], choices: [{ text: 'x', image: image('c', 'c.png') }, { text: 'y' }] },
+        { images: [shared], choices: [{ text: 'z', image: null }] },
+        { text: 'no images' }
+      ]
+    };
+
+    expect(ImageAttachments.collect(assessment).map(item => item.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should give every image a safe, unique file name', () => {
+    const names = ImageAttachments.fileNames([
+      image('a', 'Función (1).PNG'),
+      image('b', 'Función (1).png'),
+      image('c', 'diagram', 'image/svg+xml'),
+      image('d', '???.jpeg', 'image/jpeg')
+    ]);
+
+    expect([...names.values()]).toEqual(['Funci-n-1.png', 'Funci-n-1-2.png', 'diagram.svg', 'image.jpg']);
+    expect(ImageAttachments.fileBaseUrl('Funci-n-1.png')).toBe('$IMS-CC-FILEBASE$/Uploaded%20Media/Funci-n-1.png');
+  });
+
+  test('should reject images that are not base64 data URLs', () => {
+    expect(ImageAttachments.decode(image('a', 'a.png'))).toEqual({ mimeType: 'image/png', base64: 'iVBORw0KGgo=' });
+    expect(() => ImageAttachments.decode({ id: 'x', name: 'remote.png', dataUrl: 'https://example.com/remote.png' }))
+      .toThrow('Image remote.png is not a base64 data URL');
+  });
+});
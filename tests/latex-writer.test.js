@@ -0,0 +1,103 @@
+import LaTeXWriter from '../src/services/latex-writer.js';
+import LaTeXParser from '../src/services/latex-parser.js';
+
+describe('LaTeXWriter', () => {
+  const assessment = {
+    title: 'Parcial 1',
+    questions: [
+      {
+        id: 1,
+        type: 'multiple_choice',
+        text: 'Calcule $\\int_0^1 x\\,dx$',
+        points: 2,
+        choices: [{ text: '$1$' }, { text: '$\\frac{1}{2}$' }],
+        correctAnswer: 1,
+        explanation: 'Regla de la potencia'
+      },
+      { id: 2, type: 'true_false', text: 'El 50% de 4 es 2', points: 1, correctAnswer: 'true' },
+      { id: 3, type: 'numerical', text: 'Aproxime e', points: 1, numericAnswer: { mode: 'exact', value: '2,718', margin: '0,001' } },
+      {
+        id: 4,
+        type: 'matching',
+        text: 'Relacione',
+        points: 1,
+        matches: [{ left: 'Au', right: 'Oro' }, { left: 'Fe', right: 'Hierro' }],
+        distractors: ['Plata']
+      },
+      {
+        id: 5,
+        type: 'multiple_dropdowns',
+        text: 'El cielo es [color]',
+        points: 1,
+        blanks: [{ name: 'color', options: [{ text: 'azul', correct: true }, { text: 'verde' }] }]
+      },
+      { id: 6, type: 'essay', text: 'Explique la_variable & la constante\nen detalle', points: 5, gradingRubric: 'Menciona ambas' }
+    ]
+  };
+
+  test('should write ejerc blocks with enumerate choices', () => {
+    const { text, skipped } = new LaTeXWriter().write(assessment);
+
+    expect(skipped).toEqual([]);
+    expect(text.startsWith('% Parcial 1\n')).toBe(true);
+    expect(text.match(/\\begin\{ejerc\}/g)).toHaveLength(6);
+    expect(text).toContain('\\begin{ejerc}\nCalcule $\\int_0^1 x\\,dx$\n\n\\begin{enumerate}[a)]\n  \\item $1$\n  \\item $\\frac{1}{2}$\n\\end{enumerate}\n\\end{ejerc}');
+    expect(text).toContain('El 50\\% de 4 es 2');
+    expect(text).toContain('El cielo es \\underline{\\hspace{3cm}} (azul / verde)');
+    expect(text).toContain('Explique la\\_variable \\& la constante\n\nen detalle');
+  });
+
+  test('should write an answer key on its own page', () => {
+    const { text } = new LaTeXWriter().write(assessment);
+    const key = text.slice(text.indexOf('\\clearpage'));
+
+    expect(key).toContain('\\section*{Respuestas}');
+    expect(key).toContain('  \\item b) $\\frac{1}{2}$\n  \\item Verdadero\n  \\item $2.718 \\pm 0.001$\n');
+    expect(key).toContain('\\item 1~$\\rightarrow$~B, 2~$\\rightarrow$~A');
+    expect(key).toContain('\\item color: azul');
+    expect(key).toContain('\\item Menciona ambas');
+    expect(key).not.toContain('Regla de la potencia');
+  });
+
+  test('should add solutions and English labels when asked', () => {
+    const { text } = new LaTeXWriter({ includeSolutions: true, language: 'en' }).write(assessment);
+
+    expect(text).toContain('\\section*{Answer key}');
+    expect(text).toContain('\\item b) $\\frac{1}{2}$\n\n    \\textit{Solution:} Regla de la potencia');
+    expect(text).toContain('\\item True');
+  });
+
+  test('should print formula questions with their first stored answer set and report the rest', () => {
+    const variables = [{ name: 'x', min: 1, max: 5, decimals: 0 }];
+    const { text, skipped } = new LaTeXWriter().write({
+      questions: [
+        { id: 1, type: 'calculated', text: 'Duplique [x]', points: 1, calculated: { formula: '2 * x', tolerance: 0.5, variables, answerSets: [{ values: { x: 3 }, answer: 6 }] } },
+        { id: 2, type: 'calculated', text: 'Duplique [x]', points: 1, calculated: { formula: '2 * x', variables } },
+        { id: 3, type: 'calculated', text: 'Duplique [x]', points: 1, calculated: { formula: '', variables } }
+      ]
+    });
+
+    expect(text.match(/\\begin\{ejerc\}/g)).toHaveLength(1);
+    expect(text).toContain('\\begin{ejerc}\nDuplique 3\n\\end{ejerc}');
+    expect(text).toContain('\\item $6 \\pm 0.5$');
+    expect(skipped.map(({ id, reason }) => [id, reason])).toEqual([
+      [2, 'No answer sets generated for the current formula and variables'],
+      [3, 'Formula is empty']
+    ]);
+  });
+
+  test('should leave the key out when disabled', () => {
+    const { text } = new LaTeXWriter({ includeAnswerKey: false }).write(assessment);
+
+    expect(text).not.toContain('\\clearpage');
+  });
+
+  test('should be read back by the LaTeX parser', async () => {
+    const { text } = new LaTeXWriter().write({ questions: [assessment.questions[0]] });
+    const [question] = await new LaTeXParser().parseLatexFile(text);
+
+    expect(question.type).toBe('multiple_choice');
+    expect(question.text).toBe('Calcule $\\int_0^1 x\\,dx$');
+    expect(question.choices.map(choice => choice.text)).toEqual(['$1$', '$\\frac{1}{2}$']);
+  });
+});
@@ -46,7 +46,7 @@ describe('LLM Providers Architecture', () => {
 
     describe('ProviderFactory', () => {
         test('should create all supported providers', () => {
-            const supportedProviders = ['gemini', 'mistral', 'deepseek', 'huggingface'];
+            const supportedProviders = ['gemini', 'mistral', 'deepseek', 'huggingface', 'openai-compatible'];
             
             supportedProviders.forEach(providerName => {
                 expect(() => ProviderFactory.createProvider(providerName)).not.toThrow();
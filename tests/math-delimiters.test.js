@@ -0,0 +1,17 @@
+import MathDelimiters from '../src/services/math-delimiters.js';
+
+describe('MathDelimiters', () => {
+  test('should write inline math with MathJax delimiters and keep display math', () => {
+    expect(MathDelimiters.toMathJax('Solve $ x^2 $ and $$ y $$')).toBe('Solve \\(x^2\\) and $$y$$');
+    expect(MathDelimiters.toMathJax('')).toBe('');
+  });
+
+  test('should write display math with brackets when asked', () => {
+    expect(MathDelimiters.toMathJax('Solve $ x^2 $ and $$ y $$', { displayBrackets: true })).toBe('Solve \\(x^2\\) and \\[y\\]');
+  });
+
+  test('should read MathJax delimiters back as dollars', () => {
+    expect(MathDelimiters.fromMathJax('Solve \\(x^2\\) and \\[ y \\]')).toBe('Solve $x^2$ and $$y$$');
+    expect(MathDelimiters.fromMathJax(MathDelimiters.toMathJax('a $b$ $$c$$'))).toBe('a $b$ $$c$$');
+  });
+});
@@ -0,0 +1,119 @@
+import MoodleExporter from '../src/moodle-exporter.js';
+
+describe('Moodle Exporter', () => {
+    let exporter;
+
+    beforeEach(() => {
+        exporter = new MoodleExporter();
+    });
+
+    test('should write a category named after the assessment', () => {
+        const { xml } = exporter.generateXML({ title: 'Unit 1/2', questions: [] });
+
+        expect(xml).toContain('<quiz>');
+        expect(xml).toContain('<text>$course$/top/Unit 1//2</text>');
+    });
+
+    test('should write multiple choice with a full-mark answer and per-choice feedback', () => {
+        const { xml } = exporter.generateXML({
+            title: '',
+            questions: [{
+                id: 1,
+                type: 'multiple_choice',
+                text: 'What is 2 + 2?',
+                points: 2,
+                choices: [{ text: '3', feedback: 'Too small' }, { text: '4' }],
+                correctAnswer: 1
+            }]
+        });
+
+        expect(xml).toContain('<question type="multichoice">');
+        expect(xml).toContain('<single>true</single>');
+        expect(xml).toContain('<defaultgrade>2</defaultgrade>');
+        expect(xml).toMatch(/<answer fraction="0" format="html">\s*<text><!\[CDATA\[3\]\]><\/text>\s*<feedback format="html">\s*<text><!\[CDATA\[Too small\]\]><\/text>/);
+        expect(xml).toContain('<answer fraction="100" format="html">');
+    });
+
+    test('should split marks across multiple answers and penalise wrong choices', () => {
+        const { xml } = exporter.generateXML({
+            questions: [{
+                id: 2,
+                type: 'multiple_answers',
+                text: 'Pick the primes',
+                points: 1,
+                choices: [{ text: '2', correct: true }, { text: '3', correct: true }, { text: '4' }, { text: '5', correct: true }]
+            }]
+        });
+
+        expect(xml).toContain('<single>false</single>');
+        expect(xml.match(/fraction="33.33333"/g)).toHaveLength(3);
+        expect(xml).toContain('fraction="-100"');
+    });
+
+    test('should attach correct and incorrect feedback to true/false answers', () => {
+        const { xml } = exporter.generateXML({
+            questions: [{
+                id: 3,
+                type: 'true_false',
+                text: 'Water is wet',
+                points: 1,
+                correctAnswer: 'false',
+                feedback: { correct: 'Right', incorrect: 'Wrong' }
+            }]
+        });
+
+        expect(xml).toMatch(/<answer fraction="0" format="moodle_auto_format">\s*<text>true<\/text>\s*<feedback format="html">\s*<text><!\[CDATA\[Wrong\]\]>/);
+        expect(xml).toMatch(/<answer fraction="100" format="moodle_auto_format">\s*<text>false<\/text>\s*<feedback format="html">\s*<text><!\[CDATA\[Right\]\]>/);
+    });
+
+    test('should write every accepted short answer and the essay rubric', () => {
+        const { xml } = exporter.generateXML({
+            questions: [
+                { id: 4, type: 'short_answer', text: 'Capital of France?', points: 1, acceptedAnswers: ['Paris', 'París'] },
+                { id: 5, type: 'essay', text: 'Explain', points: 5, gradingRubric: 'Mention gravity' }
+            ]
+        });
+
+        expect(xml).toContain('<text>Paris</text>');
+        expect(xml).toContain('<text>París</text>');
+        expect(xml).toContain('<usecase>0</usecase>');
+        expect(xml).toContain('<question type="essay">');
+        expect(xml).toMatch(/<graderinfo format="html">\s*<text><!\[CDATA\[Mention gravity\]\]>/);
+    });
+
+    test('should write numerical answers as value and tolerance', () => {
+        const { xml } = exporter.generateXML({
+            questions: [
+                { id: 6, type: 'numerical', text: 'e', points: 1, numericAnswer: { mode: 'exact', value: '2,718', margin: '0,001' } },
+                { id: 7, type: 'numerical', text: 'Between', points: 1, numericAnswer: { mode: 'range', start: 1, end: 2 } }
+            ]
+        });
+
+        expect(xml).toMatch(/<text>2.718<\/text>\s*<tolerance>0.001<\/tolerance>/);
+        expect(xml).toMatch(/<text>1.5<\/text>\s*<tolerance>0.5<\/tolerance>/);
+    });
+
+    test('should keep LaTeX for MathJax and escape HTML', () => {
+        const { xml } = exporter.generateXML({
+            questions: [{ id: 8, type: 'essay', text: 'Is $a<b$ & $$x^2$$?\nWhy', points: 1 }]
+        });
+
+        expect(xml).toContain('<![CDATA[Is \\(a&lt;b\\) &amp; $$x^2$$?<br>Why]]>');
+    });
+
+    test('should skip question types it does not cover', () => {
+        const matching = { id: 9, type: 'matching', text: 'Match', points: 1, matches: [] };
+        const { xml, skipped } = exporter.generateXML({ questions: [matching] });
+
+        expect(skipped).toEqual([matching]);
+        expect(xml).not.toContain('<question type="matching">');
+    });
+
+    test('should leave feedback out when explanations are switched off', () => {
+        const { xml } = new MoodleExporter({ includeExplanations: false }).generateXML({
+            questions: [{ id: 10, type: 'essay', text: 'Explain', points: 1, explanation: 'Secret' }]
+        });
+
+        expect(xml).not.toContain('Secret');
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+import MoodleImporter from '../src/moodle-importer.js';
+import MoodleExporter from '../src/moodle-exporter.js';
+
+describe('Moodle Importer', () => {
+    let importer;
+
+    beforeEach(() => {
+        importer = new MoodleImporter();
+    });
+
+    test('should tell Moodle XML apart from QTI', () => {
+        expect(MoodleImporter.isMoodleXML('<?xml version="1.0"?>\n<quiz>\n</quiz>')).toBe(true);
+        expect(MoodleImporter.isMoodleXML('<?xml version="1.0"?><questestinterop><assessment/></questestinterop>')).toBe(false);
+    });
+
+    test('should read a Moodle export with MathJax delimiters', async () => {
+        const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+  <question type="category">
+    <category><text>$course$/top/Algebra</text></category>
+  </question>
+  <question type="multichoice">
+    <name><text>Fractions</text></name>
+    <questiontext format="html"><text><![CDATA[<p>Evaluate \\(\\frac{1}{2} + \\frac{1}{2}\\)</p><p>\\[x^2\\]</p>]]></text></questiontext>
+    <generalfeedback format="html"><text>Half plus half</text></generalfeedback>
+    <defaultgrade>2.0000000</defaultgrade>
+    <single>true</single>
+    <answer fraction="0" format="html"><text>0</text><feedback format="html"><text>Not zero</text></feedback></answer>
+    <answer fraction="100" format="html"><text>1</text></answer>
+  </question>
+  <question type="ddwtos">
+    <name><text>Drag</text></name>
+    <questiontext format="html"><text>Drag</text></questiontext>
+  </question>
+</quiz>`;
+
+        const { assessment, skipped } = await importer.importXML(xml);
+        const [question] = assessment.questions;
+
+        expect(assessment.title).toBe('Algebra');
+        expect(question.type).toBe('multiple_choice');
+        expect(question.text).toBe('Evaluate $\\frac{1}{2} + \\frac{1}{2}$\n$$x^2$$');
+        expect(question.points).toBe(2);
+        expect(question.correctAnswer).toBe(1);
+        expect(question.choices[0].feedback).toBe('Not zero');
+        expect(question.feedback).toEqual({ general: 'Half plus half', correct: '', incorrect: '' });
+        expect(skipped).toEqual([{ ident: '3', title: 'Drag', type: 'ddwtos' }]);
+    });
+
+    test('should import what the exporter writes', async () => {
+        const { xml } = new MoodleExporter().generateXML({
+            title: 'Round Trip',
+            questions: [
+                {
+                    id: 1,
+                    type: 'multiple_answers',
+                    text: 'Select $x < 3$ & even',
+                    points: 2,
+                    choices: [{ text: '2', correct: true }, { text: '3' }, { text: '4', correct: true }],
+                    correctAnswer: [0, 2]
+                },
+                {
+                    id: 2,
+                    type: 'true_false',
+                    text: 'The sky is blue',
+                    points: 1,
+                    correctAnswer: 'true',
+                    feedback: { correct: 'Yes', incorrect: 'Look again' }
+                },
+                { id: 3, type: 'short_answer', text: 'Capital of France?', points: 1, acceptedAnswers: ['Paris', 'París'] },
+                { id: 4, type: 'essay', text: 'Explain', points: 5, gradingRubric: 'Mention gravity' },
+                { id: 5, type: 'numerical', text: 'Approximate e', points: 1, numericAnswer: { mode: 'exact', value: '2,718', margin: '0,001' } }
+            ]
+        });
+
+        const { assessment, skipped } = await importer.importXML(xml);
+        const [multipleAnswers, trueFalse, shortAnswer, essay, numerical] = assessment.questions;
+
+        expect(skipped).toEqual([]);
+        expect(assessment.title).toBe('Round Trip');
+        expect(assessment.questions.map(q => q.type)).toEqual(['multiple_answers', 'true_false', 'short_answer', 'essay', 'numerical']);
+        expect(multipleAnswers.text).toBe('Select $x < 3$ & even');
+        expect(multipleAnswers.correctAnswer).toEqual([0, 2]);
+        expect(trueFalse.correctAnswer).toBe('true');
+        expect(trueFalse.feedback).toEqual({ general: '', correct: 'Yes', incorrect: 'Look again' });
+        expect(shortAnswer.acceptedAnswers).toEqual(['Paris', 'París']);
+        expect(essay.gradingRubric).toBe('Mention gravity');
+        expect(essay.points).toBe(5);
+        expect(numerical.numericAnswer).toEqual({ mode: 'exact', value: 2.718, margin: 0.001 });
+    });
+
+    test('should reject documents that are not Moodle XML', async () => {
+        await expect(importer.importXML('<?xml version="1.0"?><questestinterop/>')).rejects.toThrow('missing quiz');
+    });
+});
@@ -0,0 +1,32 @@
+import NumberParser from '../src/services/number-parser.js';
+
+describe('NumberParser', () => {
+  test('should parse plain numbers and numeric strings', () => {
+    expect(NumberParser.parse(2.5)).toBe(2.5);
+    expect(NumberParser.parse('42')).toBe(42);
+    expect(NumberParser.parse(' -0.75 ')).toBe(-0.75);
+    expect(NumberParser.parse('1e-3')).toBe(0.001);
+  });
+
+  test('should accept a decimal comma', () => {
+    expect(NumberParser.parse('3,14')).toBe(3.14);
+    expect(NumberParser.parse('−0,5')).toBe(-0.5);
+  });
+
+  test('should drop thousands separators in either convention', () => {
+    expect(NumberParser.parse('1.234,5')).toBe(1234.5);
+    expect(NumberParser.parse('1,234.5')).toBe(1234.5);
+    expect(NumberParser.parse('1,000,000')).toBe(1000000);
+    expect(NumberParser.parse('12 345,6')).toBe(12345.6);
+  });
+
+  test('should reject values that are not numbers', () => {
+    expect(NumberParser.parse('abc')).toBeNaN();
+    expect(NumberParser.parse('')).toBeNaN();
+    expect(NumberParser.parse('3,1,4.2.1')).toBeNaN();
+    expect(NumberParser.parse(null)).toBeNaN();
+    expect(NumberParser.parse(Infinity)).toBeNaN();
+    expect(NumberParser.isNumber('2,5')).toBe(true);
+    expect(NumberParser.isNumber('x')).toBe(false);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import OpenAICompatibleProvider from '../src/llm-providers/openai-compatible-provider.js';
+
+const generatedQuestions = {
+  questions: [
+    { type: 'multiple_choice', text: 'What is 2 + 2?', points: 1, choices: [{ id: 0, text: '4', correct: true }, { id: 1, text: '5', correct: false }], correctAnswer: 0 }
+  ]
+};
+
+// Stub OpenAI-compatible server (the /v1 routes Ollama, llama-server and vLLM share)
+function startStubServer({ models = ['llama3.1'], failingModels = [], apiKey = null } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : null;
+      requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body });
+      const json = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+        return json(401, { error: { message: 'Invalid API key' } });
+      }
+      if (req.method === 'GET' && req.url === '/v1/models') {
+        return json(200, { object: 'list', data: models.map(id => ({ id, object: 'model' })) });
+      }
+      if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+        if (failingModels.includes(body.model)) {
+          return json(404, { error: { message: `model "${body.model}" not found, try pulling it first` } });
+        }
+        return json(200, {
+          model: body.model,
+          choices: [{ index: 0, message: { role: 'assistant', content: `Here you go:\n\`\`\`json\n${JSON.stringify(generatedQuestions)}\n\`\`\`` } }]
+        });
+      }
+      return json(404, { error: 'not found' });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      server.baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+      resolve({ server, requests });
+    });
+  });
+}
+
+describe('OpenAICompatibleProvider', () => {
+  let stub;
+
+  afterEach(() => new Promise(resolve => (stub ? stub.server.close(resolve) : resolve())));
+
+  test('should default to a local Ollama server without an API key', async () => {
+    stub = null;
+    const provider = new OpenAICompatibleProvider();
+
+    await provider.configure('');
+
+    expect(provider.name).toBe('openai-compatible');
+    expect(provider.isConfigured).toBe(true);
+    expect(provider.client.baseUrl).toBe('http://localhost:11434/v1');
+    expect(provider.client.headers.Authorization).toBeUndefined();
+    expect(provider.getAvailableModels()).toEqual([]);
+  });
+
+  test('should generate questions with the models the server lists', async () => {
+    stub = await startStubServer();
+    const provider = new OpenAICompatibleProvider();
+    await provider.configure(undefined, { baseUrl: `${stub.server.baseUrl}/` });
+
+    const questions = await provider.generateQuestions('Write one question');
+
+    expect(questions).toEqual(generatedQuestions.questions);
+    const completion = stub.requests.find(request => request.url === '/v1/chat/completions');
+    expect(completion.authorization).toBeUndefined();
+    expect(completion.body).toMatchObject({ model: 'llama3.1', stream: false });
+    expect(completion.body.messages[1]).toEqual({ role: 'user', content: 'Write one question' });
+  });
+
+  test('should try the configured models in order and send the optional key', async () => {
+    stub = await startStubServer({ failingModels: ['missing-model'], apiKey: 'local-secret' });
+    const provider = new OpenAICompatibleProvider();
+    await provider.configure('local-secret', { baseUrl: stub.server.baseUrl, models: 'missing-model, qwen2.5' });
+
+    expect(provider.getAvailableModels()).toEqual(['missing-model', 'qwen2.5']);
+    expect(await provider.testApiKey()).toBe(true);
+    expect(await provider.generateQuestions('Write one question')).toHaveLength(1);
+    expect(stub.requests.filter(request => request.url === '/v1/chat/completions').map(request => request.body.model))
+      .toEqual(['missing-model', 'qwen2.5']);
+    expect(stub.requests.every(request => request.authorization === 'Bearer local-secret')).toBe(true);
+  });
+
+  test('should report server errors and unreachable servers', async () => {
+    stub = await startStubServer({ failingModels: ['llama3.1'] });
+    const provider = new OpenAICompatibleProvider();
+    await provider.configure('', { baseUrl: stub.server.baseUrl, models: ['llama3.1'] });
+
+    await expect(provider.generateQuestions('Write one question')).rejects
+      .toThrow('Server error (404): model "llama3.1" not found, try pulling it first');
+
+    const offline = new OpenAICompatibleProvider();
+    await offline.configure('', { baseUrl: 'http://127.0.0.1:9/v1' });
+    expect(await offline.testApiKey()).toBe(false);
+    await expect(offline.generateQuestions('Write one question')).rejects
+      .toThrow('Network error: Unable to connect to http://127.0.0.1:9/v1. Is the model server running?');
+  });
+
+  test('should reject an invalid server URL and an empty model list', async () => {
+    stub = await startStubServer({ models: [] });
+
+    await expect(new OpenAICompatibleProvider().configure('', { baseUrl: 'localhost 11434' })).rejects
+      .toThrow('Invalid server URL: localhost 11434');
+
+    const provider = new OpenAICompatibleProvider();
+    await provider.configure('', { baseUrl: stub.server.baseUrl });
+    await expect(provider.generateQuestions('Write one question')).rejects
+      .toThrow(`No models available on ${stub.server.baseUrl}. Pull or load a model first.`);
+  });
+});
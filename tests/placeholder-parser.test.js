@@ -0,0 +1,18 @@
+import PlaceholderParser from '../src/services/placeholder-parser.js';
+
+describe('PlaceholderParser', () => {
+  test('should list [name] placeholders once, in order of appearance', () => {
+    expect(PlaceholderParser.extract('[b] then [a], again [b]')).toEqual(['b', 'a']);
+    expect(PlaceholderParser.extract('No [1] or [two words] or [] here')).toEqual([]);
+    expect(PlaceholderParser.extract(undefined)).toEqual([]);
+  });
+
+  test('should keep stored settings and create defaults for new placeholders', () => {
+    const stored = [{ name: 'a', answers: ['x'] }, { name: 'removed', answers: ['y'] }];
+
+    expect(PlaceholderParser.resolve('[a] and [b]', stored, name => ({ name, answers: [] }))).toEqual([
+      { name: 'a', answers: ['x'] },
+      { name: 'b', answers: [] }
+    ]);
+  });
+});
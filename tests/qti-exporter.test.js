@@ -1,4 +1,5 @@
 import QTIExporter from '../src/qti-exporter.js';
+import QTIValidator from '../src/services/qti-validator.js';
 
 describe('QTI Exporter', () => {
     let exporter;
@@ -54,6 +55,121 @@ describe('QTI Exporter', () => {
             expect(qti).not.toContain('cc_timelimit');
             expect(qti).toContain('cc_maxattempts');
         });
+
+        test('should write the allowed attempts, unlimited when set to 0', () => {
+            const assessment = { title: 'Attempts', questions: [], settings: { allowedAttempts: 3 } };
+
+            expect(exporter.generateQTI(assessment)).toMatch(/<fieldlabel>cc_maxattempts<\/fieldlabel>\s*<fieldentry>3<\/fieldentry>/);
+            expect(exporter.generateQTI({ ...assessment, settings: { allowedAttempts: 0 } }))
+                .toMatch(/<fieldlabel>cc_maxattempts<\/fieldlabel>\s*<fieldentry>unlimited<\/fieldentry>/);
+        });
+    });
+
+    describe('Question Groups', () => {
+        const assessment = {
+            title: 'Grouped',
+            description: '',
+            timeLimit: 0,
+            groups: [{ id: 'g1', name: 'Limits & Series', pickCount: 1, pointsPerItem: 20 }],
+            questions: [
+                { id: 1, type: 'true_false', text: 'Intro', points: 1, correctAnswer: 'true' },
+                { id: 2, type: 'true_false', text: 'Pool A', points: 1, correctAnswer: 'true', groupId: 'g1' },
+                { id: 3, type: 'essay', text: 'Closing', points: 5 },
+                { id: 4, type: 'true_false', text: 'Pool B', points: 1, correctAnswer: 'false', groupId: 'g1' }
+            ]
+        };
+
+        test('should write grouped questions in a nested section with selection rules', () => {
+            const qti = exporter.generateQTI(assessment);
+
+            expect(qti).toMatch(/<section ident="i[a-z0-9]+" title="Limits &amp; Series">/);
+            expect(qti).toContain('<selection_number>1</selection_number>');
+            expect(qti).toContain('<points_per_item>20</points_per_item>');
+            expect((qti.match(/<section /g) || [])).toHaveLength(2);
+        });
+
+        test('should place the group where its first question appears', () => {
+            const qti = exporter.generateQTI(assessment);
+            const order = ['Intro', 'selection_ordering', 'Pool A', 'Pool B', 'Closing'].map(marker => qti.indexOf(marker));
+
+            expect(order).toEqual([...order].sort((a, b) => a - b));
+        });
+
+        test('should never pick more questions than the pool holds', () => {
+            const xml = exporter.generateGroupXML({ name: 'Small', pickCount: 5, pointsPerItem: 2 }, assessment.questions.slice(0, 2));
+
+            expect(xml).toContain('<selection_number>2</selection_number>');
+        });
+
+        test('should keep an explicit 0 points per item and fall back to the first question only when unset', () => {
+            const pool = [{ ...assessment.questions[0], points: 3 }];
+
+            expect(exporter.generateGroupXML({ id: 'g', name: 'Zero', pickCount: 1, pointsPerItem: 0 }, pool, 'a1'))
+                .toContain('<points_per_item>0</points_per_item>');
+            [null, undefined, ''].forEach(pointsPerItem => {
+                expect(exporter.generateGroupXML({ id: 'g', name: 'Unset', pickCount: 1, pointsPerItem }, pool, 'a1'))
+                    .toContain('<points_per_item>3</points_per_item>');
+            });
+        });
+    });
+
+    describe('Feedback', () => {
+        const question = {
+            id: 1,
+            type: 'multiple_choice',
+            text: 'Pick B',
+            points: 1,
+            choices: [
+                { text: 'A', correct: false, feedback: 'A is a common trap' },
+                { text: 'B', correct: true }
+            ],
+            correctAnswer: 1,
+            explanation: 'B is right because of the definition',
+            feedback: { correct: 'Well done', incorrect: 'Review chapter 2' }
+        };
+
+        test('should write itemfeedback for general, correct, incorrect and per-choice feedback', () => {
+            const xml = exporter.generateMultipleChoiceXML(question, 'test_q1');
+
+            expect(xml).toContain('<itemfeedback ident="general_fb">');
+            expect(xml).toContain('B is right because of the definition');
+            expect(xml).toContain('<itemfeedback ident="correct_fb">');
+            expect(xml).toContain('<itemfeedback ident="general_incorrect_fb">');
+            expect(xml).toContain('<itemfeedback ident="0_fb">');
+            expect(xml).not.toContain('<itemfeedback ident="1_fb">');
+            expect(xml.indexOf('</resprocessing>')).toBeLessThan(xml.indexOf('<itemfeedback'));
+        });
+
+        test('should link feedback from resprocessing with displayfeedback', () => {
+            const xml = exporter.generateMultipleChoiceXML(question, 'test_q1');
+            const general = xml.indexOf('linkrefid="general_fb"');
+            const choice = xml.indexOf('linkrefid="0_fb"');
+            const correct = xml.indexOf('linkrefid="correct_fb"');
+            const incorrect = xml.indexOf('linkrefid="general_incorrect_fb"');
+
+            expect(general).toBeGreaterThan(-1);
+            expect(general).toBeLessThan(choice);
+            expect(choice).toBeLessThan(correct);
+            expect(correct).toBeLessThan(incorrect);
+            expect(xml).toMatch(/<setvar action="Set" varname="SCORE">100<\/setvar>\s*<displayfeedback feedbacktype="Response" linkrefid="correct_fb"\/>/);
+        });
+
+        test('should prefer authored general feedback over the explanation, even when cleared', () => {
+            const authored = exporter.generateEssayXML({ ...question, type: 'essay', feedback: { general: 'Rubric notes' } }, 'q');
+            const cleared = exporter.generateEssayXML({ ...question, type: 'essay', feedback: { general: '' } }, 'q');
+
+            expect(authored).toContain('Rubric notes');
+            expect(authored).not.toContain('B is right');
+            expect(authored).not.toContain('correct_fb');
+            expect(cleared).not.toContain('itemfeedback');
+        });
+
+        test('should omit feedback when explanations are switched off', () => {
+            const xml = new QTIExporter({ includeExplanations: false }).generateMultipleChoiceXML(question, 'test_q1');
+
+            expect(xml).not.toContain('itemfeedback');
+            expect(xml).not.toContain('displayfeedback');
+        });
     });
 
     describe('Question Types', () => {
@@ -82,6 +198,204 @@ describe('QTI Exporter', () => {
             expect(xml).toContain('<varequal respident="response1">1</varequal>');
         });
 
+        test('should generate multiple answers question XML', () => {
+            const question = {
+                id: 1,
+                type: 'multiple_answers',
+                text: 'Select the prime numbers',
+                points: 2,
+                choices: [
+                    { text: '2', correct: true },
+                    { text: '4', correct: false },
+                    { text: '5', correct: true }
+                ],
+                correctAnswer: [0, 2]
+            };
+
+            const xml = exporter.generateMultipleAnswersXML(question, 'test_q1');
+
+            expect(xml).toContain('multiple_answers_question');
+            expect(xml).toContain('rcardinality="Multiple"');
+            expect(xml).toMatch(/<and>\s*<varequal respident="response1">0<\/varequal>\s*<not>\s*<varequal respident="response1">1<\/varequal>\s*<\/not>\s*<varequal respident="response1">2<\/varequal>\s*<\/and>/);
+        });
+
+        test('should fall back to choice flags when correctAnswer is not a list', () => {
+            const question = {
+                id: 1,
+                type: 'multiple_answers',
+                text: 'Pick',
+                points: 1,
+                choices: [{ text: 'A', correct: false }, { text: 'B', correct: true }]
+            };
+
+            expect(exporter.getCorrectChoiceIndexes(question)).toEqual([1]);
+        });
+
+        test('should generate matching question XML with one response_lid per left item', () => {
+            const question = {
+                id: 1,
+                type: 'matching',
+                text: 'Match each country with its capital',
+                points: 3,
+                matches: [
+                    { left: 'France', right: 'Paris' },
+                    { left: 'Spain', right: 'Madrid' },
+                    { left: 'Peru', right: 'Lima' }
+                ],
+                distractors: ['Quito', 'Paris']
+            };
+
+            const xml = exporter.generateMatchingXML(question, 'test_q1');
+
+            expect(xml).toContain('matching_question');
+            expect(xml.match(/<response_lid ident="response_\d+">/g)).toHaveLength(3);
+            expect(xml.match(/<response_label ident="\d+">/g)).toHaveLength(12);
+            expect(xml).toContain('<varequal respident="response_1">1</varequal>');
+            expect(xml).toContain('<setvar varname="SCORE" action="Add">33.33</setvar>');
+            expect(exporter.getMatchingOptions(question)).toEqual(['Paris', 'Madrid', 'Lima', 'Quito']);
+        });
+
+        test('should generate numerical question XML with an exact answer and margin', () => {
+            const question = {
+                id: 1,
+                type: 'numerical',
+                text: 'Approximate pi',
+                points: 2,
+                numericAnswer: { mode: 'exact', value: '3,14', margin: '0,01' }
+            };
+
+            const xml = exporter.generateNumericalXML(question, 'test_q1');
+
+            expect(xml).toContain('numerical_question');
+            expect(xml).toContain('<render_fib fibtype="Decimal">');
+            expect(xml).toContain('<varequal respident="response1">3.14</varequal>');
+            expect(xml).toContain('<vargte respident="response1">3.13</vargte>');
+            expect(xml).toContain('<varlte respident="response1">3.15</varlte>');
+        });
+
+        test('should write numerical ranges and precision answers as bounds', () => {
+            const range = exporter.generateNumericalCondition({ mode: 'range', start: '10', end: '2,5' });
+            const precision = exporter.generateNumericalCondition({ mode: 'precision', value: 1234.5, precision: 3 });
+
+            expect(range).not.toContain('varequal');
+            expect(range).toContain('<vargte respident="response1">2.5</vargte>');
+            expect(range).toContain('<varlte respident="response1">10</varlte>');
+            expect(precision).toContain('<vargte respident="response1">1229.5</vargte>');
+            expect(precision).toContain('<varlte respident="response1">1239.5</varlte>');
+        });
+
+        test('should leave numerical questions without a valid answer ungraded', () => {
+            const xml = exporter.generateNumericalXML({ id: 1, text: 'Q', points: 1, numericAnswer: { mode: 'exact', value: 'abc' } }, 'test_q1');
+
+            expect(xml).not.toContain('<respcondition');
+        });
+
+        test('should generate calculated question XML with variables and answer sets', () => {
+            const question = {
+                id: 1,
+                type: 'calculated',
+                text: 'A car travels at [v] m/s for [t] s. How far does it go?',
+                points: 2,
+                calculated: {
+                    formula: 'v * t',
+                    decimals: 1,
+                    tolerance: '0,5',
+                    variables: [
+                        { name: 'v', min: 10, max: 20, decimals: 0 },
+                        { name: 't', min: '1,5', max: 3, decimals: 1 }
+                    ],
+                    answerSets: [
+                        { values: { v: 12, t: 2.5 }, answer: 30 },
+                        { values: { v: 15, t: 2 }, answer: 30 }
+                    ]
+                }
+            };
+
+            const xml = exporter.generateCalculatedXML(question, 'test_q1');
+
+            expect(xml).toContain('<fieldentry>calculated_question</fieldentry>');
+            expect(xml).toContain('<answer_tolerance>0.5</answer_tolerance>');
+            expect(xml).toContain('<formulas decimal_places="1">');
+            expect(xml).toContain('<formula>v * t</formula>');
+            expect(xml).toMatch(/<var name="t" scale="1">\s*<min>1.5<\/min>\s*<max>3<\/max>/);
+            expect(xml.match(/<var_set ident="\d+">/g)).toHaveLength(2);
+            expect(xml).toMatch(/<var name="v">12<\/var>\s*<var name="t">2.5<\/var>\s*<answer>30<\/answer>/);
+        });
+
+        test('should skip formula questions without stored answer sets instead of drawing new ones', () => {
+            const calculatedQuestion = (id, calculated) => ({ id, type: 'calculated', text: 'What is [a] + [b]?', points: 1, calculated });
+            const assessment = {
+                title: 'Formulas',
+                questions: [
+                    { id: 'mc', type: 'multiple_choice', text: 'Pick', points: 1, choices: [{ id: 0, text: 'A', correct: true }], correctAnswer: 0 },
+                    calculatedQuestion('none', { formula: 'a + b', variables: [], answerSets: [] }),
+                    calculatedQuestion('empty', { formula: '', variables: [], answerSets: [] }),
+                    calculatedQuestion('stale', { formula: 'a + b', variables: [], answerSets: [{ values: { a: 1 }, answer: 1 }] }),
+                    calculatedQuestion('broken', { formula: 'a +', variables: [], answerSets: [{ values: { a: 1, b: 2 }, answer: 3 }] }),
+                    calculatedQuestion('ok', { formula: 'a + b', variables: [], answerSets: [{ values: { a: 1, b: 2 }, answer: 3 }] })
+                ]
+            };
+
+            const skipped = exporter.getSkippedQuestions(assessment);
+            const xml = exporter.generateQTI(assessment);
+
+            expect(skipped.map(question => [question.id, question.reason])).toEqual([
+                ['none', 'No answer sets generated for the current formula and variables'],
+                ['empty', 'Formula is empty'],
+                ['stale', 'No answer sets generated for the current formula and variables'],
+                ['broken', 'Unexpected end of formula']
+            ]);
+            expect(xml.match(/<item /g)).toHaveLength(2);
+            expect(xml).toMatch(/<var name="a">1<\/var>\s*<var name="b">2<\/var>\s*<answer>3<\/answer>/);
+            expect(xml).toBe(exporter.generateQTI(assessment));
+            expect(QTIExporter.describeSkipped(assessment, [...skipped.slice(0, 1), { id: 'mc', type: 'multiple_choice' }])).toEqual([
+                { id: 'none', type: 'calculated', number: 2, reason: 'No answer sets generated for the current formula and variables' },
+                { id: 'mc', type: 'multiple_choice', number: 1, reason: null }
+            ]);
+        });
+
+        test('should generate fill in multiple blanks XML with one response per blank', () => {
+            const question = {
+                id: 1,
+                type: 'fill_in_multiple_blanks',
+                text: 'Water boils at [hot] and freezes at [cold] degrees',
+                points: 2,
+                blanks: [
+                    { name: 'cold', answers: ['0', 'cero'] },
+                    { name: 'hot', answers: ['100', ' 100 ', ''] }
+                ]
+            };
+
+            const xml = exporter.generateBlanksXML(question, 'test_q1');
+
+            expect(xml).toContain('fill_in_multiple_blanks_question');
+            expect(xml).toContain('[hot]');
+            expect(xml.match(/<response_lid ident="response_(hot|cold)">/g)).toEqual(['<response_lid ident="response_hot">', '<response_lid ident="response_cold">']);
+            expect(xml.match(/<respcondition>/g)).toHaveLength(3);
+            expect(xml).toContain('<varequal respident="response_cold">2_2</varequal>');
+            expect(xml).toContain('<setvar varname="SCORE" action="Add">50</setvar>');
+        });
+
+        test('should only score the correct option of each dropdown', () => {
+            const question = {
+                id: 1,
+                type: 'multiple_dropdowns',
+                text: 'The sky is [color]',
+                points: 1,
+                blanks: [
+                    { name: 'color', options: [{ text: 'green', correct: false }, { text: 'blue', correct: true }] }
+                ]
+            };
+
+            const xml = exporter.generateQuestionXML(question);
+
+            expect(xml).toContain('multiple_dropdowns_question');
+            expect(xml.match(/<response_label ident=/g)).toHaveLength(2);
+            expect(xml.match(/<respcondition>/g)).toHaveLength(1);
+            expect(xml).toContain('<varequal respident="response_color">1_2</varequal>');
+            expect(xml).toContain('<setvar varname="SCORE" action="Add">100</setvar>');
+        });
+
         test('should generate true/false question XML', () => {
             const question = {
                 id: 1,
@@ -115,6 +429,25 @@ describe('QTI Exporter', () => {
             expect(xml).toContain('What is the capital of France?');
             expect(xml).toContain('<fieldentry>3</fieldentry>');
             expect(xml).toContain('response_str ident="response1"');
+            expect(xml).not.toContain('<respcondition');
+        });
+
+        test('should grade short answers against every accepted answer', () => {
+            const question = {
+                id: 1,
+                type: 'short_answer',
+                text: 'Name a primary color',
+                points: 2,
+                acceptedAnswers: ['Red', ' Blue ', '', 'Red', 'Black & White']
+            };
+
+            const xml = exporter.generateShortAnswerXML(question, 'test_q1');
+
+            expect(xml).toContain('<respcondition continue="No">');
+            expect(xml.match(/<varequal respident="response1">/g)).toHaveLength(3);
+            expect(xml).toContain('<varequal respident="response1">Blue</varequal>');
+            expect(xml).toContain('<varequal respident="response1">Black &amp; White</varequal>');
+            expect(xml).toContain('<setvar action="Set" varname="SCORE">100</setvar>');
         });
 
         test('should generate essay question XML', () => {
@@ -187,6 +520,59 @@ describe('QTI Exporter', () => {
             expect(escaped).toContain('src="test.png"');
         });
 
+        test('should point equation images at the Canvas instance it is given', () => {
+            const espol = exporter.latexRenderer.prepareForQTI('$x$');
+            const other = new QTIExporter({ canvasBaseUrl: 'https://canvas.example.edu/' }).latexRenderer.prepareForQTI('$x$');
+
+            expect(espol).toContain('src="https://aulavirtual.espol.edu.ec/equation_images/');
+            expect(other).toContain('src="https://canvas.example.edu/equation_images/');
+        });
+
+        test('should write math in the chosen output mode across text, choices and feedback', () => {
+            const assessment = {
+                title: 'Math',
+                questions: [{
+                    id: 1,
+                    type: 'multiple_choice',
+                    text: 'Solve $x^2 = 4$ where $$x > 0$$',
+                    points: 1,
+                    choices: [{ text: '$2$', feedback: 'Right, $\\sqrt{4}$' }, { text: '$-2$' }],
+                    correctAnswer: 0,
+                    explanation: 'Take $\\sqrt{}$ of both sides'
+                }]
+            };
+            const qtiFor = (mathOutput) => new QTIExporter({ mathOutput }).generateQTI(assessment);
+
+            const mathml = qtiFor('mathml');
+            expect(mathml).not.toContain('equation_image');
+            expect(mathml).toContain('&lt;math xmlns=&quot;http://www.w3.org/1998/Math/MathML&quot;&gt;');
+            expect(mathml).toContain('&lt;math xmlns=&quot;http://www.w3.org/1998/Math/MathML&quot; display=&quot;block&quot;&gt;');
+            expect(mathml).toContain('&lt;annotation encoding=&quot;application/x-tex&quot;&gt;\\sqrt{4}&lt;/annotation&gt;');
+            expect(mathml).not.toMatch(/\$[^$<]+\$/);
+
+            const mathjax = qtiFor('mathjax');
+            expect(mathjax).not.toContain('equation_image');
+            expect(mathjax).toContain('Solve \\(x^2 = 4\\) where \\[x &gt; 0\\]');
+            expect(mathjax).toContain('>\\(-2\\)</mattext>');
+            expect(mathjax).toContain('Right, \\(\\sqrt{4}\\)');
+            expect(mathjax).toContain('Take \\(\\sqrt{}\\) of both sides');
+
+            const images = qtiFor('image');
+            expect(images.match(/class="equation_image"/g)).toHaveLength(6);
+            expect(new QTIExporter({ mathOutput: 'svg' }).latexRenderer.mathOutput).toBe('image');
+        });
+
+        test('should embed attached images in plain XML exports', () => {
+            const image = { id: 'i1', name: 'Plot <1>.png', mimeType: 'image/png', dataUrl: 'data:image/png;base64,iVBORw0KGgo=' };
+            const qti = exporter.generateQTI({
+                title: 'Images',
+                questions: [{ id: 1, type: 'essay', text: 'Describe $f$', points: 1, images: [image] }]
+            });
+
+            expect(qti).toContain('class="equation_image"');
+            expect(qti).toContain('&lt;p&gt;&lt;img src=&quot;data:image/png;base64,iVBORw0KGgo=&quot; alt=&quot;Plot &amp;lt;1&amp;gt;.png&quot; /&gt;&lt;/p&gt;</mattext>');
+        });
+
         test('should not process LaTeX if img tags already present', () => {
             const textWithExistingImg = 'Already has <img src="test.png" /> so no $x = 2$ processing.';
 
@@ -197,7 +583,7 @@ describe('QTI Exporter', () => {
             expect(processed).not.toContain('equation_image');
         });
 
-        test('should generate valid QTI with img tags in question text', () => {
+        test('should generate valid QTI with img tags in question text', async () => {
             const assessment = {
                 title: 'Math Assessment',
                 description: 'Test with equations',
@@ -218,75 +604,50 @@ describe('QTI Exporter', () => {
             };
 
             const qti = exporter.generateQTI(assessment);
-            const validation = exporter.validateXML(qti);
+            const validation = await new QTIValidator().validate(qti);
 
+            expect(validation.errors).toEqual([]);
             expect(validation.isValid).toBe(true);
             expect(qti).toContain('title="f(x) = x^2"');
             expect(qti).not.toContain('title="f(x) = x^2&quot; src=&quot;');
         });
     });
 
-    describe('XML Validation', () => {
-        test('should validate correct XML structure', () => {
-            const validXML = '<?xml version="1.0"?><root><child>content</child></root>';
-            
-            const result = exporter.validateXML(validXML);
-
-            expect(result.isValid).toBe(true);
-            expect(result.errors).toHaveLength(0);
-        });
-
-        test('should detect missing XML declaration', () => {
-            const invalidXML = '<root><child>content</child></root>';
-            
-            const result = exporter.validateXML(invalidXML);
-
-            expect(result.isValid).toBe(false);
-            expect(result.errors).toContain('Missing XML declaration');
-        });
-
-        test('should detect unclosed tags', () => {
-            const invalidXML = '<?xml version="1.0"?><root><child>content</root>';
-            
-            const result = exporter.validateXML(invalidXML);
-
-            expect(result.isValid).toBe(false);
-            expect(result.errors.some(err => err.includes('Unclosed tags'))).toBe(true);
-        });
-
-        test('should detect mismatched tags', () => {
-            const invalidXML = '<?xml version="1.0"?><root><child>content</wrong></root>';
-            
-            const result = exporter.validateXML(invalidXML);
+    describe('Utility Functions', () => {
+        test('should derive the same ID from the same parts', () => {
+            const id1 = exporter.generateId('a1', 'group', 'g1');
+            const id2 = exporter.generateId('a1', 'group', 'g2');
 
-            expect(result.isValid).toBe(false);
-            expect(result.errors.some(err => err.includes('Mismatched closing tag'))).toBe(true);
+            expect(id1).toMatch(/^i[0-9a-f]{32}$/);
+            expect(exporter.generateId('a1', 'group', 'g1')).toBe(id1);
+            expect(id2).not.toBe(id1);
         });
 
-        test('should handle self-closing tags correctly', () => {
-            const xmlWithSelfClosing = '<?xml version="1.0"?><root><img src="test.png" /><br /></root>';
-            
-            const result = exporter.validateXML(xmlWithSelfClosing);
+        test('should generate proper question IDs', () => {
+            const questionId = exporter.generateQuestionId(5, 'a1');
 
-            expect(result.isValid).toBe(true);
-            expect(result.errors).toHaveLength(0);
+            expect(questionId).toMatch(/^question_5_i[0-9a-f]{32}$/);
+            expect(exporter.generateQuestionId(5, 'a2')).not.toBe(questionId);
+            expect(exporter.generateQuestionId('q "1"', 'a1')).toMatch(/^question_q__1__i[0-9a-f]{32}$/);
         });
-    });
 
-    describe('Utility Functions', () => {
-        test('should generate unique IDs', () => {
-            const id1 = exporter.generateId();
-            const id2 = exporter.generateId();
-
-            expect(id1).toMatch(/^i[a-z0-9]+$/);
-            expect(id2).toMatch(/^i[a-z0-9]+$/);
-            expect(id1).not.toBe(id2);
-        });
+        test('should export the same assessment to identical XML', () => {
+            const assessment = {
+                id: 'a_saved',
+                title: 'Stable',
+                groups: [{ id: 'g1', name: 'Pool', pickCount: 1, pointsPerItem: 1 }],
+                questions: [
+                    { id: 'q_1', type: 'essay', text: 'First', points: 1, groupId: 'g1' },
+                    { id: 'q_2', type: 'true_false', text: 'Second', points: 1, correctAnswer: 'true' }
+                ]
+            };
 
-        test('should generate proper question IDs', () => {
-            const questionId = exporter.generateQuestionId(5);
+            const qti = exporter.generateQTI(assessment);
+            const itemIdents = [...qti.matchAll(/<item ident="([^"]+)"/g)].map(match => match[1]);
 
-            expect(questionId).toMatch(/^question_5_i[a-z0-9]+$/);
+            expect(new QTIExporter().generateQTI(JSON.parse(JSON.stringify(assessment)))).toBe(qti);
+            expect(qti).toContain(`<fieldentry>${itemIdents.join(',')}</fieldentry>`);
+            expect(exporter.generateQTI({ ...assessment, id: 'a_other' })).not.toContain(itemIdents[0]);
         });
 
         test('should escape basic XML characters', () => {
@@ -0,0 +1,321 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import QTIImporter from '../src/qti-importer.js';
+import QTIExporter from '../src/qti-exporter.js';
+import QTIPackager from '../src/qti-packager.js';
+
+describe('QTI Importer', () => {
+    let importer;
+
+    beforeEach(() => {
+        importer = new QTIImporter();
+    });
+
+    describe('Canvas sample export', () => {
+        let result;
+
+        beforeAll(async () => {
+            const sampleXML = fs.readFileSync(path.join(__dirname, '..', 'sample.xml'), 'utf8');
+            result = await new QTIImporter().importXML(sampleXML);
+        });
+
+        test('should read assessment title and time limit', () => {
+            expect(result.assessment.title).toBe('CL03');
+            expect(result.assessment.timeLimit).toBe(10);
+        });
+
+        test('should collect items from nested question groups', () => {
+            expect(result.assessment.questions).toHaveLength(15);
+            expect(result.skipped).toHaveLength(0);
+        });
+
+        test('should map multiple choice questions with correct varequal answer', () => {
+            const question = result.assessment.questions[0];
+
+            expect(question.type).toBe('multiple_choice');
+            expect(question.choices).toHaveLength(4);
+            expect(question.correctAnswer).toBe(1);
+            expect(question.choices[1].correct).toBe(true);
+            expect(question.choices.filter(choice => choice.correct)).toHaveLength(1);
+        });
+
+        test('should keep item points_possible and leave points_per_item to the group', () => {
+            const [question] = result.assessment.questions;
+            const group = result.assessment.groups.find(candidate => candidate.id === question.groupId);
+
+            expect(question.points).toBe(1);
+            expect(group.pointsPerItem).toBe(20);
+        });
+
+        test('should keep Canvas question groups and assign their items', () => {
+            const { groups, questions } = result.assessment;
+
+            expect(groups).toHaveLength(5);
+            expect(groups[0]).toEqual({
+                id: 'qti_gf73d4e63aa55bf7d0c0261d2b23d48b3',
+                name: 'Grupo',
+                pickCount: 1,
+                pointsPerItem: 20
+            });
+            expect(questions.every(question => groups.some(group => group.id === question.groupId))).toBe(true);
+        });
+
+        test('should turn equation images back into LaTeX', () => {
+            const question = result.assessment.questions[0];
+
+            expect(question.text).toContain('Sea $k\\in N,\\:k\\ne0$, entonces');
+            expect(question.text).toContain('$$\\lim_{x\\to0}\\frac{\\sin\\left(\\frac{x}{2}\\right)}{kx}=$$');
+            expect(question.choices[0].text).toBe('$\\frac{k}{2}$');
+        });
+    });
+
+    describe('Round trip with QTIExporter', () => {
+        test('should import what the exporter writes', async () => {
+            const exporter = new QTIExporter();
+            const assessment = {
+                title: 'Round Trip',
+                description: '',
+                timeLimit: 15,
+                questions: [
+                    {
+                        id: 1,
+                        type: 'multiple_choice',
+                        text: 'Evaluate $\\frac{1}{2} + \\frac{1}{2}$ & simplify',
+                        points: 2,
+                        choices: [
+                            { text: '$0$', correct: false, feedback: 'Not zero' },
+                            { text: '$1$', correct: true }
+                        ],
+                        correctAnswer: 1,
+                        explanation: 'Half plus half is one'
+                    },
+                    {
+                        id: 2,
+                        type: 'true_false',
+                        text: 'The sky is blue',
+                        points: 1,
+                        correctAnswer: 'false',
+                        feedback: { correct: 'Yes', incorrect: 'Look again' }
+                    },
+                    { id: 3, type: 'essay', text: 'Explain why 2 > 1', points: 5 },
+                    { id: 4, type: 'short_answer', text: 'Capital of France?', points: 1, acceptedAnswers: ['Paris', 'París'] },
+                    {
+                        id: 5,
+                        type: 'multiple_answers',
+                        text: 'Select the even numbers',
+                        points: 2,
+                        choices: [
+                            { text: '2', correct: true },
+                            { text: '3', correct: false },
+                            { text: '4', correct: true }
+                        ],
+                        correctAnswer: [0, 2]
+                    },
+                    {
+                        id: 6,
+                        type: 'matching',
+                        text: 'Match the symbols',
+                        points: 2,
+                        matches: [
+                            { left: 'Fe', right: 'Iron' },
+                            { left: 'Au', right: 'Gold' }
+                        ],
+                        distractors: ['Silver']
+                    },
+                    { id: 7, type: 'numerical', text: 'Approximate e', points: 1, numericAnswer: { mode: 'exact', value: '2,718', margin: '0,001' } },
+                    { id: 8, type: 'numerical', text: 'Any value in range', points: 1, numericAnswer: { mode: 'range', start: 1, end: 2 } },
+                    {
+                        id: 9,
+                        type: 'calculated',
+                        text: 'Double [x]',
+                        points: 1,
+                        calculated: {
+                            formula: '2 * x',
+                            decimals: 0,
+                            tolerance: 0,
+                            variables: [{ name: 'x', min: 1, max: 5, decimals: 0 }],
+                            answerSets: [{ values: { x: 3 }, answer: 6 }]
+                        }
+                    },
+                    {
+                        id: 10,
+                        type: 'fill_in_multiple_blanks',
+                        text: 'Roses are [color1], violets are [color2]',
+                        points: 2,
+                        blanks: [{ name: 'color1', answers: ['red', 'rojo'] }, { name: 'color2', answers: ['blue'] }]
+                    },
+                    {
+                        id: 11,
+                        type: 'multiple_dropdowns',
+                        text: 'Pick [animal]',
+                        points: 1,
+                        blanks: [{ name: 'animal', options: [{ text: 'cat', correct: false }, { text: 'dog', correct: true }] }]
+                    }
+                ]
+            };
+
+            const { assessment: imported } = await importer.importXML(exporter.generateQTI(assessment));
+
+            expect(imported.title).toBe('Round Trip');
+            expect(imported.timeLimit).toBe(15);
+            expect(imported.questions.map(q => q.type)).toEqual(['multiple_choice', 'true_false', 'essay', 'short_answer', 'multiple_answers', 'matching', 'numerical', 'numerical', 'calculated', 'fill_in_multiple_blanks', 'multiple_dropdowns']);
+            expect(imported.questions[0].text).toBe('Evaluate $\\frac{1}{2} + \\frac{1}{2}$ & simplify');
+            expect(imported.questions[0].correctAnswer).toBe(1);
+            expect(imported.questions[0].points).toBe(2);
+            expect(imported.questions[1].correctAnswer).toBe('false');
+            expect(imported.questions[0].feedback).toEqual({ general: 'Half plus half is one', correct: '', incorrect: '' });
+            expect(imported.questions[0].choices[0].feedback).toBe('Not zero');
+            expect(imported.questions[1].feedback).toEqual({ general: '', correct: 'Yes', incorrect: 'Look again' });
+            expect(imported.questions[2].feedback).toBeUndefined();
+            expect(imported.questions[2].text).toBe('Explain why 2 > 1');
+            expect(imported.questions[3].acceptedAnswers).toEqual(['Paris', 'París']);
+            expect(imported.questions[3].sampleAnswer).toBe('Paris');
+            expect(imported.questions[4].correctAnswer).toEqual([0, 2]);
+            expect(imported.questions[4].choices.map(choice => choice.correct)).toEqual([true, false, true]);
+            expect(imported.questions[5].matches).toEqual([
+                { left: 'Fe', right: 'Iron' },
+                { left: 'Au', right: 'Gold' }
+            ]);
+            expect(imported.questions[5].distractors).toEqual(['Silver']);
+            expect(imported.questions[6].numericAnswer).toEqual({ mode: 'exact', value: 2.718, margin: 0.001 });
+            expect(imported.questions[7].numericAnswer).toEqual({ mode: 'range', start: 1, end: 2 });
+            expect(imported.questions[8].text).toBe('Double [x]');
+            expect(imported.questions[8].calculated).toEqual({
+                formula: '2 * x',
+                decimals: 0,
+                tolerance: 0,
+                variables: [{ name: 'x', min: 1, max: 5, decimals: 0 }],
+                answerCount: 1,
+                answerSets: [{ values: { x: 3 }, answer: 6 }]
+            });
+            expect(imported.questions[9].text).toBe('Roses are [color1], violets are [color2]');
+            expect(imported.questions[9].blanks).toEqual([
+                { name: 'color1', answers: ['red', 'rojo'] },
+                { name: 'color2', answers: ['blue'] }
+            ]);
+            expect(imported.questions[10].blanks).toEqual([
+                { name: 'animal', options: [{ text: 'cat', correct: false }, { text: 'dog', correct: true }] }
+            ]);
+            expect(imported.groups).toEqual([]);
+        });
+
+        test('should restore question groups written by the exporter', async () => {
+            const exporter = new QTIExporter();
+            const assessment = {
+                title: 'Groups',
+                timeLimit: 0,
+                groups: [{ id: 'g1', name: 'Pool', pickCount: 1, pointsPerItem: 4 }],
+                questions: [
+                    { id: 1, type: 'essay', text: 'First', points: 2, groupId: 'g1' },
+                    { id: 2, type: 'essay', text: 'Second', points: 2, groupId: 'g1' },
+                    { id: 3, type: 'essay', text: 'Loose', points: 3 }
+                ]
+            };
+
+            const { assessment: imported } = await importer.importXML(exporter.generateQTI(assessment));
+
+            expect(imported.groups).toHaveLength(1);
+            expect(imported.groups[0]).toMatchObject({ name: 'Pool', pickCount: 1, pointsPerItem: 4 });
+            expect(imported.questions.map(q => q.groupId)).toEqual([imported.groups[0].id, imported.groups[0].id, undefined]);
+            expect(imported.questions.map(q => q.points)).toEqual([2, 2, 3]);
+        });
+
+        test('should give a re-imported quiz the IDs that export to the same idents', async () => {
+            const exporter = new QTIExporter();
+            const qti = exporter.generateQTI({
+                id: 'a_saved',
+                title: 'Again',
+                questions: [{ id: 'q_1', type: 'essay', text: 'Explain', points: 1 }]
+            });
+
+            const { assessment: first } = await importer.importXML(qti);
+            const { assessment: second } = await importer.importXML(qti);
+
+            expect(first.id).toBe(`qti_${exporter.generateId('a_saved', 'assessment')}`);
+            expect(exporter.generateQTI(second)).toBe(exporter.generateQTI(first));
+        });
+
+        test.each(['mathml', 'mathjax'])('should read %s math back as LaTeX', async (mathOutput) => {
+            const exporter = new QTIExporter({ mathOutput });
+            const assessment = {
+                title: 'Math',
+                questions: [{
+                    id: 1,
+                    type: 'multiple_choice',
+                    text: 'If $x < 2$ then $$\\frac{x}{2} < 1$$',
+                    points: 1,
+                    choices: [{ text: '$\\sqrt{4}$', feedback: 'Yes, $2$' }, { text: 'No' }],
+                    correctAnswer: 0
+                }]
+            };
+
+            const { assessment: imported } = await importer.importXML(exporter.generateQTI(assessment));
+            const [question] = imported.questions;
+
+            expect(question.text).toBe('If $x < 2$ then $$\\frac{x}{2} < 1$$');
+            expect(question.choices[0]).toMatchObject({ text: '$\\sqrt{4}$', feedback: 'Yes, $2$' });
+        });
+    });
+
+    describe('Unsupported content', () => {
+        test('should skip unknown question types and report them', async () => {
+            const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<questestinterop>
+  <assessment ident="a1" title="Skip">
+    <section ident="root_section">
+      <item ident="i1" title="Q">
+        <itemmetadata><qtimetadata>
+          <qtimetadatafield><fieldlabel>question_type</fieldlabel><fieldentry>file_upload_question</fieldentry></qtimetadatafield>
+        </qtimetadata></itemmetadata>
+        <presentation><material><mattext texttype="text/html">Upload</mattext></material></presentation>
+      </item>
+    </section>
+  </assessment>
+</questestinterop>`;
+
+            const result = await importer.importXML(xml);
+
+            expect(result.assessment.questions).toHaveLength(0);
+            expect(result.skipped).toEqual([{ ident: 'i1', title: 'Q', type: 'file_upload_question' }]);
+        });
+
+        test('should reject documents that are not QTI', async () => {
+            await expect(importer.importXML('<?xml version="1.0"?><quiz></quiz>')).rejects.toThrow('missing questestinterop');
+        });
+    });
+
+    describe('Packages', () => {
+        test('should find the assessment inside a zip package', async () => {
+            const zip = new AdmZip();
+            zip.addFile('imsmanifest.xml', Buffer.from('<?xml version="1.0"?><manifest/>'));
+            zip.addFile('g1/g1.xml', fs.readFileSync(path.join(__dirname, '..', 'sample.xml')));
+
+            const result = await importer.importPackage(zip.toBuffer());
+
+            expect(result.assessment.questions).toHaveLength(15);
+            expect(result.assessment.settings.allowedAttempts).toBe(1);
+        });
+
+        test('should read the quiz settings back from assessment_meta.xml', async () => {
+            const settings = {
+                quizType: 'practice_quiz',
+                shuffleAnswers: true,
+                allowedAttempts: 0,
+                scoringPolicy: 'keep_latest',
+                showCorrectAnswers: false,
+                oneQuestionAtATime: true,
+                accessCode: 'x<y'
+            };
+            const buffer = new QTIPackager().createZip({ title: 'Settings', description: 'Read me', questions: [], settings });
+
+            const { assessment } = await importer.importPackage(buffer);
+
+            expect(assessment.description).toBe('Read me');
+            expect(assessment.settings).toEqual(settings);
+        });
+    });
+});
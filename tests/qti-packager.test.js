@@ -0,0 +1,215 @@
+/**
+ * @jest-environment node
+ */
+import AdmZip from 'adm-zip';
+import QTIPackager from '../src/qti-packager.js';
+import QTI2Packager from '../src/qti2-packager.js';
+
+describe('QTI Packager', () => {
+    let packager;
+    const assessment = {
+        title: 'Quiz & Review',
+        description: 'Chapter <1>',
+        timeLimit: 20,
+        questions: [
+            {
+                id: 1,
+                type: 'multiple_choice',
+                text: 'What is 2 + 2?',
+                points: 2,
+                choices: [{ text: '3' }, { text: '4' }],
+                correctAnswer: 1
+            },
+            { id: 2, type: 'true_false', text: 'Water is wet', points: 1, correctAnswer: 'true' }
+        ]
+    };
+
+    beforeEach(() => {
+        packager = new QTIPackager();
+    });
+
+    test('should lay out manifest, assessment and meta files like Canvas exports', () => {
+        const { assessmentId, files } = packager.buildPackage(assessment);
+
+        expect(files.map(file => file.path)).toEqual([
+            'imsmanifest.xml',
+            `${assessmentId}/${assessmentId}.xml`,
+            `${assessmentId}/assessment_meta.xml`
+        ]);
+    });
+
+    test('should use the same assessment ident in manifest, QTI and meta', () => {
+        const { assessmentId, files } = packager.buildPackage(assessment);
+        const [manifest, qti, meta] = files.map(file => file.content);
+
+        expect(manifest).toContain(`<resource identifier="${assessmentId}" type="imsqti_xmlv1p2">`);
+        expect(manifest).toContain(`<file href="${assessmentId}/${assessmentId}.xml"/>`);
+        expect(manifest).toContain(`href="${assessmentId}/assessment_meta.xml"`);
+        expect(qti).toContain(`<assessment ident="${assessmentId}"`);
+        expect(meta).toContain(`<quiz identifier="${assessmentId}"`);
+    });
+
+    test('should write escaped quiz settings to assessment_meta.xml', () => {
+        const meta = packager.generateAssessmentMeta(assessment, 'a1');
+
+        expect(meta).toContain('<title>Quiz &amp; Review</title>');
+        expect(meta).toContain('<description>Chapter &lt;1&gt;</description>');
+        expect(meta).toContain('<points_possible>3</points_possible>');
+        expect(meta).toContain('<time_limit>20</time_limit>');
+    });
+
+    test('should keep the previous defaults when the assessment has no settings', () => {
+        const meta = packager.generateAssessmentMeta(assessment, 'a1');
+
+        expect(meta).toContain('<quiz_type>assignment</quiz_type>');
+        expect(meta).toContain('<shuffle_answers>false</shuffle_answers>');
+        expect(meta).toContain('<allowed_attempts>1</allowed_attempts>');
+        expect(meta).toContain('<show_correct_answers>true</show_correct_answers>');
+        expect(meta).not.toContain('<access_code>');
+    });
+
+    test('should write the Canvas quiz settings to assessment_meta.xml', () => {
+        const meta = packager.generateAssessmentMeta({
+            ...assessment,
+            settings: {
+                quizType: 'survey',
+                shuffleAnswers: true,
+                allowedAttempts: 0,
+                scoringPolicy: 'keep_latest',
+                showCorrectAnswers: false,
+                oneQuestionAtATime: true,
+                accessCode: 'a&b'
+            }
+        }, 'a1');
+
+        expect(meta).toContain('<quiz_type>survey</quiz_type>');
+        expect(meta).toContain('<shuffle_answers>true</shuffle_answers>');
+        expect(meta).toContain('<allowed_attempts>-1</allowed_attempts>');
+        expect(meta).toContain('<scoring_policy>keep_latest</scoring_policy>');
+        expect(meta).toContain('<show_correct_answers>false</show_correct_answers>');
+        expect(meta).toContain('<one_question_at_a_time>true</one_question_at_a_time>');
+        expect(meta).toContain('<access_code>a&amp;b</access_code>');
+    });
+
+    test('should count question groups by pick count and points per item', () => {
+        const grouped = {
+            ...assessment,
+            groups: [{ id: 'g1', name: 'Pool', pickCount: 1, pointsPerItem: 5 }],
+            questions: [
+                { ...assessment.questions[0], groupId: 'g1' },
+                { ...assessment.questions[1], groupId: 'g1' },
+                { id: 3, type: 'essay', text: 'Explain', points: 4 }
+            ]
+        };
+
+        expect(packager.calculatePointsPossible(grouped)).toBe(9);
+    });
+
+    test('should count groups the way the QTI writes them', () => {
+        const pool = [{ ...assessment.questions[0], points: 3, groupId: 'g1' }, { ...assessment.questions[1], points: 3, groupId: 'g1' }];
+        const withGroup = (group) => ({ ...assessment, groups: [{ id: 'g1', name: 'Pool', ...group }], questions: pool });
+
+        [
+            [{ pickCount: 1, pointsPerItem: 0 }, 0],
+            [{ pickCount: 1, pointsPerItem: null }, 3],
+            [{ pickCount: '', pointsPerItem: 2 }, 4]
+        ].forEach(([group, points]) => {
+            const { files } = packager.buildPackage(withGroup(group));
+            const qti = files.find(file => /^([^/]+)\/\1\.xml$/.test(file.path)).content;
+            const perItem = qti.match(/<points_per_item>([^<]*)</)[1];
+            const picked = qti.match(/<selection_number>([^<]*)</)[1];
+
+            expect(packager.calculatePointsPossible(withGroup(group))).toBe(points);
+            expect(Number(perItem) * Number(picked)).toBe(points);
+        });
+    });
+
+    test('should leave out and report formula questions that have no answer sets', () => {
+        const withFormula = {
+            ...assessment,
+            questions: [
+                ...assessment.questions,
+                { id: 'f1', type: 'calculated', text: 'What is [a]?', points: 7, calculated: { formula: 'a', variables: [], answerSets: [] } }
+            ]
+        };
+
+        const { files, skipped } = packager.buildPackage(withFormula);
+        const qti = files.find(file => /^([^/]+)\/\1\.xml$/.test(file.path)).content;
+        const meta = files.find(file => file.path.endsWith('assessment_meta.xml')).content;
+
+        expect(skipped).toEqual([expect.objectContaining({ id: 'f1', reason: 'No answer sets generated for the current formula and variables' })]);
+        expect(qti).not.toContain('calculated_question');
+        expect(meta).toContain(`<points_possible>${packager.calculatePointsPossible(assessment)}</points_possible>`);
+    });
+
+    test('should give identical files when the same assessment is exported twice', () => {
+        const png = `data:image/png;base64,${Buffer.from('89504e470d0a1a0a', 'hex').toString('base64')}`;
+        const everyType = {
+            id: 'a_every_type',
+            title: 'Every type',
+            groups: [{ id: 'g_1', name: 'Pool', pickCount: 1, pointsPerItem: 2 }],
+            questions: [
+                { id: 'q_1', type: 'multiple_choice', text: 'Pick [one]', points: 1, choices: [{ text: 'A', image: { id: 'i_1', name: 'a.png', mimeType: 'image/png', dataUrl: png } }, { text: 'B' }], correctAnswer: 0 },
+                { id: 'q_2', type: 'multiple_answers', text: 'Pick two', points: 1, choices: [{ text: 'A', correct: true }, { text: 'B', correct: true }, { text: 'C' }] },
+                { id: 'q_3', type: 'true_false', text: 'True?', points: 1, correctAnswer: 'true', groupId: 'g_1' },
+                { id: 'q_4', type: 'short_answer', text: 'Capital of France', points: 1, acceptedAnswers: ['Paris'] },
+                { id: 'q_5', type: 'fill_in_blank', text: 'Blank', points: 1, acceptedAnswers: ['x'], groupId: 'g_1' },
+                { id: 'q_6', type: 'essay', text: 'Explain', points: 3, gradingRubric: 'Clear' },
+                { id: 'q_7', type: 'numerical', text: 'Pi', points: 1, numericAnswer: { mode: 'exact', value: 3.14, margin: 0.01 } },
+                { id: 'q_8', type: 'calculated', text: 'Double [x]', points: 1, calculated: { formula: '2 * x', tolerance: 0, variables: [{ name: 'x', min: 1, max: 9, decimals: 0 }], answerSets: [{ values: { x: 3 }, answer: 6 }, { values: { x: 7 }, answer: 14 }] } },
+                { id: 'q_9', type: 'matching', text: 'Match', points: 2, matches: [{ left: 'H', right: 'Hydrogen' }, { left: 'O', right: 'Oxygen' }], distractors: ['Helium'] },
+                { id: 'q_10', type: 'fill_in_multiple_blanks', text: '[a] and [b]', points: 2, blanks: [{ name: 'a', answers: ['1'] }, { name: 'b', answers: ['2'] }] },
+                { id: 'q_11', type: 'multiple_dropdowns', text: 'Pick [animal]', points: 1, blanks: [{ name: 'animal', options: [{ text: 'cat', correct: true }, { text: 'car' }] }] }
+            ]
+        };
+
+        jest.useFakeTimers().setSystemTime(new Date('2024-03-01T09:00:00Z'));
+        const first = new QTIPackager().buildPackage(everyType);
+        const qti2 = new QTI2Packager().buildPackage(everyType);
+        jest.setSystemTime(new Date('2024-03-02T17:30:00Z'));
+        const second = new QTIPackager().buildPackage(JSON.parse(JSON.stringify(everyType)));
+        const secondQti2 = new QTI2Packager().buildPackage(JSON.parse(JSON.stringify(everyType)));
+        jest.useRealTimers();
+
+        expect(first.skipped).toEqual([]);
+        expect(first.files.find(file => /^([^/]+)\/\1\.xml$/.test(file.path)).content.match(/<item /g)).toHaveLength(11);
+        expect(first.files.some(file => file.path.startsWith('web_resources/'))).toBe(true);
+        expect(second.files.map(file => [file.path, String(file.content)])).toEqual(first.files.map(file => [file.path, String(file.content)]));
+        expect(secondQti2.files).toEqual(qti2.files);
+    });
+
+    test('should produce a zip containing every package file', () => {
+        const zip = new AdmZip(packager.createZip(assessment));
+        const names = zip.getEntries().map(entry => entry.entryName);
+
+        expect(names).toContain('imsmanifest.xml');
+        expect(names.filter(name => name.endsWith('assessment_meta.xml'))).toHaveLength(1);
+
+        const qtiEntry = zip.getEntries().find(entry => /^(\w+)\/\1\.xml$/.test(entry.entryName));
+        expect(qtiEntry.getData().toString('utf8')).toContain('<questestinterop');
+    });
+
+    test('should copy attached images into course files and reference them through IMS-CC-FILEBASE', () => {
+        const png = Buffer.from('89504e470d0a1a0a', 'hex');
+        const image = (id, name) => ({ id, name, mimeType: 'image/png', dataUrl: `data:image/png;base64,${png.toString('base64')}` });
+        const withImages = {
+            ...assessment,
+            questions: [
+                { ...assessment.questions[0], images: [image('i1', 'Graph 1.png')], choices: [{ text: '3', image: image('i2', 'Graph 1.png') }, { text: '4' }] },
+                assessment.questions[1]
+            ]
+        };
+
+        const zip = new AdmZip(packager.createZip(withImages));
+        const manifest = zip.readAsText('imsmanifest.xml');
+        const qti = zip.getEntries().find(entry => /^(\w+)\/\1\.xml$/.test(entry.entryName)).getData().toString('utf8');
+
+        expect(zip.getEntry('web_resources/Uploaded Media/Graph-1.png').getData()).toEqual(png);
+        expect(zip.getEntry('web_resources/Uploaded Media/Graph-1-2.png').getData()).toEqual(png);
+        expect(manifest).toMatch(/<resource identifier="\w+" type="webcontent" href="web_resources\/Uploaded Media\/Graph-1\.png">\s*<file href="web_resources\/Uploaded Media\/Graph-1\.png"\/>/);
+        expect(manifest.match(/<dependency identifierref=/g)).toHaveLength(3);
+        expect(qti).toContain('&lt;img src=&quot;$IMS-CC-FILEBASE$/Uploaded%20Media/Graph-1.png&quot; alt=&quot;Graph 1.png&quot; /&gt;');
+        expect(qti).toContain('$IMS-CC-FILEBASE$/Uploaded%20Media/Graph-1-2.png');
+        expect(qti).not.toContain('data:image/png');
+    });
+});
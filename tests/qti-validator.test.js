@@ -0,0 +1,161 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import QTIValidator from '../src/services/qti-validator.js';
+import QTIExporter from '../src/qti-exporter.js';
+
+describe('QTIValidator', () => {
+  let validator;
+
+  const item = (body, { ident = 'i1', title = 'Question 1', metadata = true } = {}) => `
+      <item ident="${ident}" title="${title}">${metadata ? `
+        <itemmetadata>
+          <qtimetadata>
+            <qtimetadatafield><fieldlabel>question_type</fieldlabel><fieldentry>multiple_choice_question</fieldentry></qtimetadatafield>
+            <qtimetadatafield><fieldlabel>points_possible</fieldlabel><fieldentry>1</fieldentry></qtimetadatafield>
+          </qtimetadata>
+        </itemmetadata>` : ''}
+        <presentation>
+          <response_lid ident="response1">
+            <render_choice>
+              <response_label ident="a"/>
+              <response_label ident="b"/>
+            </render_choice>
+          </response_lid>
+        </presentation>${body}
+      </item>`;
+
+  const document = (items) => `<?xml version="1.0" encoding="UTF-8"?>
+<questestinterop>
+  <assessment ident="a1" title="Quiz">
+    <section ident="root_section">${items}
+    </section>
+  </assessment>
+</questestinterop>`;
+
+  beforeEach(() => {
+    validator = new QTIValidator();
+  });
+
+  test('should accept every question type the exporter writes', async () => {
+    const assessment = {
+      title: 'Everything & more',
+      groups: [{ id: 'g1', name: 'Pool', pickCount: 1, pointsPerItem: 2 }],
+      questions: [
+        {
+          id: 1,
+          type: 'multiple_choice',
+          text: 'Pick $x^2$',
+          points: 2,
+          choices: [{ text: 'a', feedback: 'Not a' }, { text: 'b' }],
+          correctAnswer: 1,
+          explanation: 'Because',
+          feedback: { correct: 'Yes', incorrect: 'No' }
+        },
+        { id: 2, type: 'multiple_answers', text: 'Pick', points: 1, choices: [{ text: 'a', correct: true }, { text: 'b' }], correctAnswer: [0] },
+        { id: 3, type: 'true_false', text: 'True?', points: 1, correctAnswer: 'false', groupId: 'g1' },
+        { id: 4, type: 'short_answer', text: 'Say', points: 1, acceptedAnswers: ['x'], groupId: 'g1' },
+        { id: 5, type: 'essay', text: 'Write', points: 5 },
+        { id: 6, type: 'matching', text: 'Match', points: 1, matches: [{ left: 'a', right: '1' }, { left: 'b', right: '2' }], distractors: ['3'] },
+        { id: 7, type: 'numerical', text: 'e', points: 1, numericAnswer: { mode: 'exact', value: 2.718, margin: 0.001 } },
+        { id: 8, type: 'numerical', text: 'pi', points: 1, numericAnswer: { mode: 'precision', value: 3.14159, precision: 3 } },
+        {
+          id: 9,
+          type: 'calculated',
+          text: 'Double [x]',
+          points: 1,
+          calculated: { formula: '2 * x', decimals: 0, tolerance: 0, variables: [{ name: 'x', min: 1, max: 5, decimals: 0 }], answerSets: [{ values: { x: 3 }, answer: 6 }] }
+        },
+        { id: 10, type: 'fill_in_multiple_blanks', text: '[a] and [b]', points: 1, blanks: [{ name: 'a', answers: ['1'] }, { name: 'b', answers: ['2'] }] },
+        { id: 11, type: 'multiple_dropdowns', text: 'Pick [c]', points: 1, blanks: [{ name: 'c', options: [{ text: 'x', correct: true }, { text: 'y' }] }] }
+      ]
+    };
+
+    const result = await validator.validate(new QTIExporter().generateQTI(assessment));
+
+    expect(validator.formatReport(result.errors)).toBe('');
+    expect(result.isValid).toBe(true);
+  });
+
+  test('should accept equation images in question text', async () => {
+    const qti = new QTIExporter().generateQTI({
+      title: 'Math',
+      questions: [{
+        id: 1,
+        type: 'multiple_choice',
+        text: 'Given <img class="equation_image" title="f(x) = x^2" src="https://example.com/eq.png" alt="f(x) = x^2" /> what is the derivative?',
+        points: 1,
+        choices: [{ text: '2x' }, { text: 'x' }],
+        correctAnswer: 0
+      }]
+    });
+
+    expect((await validator.validate(qti)).isValid).toBe(true);
+  });
+
+  test('should accept the Canvas sample export', async () => {
+    const result = await validator.validate(fs.readFileSync(path.join(__dirname, '..', 'sample.xml'), 'utf8'));
+
+    expect(result.errors).toEqual([]);
+  });
+
+  test('should report answers that do not point at a response_label', async () => {
+    const xml = document(item(`
+        <resprocessing>
+          <respcondition>
+            <conditionvar><varequal respident="response1">c</varequal></conditionvar>
+            <setvar action="Set" varname="SCORE">100</setvar>
+          </respcondition>
+          <respcondition>
+            <conditionvar><varequal respident="response9">a</varequal></conditionvar>
+            <displayfeedback linkrefid="general_fb"/>
+          </respcondition>
+        </resprocessing>`));
+
+    const { isValid, errors } = await validator.validate(xml);
+
+    expect(isValid).toBe(false);
+    expect(errors).toEqual([
+      { line: 22, column: 27, item: { ident: 'i1', title: 'Question 1' }, message: 'varequal value "c" is not a response_label of response1' },
+      { line: 26, column: 27, item: { ident: 'i1', title: 'Question 1' }, message: 'varequal points to unknown response "response9"' },
+      { line: 27, column: 13, item: { ident: 'i1', title: 'Question 1' }, message: 'displayfeedback points to unknown itemfeedback "general_fb"' }
+    ]);
+  });
+
+  test('should report duplicate idents, missing metadata and points that are not numbers', async () => {
+    const xml = document(
+      item('', { ident: 'i1', title: 'First' }) +
+      item('', { ident: 'i1', title: 'Second', metadata: false }) +
+      item('', { ident: 'i3', title: 'Third' }).replace('<fieldentry>1</fieldentry>', '<fieldentry>one</fieldentry>')
+    );
+
+    const { errors } = await validator.validate(xml);
+
+    expect(validator.formatReport(errors)).toBe([
+      'Line 21, column 7, in "Second": Duplicate ident "i1" (first used on line 5)',
+      'Line 21, column 7, in "Second": Missing question_type metadata',
+      'Line 21, column 7, in "Second": Missing points_possible metadata',
+      'Line 35, column 71, in "Third": points_possible "one" is not a number'
+    ].join('\n'));
+  });
+
+  test('should report where the XML stops being well-formed', async () => {
+    const unclosed = await validator.validate('<?xml version="1.0"?>\n<questestinterop>\n  <assessment ident="a">\n</questestinterop>');
+    const ampersand = await validator.validate('<?xml version="1.0"?>\n<questestinterop>Q & A</questestinterop>');
+
+    expect(unclosed.isValid).toBe(false);
+    expect(unclosed.errors[0]).toMatchObject({ line: 4, item: null });
+    expect(unclosed.errors[0].message).toMatch(/^XML is not well-formed: Unexpected close tag/);
+    expect(ampersand.errors[0]).toMatchObject({ line: 2 });
+    expect(ampersand.errors[0].message).toMatch(/^XML is not well-formed:/);
+  });
+
+  test('should require a questestinterop with an assessment', async () => {
+    expect((await validator.validate('<?xml version="1.0"?><quiz/>')).errors[0].message)
+      .toBe('Root element must be questestinterop, found quiz');
+    expect((await validator.validate('<?xml version="1.0"?><questestinterop/>')).errors[0].message)
+      .toBe('questestinterop has no assessment');
+  });
+});
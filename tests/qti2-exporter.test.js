@@ -0,0 +1,258 @@
+/**
+ * @jest-environment node
+ */
+import xml2js from 'xml2js';
+import QTI2Exporter from '../src/qti2-exporter.js';
+
+describe('QTI 2 Exporter', () => {
+    let exporter;
+
+    beforeEach(() => {
+        exporter = new QTI2Exporter();
+    });
+
+    test('should reject unsupported versions', () => {
+        expect(() => new QTI2Exporter({ version: '1.2' })).toThrow('Unsupported QTI version "1.2"');
+    });
+
+    describe('QTI 2.1 items', () => {
+        test('should write a multiple choice question as a single-cardinality choiceInteraction', async () => {
+            const xml = exporter.generateItem({
+                id: 1,
+                type: 'multiple_choice',
+                text: 'What is 2 + 2?',
+                points: 2,
+                choices: [{ text: '3' }, { text: '4', correct: true }],
+                correctAnswer: 1
+            }, 'item_1');
+
+            expect(xml).toContain('<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"');
+            expect(xml).toContain('<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">');
+            expect(xml).toMatch(/<correctResponse>\s*<value>CHOICE_1<\/value>/);
+            expect(xml).toContain('<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">');
+            expect(xml).toContain('<simpleChoice identifier="CHOICE_0">3</simpleChoice>');
+            expect(xml).toMatch(/<match>\s*<variable identifier="RESPONSE"\/>\s*<correct identifier="RESPONSE"\/>/);
+            expect(xml).toMatch(/<setOutcomeValue identifier="SCORE">\s*<baseValue baseType="float">2<\/baseValue>/);
+            await expect(xml2js.parseStringPromise(xml)).resolves.toBeDefined();
+        });
+
+        test('should allow several choices for multiple answers questions', () => {
+            const xml = exporter.generateItem({
+                id: 2,
+                type: 'multiple_answers',
+                text: 'Select the even numbers',
+                points: 1,
+                choices: [{ text: '2', correct: true }, { text: '3' }, { text: '4', correct: true }]
+            }, 'item_2');
+
+            expect(xml).toContain('cardinality="multiple" baseType="identifier"');
+            expect(xml).toContain('maxChoices="0"');
+            expect(xml).toMatch(/<value>CHOICE_0<\/value>\s*<value>CHOICE_2<\/value>/);
+        });
+
+        test('should map true/false to TRUE and FALSE choices', () => {
+            const xml = exporter.generateItem({ id: 3, type: 'true_false', text: 'Water is wet', points: 1, correctAnswer: 'false' }, 'item_3');
+
+            expect(xml).toContain('<simpleChoice identifier="TRUE">True</simpleChoice>');
+            expect(xml).toMatch(/<correctResponse>\s*<value>FALSE<\/value>/);
+        });
+
+        test('should map every accepted short answer to full points', () => {
+            const xml = exporter.generateItem({
+                id: 4,
+                type: 'short_answer',
+                text: 'Capital of France?',
+                points: 3,
+                acceptedAnswers: ['Paris', ' París ', 'Paris']
+            }, 'item_4');
+
+            expect(xml).toContain('<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/>');
+            expect(xml).toContain('<mapEntry mapKey="Paris" mappedValue="3" caseSensitive="false"/>');
+            expect(xml).toContain('<mapEntry mapKey="París" mappedValue="3" caseSensitive="false"/>');
+            expect(xml.match(/<mapEntry /g)).toHaveLength(2);
+            expect(xml).toMatch(/<setOutcomeValue identifier="SCORE">\s*<mapResponse identifier="RESPONSE"\/>/);
+        });
+
+        test('should leave essays unscored', () => {
+            const xml = exporter.generateItem({ id: 5, type: 'essay', text: 'Explain', points: 5 }, 'item_5');
+
+            expect(xml).toContain('<extendedTextInteraction responseIdentifier="RESPONSE"/>');
+            expect(xml).not.toContain('<responseProcessing>');
+        });
+
+        test('should write matching pairs as directed pairs worth an equal share', () => {
+            const xml = exporter.generateItem({
+                id: 6,
+                type: 'matching',
+                text: 'Match the symbols',
+                points: 2,
+                matches: [{ left: 'Fe', right: 'Iron' }, { left: 'Au', right: 'Gold' }],
+                distractors: ['Silver']
+            }, 'item_6');
+
+            expect(xml).toContain('baseType="directedPair"');
+            expect(xml).toMatch(/<value>LEFT_0 RIGHT_0<\/value>\s*<value>LEFT_1 RIGHT_1<\/value>/);
+            expect(xml).toContain('<mapEntry mapKey="LEFT_1 RIGHT_1" mappedValue="1" caseSensitive="false"/>');
+            expect(xml).toContain('<simpleAssociableChoice identifier="RIGHT_2" matchMax="2">Silver</simpleAssociableChoice>');
+        });
+
+        test('should grade numerical answers within the accepted bounds', () => {
+            const xml = exporter.generateItem({
+                id: 7,
+                type: 'numerical',
+                text: 'Approximate e',
+                points: 1,
+                numericAnswer: { mode: 'exact', value: '2,718', margin: '0,001' }
+            }, 'item_7');
+
+            expect(xml).toContain('baseType="float"');
+            expect(xml).toMatch(/<gte>\s*<variable identifier="RESPONSE"\/>\s*<baseValue baseType="float">2.717<\/baseValue>/);
+            expect(xml).toMatch(/<lte>\s*<variable identifier="RESPONSE"\/>\s*<baseValue baseType="float">2.719<\/baseValue>/);
+        });
+
+        test('should export formula questions with their first answer set', () => {
+            const xml = exporter.generateItem({
+                id: 8,
+                type: 'calculated',
+                text: 'Double [x]',
+                points: 1,
+                calculated: {
+                    formula: '2 * x',
+                    tolerance: 0.5,
+                    variables: [{ name: 'x', min: 1, max: 5, decimals: 0 }],
+                    answerSets: [{ values: { x: 3 }, answer: 6 }, { values: { x: 4 }, answer: 8 }]
+                }
+            }, 'item_8');
+
+            expect(xml).toContain('<div>Double 3</div>');
+            expect(xml).toContain('<baseValue baseType="float">5.5</baseValue>');
+            expect(xml).toContain('<baseValue baseType="float">6.5</baseValue>');
+        });
+
+        test('should put inline interactions where blanks and dropdowns stand', async () => {
+            const blanks = exporter.generateItem({
+                id: 9,
+                type: 'fill_in_multiple_blanks',
+                text: 'Roses are [color1], violets are [color2]',
+                points: 2,
+                blanks: [{ name: 'color1', answers: ['red', 'rojo'] }, { name: 'color2', answers: ['blue'] }]
+            }, 'item_9');
+            const dropdowns = exporter.generateItem({
+                id: 10,
+                type: 'multiple_dropdowns',
+                text: 'Pick [animal]',
+                points: 1,
+                blanks: [{ name: 'animal', options: [{ text: 'cat', correct: false }, { text: 'dog', correct: true }] }]
+            }, 'item_10');
+
+            expect(blanks).toContain('Roses are <textEntryInteraction responseIdentifier="RESPONSE_color1" expectedLength="15"/>, violets are');
+            expect(blanks).toContain('<mapEntry mapKey="rojo" mappedValue="1" caseSensitive="false"/>');
+            expect(blanks).toMatch(/<sum>\s*<mapResponse identifier="RESPONSE_color1"\/>\s*<mapResponse identifier="RESPONSE_color2"\/>/);
+            expect(dropdowns).toContain('<inlineChoice identifier="animal_1">dog</inlineChoice>');
+            expect(dropdowns).toMatch(/<correctResponse>\s*<value>animal_1<\/value>/);
+            await expect(xml2js.parseStringPromise(blanks)).resolves.toBeDefined();
+            await expect(xml2js.parseStringPromise(dropdowns)).resolves.toBeDefined();
+        });
+
+        test('should write LaTeX as MathML and escape plain text', async () => {
+            const xml = exporter.generateItem({
+                id: 11,
+                type: 'essay',
+                text: 'Evaluate $\\frac{1}{2}$ & simplify\n$$x^2$$',
+                points: 1
+            }, 'item_11');
+
+            expect(xml).toContain('<div>Evaluate <math xmlns="http://www.w3.org/1998/Math/MathML">');
+            expect(xml).toContain('&amp; simplify<br/><math display="block"');
+            expect(xml).not.toContain('equation_image');
+            await expect(xml2js.parseStringPromise(xml)).resolves.toBeDefined();
+        });
+
+        test('should show general, correct and incorrect feedback as modalFeedback', () => {
+            const question = {
+                id: 12,
+                type: 'true_false',
+                text: 'The sky is blue',
+                points: 1,
+                correctAnswer: 'true',
+                explanation: 'Rayleigh scattering',
+                feedback: { correct: 'Yes', incorrect: 'Look again' }
+            };
+            const xml = exporter.generateItem(question, 'item_12');
+
+            expect(xml).toContain('<outcomeDeclaration identifier="FEEDBACK" cardinality="multiple" baseType="identifier"/>');
+            expect(xml).toMatch(/<gte>\s*<variable identifier="SCORE"\/>\s*<variable identifier="MAXSCORE"\/>/);
+            expect(xml).toContain('<responseElse>');
+            expect(xml).toMatch(/<modalFeedback outcomeIdentifier="FEEDBACK" showHide="show" identifier="general">\s*<div>Rayleigh scattering<\/div>/);
+            expect(xml).toContain('identifier="incorrect"');
+            expect(new QTI2Exporter({ includeExplanations: false }).generateItem(question, 'item_12')).not.toContain('modalFeedback');
+        });
+
+        test('should skip question types it cannot express', () => {
+            expect(exporter.generateItem({ id: 13, type: 'file_upload', text: 'Upload', points: 1 }, 'item_13')).toBeNull();
+        });
+    });
+
+    describe('QTI 3.0', () => {
+        beforeEach(() => {
+            exporter = new QTI2Exporter({ version: '3.0' });
+        });
+
+        test('should use qti- prefixed elements and kebab-case attributes', async () => {
+            const xml = exporter.generateItem({
+                id: 1,
+                type: 'multiple_choice',
+                text: 'What is 2 + 2?',
+                points: 2,
+                choices: [{ text: '3' }, { text: '4' }],
+                correctAnswer: 1,
+                explanation: 'Counting'
+            }, 'item_1');
+
+            expect(xml).toContain('<qti-assessment-item xmlns="http://www.imsglobal.org/xsd/imsqtiasi_v3p0"');
+            expect(xml).toContain('time-dependent="false"');
+            expect(xml).toContain('<qti-response-declaration identifier="RESPONSE" cardinality="single" base-type="identifier">');
+            expect(xml).toContain('<qti-choice-interaction response-identifier="RESPONSE" shuffle="false" max-choices="1">');
+            expect(xml).toMatch(/<qti-modal-feedback outcome-identifier="FEEDBACK" show-hide="show" identifier="general">\s*<qti-content-body>\s*<div>Counting<\/div>/);
+            expect(xml).not.toMatch(/<(responseDeclaration|choiceInteraction)/);
+            await expect(xml2js.parseStringPromise(xml)).resolves.toBeDefined();
+        });
+    });
+
+    describe('Assessment test', () => {
+        const assessment = {
+            title: 'Quiz & Review',
+            timeLimit: 20,
+            groups: [{ id: 'g1', name: 'Pool', pickCount: 1, pointsPerItem: 4 }],
+            questions: [
+                { id: 1, type: 'essay', text: 'First', points: 1 },
+                { id: 2, type: 'essay', text: 'Pooled A', points: 2, groupId: 'g1' },
+                { id: 3, type: 'essay', text: 'Loose', points: 1 },
+                { id: 4, type: 'essay', text: 'Pooled B', points: 2, groupId: 'g1' }
+            ]
+        };
+        const itemRefs = assessment.questions.map(question => ({
+            identifier: `item_${question.id}`,
+            href: `items/item_${question.id}.xml`,
+            question
+        }));
+
+        test('should reference items in order with groups as selecting sections', () => {
+            const xml = exporter.generateTest(assessment, 'test_1', itemRefs);
+
+            expect(xml).toContain('<assessmentTest xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"');
+            expect(xml).toContain('title="Quiz &amp; Review"');
+            expect(xml).toContain('<timeLimits maxTime="1200"/>');
+            expect(xml).toMatch(/<assessmentItemRef identifier="item_1" href="items\/item_1.xml"\/>\s*<assessmentSection identifier="group_1" title="Pool" visible="false">\s*<selection select="1"\/>\s*<assessmentItemRef identifier="item_2"[^>]*\/>\s*<assessmentItemRef identifier="item_4"[^>]*\/>\s*<\/assessmentSection>\s*<assessmentItemRef identifier="item_3"/);
+            expect(xml).toMatch(/<sum>\s*<testVariables variableIdentifier="SCORE"\/>/);
+        });
+
+        test('should rename test elements for QTI 3.0', () => {
+            const xml = new QTI2Exporter({ version: '3.0' }).generateTest(assessment, 'test_1', itemRefs);
+
+            expect(xml).toContain('<qti-assessment-test xmlns="http://www.imsglobal.org/xsd/imsqtiasi_v3p0"');
+            expect(xml).toContain('<qti-selection select="1"/>');
+            expect(xml).toContain('<qti-test-variables variable-identifier="SCORE"/>');
+        });
+    });
+});
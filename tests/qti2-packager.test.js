@@ -0,0 +1,89 @@
+/**
+ * @jest-environment node
+ */
+import AdmZip from 'adm-zip';
+import QTI2Packager from '../src/qti2-packager.js';
+import QTI2Exporter from '../src/qti2-exporter.js';
+
+describe('QTI 2 Packager', () => {
+    const assessment = {
+        title: 'Quiz',
+        timeLimit: 0,
+        groups: [{ id: 'g1', name: 'Pool', pickCount: 1, pointsPerItem: 4 }],
+        questions: [
+            {
+                id: 1,
+                type: 'multiple_choice',
+                text: 'What is 2 + 2?',
+                points: 2,
+                choices: [{ text: '3' }, { text: '4' }],
+                correctAnswer: 1
+            },
+            { id: 2, type: 'essay', text: 'Explain', points: 1, groupId: 'g1' },
+            { id: 3, type: 'file_upload', text: 'Upload', points: 1 }
+        ]
+    };
+
+    test('should lay out manifest, test and one file per item', () => {
+        const { testId, files, skipped } = new QTI2Packager().buildPackage(assessment);
+        const paths = files.map(file => file.path);
+
+        expect(paths[0]).toBe('imsmanifest.xml');
+        expect(paths[1]).toBe(`${testId}.xml`);
+        expect(paths.slice(2)).toHaveLength(2);
+        expect(paths.slice(2).every(filePath => /^items\/question_\d+_\w+\.xml$/.test(filePath))).toBe(true);
+        expect(skipped.map(question => question.id)).toEqual([3]);
+    });
+
+    test('should list the test and its item dependencies in the manifest', () => {
+        const { testId, files } = new QTI2Packager().buildPackage(assessment);
+        const manifest = files[0].content;
+        const itemPath = files[2].path;
+        const itemId = itemPath.replace(/^items\/|\.xml$/g, '');
+
+        expect(manifest).toContain('<manifest identifier="manifest_' + testId + '" xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"');
+        expect(manifest).toContain(`<resource identifier="${testId}" type="imsqti_test_xmlv2p1" href="${testId}.xml">`);
+        expect(manifest).toContain(`<dependency identifierref="${itemId}"/>`);
+        expect(manifest).toContain(`<resource identifier="${itemId}" type="imsqti_item_xmlv2p1" href="${itemPath}">`);
+        expect(files[1].content).toContain(`<assessmentItemRef identifier="${itemId}" href="${itemPath}"/>`);
+    });
+
+    test('should score grouped items with the group points per item', () => {
+        const { files } = new QTI2Packager().buildPackage(assessment);
+
+        expect(files[3].content).toMatch(/identifier="MAXSCORE"[\s\S]*?<value>4<\/value>/);
+    });
+
+    test('should use QTI 3.0 resource types for 3.0 packages', () => {
+        const { files } = new QTI2Packager(new QTI2Exporter({ version: '3.0' })).buildPackage(assessment);
+
+        expect(files[0].content).toContain('xmlns="http://www.imsglobal.org/xsd/qti/qtiv3p0/imscp_v1p1"');
+        expect(files[0].content).toContain('type="imsqti_test_xmlv3p0"');
+        expect(files[0].content).toContain('type="imsqti_item_xmlv3p0"');
+    });
+
+    test('should leave out and report formula questions that have no answer sets', () => {
+        const formula = (id, calculated) => ({ id, type: 'calculated', text: 'Double [x]', points: 1, calculated });
+        const { files, skipped } = new QTI2Packager().buildPackage({
+            title: 'Formulas',
+            questions: [
+                formula(1, { formula: '', variables: [{ name: 'x', min: 1, max: 5, decimals: 0 }] }),
+                formula(2, { formula: '2 * x', variables: [{ name: 'x', min: 1, max: 5, decimals: 0 }], answerSets: [] }),
+                formula(3, { formula: '2 * x', variables: [{ name: 'x', min: 1, max: 5, decimals: 0 }], answerSets: [{ values: { x: 3 }, answer: 6 }] })
+            ]
+        });
+
+        expect(files.filter(file => file.path.startsWith('items/'))).toHaveLength(1);
+        expect(skipped.map(({ id, reason }) => [id, reason])).toEqual([
+            [1, 'Formula is empty'],
+            [2, 'No answer sets generated for the current formula and variables']
+        ]);
+    });
+
+    test('should zip every file', () => {
+        const zip = new AdmZip(new QTI2Packager().createZip(assessment));
+
+        expect(zip.getEntries().map(entry => entry.entryName)).toContain('imsmanifest.xml');
+        expect(zip.getEntries()).toHaveLength(4);
+    });
+});
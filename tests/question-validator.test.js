@@ -0,0 +1,37 @@
+import QuestionValidator from '../src/services/question-validator.js';
+
+describe('QuestionValidator', () => {
+  test('should normalise a valid question and give it an id', () => {
+    const { question, error } = QuestionValidator.process({
+      type: 'multiple_answers',
+      text: 'Pick',
+      choices: [{ text: 'a' }, { text: 'b' }, { text: 'c' }],
+      correctAnswer: ['2', 0, 7],
+      explanation: 'Because'
+    }, 3);
+
+    expect(error).toBeNull();
+    expect(question.id).toMatch(/^q_\d+_[a-z0-9]+_3$/);
+    expect(question).toMatchObject({
+      type: 'multiple_answers',
+      points: 1,
+      correctAnswer: [0, 2],
+      choices: [{ id: 0, text: 'a', correct: true }, { id: 1, text: 'b', correct: false }, { id: 2, text: 'c', correct: true }],
+      explanation: 'Because'
+    });
+  });
+
+  test('should say why a question was rejected', () => {
+    expect(QuestionValidator.process({ type: 'calculated', text: 'x' }).error).toBe('Invalid type calculated');
+    expect(QuestionValidator.process({ type: 'numerical', text: 'x', numericAnswer: { value: 'abc' } }).error)
+      .toBe('Numerical answer is not a valid exact, range or precision answer');
+    expect(QuestionValidator.process({ type: 'fill_in_multiple_blanks', text: '[a]', blanks: [] }).error)
+      .toBe('Every [blank] in the text needs answers or options with one correct');
+  });
+
+  test('should normalise numerical answers written with decimal commas', () => {
+    expect(QuestionValidator.normalizeNumericAnswer({ mode: 'range', start: '2,5', end: '1' })).toEqual({ mode: 'range', start: 1, end: 2.5 });
+    expect(QuestionValidator.normalizeNumericAnswer({ mode: 'precision', value: '3,14159', precision: 'x' })).toEqual({ mode: 'precision', value: 3.14159, precision: 2 });
+    expect(QuestionValidator.normalizeNumericAnswer(null)).toBeNull();
+  });
+});
@@ -0,0 +1,27 @@
+import StableId from '../src/services/stable-id.js';
+
+describe('StableId', () => {
+  test('should derive the same digits from the same parts', () => {
+    const id = StableId.derive('a1', 'question', 7);
+
+    expect(id).toMatch(/^[0-9a-f]{32}$/);
+    expect(StableId.derive('a1', 'question', '7')).toBe(id);
+    expect(StableId.derive('a1', 'question', 8)).not.toBe(id);
+    expect(StableId.derive('a1q', 'uestion', 7)).not.toBe(id);
+  });
+
+  test('should fall back to the title and question IDs for assessments without an ID', () => {
+    const quiz = { title: 'Quiz', questions: [{ id: 'q_1' }, { id: 'q_2' }] };
+
+    expect(StableId.assessmentId({ ...quiz, id: 'a_saved' })).toBe('a_saved');
+    expect(StableId.assessmentId(quiz)).toBe(StableId.assessmentId({ ...quiz }));
+    expect(StableId.assessmentId(quiz)).not.toBe(StableId.assessmentId({ ...quiz, title: 'Other' }));
+    expect(StableId.assessmentId(quiz)).not.toBe(StableId.assessmentId({ ...quiz, questions: [{ id: 'q_3' }] }));
+    expect(StableId.assessmentId({ questions: [{ id: 'q_1' }] })).not.toBe(StableId.assessmentId({ questions: [{ id: 'q_3' }] }));
+  });
+
+  test('should create a new ID for every new assessment', () => {
+    expect(StableId.createAssessmentId()).toMatch(/^a_[a-z0-9]+_[a-z0-9]+$/);
+    expect(StableId.createAssessmentId()).not.toBe(StableId.createAssessmentId());
+  });
+});